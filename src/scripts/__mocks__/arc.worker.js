@@ -0,0 +1,59 @@
+import { createArcMessageHandler } from '../arc-geometry.js';
+
+/**
+ * Stand-in of the arc worker for Jest, which has no Web Worker.
+ * It runs the handler of the worker on the same thread, messages are still delivered asynchronously
+ */
+export default class ArcWorkerStandIn {
+
+    /**
+     * Listener of messages posted by the worker
+     * @type {Function}
+     */
+    onmessage = null;
+
+    /**
+     * Listener of errors thrown by the worker
+     * @type {Function}
+     */
+    onerror = null;
+
+    /**
+     * Set once the worker is terminated, messages are dropped afterwards
+     * @type {boolean}
+     * @private
+     */
+    _terminated = false;
+
+    /**
+     * Handler of the worker
+     * @type {Function}
+     * @private
+     */
+    _handleMessage = createArcMessageHandler(message => {
+        setTimeout(() => {
+            if (!this._terminated && this.onmessage) {
+                this.onmessage({ data: message });
+            }
+        }, 0);
+    });
+
+    /**
+     * Post a message to the worker, buffers are shared instead of transferred
+     * @param {Object} message message to the worker
+     * @returns {void}
+     */
+    postMessage(message) {
+        if (!this._terminated) {
+            this._handleMessage(message);
+        }
+    }
+
+    /**
+     * Stop the worker
+     * @returns {void}
+     */
+    terminate() {
+        this._terminated = true;
+    }
+}
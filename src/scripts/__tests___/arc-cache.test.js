@@ -0,0 +1,50 @@
+import { ArcCache, reverseArcGeometry } from '../arc-cache.js';
+
+const arc = coordinates => ({ distance: 100, geometry: { type: 'LineString', coordinates } });
+
+describe('Arc cache test', () => {
+    test('test reverse arc geometry', () => {
+        expect(reverseArcGeometry({ type: 'LineString', coordinates: [[1, 2], [3, 4]] }))
+            .toEqual({ type: 'LineString', coordinates: [[3, 4], [1, 2]] });
+        expect(reverseArcGeometry({ type: 'MultiLineString', coordinates: [[[170, 0], [180, 1]], [[-180, 1], [-170, 2]]] }))
+            .toEqual({ type: 'MultiLineString', coordinates: [[[-170, 2], [-180, 1]], [[180, 1], [170, 0]]] });
+    });
+
+    test('test get and set', () => {
+        const cache = new ArcCache();
+        expect(cache.get('Oslo', 'Rome', 2)).toBeUndefined();
+
+        cache.set('Oslo', 'Rome', 2, arc([[1, 2], [3, 4]]));
+        expect(cache.get('Oslo', 'Rome', 2)).toEqual(arc([[1, 2], [3, 4]]));
+        // Other direction is reversed, other density is another arc
+        expect(cache.get('Rome', 'Oslo', 2)).toEqual(arc([[3, 4], [1, 2]]));
+        expect(cache.get('Oslo', 'Rome', 3)).toBeUndefined();
+
+        expect(cache.stats).toEqual({
+            size: 1, capacity: cache.stats.capacity, hits: 2, misses: 2, evictions: 0, invalidations: 0, hitRate: 0.5
+        });
+    });
+
+    test('test least recently used arc is evicted', () => {
+        const cache = new ArcCache(2);
+        cache.set('A', 'B', 0, arc([]));
+        cache.set('A', 'C', 0, arc([]));
+        cache.get('B', 'A', 0);
+        cache.set('A', 'D', 0, arc([]));
+
+        expect(cache.get('A', 'C', 0)).toBeUndefined();
+        expect(cache.get('A', 'B', 0)).toBeDefined();
+        expect(cache.get('A', 'D', 0)).toBeDefined();
+        expect(cache.stats.size).toBe(2);
+        expect(cache.stats.evictions).toBe(1);
+    });
+
+    test('test clear', () => {
+        const cache = new ArcCache();
+        cache.set('A', 'B', 0, arc([]));
+        cache.clear();
+
+        expect(cache.get('A', 'B', 0)).toBeUndefined();
+        expect(cache.stats).toMatchObject({ size: 0, invalidations: 1 });
+    });
+});
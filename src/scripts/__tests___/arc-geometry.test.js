@@ -0,0 +1,180 @@
+import {
+    toDensityZoom, numberOfPointsAlongArc, greatCircleLatitudeAt, splitAtAntimeridian, computeArc, encodeEndpoints, computeArcBuffers, decodeArcGeometries, createArcMessageHandler
+} from '../arc-geometry.js';
+import {
+    NUMBER_OF_POINTS_ALONG_THE_LINE, MIN_POINTS_ALONG_THE_LINE, ARC_SEGMENT_LENGTH_AT_ZOOM_0, MAX_ARC_DENSITY_ZOOM
+} from '../constants.js';
+
+const straightLine = (source, destination) => ({
+    type: 'Feature',
+    properties: {},
+    geometry: { type: 'LineString', coordinates: [source, destination] }
+});
+
+const AMMAN = [35.933333, 31.95];
+const SAINT_HELIER = [-2.1, 49.18333333333333];
+const TOKYO = [139.69, 35.68];
+const HONOLULU = [-157.86, 21.3];
+const APIA = [-171.76, -13.83];
+const ASTANA = [71.43, 51.17];
+const SUVA = [178.44, -18.14];
+const NUKUALOFA = [-175.2, -21.13];
+const OSLO = [10.75, 59.91];
+
+/**
+ * Check that an arc never goes the long way around the world and its parts meet at ±180°
+ * @param {GeoJSON.LineString|GeoJSON.MultiLineString} geometry arc
+ * @returns {void}
+ */
+const expectSplitAtAntimeridian = geometry => {
+    const parts = geometry.type === 'MultiLineString' ? geometry.coordinates : [geometry.coordinates];
+    parts.forEach(part => part.slice(1).forEach(([longitude], index) => {
+        expect(Math.abs(longitude - part[index][0])).toBeLessThanOrEqual(180);
+    }));
+    parts.slice(1).forEach((part, index) => {
+        const [endLong, endLat] = parts[index][parts[index].length - 1];
+        const [startLong, startLat] = part[0];
+        expect(Math.abs(endLong)).toBe(180);
+        expect(startLong).toBe(-endLong);
+        expect(startLat).toBe(endLat);
+    });
+};
+
+describe('Arc geometry test', () => {
+    test('test density zoom', () => {
+        expect(toDensityZoom(2.9)).toBe(2);
+        expect(toDensityZoom(-1)).toBe(0);
+        expect(toDensityZoom(undefined)).toBe(0);
+        expect(toDensityZoom(MAX_ARC_DENSITY_ZOOM + 5)).toBe(MAX_ARC_DENSITY_ZOOM);
+    });
+
+    test('test number of points along arc', () => {
+        // Short hops get the min number of points
+        expect(numberOfPointsAlongArc(50, 0)).toBe(MIN_POINTS_ALONG_THE_LINE);
+
+        // Points grow with distance and double with every zoom level
+        expect(numberOfPointsAlongArc(ARC_SEGMENT_LENGTH_AT_ZOOM_0 * 30, 0)).toBe(31);
+        expect(numberOfPointsAlongArc(ARC_SEGMENT_LENGTH_AT_ZOOM_0 * 30, 1)).toBe(61);
+        expect(numberOfPointsAlongArc(ARC_SEGMENT_LENGTH_AT_ZOOM_0 * 30, 1.9)).toBe(61);
+
+        expect(numberOfPointsAlongArc(20000, MAX_ARC_DENSITY_ZOOM)).toBe(NUMBER_OF_POINTS_ALONG_THE_LINE);
+    });
+
+    test('test great circle latitude at a meridian', () => {
+        // Points of the equator
+        expect(greatCircleLatitudeAt([170, 0], [-170, 0], 180)).toBeCloseTo(0);
+        // Crossing of the arc from Suva to Nuku'alofa is between both latitudes
+        const latitude = greatCircleLatitudeAt(SUVA, NUKUALOFA, 180);
+        expect(latitude).toBeLessThan(SUVA[1]);
+        expect(latitude).toBeGreaterThan(NUKUALOFA[1]);
+        // Point on the meridian
+        expect(greatCircleLatitudeAt([180, 10], [-170, 20], 180)).toBe(10);
+    });
+
+    test('test split at antimeridian', () => {
+        expect(splitAtAntimeridian([[1, 2], [3, 4]])).toEqual({ type: 'LineString', coordinates: [[1, 2], [3, 4]] });
+
+        const { type, coordinates: [west, east] } = splitAtAntimeridian([[170, 0], [175, 0], [-175, 0], [-170, 0]]);
+        expect(type).toBe('MultiLineString');
+        expect(west[west.length - 1][0]).toBe(180);
+        expect(west[west.length - 1][1]).toBeCloseTo(0);
+        expect(east[0][0]).toBe(-180);
+        expect(east.slice(1)).toEqual([[-175, 0], [-170, 0]]);
+
+        // Over the north pole, the line comes down on the opposite meridian
+        expect(splitAtAntimeridian([[10, 80], [10, 89], [-170, 89], [-170, 80]])).toEqual({
+            type: 'MultiLineString',
+            coordinates: [[[10, 80], [10, 89], [10, 90]], [[-170, 90], [-170, 89], [-170, 80]]]
+        });
+    });
+
+    test('test pacific crossings', () => {
+        [[APIA, ASTANA], [ASTANA, APIA], [TOKYO, HONOLULU], [SUVA, NUKUALOFA]].forEach(([source, destination]) => {
+            // Sparse arcs at zoom 0 as well as dense arcs
+            [0, MAX_ARC_DENSITY_ZOOM].forEach(zoom => {
+                const { geometry } = computeArc(source, destination, zoom);
+                expect(geometry.type).toBe('MultiLineString');
+                expect(geometry.coordinates.length).toBe(2);
+                expectSplitAtAntimeridian(geometry);
+
+                const [firstPart] = geometry.coordinates;
+                expect(firstPart[0][0]).toBeCloseTo(source[0]);
+                expect(firstPart[0][1]).toBeCloseTo(source[1]);
+            });
+        });
+
+        // Arcs that don't cross stay LineString
+        expect(computeArc(AMMAN, SAINT_HELIER, 0).geometry.type).toBe('LineString');
+    });
+
+    test('test polar routes', () => {
+        // Oslo to Honolulu passes close to the north pole and crosses the antimeridian
+        const { geometry } = computeArc(OSLO, HONOLULU, 0);
+        expectSplitAtAntimeridian(geometry);
+
+        // Right over the north pole
+        const overPole = computeArc([10, 60], [-170, 60], 1).geometry;
+        expect(overPole.type).toBe('MultiLineString');
+        expectSplitAtAntimeridian({ type: 'LineString', coordinates: overPole.coordinates[0] });
+        const [poleLong, poleLat] = overPole.coordinates[0][overPole.coordinates[0].length - 1];
+        const [oppositeLong, oppositeLat] = overPole.coordinates[1][0];
+        expect(poleLong).toBeCloseTo(10);
+        expect(oppositeLong).toBeCloseTo(-170);
+        expect([poleLat, oppositeLat]).toEqual([90, 90]);
+    });
+
+    test('test compute arc', () => {
+        const { distance, geometry } = computeArc(AMMAN, SAINT_HELIER, 2);
+        expect(distance).toBe(3685.0455506874023);
+        expect(geometry.type).toBe('LineString');
+        expect(geometry.coordinates.length).toBe(numberOfPointsAlongArc(distance, 2));
+
+        // Arcs crossing the antimeridian are split
+        expect(computeArc(TOKYO, HONOLULU, 2).geometry.type).toBe('MultiLineString');
+    });
+
+    test('test encode endpoints', () => {
+        const endpoints = encodeEndpoints([straightLine(AMMAN, SAINT_HELIER), straightLine(TOKYO, HONOLULU)]);
+        expect(endpoints).toBeInstanceOf(Float64Array);
+        expect(Array.from(endpoints)).toEqual([...AMMAN, ...SAINT_HELIER, ...TOKYO, ...HONOLULU]);
+    });
+
+    test('test packed arcs are the same as computed arcs', () => {
+        const lines = [[AMMAN, SAINT_HELIER], [TOKYO, HONOLULU], [SAINT_HELIER, AMMAN]];
+        const buffers = computeArcBuffers(encodeEndpoints(lines.map(line => straightLine(...line))), 3);
+
+        expect(buffers.distances).toBeInstanceOf(Float64Array);
+        expect(buffers.routePartOffsets.length).toBe(lines.length + 1);
+
+        const geometries = decodeArcGeometries(buffers);
+        lines.forEach(([source, destination], index) => {
+            const { distance, geometry } = computeArc(source, destination, 3);
+            expect(buffers.distances[index]).toBe(distance);
+            expect(geometries[index]).toEqual(geometry);
+        });
+    });
+
+    test('test message handler', () => {
+        jest.useFakeTimers();
+        const postMessage = jest.fn();
+        const handleMessage = createArcMessageHandler(postMessage);
+        const endpoints = encodeEndpoints([straightLine(AMMAN, SAINT_HELIER)]);
+
+        handleMessage({ type: 'compute', id: 1, endpoints, zoom: 0 });
+        handleMessage({ type: 'compute', id: 2, endpoints, zoom: 0 });
+        handleMessage({ type: 'cancel', id: 1 });
+        handleMessage({ type: 'compute', id: 3, endpoints: null, zoom: 0 });
+        jest.runAllTimers();
+        jest.useRealTimers();
+
+        // Cancelled request is never computed, results are posted with their buffers to transfer
+        expect(postMessage.mock.calls.map(([{ id, type }]) => ({ id, type }))).toEqual([
+            { id: 2, type: 'result' },
+            { id: 3, type: 'error' }
+        ]);
+        const [message, transfer] = postMessage.mock.calls[0];
+        expect(transfer).toEqual([
+            message.distances.buffer, message.coordinates.buffer, message.partOffsets.buffer, message.routePartOffsets.buffer
+        ]);
+    });
+});
@@ -0,0 +1,72 @@
+import { ArcWorkerClient } from '../arc-worker-client.js';
+
+const straightLine = (source, destination) => ({
+    type: 'Feature',
+    properties: {},
+    geometry: { type: 'LineString', coordinates: [source, destination] }
+});
+
+describe('Arc worker client test', () => {
+    let worker, client;
+
+    beforeEach(() => {
+        worker = { postMessage: jest.fn(), terminate: jest.fn() };
+        client = new ArcWorkerClient(() => worker);
+    });
+
+    test('test compute arcs', async () => {
+        const promise = client.computeArcs([straightLine([1, 2], [3, 4])], 2);
+
+        // Endpoints are transferred to the worker
+        const [message, transfer] = worker.postMessage.mock.calls[0];
+        expect(message).toEqual({ type: 'compute', id: 1, endpoints: new Float64Array([1, 2, 3, 4]), zoom: 2 });
+        expect(transfer).toEqual([message.endpoints.buffer]);
+
+        const distances = new Float64Array([314]);
+        worker.onmessage({
+            data: {
+                type: 'result',
+                id: 1,
+                distances,
+                coordinates: new Float64Array([1, 2, 3, 4]),
+                partOffsets: new Uint32Array([0, 2]),
+                routePartOffsets: new Uint32Array([0, 1])
+            }
+        });
+
+        expect(await promise).toEqual({
+            distances,
+            geometries: [{ type: 'LineString', coordinates: [[1, 2], [3, 4]] }]
+        });
+    });
+
+    test('test new request cancels the pending one', async () => {
+        const previous = client.computeArcs([straightLine([1, 2], [3, 4])], 2);
+        const latest = client.computeArcs([straightLine([5, 6], [7, 8])], 2);
+
+        expect(worker.postMessage).toHaveBeenCalledWith({ type: 'cancel', id: 1 });
+        expect(await previous).toBeNull();
+
+        // Late result of the cancelled request is dropped
+        worker.onmessage({ data: { type: 'result', id: 1 } });
+        worker.onmessage({ data: { type: 'error', id: 2, message: 'Invalid endpoints' } });
+        await expect(latest).rejects.toThrow('Invalid endpoints');
+    });
+
+    test('test worker crash', async () => {
+        const createWorker = jest.fn(() => worker);
+        client = new ArcWorkerClient(createWorker);
+
+        const promise = client.computeArcs([], 2);
+        worker.onerror({ message: 'Script error' });
+        await expect(promise).rejects.toThrow('Script error');
+        expect(worker.terminate).toHaveBeenCalled();
+
+        // Next request starts a new worker
+        client.computeArcs([], 2);
+        expect(createWorker).toHaveBeenCalledTimes(2);
+
+        client.terminate();
+        expect(worker.terminate).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,48 @@
+import { splitCapitalMarkers, spiderOffsets, createSpider } from '../capital-clusters.js';
+import { SPIDERFY_MIN_RADIUS, SPIDERFY_SPACING } from '../constants.js';
+
+const marker = (capitalName, continentName) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [0, 0] },
+    properties: { capitalName, continentName }
+});
+
+describe('Test capital clusters', () => {
+
+    test('origins are split from the clustered capitals', () => {
+        const markers = { type: 'FeatureCollection', features: [marker('Helsinki', 'Europe'), marker('Tokyo', 'Asia'), marker('Suva', 'Oceania')] };
+        const names = ({ features }) => features.map(({ properties }) => properties.capitalName);
+
+        const { capitals, origins } = splitCapitalMarkers(markers, ['Tokyo'], ({ continentName }) => continentName !== 'Oceania');
+        expect(names(capitals)).toEqual(['Helsinki']);
+        expect(names(origins)).toEqual(['Tokyo']);
+        expect(names(splitCapitalMarkers(markers, []).capitals)).toEqual(['Helsinki', 'Tokyo', 'Suva']);
+        expect(splitCapitalMarkers(null, []).origins.features).toEqual([]);
+    });
+
+    test('spider offsets are on a circle growing with the number of markers', () => {
+        const [first, second] = spiderOffsets(4);
+        expect(first[0]).toBeCloseTo(0);
+        expect(first[1]).toBeCloseTo(-SPIDERFY_MIN_RADIUS);
+        expect(second[0]).toBeCloseTo(SPIDERFY_MIN_RADIUS);
+
+        const offsets = spiderOffsets(40);
+        const [x, y] = offsets[0];
+        const [nextX, nextY] = offsets[1];
+        expect(Math.hypot(nextX - x, nextY - y)).toBeGreaterThanOrEqual(SPIDERFY_SPACING * 0.99);
+    });
+
+    test('spider links the capitals of a cluster to its center', () => {
+        const project = () => ({ x: 100, y: 100 });
+        const unproject = ([x, y]) => ({ lng: x, lat: y });
+        const { features } = createSpider([10, 20], [marker('Basseterre'), marker('Roseau')], project, unproject);
+
+        const legs = features.filter(({ geometry }) => geometry.type === 'LineString');
+        const capitals = features.filter(({ geometry }) => geometry.type === 'Point');
+        expect(capitals.map(({ properties }) => properties.capitalName)).toEqual(['Basseterre', 'Roseau']);
+        expect(capitals[0].geometry.coordinates[0]).toBeCloseTo(100);
+        expect(capitals[0].geometry.coordinates[1]).toBeCloseTo(100 - SPIDERFY_MIN_RADIUS);
+        expect(legs[1].geometry.coordinates).toEqual([[10, 20], capitals[1].geometry.coordinates]);
+        expect(legs[1].properties.capitalName).toBe('Roseau');
+    });
+});
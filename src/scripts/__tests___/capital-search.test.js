@@ -0,0 +1,58 @@
+import { normalizeText, scoreMatch, buildSearchIndex, searchCapitals } from '../capital-search.js';
+
+const capitals = [
+    { CapitalName: 'Reykjavík', CountryName: 'Iceland', CountryCode: 'IS', ContinentName: 'Europe' },
+    { CapitalName: 'Helsinki', CountryName: 'Finland', CountryCode: 'FI', ContinentName: 'Europe' },
+    { CapitalName: 'Port Moresby', CountryName: 'Papua New Guinea', CountryCode: 'PG', ContinentName: 'Australia' },
+    { CapitalName: 'Porto-Novo', CountryName: 'Benin', CountryCode: 'BJ', ContinentName: 'Africa' },
+    { CapitalName: 'Bogotá', CountryName: 'Colombia', CountryCode: 'CO', ContinentName: 'South America' },
+    { CapitalName: 'Yaoundé', CountryName: 'Cameroon', CountryCode: 'CM', ContinentName: 'Africa' }
+];
+
+describe('Capital search test', () => {
+    const index = buildSearchIndex(capitals);
+    const names = query => searchCapitals(index, query).map(({ name }) => name);
+
+    test('test normalize text', () => {
+        expect(normalizeText(' Reykjavík ')).toBe('reykjavik');
+        expect(normalizeText('São Tomé')).toBe('sao tome');
+        expect(normalizeText(undefined)).toBe('');
+    });
+
+    test('test score match', () => {
+        expect(scoreMatch('helsinki', 'helsinki')).toBeGreaterThan(scoreMatch('helsinki', 'hel'));
+        expect(scoreMatch('helsinki', 'hel')).toBeGreaterThan(scoreMatch('port moresby', 'mor'));
+        expect(scoreMatch('port moresby', 'mor')).toBeGreaterThan(scoreMatch('helsinki', 'sin'));
+        expect(scoreMatch('helsinki', 'sin')).toBeGreaterThan(scoreMatch('helsinki', 'hlsk'));
+        expect(scoreMatch('helsinki', 'hlsk')).toBeGreaterThan(0);
+        expect(scoreMatch('helsinki', 'xyz')).toBe(0);
+    });
+
+    test('test diacritics insensitive matching', () => {
+        expect(names('Reykjavik')).toEqual(['Reykjavík']);
+        expect(names('REYKJAVÍK')).toEqual(['Reykjavík']);
+        expect(names('bogota')).toEqual(['Bogotá']);
+        expect(names('yaounde')).toEqual(['Yaoundé']);
+    });
+
+    test('test match by country name and country code', () => {
+        expect(names('finland')).toEqual(['Helsinki']);
+        expect(names('guinea')).toEqual(['Port Moresby']);
+        expect(names('fi')[0]).toBe('Helsinki');
+        expect(names('bj')).toEqual(['Porto-Novo']);
+    });
+
+    test('test ranking and result context', () => {
+        expect(names('port')).toEqual(['Port Moresby', 'Porto-Novo']);
+        expect(names('novo')).toEqual(['Porto-Novo']);
+        expect(names('hlsnk')).toEqual(['Helsinki']);
+
+        const [result] = searchCapitals(index, 'helsinki');
+        expect(result).toEqual({ name: 'Helsinki', country: 'Finland', countryCode: 'FI', continent: 'Europe', score: 100 });
+    });
+
+    test('test empty query and limit', () => {
+        expect(searchCapitals(index, '   ')).toEqual([]);
+        expect(searchCapitals(index, 'o', 2).length).toBe(2);
+    });
+});
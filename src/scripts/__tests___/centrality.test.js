@@ -0,0 +1,76 @@
+import { CENTRALITY_METRICS, computeCentrality, rankHubs, normalizeCentrality } from '../centrality.js';
+
+const route = (origin, destination, frequency = 1, seats = 0) => ({ origin, destination, frequency, seats });
+
+// Both directions of a route
+const roundTrip = (a, b, frequency, seats) => [route(a, b, frequency, seats), route(b, a, frequency, seats)];
+
+describe('Centrality test', () => {
+
+    test('test degree and weighted degree', () => {
+        const centrality = computeCentrality([...roundTrip('Helsinki', 'Tallinn', 3, 100), route('Helsinki', 'Riga', 2, 50)]);
+        const byName = {};
+        centrality.forEach(capital => {
+            byName[capital.name] = capital;
+        });
+
+        expect(Object.keys(byName)).toEqual(['Helsinki', 'Tallinn', 'Riga']);
+        expect(byName.Helsinki).toMatchObject({ degree: 3, frequency: 8, seats: 250 });
+        expect(byName.Tallinn).toMatchObject({ degree: 2, frequency: 6, seats: 200 });
+        expect(byName.Riga).toMatchObject({ degree: 1, frequency: 2, seats: 50 });
+    });
+
+    test('test betweenness and closeness of a star', () => {
+        // Every path between the leaves goes through the hub
+        const centrality = computeCentrality([
+            ...roundTrip('Helsinki', 'Tallinn'), ...roundTrip('Helsinki', 'Riga'), ...roundTrip('Helsinki', 'Oslo')
+        ]);
+        const [hub, ...leaves] = centrality;
+
+        expect(hub.name).toBe('Helsinki');
+        expect(hub.betweenness).toBe(1);
+        expect(hub.closeness).toBe(1);
+        leaves.forEach(leaf => {
+            expect(leaf.betweenness).toBe(0);
+            // 1 hop to the hub and 2 hops to the other leaves
+            expect(leaf.closeness).toBeCloseTo(3 / 5);
+        });
+    });
+
+    test('test betweenness is shared by shortest paths and follows directions', () => {
+        // 2 shortest paths from Helsinki to Vilnius, through Tallinn or Riga
+        const centrality = computeCentrality([
+            route('Helsinki', 'Tallinn'), route('Helsinki', 'Riga'), route('Tallinn', 'Vilnius'), route('Riga', 'Vilnius')
+        ]);
+        const betweenness = {};
+        const closeness = {};
+        centrality.forEach(capital => {
+            betweenness[capital.name] = capital.betweenness;
+            closeness[capital.name] = capital.closeness;
+        });
+
+        // Half of the only path through a capital, out of 4 * 3 ordered pairs of other capitals
+        expect(betweenness).toEqual({ Helsinki: 0, Tallinn: 0.5 / 6, Riga: 0.5 / 6, Vilnius: 0 });
+        // Vilnius reaches nothing, Tallinn reaches only Vilnius
+        expect(closeness.Vilnius).toBe(0);
+        expect(closeness.Tallinn).toBeCloseTo(1 / 3);
+        expect(closeness.Helsinki).toBeCloseTo(3 / 4);
+    });
+
+    test('test rank hubs', () => {
+        const centrality = computeCentrality([...roundTrip('Helsinki', 'Tallinn', 1), ...roundTrip('Riga', 'Oslo', 5), route('Helsinki', 'Oslo')]);
+
+        expect(rankHubs(centrality, CENTRALITY_METRICS.FREQUENCY, 2).map(({ name, rank, frequency }) => [rank, name, frequency]))
+            .toEqual([[1, 'Oslo', 11], [2, 'Riga', 10]]);
+        // Ties are ranked by name
+        expect(rankHubs(centrality, CENTRALITY_METRICS.DEGREE).map(({ name }) => name)).toEqual(['Helsinki', 'Oslo', 'Riga', 'Tallinn']);
+        expect(rankHubs([], CENTRALITY_METRICS.DEGREE)).toEqual([]);
+    });
+
+    test('test normalize centrality', () => {
+        const centrality = computeCentrality([route('Helsinki', 'Tallinn', 4), route('Helsinki', 'Riga', 2)]);
+
+        expect(normalizeCentrality(centrality, CENTRALITY_METRICS.FREQUENCY)).toEqual({ Helsinki: 1, Tallinn: 4 / 6, Riga: 2 / 6 });
+        expect(normalizeCentrality(centrality, CENTRALITY_METRICS.SEATS)).toEqual({ Helsinki: 0, Tallinn: 0, Riga: 0 });
+    });
+});
@@ -0,0 +1,146 @@
+import { CompareMode, diffRoutes, routeKey } from '../compare.js';
+
+const route = (origin, destination, distance = 100) => ({
+    type: 'Feature',
+    properties: { origin, destination, distance },
+    geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }
+});
+
+const collection = features => ({ type: 'FeatureCollection', features });
+
+/**
+ * Map wrapper double keeping its handlers so that tests can fire them
+ */
+const createWrapper = (origins = ['Helsinki']) => {
+    const wrapper = {
+        routesChangeHandlers: [],
+        stateChangeHandlers: [],
+        cameraMoveHandlers: [],
+        state: { capital: origins[0], theme: 'dark', highlight: null },
+        camera: { center: [0, 0], zoom: 2, bearing: 0, pitch: 0 },
+        dataProcessor: { selectedCapitals: origins },
+        addRoutesChangeHandler: jest.fn(f => wrapper.routesChangeHandlers.push(f)),
+        addStateChangeHandler: jest.fn(f => wrapper.stateChangeHandlers.push(f)),
+        addCameraMoveHandler: jest.fn(f => wrapper.cameraMoveHandlers.push(f)),
+        showRouteDiff: jest.fn(),
+        clearRouteDiff: jest.fn(),
+        changeTheme: jest.fn(),
+        highLightLines: jest.fn(),
+        setOrigins: jest.fn(),
+        refreshStyles: jest.fn()
+    };
+    // Moving a map fires its camera move handlers like mapbox does
+    wrapper.jumpTo = jest.fn(camera => {
+        wrapper.camera = camera;
+        wrapper.cameraMoveHandlers.forEach(f => f(camera));
+    });
+    return wrapper;
+};
+
+describe('Compare mode test', () => {
+    let baseWrapper, compareWrapper, createCompareWrapper, compareMode;
+
+    beforeEach(() => {
+        baseWrapper = createWrapper(['Helsinki', 'Oslo']);
+        compareWrapper = createWrapper();
+        createCompareWrapper = jest.fn(() => compareWrapper);
+        compareMode = new CompareMode(baseWrapper, createCompareWrapper);
+    });
+
+    test('test diff routes', () => {
+        const { routes, counts } = diffRoutes(
+            collection([route('Helsinki', 'Oslo'), route('Helsinki', 'Riga')]),
+            collection([route('Helsinki', 'Oslo', 101), route('Helsinki', 'Tallinn')])
+        );
+
+        expect(routes.features.map(({ id, properties }) => [id, routeKey(properties), properties.diffStatus])).toEqual([
+            [0, 'Helsinki→Oslo', 'UNCHANGED'],
+            [1, 'Helsinki→Riga', 'REMOVED'],
+            [2, 'Helsinki→Tallinn', 'ADDED']
+        ]);
+        // Unchanged routes keep the arcs of the base dataset
+        expect(routes.features[0].properties.distance).toBe(100);
+        expect(counts).toEqual({ ADDED: 1, REMOVED: 1, UNCHANGED: 1 });
+
+        // Direction matters
+        expect(diffRoutes(collection([route('Oslo', 'Helsinki')]), collection([route('Helsinki', 'Oslo')])).counts)
+            .toEqual({ ADDED: 1, REMOVED: 1, UNCHANGED: 0 });
+        expect(diffRoutes(null, collection([])).routes.features).toEqual([]);
+    });
+
+    test('test compared map is created once and follows the camera of the base map', () => {
+        expect(compareMode.isEnabled).toBe(false);
+        baseWrapper.cameraMoveHandlers.forEach(f => f({ zoom: 3 }));
+        expect(createCompareWrapper).not.toHaveBeenCalled();
+
+        compareMode.setLayout('unknown');
+        expect(compareMode.layout).toBeNull();
+
+        compareMode.setLayout(CompareMode.LAYOUTS.SWIPE);
+        expect(createCompareWrapper).toHaveBeenCalledTimes(1);
+        expect(compareWrapper.jumpTo).toHaveBeenLastCalledWith(baseWrapper.camera);
+
+        const camera = { center: [10, 20], zoom: 4, bearing: 30, pitch: 0 };
+        baseWrapper.jumpTo(camera);
+        expect(compareWrapper.jumpTo).toHaveBeenLastCalledWith(camera);
+        // The move of the compared map isn't copied back
+        expect(baseWrapper.jumpTo).toHaveBeenCalledTimes(1);
+
+        compareWrapper.cameraMoveHandlers.forEach(f => f({ zoom: 5 }));
+        expect(baseWrapper.jumpTo).toHaveBeenLastCalledWith({ zoom: 5 });
+
+        // The hidden map doesn't follow, it catches up when it is displayed again
+        compareMode.setLayout(null);
+        const callCount = compareWrapper.jumpTo.mock.calls.length;
+        baseWrapper.jumpTo({ zoom: 6 });
+        expect(compareWrapper.jumpTo).toHaveBeenCalledTimes(callCount);
+        compareMode.setLayout(CompareMode.LAYOUTS.SIDE_BY_SIDE);
+        expect(compareWrapper.jumpTo).toHaveBeenLastCalledWith({ zoom: 6 });
+        expect(createCompareWrapper).toHaveBeenCalledTimes(1);
+    });
+
+    test('test state of the base map is applied once the compared map has routes', () => {
+        compareMode.setLayout(CompareMode.LAYOUTS.SIDE_BY_SIDE);
+        expect(compareWrapper.setOrigins).not.toHaveBeenCalled();
+
+        compareWrapper.routesChangeHandlers.forEach(f => f(collection([])));
+        expect(compareWrapper.setOrigins).toHaveBeenCalledWith(['Helsinki', 'Oslo']);
+        expect(compareWrapper.changeTheme).not.toHaveBeenCalled();
+
+        baseWrapper.state = { ...baseWrapper.state, theme: 'light', highlight: 'SHORT' };
+        baseWrapper.stateChangeHandlers.forEach(f => f(baseWrapper.state));
+        expect(compareWrapper.changeTheme).toHaveBeenCalledWith('light');
+        expect(compareWrapper.highLightLines).toHaveBeenCalledTimes(1);
+
+        // Unchanged theme and highlight are not applied again
+        baseWrapper.stateChangeHandlers.forEach(f => f(baseWrapper.state));
+        expect(compareWrapper.changeTheme).toHaveBeenCalledTimes(1);
+        expect(compareWrapper.highLightLines).toHaveBeenCalledTimes(1);
+
+        compareMode.refreshStyles();
+        expect(compareWrapper.refreshStyles).toHaveBeenCalled();
+    });
+
+    test('test diff layout displays the diff on the base map', () => {
+        const handler = jest.fn();
+        compareMode.addChangeHandler(handler);
+        compareMode.setLayout(CompareMode.LAYOUTS.DIFF);
+        expect(baseWrapper.showRouteDiff).not.toHaveBeenCalled();
+
+        baseWrapper.routesChangeHandlers.forEach(f => f(collection([route('Helsinki', 'Oslo')])));
+        expect(compareMode.diff).toBeNull();
+        compareWrapper.routesChangeHandlers.forEach(f => f(collection([route('Helsinki', 'Riga')])));
+
+        expect(compareMode.diff.counts).toEqual({ ADDED: 1, REMOVED: 1, UNCHANGED: 0 });
+        expect(baseWrapper.showRouteDiff).toHaveBeenLastCalledWith(compareMode.diff.routes);
+        expect(handler).toHaveBeenLastCalledWith(compareMode);
+
+        compareMode.setLayout(CompareMode.LAYOUTS.SWIPE);
+        expect(baseWrapper.clearRouteDiff).toHaveBeenCalled();
+
+        compareMode.setSwipePosition(1.5);
+        expect(compareMode.swipePosition).toBe(1);
+        compareMode.setSwipePosition(NaN);
+        expect(compareMode.swipePosition).toBe(1);
+    });
+});
@@ -1,6 +1,9 @@
 import { Stylings } from '../stylings.js';
 import { DataProcessor } from '../data-processor.js';
+import { RouteGraph } from '../route-graph.js';
 import { NUMBER_OF_POINTS_ALONG_THE_LINE } from '../constants.js';
+import { numberOfPointsAlongArc } from '../arc-geometry.js';
+import { notify } from '../utils.js';
 
 let mockAjax;
 
@@ -49,7 +52,7 @@ describe('Map wrapper test', () => {
         expect(dataProcessor.selectedCapital).toBe("Berlin");
     });
 
-    test('test get arc lines from selected capital', () => {
+    test('test compute arc lines from selected capital', async () => {
         const mockComputeStraightRoutes = jest.fn();
         const routes = {
             type: 'FeatureCollection',
@@ -63,8 +66,8 @@ describe('Map wrapper test', () => {
                 'geometry': {
                     'type': 'LineString',
                     'coordinates': [
-                        [1, 2],
-                        [3, 4]
+                        [35.933333, 31.95],
+                        [-2.100000, 49.18333333333333]
                     ]
                 }
             }]
@@ -72,14 +75,127 @@ describe('Map wrapper test', () => {
         mockComputeStraightRoutes.mockReturnValue(routes);
         dataProcessor._computeStraightLineRoutes = mockComputeStraightRoutes;
 
-        dataProcessor._addDistancesAndConvertStraightLineToArc = jest.fn();
-
-        const result = dataProcessor.arcLinesFromSelectedCapital;
+        const result = await dataProcessor.computeArcLinesFromSelectedCapital(2);
 
         expect(mockComputeStraightRoutes).toHaveBeenCalledWith("Riyadh");
-        expect(dataProcessor._addDistancesAndConvertStraightLineToArc).toHaveBeenCalled();
+        expect(result.features.length).toBe(1);
+
+        const [{ id, properties, geometry }] = result.features;
+        expect(id).toBe(0);
+        expect(properties).toEqual({
+            origin: "Riyadh",
+            destination: "Berlin",
+            originColor: Stylings.ORIGIN_COLORS[0],
+            distance: 3685.0455506874023,
+            ...styling.getLineProperties(3685.0455506874023)
+        });
+        expect(geometry.type).toBe('LineString');
+        expect(geometry.coordinates.length).toBe(numberOfPointsAlongArc(3685.0455506874023, 2));
+        expect(geometry.coordinates[0]).toEqual([35.933333, 31.95]);
+    });
+
+    test('test cancel arc lines computation', async () => {
+        dataProcessor.loadFromText('name,latitude,longitude\nDoha,25.28,51.53\nDubai,25.2,55.27\nIstanbul,41.01,28.97');
+
+        // Clicking another capital before the arcs are computed cancels the previous computation
+        const previous = dataProcessor.computeArcLinesFromSelectedCapital();
+        dataProcessor.setSelectedCapital('Istanbul');
+        const latest = dataProcessor.computeArcLinesFromSelectedCapital();
+
+        expect(await previous).toBeNull();
+        const { features } = await latest;
+        expect(features.map(({ properties }) => properties.origin)).toEqual(['Istanbul', 'Istanbul']);
+    });
+
+    test('test arcs are cached', async () => {
+        dataProcessor.loadFromText('name,latitude,longitude\nDoha,25.28,51.53\nDubai,25.2,55.27\nIstanbul,41.01,28.97');
+        const computeArcs = jest.spyOn(dataProcessor._arcWorkerClient, 'computeArcs');
+
+        const fromDoha = await dataProcessor.computeArcLinesFromSelectedCapital(2);
+        expect(dataProcessor.arcCacheStats).toMatchObject({ size: 2, hits: 0, misses: 2 });
+
+        // Doha -> Dubai is reused reversed from Dubai, only Dubai -> Istanbul is computed
+        dataProcessor.setSelectedCapital('Dubai');
+        const fromDubai = await dataProcessor.computeArcLinesFromSelectedCapital(2.5);
+        expect(computeArcs.mock.calls[1][0].map(({ properties }) => properties.destination)).toEqual(['Istanbul']);
+        expect(dataProcessor.arcCacheStats).toMatchObject({ size: 3, hits: 1, misses: 3 });
+
+        const dohaToDubai = fromDoha.features.find(({ properties }) => properties.destination === 'Dubai');
+        const dubaiToDoha = fromDubai.features.find(({ properties }) => properties.destination === 'Doha');
+        expect(dubaiToDoha.properties.distance).toBe(dohaToDubai.properties.distance);
+        expect(dubaiToDoha.geometry.coordinates).toEqual([...dohaToDubai.geometry.coordinates].reverse());
 
-        expect(result).toEqual(routes);
+        // Worker isn't needed when all arcs are cached
+        await dataProcessor.computeArcLinesFromSelectedCapital(2);
+        expect(computeArcs).toHaveBeenCalledTimes(2);
+
+        // Reloading the dataset invalidates the cache
+        dataProcessor.loadFromText('name,latitude,longitude\nDoha,25.28,51.53\nDubai,25.2,55.27');
+        expect(dataProcessor.arcCacheStats).toMatchObject({ size: 0, invalidations: 2 });
+    });
+
+    test('test arcs crossing the antimeridian keep their id', async () => {
+        dataProcessor.loadFromText('name,latitude,longitude\nApia,-13.83,-171.76\nAstana,51.17,71.43\nBerlin,52.52,13.4');
+        dataProcessor.setSelectedCapital('Apia');
+
+        const { features } = await dataProcessor.computeArcLinesFromSelectedCapital(0);
+        const [toAstana, toBerlin] = features;
+        expect(toAstana.id).toBe(0);
+        expect(toAstana.properties.destination).toBe('Astana');
+        expect(toAstana.geometry.type).toBe('MultiLineString');
+        const [westPart, eastPart] = toAstana.geometry.coordinates;
+        expect(westPart[westPart.length - 1][0]).toBe(-180);
+        expect(eastPart[0][0]).toBe(180);
+        expect(toBerlin.id).toBe(1);
+
+        // Reversed from the cache, Astana -> Apia is split at the same place
+        dataProcessor.setSelectedCapital('Astana');
+        const [fromAstana] = (await dataProcessor.computeArcLinesFromSelectedCapital(0)).features;
+        expect(fromAstana.geometry.coordinates[0][fromAstana.geometry.coordinates[0].length - 1]).toEqual(eastPart[0]);
+    });
+
+    test('test multiple origins', async () => {
+        dataProcessor.loadFromText('name,latitude,longitude\nDoha,25.28,51.53\nDubai,25.2,55.27\nIstanbul,41.01,28.97\nOslo,59.91,10.75');
+        expect(dataProcessor.selectedCapitals).toEqual(['Doha']);
+
+        expect(dataProcessor.addOrigin('Dubai')).toBe(true);
+        expect(dataProcessor.addOrigin('Istanbul')).toBe(true);
+        expect(dataProcessor.addOrigin('Dubai')).toBe(false);
+        expect(dataProcessor.addOrigin('Atlantis')).toBe(false);
+        expect(dataProcessor.selectedCapitals).toEqual(['Doha', 'Dubai', 'Istanbul']);
+
+        const { features } = await dataProcessor.computeArcLinesFromSelectedCapital();
+        expect(features.length).toBe(9);
+        // Ids are unique across origins and arcs are tagged with their origin
+        expect(features.map(({ id }) => id)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+        const dubaiArcs = features.filter(({ properties }) => properties.origin === 'Dubai');
+        expect(dubaiArcs.map(({ properties }) => properties.destination)).toEqual(['Doha', 'Istanbul', 'Oslo']);
+        dubaiArcs.forEach(({ properties }) => expect(properties.originColor).toBe(Stylings.ORIGIN_COLORS[1]));
+
+        // Removing the selected capital makes the next origin the selected capital
+        expect(dataProcessor.removeOrigin('Doha')).toBe(true);
+        expect(dataProcessor.selectedCapital).toBe('Dubai');
+        expect(dataProcessor.removeOrigin('Oslo')).toBe(false);
+        expect(dataProcessor.removeOrigin('Istanbul')).toBe(true);
+        expect(dataProcessor.removeOrigin('Dubai')).toBe(false);
+
+        // Selecting a capital replaces all origins
+        dataProcessor.addOrigin('Oslo');
+        expect(dataProcessor.setSelectedCapital('Dubai')).toBe(true);
+        expect(dataProcessor.selectedCapitals).toEqual(['Dubai']);
+        expect(dataProcessor.setSelectedCapital('Dubai')).toBe(false);
+
+        // Origins of another map are copied as they are
+        expect(dataProcessor.setSelectedCapitals(['Oslo', 'Doha', 'Oslo'])).toBe(true);
+        expect(dataProcessor.selectedCapitals).toEqual(['Oslo', 'Doha']);
+        expect(dataProcessor.setSelectedCapitals(['Oslo', 'Doha'])).toBe(false);
+        expect(dataProcessor.setSelectedCapitals([])).toBe(false);
+        dataProcessor.setSelectedCapital('Dubai');
+
+        // Origins missing from a new dataset are dropped
+        dataProcessor.addOrigin('Oslo');
+        dataProcessor.loadFromText('name,latitude,longitude\nOslo,59.91,10.75\nHelsinki,60.17,24.93');
+        expect(dataProcessor.selectedCapitals).toEqual(['Oslo']);
     });
 
     test('load data from server', () => {
@@ -87,8 +203,13 @@ describe('Map wrapper test', () => {
         dataProcessor._computeCapitalPoints = jest.fn();
         dataProcessor._buildMapFromCapitalNameToInfo = jest.fn();
 
-        dataProcessor.load().then(() => {
-            expect(dataProcessor._capitalData).toEqual(rawCapitalData);
+        const loaded = dataProcessor.load().then(() => {
+            // Capitals are normalised like other formats, coordinates are parsed
+            expect(dataProcessor._capitalData).toEqual(rawCapitalData.map(capital => ({
+                ...capital,
+                CapitalLatitude: Number(capital.CapitalLatitude),
+                CapitalLongitude: Number(capital.CapitalLongitude)
+            })));
             expect(dataProcessor._computeCapitalPoints).toHaveBeenCalled();
             expect(dataProcessor._buildMapFromCapitalNameToInfo).toHaveBeenCalled();
         });
@@ -100,6 +221,41 @@ describe('Map wrapper test', () => {
         expect(param.dataType).toEqual('json');
 
         param.success(rawCapitalData);
+        return loaded;
+    });
+
+    test('unavailable routes are notified', async () => {
+        mockAjax.mockClear();
+        notify.mockClear();
+        const loading = dataProcessor.loadRoutes('/routes.csv');
+        mockAjax.mock.calls[0][0].error({ status: 404 });
+
+        await expect(loading).rejects.toThrow('Route data at "/routes.csv" is not available');
+        expect(notify).toHaveBeenCalledWith('Route data at "/routes.csv" is not available');
+    });
+
+    test('invalid routes are notified', async () => {
+        mockAjax.mockClear();
+        notify.mockClear();
+        const loading = dataProcessor.loadRoutes('/routes.csv', { format: 'unknown' });
+        mockAjax.mock.calls[0][0].success('origin,destination\nAmman,Saint Helier');
+
+        await expect(loading).rejects.toThrow('Unknown dataset format "unknown"');
+        expect(notify).toHaveBeenCalledWith('Unknown dataset format "unknown"');
+    });
+
+    test('load data from text', () => {
+        const csv = 'name,latitude,longitude,country\nHelsinki,60.17,24.93,Finland\nOslo,,10.75,Norway';
+        const summary = dataProcessor.loadFromText(csv, { fileName: 'cities.csv' });
+
+        expect(summary.format).toBe('csv');
+        expect(summary.count).toBe(1);
+        expect(dataProcessor.datasetErrors).toEqual([{ line: 3, index: 1, message: 'invalid latitude "" for "Oslo"' }]);
+        expect(dataProcessor.capitalMarkers.features[0].geometry.coordinates).toEqual([24.93, 60.17]);
+
+        // The default origin is not in the dataset
+        expect(dataProcessor.selectedCapital).toBe("Helsinki");
+        expect(dataProcessor.selectedCapitalCoordinates).toEqual([24.93, 60.17]);
     });
 
     test('test compute capital Points, build mappings and get selected capital coordinates', () => {
@@ -112,7 +268,9 @@ describe('Map wrapper test', () => {
                     type: 'Feature',
                     properties: {
                         capitalName: "Saint Helier",
-                        capitalDescription: "Capital of Jersey"
+                        capitalDescription: "Capital of Jersey",
+                        countryName: "Jersey",
+                        continentName: "Europe"
                     },
                     geometry: {
                         type: 'Point',
@@ -123,7 +281,9 @@ describe('Map wrapper test', () => {
                     type: 'Feature',
                     properties: {
                         capitalName: "Amman",
-                        capitalDescription: "Capital of Jordan"
+                        capitalDescription: "Capital of Jordan",
+                        countryName: "Jordan",
+                        continentName: "Asia"
                     },
                     geometry: {
                         type: 'Point',
@@ -148,6 +308,16 @@ describe('Map wrapper test', () => {
     });
 
 
+    test('test continents and countries of the capitals', () => {
+        dataProcessor._capitalData = [
+            ...rawCapitalData,
+            { CapitalName: "Aden", CountryName: "Jordan", ContinentName: "Asia" },
+            { CapitalName: "Nowhere", CountryName: "", ContinentName: "" }
+        ];
+        expect(dataProcessor.continents).toEqual(["Asia", "Europe"]);
+        expect(dataProcessor.countries).toEqual(["Jersey", "Jordan"]);
+    });
+
     test('test compute straight line routes', () => {
         dataProcessor._capitalData = rawCapitalData;
         dataProcessor._buildMapFromCapitalNameToInfo();
@@ -161,7 +331,9 @@ describe('Map wrapper test', () => {
 
                     'properties': {
                         origin: "Amman",
-                        destination: "Saint Helier"
+                        destination: "Saint Helier",
+                        destinationCountry: "Jersey",
+                        destinationContinent: "Europe"
                     },
                     'geometry': {
                         'type': 'LineString',
@@ -175,6 +347,171 @@ describe('Map wrapper test', () => {
         expect(result).toEqual(expectedResult);
     });
 
+    test('test compute routes of the route network', () => {
+        dataProcessor._capitalData = rawCapitalData;
+        dataProcessor._buildMapFromCapitalNameToInfo();
+
+        expect(dataProcessor.setRouteMode(DataProcessor.ROUTE_MODES.NETWORK)).toBeFalsy();
+
+        const report = dataProcessor.loadRoutesFromText(
+            'origin,destination,airline,frequency\nAmman,Saint Helier,RJ,2\nAmman,Saint Helier,BA,3\nAmman,Atlantis,RJ,1\nSaint Helier,Amman,BA,1'
+        );
+
+        expect(dataProcessor.routeMode).toBe(DataProcessor.ROUTE_MODES.NETWORK);
+        expect(report).toEqual({
+            format: 'routes-csv',
+            routeCount: 4,
+            edgeCount: 2,
+            errors: [],
+            unknownNodes: [{ line: 4, index: 2, message: 'unknown destination "Atlantis"' }]
+        });
+
+        const result = dataProcessor._computeStraightLineRoutes("Amman");
+        expect(result.features.length).toBe(1);
+        expect(result.features[0].properties).toEqual({
+            origin: "Amman",
+            destination: "Saint Helier",
+            destinationCountry: "Jersey",
+            destinationContinent: "Europe",
+            airlines: ["RJ", "BA"],
+            frequency: 5,
+            seats: 0,
+            passengers: 0
+        });
+        expect(result.features[0].geometry.coordinates).toEqual([
+            [35.933333, 31.95],
+            [-2.100000, 49.18333333333333]
+        ]);
+
+        // All to all routes stay available
+        expect(dataProcessor.setRouteMode(DataProcessor.ROUTE_MODES.ALL_TO_ALL)).toBeTruthy();
+        expect(dataProcessor._computeStraightLineRoutes("Amman").features[0].properties).toEqual({
+            origin: "Amman",
+            destination: "Saint Helier",
+            destinationCountry: "Jersey",
+            destinationContinent: "Europe"
+        });
+    });
+
+    test('test schedules of the route network', () => {
+        dataProcessor._capitalData = rawCapitalData;
+        dataProcessor._buildMapFromCapitalNameToInfo();
+
+        dataProcessor.loadRoutesFromText(
+            'origin,destination,valid_from,valid_to,departure\nAmman,Saint Helier,2024-06-01,2024-06-30,\nAmman,Saint Helier,,,2024-08-01T10:00:00Z\nSaint Helier,Amman,,,'
+        );
+
+        expect(dataProcessor.scheduleRange).toEqual({ start: Date.UTC(2024, 5, 1), end: Date.UTC(2024, 7, 2, 10) });
+        expect(dataProcessor._computeStraightLineRoutes("Amman").features[0].properties.schedule).toEqual({
+            always: false,
+            periods: [{ from: Date.UTC(2024, 5, 1), to: Date.UTC(2024, 6, 1) }],
+            departures: [Date.UTC(2024, 7, 1, 10)]
+        });
+        // Routes without dates always operate
+        expect(dataProcessor._computeStraightLineRoutes("Saint Helier").features[0].properties.schedule).toBeUndefined();
+
+        // Routes to every capital don't depend on time
+        dataProcessor.setRouteMode(DataProcessor.ROUTE_MODES.ALL_TO_ALL);
+        expect(dataProcessor.scheduleRange).toBeNull();
+    });
+
+    test('test route endpoints are resolved by alias', () => {
+        dataProcessor.loadFromText([
+            '421,"Helsinki Vantaa Airport","Helsinki","Finland","HEL","EFHK",60.3172,24.963301,179,2,"E","Europe/Helsinki","airport","OurAirports"',
+            '2082,"King Khaled International Airport","Riyadh","Saudi Arabia","RUH","OERK",24.95,46.69,2049,3,"U","Asia/Riyadh","airport","OurAirports"'
+        ].join('\n'));
+        dataProcessor.loadRoutesFromText('AY,2350,HEL,421,RUH,2082,,0,320\nSV,4435,\\N,2082,EFHK,421,,0,320');
+
+        expect(dataProcessor.routesValidationReport.unknownNodes).toEqual([]);
+        expect(dataProcessor._computeStraightLineRoutes("Riyadh (RUH)").features[0].properties.destination).toBe("Helsinki (HEL)");
+    });
+
+    test('test find itinerary', () => {
+        dataProcessor._capitalData = rawCapitalData;
+        dataProcessor._buildMapFromCapitalNameToInfo();
+
+        expect(dataProcessor.findItinerary("Amman", "Saint Helier", 3000)).toBeNull();
+
+        const result = dataProcessor.findItinerary("Amman", "Saint Helier", 4000);
+        expect(result.path).toEqual(["Amman", "Saint Helier"]);
+        expect(result.distance).toBeCloseTo(3685.0455506874023);
+
+        const [leg] = result.itinerary.features;
+        expect(leg.properties).toMatchObject({ origin: "Amman", destination: "Saint Helier", leg: 1 });
+        expect(leg.properties.distance).toBeCloseTo(3685.0455506874023);
+        expect(leg.geometry.coordinates.length).toBe(NUMBER_OF_POINTS_ALONG_THE_LINE);
+
+        // The graph is cached until the dataset changes
+        expect(dataProcessor.getRouteGraph(4000)).toBe(dataProcessor.getRouteGraph(4000));
+    });
+
+    test('test compute reachability', async () => {
+        dataProcessor._capitalData = rawCapitalData;
+        dataProcessor._buildMapFromCapitalNameToInfo();
+
+        expect((await dataProcessor.computeReachability("Amman", RouteGraph.REACH_METRICS.HOPS, 2, 3000)).reached).toEqual([]);
+
+        const result = await dataProcessor.computeReachability("Amman", RouteGraph.REACH_METRICS.HOPS, 2, 4000, 2);
+        expect(result.reached.map(({ name }) => name)).toEqual(["Saint Helier"]);
+        expect(result.capitals.features[0].properties).toMatchObject({ capitalName: "Saint Helier", hops: 1 });
+
+        const [edge] = result.tree.features;
+        expect(edge.properties).toMatchObject({ origin: "Amman", destination: "Saint Helier", hops: 1 });
+        expect(edge.properties.distance).toBeCloseTo(3685.0455506874023);
+        expect(edge.properties.cumulativeDistance).toBeCloseTo(3685.0455506874023);
+        // Arcs of the tree are computed at the zoom of the map
+        expect(edge.geometry.coordinates.length).toBe(numberOfPointsAlongArc(3685.0455506874023, 2));
+        // Edges and capitals share the reachability source
+        expect(edge.id).toBe(0);
+        expect(result.capitals.features[0].id).toBe(1);
+
+        // A newer reachability cancels the pending one, but not the displayed routes
+        const previous = dataProcessor.computeReachability("Amman", RouteGraph.REACH_METRICS.HOPS, 2, 4000, 4);
+        const latest = dataProcessor.computeReachability("Amman", RouteGraph.REACH_METRICS.HOPS, 1, 4000, 4);
+        expect(await previous).toBeNull();
+        expect((await latest).limit).toBe(1);
+    });
+
+    test('test volumes of the route network', () => {
+        dataProcessor._capitalData = rawCapitalData;
+        dataProcessor._buildMapFromCapitalNameToInfo();
+
+        dataProcessor.loadRoutesFromText(
+            'origin,destination,frequency,seats,passengers\nAmman,Saint Helier,2,300,250\nAmman,Saint Helier,1,150,\nSaint Helier,Amman,1,,'
+        );
+
+        expect(dataProcessor._computeStraightLineRoutes("Amman").features[0].properties)
+            .toMatchObject({ frequency: 3, seats: 450, passengers: 250 });
+        expect(dataProcessor._computeStraightLineRoutes("Saint Helier").features[0].properties)
+            .toMatchObject({ frequency: 1, seats: 0, passengers: 0 });
+    });
+
+    test('test compute centrality of the route network', () => {
+        dataProcessor._capitalData = rawCapitalData;
+        dataProcessor._buildMapFromCapitalNameToInfo();
+
+        expect(dataProcessor.computeCentrality()).toBeNull();
+
+        dataProcessor.loadRoutesFromText(
+            'origin,destination,frequency,seats\nAmman,Saint Helier,2,150\nAmman,Saint Helier,1,\nSaint Helier,Amman,1,180'
+        );
+
+        const centrality = dataProcessor.computeCentrality();
+        expect(centrality).toEqual([
+            { name: "Amman", degree: 2, frequency: 4, seats: 330, betweenness: 0, closeness: 1 },
+            { name: "Saint Helier", degree: 2, frequency: 4, seats: 330, betweenness: 0, closeness: 1 }
+        ]);
+        // Computed once per dataset and routes, e.g: not again when the arcs are computed for another zoom
+        expect(dataProcessor.computeCentrality()).toBe(centrality);
+        dataProcessor.loadRoutesFromText('origin,destination\nAmman,Saint Helier');
+        const centralityOfNewRoutes = dataProcessor.computeCentrality();
+        expect(centralityOfNewRoutes).not.toBe(centrality);
+        expect(dataProcessor.computeCentrality()).toBe(centralityOfNewRoutes);
+        dataProcessor.loadFromText('name,latitude,longitude\nAmman,31.95,35.93\nSaint Helier,49.18,-2.1');
+        expect(dataProcessor.computeCentrality()).not.toBe(centralityOfNewRoutes);
+        expect(dataProcessor.computeCentrality()).toEqual(centralityOfNewRoutes);
+    });
+
     test('test add distance and convert straight line to arc', () => {
         const coordinates = [
             [35.933333, 31.95],
@@ -0,0 +1,141 @@
+import {
+    datasetLoaders, parseDelimitedText, describeDatasetErrors, DatasetLoaderRegistry, CSV_LOADER
+} from '../dataset-loaders.js';
+
+const airportsDat = [
+    '421,"Helsinki Vantaa Airport","Helsinki","Finland","HEL","EFHK",60.3172,24.963301,179,2,"E","Europe/Helsinki","airport","OurAirports"',
+    '2082,"King Khaled International Airport","Riyadh","Saudi Arabia","RUH","OERK",24.957599639892578,46.69879913330078,2049,3,"U","Asia/Riyadh","airport","OurAirports"',
+    '9999,"Broken Airport","Nowhere","Nowhere","\\N","\\N",\\N,12,0,0,"U","\\N","airport","OurAirports"'
+].join('\n');
+
+describe('Dataset loaders test', () => {
+
+    test('test parse delimited text', () => {
+        const rows = parseDelimitedText('a,b\r\n"x, y","say ""hi"""\n\n"multi\nline",2\n');
+        expect(rows).toEqual([
+            { fields: ['a', 'b'], line: 1 },
+            { fields: ['x, y', 'say "hi"'], line: 2 },
+            { fields: ['multi\nline', '2'], line: 4 }
+        ]);
+    });
+
+    test('test select loader by format, extension and content', () => {
+        expect(datasetLoaders.resolve({ format: 'csv' }).name).toBe('csv');
+        expect(datasetLoaders.resolve({ fileName: '/data/airports.dat' }).name).toBe('airports-dat');
+        expect(datasetLoaders.resolve({ fileName: 'points.geojson?v=2' }).name).toBe('geojson');
+        expect(datasetLoaders.resolve({ fileName: '/capitals' })).toBeUndefined();
+
+        expect(datasetLoaders.sniff([{ CapitalName: 'Amman' }]).name).toBe('capitals-json');
+        expect(datasetLoaders.sniff('{"type": "FeatureCollection", "features": []}').name).toBe('geojson');
+        expect(datasetLoaders.sniff(airportsDat).name).toBe('airports-dat');
+        expect(datasetLoaders.sniff('name,lat,lon\nA,1,2').name).toBe('csv');
+    });
+
+    test('test parse capitals json', () => {
+        const capitals = [
+            { CapitalName: 'Amman', CapitalLatitude: '31.95', CapitalLongitude: '35.933333', CountryName: 'Jordan' },
+            { CapitalName: 'Nowhere', CapitalLatitude: 'N/A', CapitalLongitude: '35.933333', CountryName: 'Jordan' }
+        ];
+        const { records, errors, format } = datasetLoaders.parse(capitals);
+
+        expect(format).toBe('capitals-json');
+        // Coordinates are parsed and missing fields get their defaults like other formats
+        expect(records).toEqual([{
+            CountryName: 'Jordan',
+            CapitalName: 'Amman',
+            CapitalLatitude: 31.95,
+            CapitalLongitude: 35.933333,
+            CountryCode: '',
+            ContinentName: 'UNKNOWN'
+        }]);
+        expect(errors).toEqual([{ index: 1, message: 'invalid latitude "N/A" for "Nowhere"' }]);
+    });
+
+    test('test parse capitals json with invalid entries', () => {
+        const capital = { CapitalName: 'Amman', CapitalLatitude: '31.95', CapitalLongitude: '35.933333' };
+        const { records, errors } = datasetLoaders.parse([capital, null, 'Oslo', [1, 2]], { format: 'capitals-json' });
+
+        expect(records.map(({ CapitalName }) => CapitalName)).toEqual(['Amman']);
+        expect(errors).toEqual([1, 2, 3].map(index => ({ index, message: 'capital is not an object' })));
+        // Arrays starting with other values are not capitals
+        expect(datasetLoaders.sniff(['Oslo'])).toBeUndefined();
+    });
+
+    test('test parse csv with column mapping', () => {
+        const csv = 'city;y;x;nation\nHelsinki;60.17;24.93;Finland\nOslo;abc;10.75;Norway\n;1;1;Nowhere';
+        const { records, errors } = datasetLoaders.parse(csv, {
+            format: 'csv',
+            delimiter: ';',
+            columns: { latitude: 'y', longitude: 'x', country: 'nation' }
+        });
+
+        expect(records).toEqual([{
+            CountryName: 'Finland',
+            CapitalName: 'Helsinki',
+            CapitalLatitude: 60.17,
+            CapitalLongitude: 24.93,
+            CountryCode: '',
+            ContinentName: 'UNKNOWN'
+        }]);
+        expect(errors).toEqual([
+            { line: 3, index: 1, message: 'invalid latitude "abc" for "Oslo"' },
+            { line: 4, index: 2, message: 'missing name' }
+        ]);
+    });
+
+    test('test csv with missing columns is rejected', () => {
+        const { records, errors } = CSV_LOADER.parse('name,altitude\nHelsinki,10');
+        expect(records).toEqual([]);
+        expect(errors).toEqual([{ line: 1, index: 0, message: 'missing column(s): latitude, longitude' }]);
+    });
+
+    test('test parse geojson', () => {
+        const geojson = {
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: { name: 'Tallinn', country: 'Estonia' }, geometry: { type: 'Point', coordinates: [24.75, 59.43] } },
+                { type: 'Feature', properties: { name: 'Road' }, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } },
+                { type: 'Feature', properties: { name: 'Far' }, geometry: { type: 'Point', coordinates: [200, 0] } }
+            ]
+        };
+        const { records, errors, format } = datasetLoaders.parse(JSON.stringify(geojson), { fileName: 'cities.json' });
+
+        expect(format).toBe('geojson');
+        expect(records.map(({ CapitalName, CountryName }) => [CapitalName, CountryName])).toEqual([['Tallinn', 'Estonia']]);
+        expect(errors).toEqual([
+            { index: 1, message: 'feature is not a Point' },
+            { index: 2, message: 'invalid longitude "200" for "Far"' }
+        ]);
+    });
+
+    test('test parse airports.dat', () => {
+        const { records, errors } = datasetLoaders.parse(airportsDat, { fileName: 'airports.dat' });
+
+        expect(records[0]).toEqual({
+            CountryName: 'Finland',
+            CapitalName: 'Helsinki (HEL)',
+            CapitalLatitude: 60.3172,
+            CapitalLongitude: 24.963301,
+            CountryCode: '',
+            ContinentName: 'Europe',
+            Aliases: ['HEL', 'EFHK', '421']
+        });
+        expect(records[1].CapitalName).toBe('Riyadh (RUH)');
+        expect(errors).toEqual([{ line: 3, index: 2, message: 'invalid latitude "" for "Broken Airport"' }]);
+    });
+
+    test('test unknown format and invalid content', () => {
+        expect(() => datasetLoaders.parse('a,b', { format: 'xml' })).toThrow('Unknown dataset format "xml"');
+        expect(() => datasetLoaders.parse('{', { format: 'geojson' })).toThrow(/not valid geojson/);
+        expect(() => new DatasetLoaderRegistry().parse('a,b')).toThrow('Dataset format is not recognized');
+    });
+
+    test('test describe dataset errors', () => {
+        const errors = [
+            { line: 2, index: 0, message: 'missing name' },
+            { index: 3, message: 'feature is not a Point' },
+            { line: 9, index: 7, message: 'missing name' }
+        ];
+        expect(describeDatasetErrors(errors, 2)).toBe('3 invalid row(s) skipped\nline 2: missing name\nitem 4: feature is not a Point\n... and 1 more');
+    });
+});
@@ -0,0 +1,95 @@
+import {
+    toKmlColor, selectExportData, findExporter,
+    GEOJSON_EXPORTER, KML_EXPORTER, CSV_EXPORTER
+} from '../exporters.js';
+
+const routes = {
+    type: 'FeatureCollection',
+    features: [
+        {
+            type: 'Feature',
+            properties: { origin: 'Riyadh', destination: 'Lima', distance: 13180.456, category: 'LONG', color: '#D84315', lineWidth: 0.7 },
+            geometry: { type: 'LineString', coordinates: [[46.7, 24.6], [-77, -12]] }
+        },
+        {
+            type: 'Feature',
+            properties: { origin: 'Riyadh', destination: 'Port "Moresby", PG', distance: 11000, category: 'LONG', color: '#D84315', lineWidth: 0.7 },
+            geometry: { type: 'MultiLineString', coordinates: [[[46.7, 24.6], [100, 0]], [[100, 0], [147.2, -9.4]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { origin: 'Riyadh', destination: 'Doha', distance: 490, category: 'SHORT', color: '#c41497', lineWidth: 2 },
+            geometry: { type: 'LineString', coordinates: [[46.7, 24.6], [51.5, 25.3]] }
+        }
+    ]
+};
+
+const capitals = {
+    type: 'FeatureCollection',
+    features: [['Riyadh', 46.7, 24.6], ['Lima', -77, -12], ['Doha', 51.5, 25.3], ['Oslo', 10.7, 59.9]].map(([capitalName, longitude, latitude]) => ({
+        type: 'Feature',
+        properties: { capitalName, capitalDescription: `Capital of ${capitalName} & co` },
+        geometry: { type: 'Point', coordinates: [longitude, latitude] }
+    }))
+};
+
+describe('Exporters test', () => {
+    test('test select export data', () => {
+        const all = selectExportData(routes, capitals, '');
+        expect(all.routes.features.length).toBe(3);
+        expect(all.capitals.features.length).toBe(4);
+
+        // Highlighted category keeps its arcs and their endpoints
+        const short = selectExportData(routes, capitals, 'SHORT');
+        expect(short.routes.features.map(({ properties }) => properties.destination)).toEqual(['Doha']);
+        expect(short.capitals.features.map(({ properties }) => properties.capitalName)).toEqual(['Riyadh', 'Doha']);
+    });
+
+    test('test kml color', () => {
+        expect(toKmlColor('#D84315')).toBe('ff1543d8');
+        expect(toKmlColor('#0af')).toBe('ffffaa00');
+    });
+
+    test('test geojson exporter', () => {
+        const { features } = JSON.parse(GEOJSON_EXPORTER.serialize(selectExportData(routes, capitals, 'SHORT')));
+        expect(features).toEqual([
+            { type: 'Feature', properties: { type: 'capital', name: 'Riyadh', description: 'Capital of Riyadh & co' }, geometry: capitals.features[0].geometry },
+            { type: 'Feature', properties: { type: 'capital', name: 'Doha', description: 'Capital of Doha & co' }, geometry: capitals.features[2].geometry },
+            {
+                type: 'Feature',
+                properties: { type: 'route', origin: 'Riyadh', destination: 'Doha', distance: 490, category: 'SHORT', color: '#c41497' },
+                geometry: routes.features[2].geometry
+            }
+        ]);
+    });
+
+    test('test kml exporter', () => {
+        const kml = KML_EXPORTER.serialize(selectExportData(routes, capitals, ''));
+
+        // Arcs with the same color and width share a style
+        expect(kml.match(/<Style id=/g).length).toBe(2);
+        expect(kml).toContain('<LineStyle><color>ff1543d8</color><width>0.7</width></LineStyle>');
+        expect(kml).toContain('<styleUrl>#route-style-1</styleUrl>');
+
+        expect(kml.match(/<Placemark>/g).length).toBe(7);
+        expect(kml).toContain('<name>Riyadh - Port &quot;Moresby&quot;, PG</name>');
+        expect(kml).toContain('<description>Capital of Oslo &amp; co</description>');
+        expect(kml).toContain('<Data name="distance"><value>13180.46</value></Data>');
+        expect(kml).toContain('<coordinates>46.7,24.6 -77,-12</coordinates>');
+        expect(kml).toContain('<MultiGeometry><LineString><tessellate>1</tessellate><coordinates>46.7,24.6 100,0</coordinates></LineString>');
+    });
+
+    test('test csv exporter', () => {
+        expect(CSV_EXPORTER.serialize(selectExportData(routes, capitals, 'LONG'))).toBe([
+            'origin,destination,distance_km,category',
+            'Riyadh,Lima,13180.46,LONG',
+            'Riyadh,"Port ""Moresby"", PG",11000,LONG',
+            ''
+        ].join('\n'));
+    });
+
+    test('test find exporter', () => {
+        expect(findExporter('kml')).toBe(KML_EXPORTER);
+        expect(findExporter('xlsx')).toBeUndefined();
+    });
+});
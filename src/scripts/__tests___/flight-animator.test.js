@@ -0,0 +1,124 @@
+import { FlightAnimator, flattenLineCoordinates, positionAlongLine } from '../flight-animator.js';
+import { Stylings } from '../stylings.js';
+import { FLIGHT_ANIMATION_DURATION } from '../constants.js';
+
+const routes = {
+    type: 'FeatureCollection',
+    features: [
+        {
+            type: 'Feature',
+            id: 0,
+            properties: { origin: 'A', destination: 'B', category: 'SHORT' },
+            geometry: { type: 'LineString', coordinates: [[0, 0], [10, 0], [20, 0]] }
+        },
+        {
+            type: 'Feature',
+            id: 1,
+            properties: { origin: 'A', destination: 'C', category: 'LONG' },
+            geometry: { type: 'MultiLineString', coordinates: [[[170, 0], [180, 0]], [[-180, 0], [-170, 0]]] }
+        }
+    ]
+};
+
+describe('Flight animator test', () => {
+    let map, source, styling, animator, frames;
+
+    beforeEach(() => {
+        frames = [];
+        global.requestAnimationFrame = jest.fn(callBack => frames.push(callBack));
+        global.cancelAnimationFrame = jest.fn();
+
+        source = { setData: jest.fn() };
+        map = {
+            getSource: jest.fn(() => source),
+            addSource: jest.fn(),
+            addLayer: jest.fn()
+        };
+        styling = new Stylings();
+        animator = new FlightAnimator(map, styling);
+    });
+
+    test('test flatten line coordinates', () => {
+        expect(flattenLineCoordinates(routes.features[0].geometry)).toEqual([[0, 0], [10, 0], [20, 0]]);
+        expect(flattenLineCoordinates(routes.features[1].geometry)).toEqual([[170, 0], [180, 0], [-180, 0], [-170, 0]]);
+        expect(flattenLineCoordinates(null)).toEqual([]);
+    });
+
+    test('test position along line', () => {
+        const coordinates = [[0, 0], [10, 0], [20, 0]];
+        expect(positionAlongLine(coordinates, 0).coordinates).toEqual([0, 0]);
+        expect(positionAlongLine(coordinates, 0.25).coordinates).toEqual([5, 0]);
+        expect(positionAlongLine(coordinates, 1).coordinates).toEqual([20, 0]);
+        expect(positionAlongLine(coordinates, 0.25).bearing).toBeCloseTo(90);
+        expect(positionAlongLine([[0, 0]], 0.5)).toBeNull();
+
+        // Planes are not interpolated across the antimeridian
+        const [longitude] = positionAlongLine([[179, 0], [-179, 0]], 0.4).coordinates;
+        expect(longitude).toBe(179);
+    });
+
+    test('test add source and layer', () => {
+        animator.addSourceAndLayer();
+        expect(map.addSource.mock.calls[0][0]).toBe(FlightAnimator.LAYER_ID);
+        expect(map.addLayer.mock.calls[0][0]).toMatchObject({
+            id: FlightAnimator.LAYER_ID,
+            source: FlightAnimator.LAYER_ID,
+            type: 'symbol'
+        });
+    });
+
+    test('test play, advance and pause', () => {
+        const onStateChange = jest.fn();
+        animator.onStateChange(onStateChange);
+
+        animator.play();
+        expect(requestAnimationFrame).not.toHaveBeenCalled();
+
+        animator.setRoutes(routes);
+        animator.play();
+        expect(animator.isPlaying).toBeTruthy();
+        expect(onStateChange).toHaveBeenLastCalledWith(true);
+
+        frames.shift()(1000);
+        frames.shift()(1000 + FLIGHT_ANIMATION_DURATION / 4);
+
+        const planes = source.setData.mock.calls[source.setData.mock.calls.length - 1][0];
+        expect(planes.features.length).toBe(2);
+        expect(planes.features[0].geometry.coordinates).toEqual([5, 0]);
+        expect(planes.features[0].properties).toMatchObject({ origin: 'A', destination: 'B' });
+
+        animator.setSpeed(2);
+        frames.shift()(1000 + FLIGHT_ANIMATION_DURATION / 2);
+        const [plane] = source.setData.mock.calls[source.setData.mock.calls.length - 1][0].features;
+        expect(plane.geometry.coordinates).toEqual([15, 0]);
+
+        animator.pause();
+        expect(animator.isPlaying).toBeFalsy();
+        expect(cancelAnimationFrame).toHaveBeenCalled();
+        expect(onStateChange).toHaveBeenLastCalledWith(false);
+    });
+
+    test('test only highlighted routes get a plane', () => {
+        animator.setRoutes(routes);
+        animator.setSubset(FlightAnimator.SUBSETS.HIGHLIGHTED);
+        expect(source.setData.mock.calls[source.setData.mock.calls.length - 1][0].features.length).toBe(2);
+
+        styling.highLightedCategory = 'LONG';
+        animator.setSubset(FlightAnimator.SUBSETS.HIGHLIGHTED);
+        const planes = source.setData.mock.calls[source.setData.mock.calls.length - 1][0];
+        expect(planes.features.map(({ id }) => id)).toEqual([1]);
+    });
+
+    test('test new routes stop the animation and missing source is ignored', () => {
+        animator.setRoutes(routes);
+        animator.play();
+
+        map.getSource.mockReturnValue(undefined);
+        expect(() => frames.shift()(0)).not.toThrow();
+
+        map.getSource.mockReturnValue(source);
+        animator.setRoutes({ type: 'FeatureCollection', features: [] });
+        expect(animator.isPlaying).toBeFalsy();
+        expect(source.setData).toHaveBeenLastCalledWith({ type: 'FeatureCollection', features: [] });
+    });
+});
@@ -0,0 +1,114 @@
+import {
+    estimateFlight, convertDistance, formatDistance, formatDuration, formatKilograms,
+    normalizeAircraftProfiles, FlightEstimator, DEFAULT_AIRCRAFT_PROFILES, CO2_PER_KG_OF_FUEL
+} from '../flight-estimates.js';
+
+const profile = { id: 'test', label: 'Test', cruiseSpeed: 800, overheadMinutes: 30, overheadFuel: 1000, fuelBurnPerKm: 2, seats: 100 };
+
+describe('Test flight estimates', () => {
+
+    test('estimate block time, fuel and CO2 per passenger', () => {
+        const { blockTime, fuel, co2PerPassenger } = estimateFlight(1600, profile);
+        expect(blockTime).toBe(30 + 120);
+        expect(fuel).toBe(1000 + 3200);
+        expect(co2PerPassenger).toBeCloseTo(4200 * CO2_PER_KG_OF_FUEL / 100);
+    });
+
+    test('convert and format distances', () => {
+        expect(convertDistance(100, 'km')).toBe(100);
+        expect(convertDistance(100, 'mi')).toBeCloseTo(62.1371);
+        expect(convertDistance(100, 'nmi')).toBeCloseTo(53.9957);
+        expect(formatDistance(3685.4, 'km')).toBe('3,685 km');
+        expect(formatDistance(3685.4, 'mi')).toBe('2,290 mi');
+        expect(formatDistance(3685.4, 'nmi')).toBe('1,990 nmi');
+        // Unknown units fall back to km
+        expect(formatDistance(10, 'parsec')).toBe('10 km');
+    });
+
+    test('format durations and masses', () => {
+        expect(formatDuration(45.2)).toBe('45 min');
+        expect(formatDuration(305)).toBe('5 h 05 min');
+        expect(formatDuration(119.6)).toBe('2 h 00 min');
+        expect(formatKilograms(12345.6)).toBe('12,346 kg');
+    });
+
+    test('normalize aircraft profiles', () => {
+        const [normalized] = normalizeAircraftProfiles({ profiles: [{ ...profile, id: ' jet ', label: '', seats: '150' }] });
+        expect(normalized).toEqual({ ...profile, id: 'jet', label: 'jet', seats: 150 });
+        expect(normalizeAircraftProfiles([profile])).toEqual([profile]);
+    });
+
+    test('reject invalid aircraft profiles', () => {
+        expect(() => normalizeAircraftProfiles([])).toThrow('Invalid aircraft profiles: a non empty list of profiles is expected');
+        expect(() => normalizeAircraftProfiles({})).toThrow('a non empty list of profiles is expected');
+        expect(() => normalizeAircraftProfiles([{ ...profile, id: '' }])).toThrow('profile 1 has no id');
+        expect(() => normalizeAircraftProfiles([profile, profile])).toThrow('id "test" is used more than once');
+        expect(() => normalizeAircraftProfiles([{ ...profile, cruiseSpeed: 0 }])).toThrow('"cruiseSpeed" of "test" must be a positive number');
+        expect(() => normalizeAircraftProfiles([{ ...profile, overheadFuel: -1 }])).toThrow('"overheadFuel" of "test" must be a non negative number');
+        expect(() => normalizeAircraftProfiles([{ ...profile, seats: 'many' }])).toThrow('"seats" of "test" must be a positive number');
+        expect(() => normalizeAircraftProfiles([{ ...profile, fuelBurnPerKm: null }])).toThrow('"fuelBurnPerKm" of "test" must be a positive number');
+    });
+});
+
+describe('Test flight estimator', () => {
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('default profile and unit', () => {
+        const flightEstimator = new FlightEstimator();
+        expect(flightEstimator.profiles).toBe(DEFAULT_AIRCRAFT_PROFILES);
+        expect(flightEstimator.profile).toBe(DEFAULT_AIRCRAFT_PROFILES[0]);
+        expect(flightEstimator.unit).toBe('km');
+        expect(flightEstimator.estimate(1000)).toEqual(estimateFlight(1000, DEFAULT_AIRCRAFT_PROFILES[0]));
+    });
+
+    test('selected profile and unit are kept in local storage', () => {
+        // Setters are passed as callbacks
+        const { setProfile, setUnit } = new FlightEstimator();
+        setProfile('wide-body');
+        setUnit('nmi');
+
+        const restored = new FlightEstimator();
+        expect(restored.profile.id).toBe('wide-body');
+        expect(restored.unit).toBe('nmi');
+    });
+
+    test('unknown profile and unit are rejected', () => {
+        const flightEstimator = new FlightEstimator();
+        expect(() => flightEstimator.setProfile('zeppelin')).toThrow('Aircraft profile "zeppelin" is not found');
+        expect(() => flightEstimator.setUnit('league')).toThrow('Distance unit "league" is not supported');
+        expect(flightEstimator.profile.id).toBe(DEFAULT_AIRCRAFT_PROFILES[0].id);
+        expect(flightEstimator.unit).toBe('km');
+    });
+
+    test('import profiles from JSON and reset them', () => {
+        const flightEstimator = new FlightEstimator();
+        flightEstimator.importProfiles(JSON.stringify({ profiles: [profile] }));
+        expect(flightEstimator.profiles).toEqual([profile]);
+        // The selected profile isn't in the imported ones, the first one is used
+        expect(flightEstimator.profile).toEqual(profile);
+        expect(new FlightEstimator().profiles).toEqual([profile]);
+
+        flightEstimator.resetProfiles();
+        expect(flightEstimator.profiles).toBe(DEFAULT_AIRCRAFT_PROFILES);
+        expect(localStorage.getItem(FlightEstimator.PROFILES_KEY)).toBeNull();
+    });
+
+    test('invalid imports keep the current profiles', () => {
+        const flightEstimator = new FlightEstimator();
+        expect(() => flightEstimator.importProfiles('{ not json')).toThrow('Invalid aircraft profiles');
+        expect(() => flightEstimator.importProfiles('[{"id": "jet"}]')).toThrow('"cruiseSpeed" of "jet" must be a positive number');
+        expect(flightEstimator.profiles).toBe(DEFAULT_AIRCRAFT_PROFILES);
+    });
+
+    test('invalid saved profiles are dropped', () => {
+        localStorage.setItem(FlightEstimator.PROFILES_KEY, '[]');
+        localStorage.setItem(FlightEstimator.UNIT_KEY, 'league');
+        const flightEstimator = new FlightEstimator();
+        expect(flightEstimator.profiles).toBe(DEFAULT_AIRCRAFT_PROFILES);
+        expect(flightEstimator.unit).toBe('km');
+        expect(localStorage.getItem(FlightEstimator.PROFILES_KEY)).toBeNull();
+    });
+});
@@ -1,7 +1,12 @@
 import { Stylings } from '../stylings.js';
 import { DataProcessor } from '../data-processor.js';
 import { MapWrapper } from '../map-wrapper.js';
-import { DEFAULT_ZOOM_LEVEL, PREFIX_STYLE_URL } from '../constants.js';
+import { RouteGraph } from '../route-graph.js';
+import {
+    DEFAULT_ZOOM_LEVEL, PREFIX_STYLE_URL, LONG_PRESS_DURATION, CAPITAL_CLUSTER_MAX_ZOOM, DEFAULT_MAX_LEG_LENGTH
+} from '../constants.js';
+import { downloadFile, notify, formatKilometers, escapeHtml } from '../utils.js';
+import { composeSnapshot } from '../snapshot.js';
 
 global.alert = jest.fn();
 
@@ -24,6 +29,10 @@ jest.mock('mapbox-gl/dist/mapbox-gl.js', () => {
 
 jest.mock('../data-processor.js');
 jest.mock('../utils.js');
+jest.mock('../snapshot.js', () => ({
+    composeSnapshot: jest.fn(() => 'snapshot canvas'),
+    canvasToPngBlob: jest.fn(() => Promise.resolve('png blob'))
+}));
 
 const mockLoadDataAndRender = jest.fn();
 MapWrapper.prototype.loadDataAndRender = mockLoadDataAndRender;
@@ -36,6 +45,11 @@ describe('Map wrapper test', () => {
         styling.theme = "username/test_theme";
         dataProcessor = new DataProcessor('test', styling);
         mapWrapper = new MapWrapper(styling, dataProcessor);
+        // Map instance is shared by all tests
+        mapWrapper._map.getZoom = jest.fn(() => DEFAULT_ZOOM_LEVEL);
+        mapWrapper._map.setFilter = jest.fn();
+        // Popups are checked against the markup they really display
+        escapeHtml.mockImplementation(jest.requireActual('../utils.js').escapeHtml);
     });
 
     test('Map and popup is initialized', () => {
@@ -46,16 +60,75 @@ describe('Map wrapper test', () => {
 
 
         const { container, zoom, style } = mockMapConstructor.mock.calls[0][0];
-        expect(container).toBe("map");
+        expect(container).toBe(MapWrapper.DEFAULT_CONTAINER);
         expect(zoom).toBe(DEFAULT_ZOOM_LEVEL);
         expect(style).toBe(`${PREFIX_STYLE_URL}username/test_theme`);
 
         expect(mockLoadDataAndRender).toHaveBeenCalled();
     });
 
+    test('Map is initialized with camera restored from url', () => {
+        mockMapConstructor.mockClear();
+        mapWrapper = new MapWrapper(styling, dataProcessor, { center: [24.9, 60.2], zoom: 5, bearing: 10 });
+
+        const { zoom, center, bearing } = mockMapConstructor.mock.calls[0][0];
+        expect(zoom).toBe(5);
+        expect(center).toEqual([24.9, 60.2]);
+        expect(bearing).toBe(10);
+
+        mapWrapper._moveCenterTo = jest.fn();
+        mapWrapper._addSourceAndLayers = jest.fn();
+        mapWrapper._applyRouteFilter = jest.fn();
+        mapWrapper.flightAnimator.setRoutes = jest.fn();
+        dataProcessor.computeArcLinesFromSelectedCapital = jest.fn(() => Promise.resolve(null));
+        mapWrapper._initFlightMap();
+        expect(mapWrapper._moveCenterTo).not.toHaveBeenCalled();
+    });
+
+    test('test state change handlers', () => {
+        const handler = jest.fn();
+        dataProcessor.selectedCapital = "Helsinki";
+        styling.highLightedCategory = "SHORT";
+        mapWrapper._map.getCenter = () => ({ lng: 1, lat: 2 });
+        mapWrapper._map.getZoom = () => 3;
+        mapWrapper._map.getBearing = () => 4;
+        mapWrapper._map.setPaintProperty = jest.fn();
+
+        mapWrapper.addStateChangeHandler(handler);
+        mapWrapper.highLightLines();
+
+        expect(handler).toHaveBeenCalledWith({
+            capital: "Helsinki",
+            theme: "username/test_theme",
+            highlight: "SHORT",
+            center: [1, 2],
+            zoom: 3,
+            bearing: 4
+        });
+    });
+
+    test('test select capital', () => {
+        dataProcessor.hasCapital = jest.fn(name => name === "Helsinki");
+        dataProcessor.getCapitalCoordinates = jest.fn(() => [24.9, 60.2]);
+        mapWrapper._moveCenterTo = jest.fn();
+        mapWrapper._replaceSelectedCapital = jest.fn();
+
+        mapWrapper.selectCapital("Atlantis");
+        expect(mapWrapper._replaceSelectedCapital).not.toHaveBeenCalled();
+
+        mapWrapper.selectCapital("Helsinki");
+        expect(mapWrapper._moveCenterTo).toHaveBeenCalledWith([24.9, 60.2]);
+        expect(mapWrapper._replaceSelectedCapital).toHaveBeenCalledWith("Helsinki");
+
+        mapWrapper.selectCapital("Helsinki", false);
+        expect(mapWrapper._moveCenterTo).toHaveBeenCalledTimes(1);
+    });
+
     test('Wait for map to load', () => {
         expect(mapWrapper._isLoaded).toBeFalsy();
 
+        mapWrapper._map.on = jest.fn();
+
         mapWrapper._map.once = (keyword, callBack) => {
             expect(keyword).toBe("load");
             callBack();
@@ -72,7 +145,19 @@ describe('Map wrapper test', () => {
 
         mapWrapper._loadMapInitially();
 
-
+        // Icons missing from the basemap sprite are replaced by a fallback icon
+        const [event, addMissingImage] = mapWrapper._map.on.mock.calls[0];
+        expect(event).toBe('styleimagemissing');
+        mapWrapper._map.addImage = jest.fn();
+        addMissingImage({ id: 'airport-11' });
+        const [id, image] = mapWrapper._map.addImage.mock.calls[0];
+        expect(id).toBe('airport-11');
+        expect(image.width).toBe(11);
+        expect(image.data.length).toBe(11 * 11 * 4);
+        // Markers of hubs are colored by layers
+        addMissingImage({ id: Stylings.HUB_ICON_ID });
+        expect(mapWrapper._map.addImage.mock.calls[1][2]).toEqual({ sdf: true });
+        delete mapWrapper._map.addImage;
     });
 
     test('test swallow null map', () => {
@@ -177,6 +262,54 @@ describe('Map wrapper test', () => {
 
         expect(features[3].properties.category).toBe(Stylings.DISTANCE_CATEROGY_NAMES.LOWER_MEDIUM);
         expect(features[3].properties.lineWidth).toBeTruthy();
+
+        // Route filter is applied to the new layers
+        expect(mapWrapper._map.setFilter).toHaveBeenCalledWith('route', null);
+    });
+
+    test("test route filter", () => {
+        const mockSetData = jest.fn();
+        mapWrapper._map.getSource = jest.fn(() => ({
+            setData: mockSetData,
+            _data: {
+                features: [
+                    { properties: { distance: 500, destinationContinent: 'Europe', destinationCountry: 'Finland' } },
+                    { properties: { distance: 7000, destinationContinent: 'Asia', destinationCountry: 'Japan' } },
+                    { properties: { distance: 15000, destinationContinent: 'Oceania', destinationCountry: 'Fiji' } }
+                ]
+            }
+        }));
+        Object.defineProperty(dataProcessor, 'selectedCapitals', { value: ['Helsinki'], configurable: true });
+        Object.defineProperty(dataProcessor, 'capitalMarkers', {
+            value: {
+                type: 'FeatureCollection',
+                features: [
+                    { properties: { capitalName: 'Helsinki', continentName: 'Europe', countryName: 'Finland' } },
+                    { properties: { capitalName: 'Tokyo', continentName: 'Asia', countryName: 'Japan' } },
+                    { properties: { capitalName: 'Suva', continentName: 'Oceania', countryName: 'Fiji' } }
+                ]
+            },
+            configurable: true
+        });
+        const capitalNames = ({ features }) => features.map(({ properties }) => properties.capitalName);
+        const handler = jest.fn();
+        mapWrapper.addRouteFilterChangeHandler(handler);
+
+        mapWrapper.setRouteFilter({ minDistance: 1000, hiddenContinents: ['Oceania'] });
+
+        const routeExpression = mapWrapper.routeFilter.routeExpression();
+        expect(mapWrapper._map.setFilter).toHaveBeenCalledWith('route', routeExpression);
+        expect(mapWrapper._map.setFilter).toHaveBeenCalledWith('planes', routeExpression);
+        // Hidden capitals are removed from the clustered source, origins are never clustered
+        const [[capitals], [origins]] = mockSetData.mock.calls;
+        expect(capitalNames(capitals)).toEqual(['Tokyo']);
+        expect(capitalNames(origins)).toEqual(['Helsinki']);
+        expect(handler).toHaveBeenLastCalledWith({ visibleRouteCount: 1, routeCount: 3 });
+
+        mockSetData.mockClear();
+        mapWrapper.resetRouteFilter();
+        expect(capitalNames(mockSetData.mock.calls[0][0])).toEqual(['Tokyo', 'Suva']);
+        expect(handler).toHaveBeenLastCalledWith({ visibleRouteCount: 3, routeCount: 3 });
     });
 
     test("test highLightLines", () => {
@@ -193,6 +326,181 @@ describe('Map wrapper test', () => {
         expect(mockSetPaint.mock.calls[1]).toEqual(Stylings.getLineOpacityWithHighLightedCategory(Stylings.DISTANCE_CATEROGY_NAMES.SHORT));
     });
 
+    test("test highLightDistanceRange", () => {
+        const mockSetPaint = jest.fn();
+        mapWrapper._map.setPaintProperty = mockSetPaint;
+        styling.highLightedCategory = Stylings.DISTANCE_CATEROGY_NAMES.SHORT;
+
+        const range = { from: 2000, to: 4000 };
+        mapWrapper.highLightDistanceRange(range);
+        expect(mockSetPaint).toHaveBeenLastCalledWith(...Stylings.getLineOpacityWithHighLightedRange(range));
+        expect(mapWrapper.highlightedDistanceRange).toEqual(range);
+
+        // The highlighted category is shown again
+        mapWrapper.highLightDistanceRange(null);
+        expect(mockSetPaint).toHaveBeenLastCalledWith(...Stylings.getLineOpacityWithHighLightedCategory(Stylings.DISTANCE_CATEROGY_NAMES.SHORT));
+        expect(mapWrapper.highlightedDistanceRange).toBeNull();
+    });
+
+    test("test refreshStyles", () => {
+        localStorage.clear();
+        styling.theme = Stylings.LIGHT_THEME;
+        styling.setDistanceStyleMode(Stylings.DISTANCE_STYLE_MODES.RAMP);
+
+        const routes = { features: [{ properties: { distance: 12000, category: 'LONG' } }] };
+        const mockSetData = jest.fn();
+        const mockSetPaint = jest.fn();
+        mapWrapper._map.getSource = jest.fn(() => ({ _data: routes, setData: mockSetData }));
+        mapWrapper._map.setPaintProperty = mockSetPaint;
+
+        mapWrapper.refreshStyles();
+
+        expect(mockSetData).toHaveBeenCalledWith(routes);
+        expect(routes.features[0].properties).toEqual({ distance: 12000, ...styling.getLineProperties(12000) });
+        expect(mockSetPaint).toHaveBeenCalledWith('route', 'line-color', styling.getRoutePaintProperties()['line-color']);
+        expect(mockSetPaint).toHaveBeenCalledWith('route', 'line-width', styling.getRoutePaintProperties()['line-width']);
+        expect(mockSetPaint).toHaveBeenLastCalledWith(...Stylings.DEFAULT_LINES_OPACITY_STYLE);
+
+        styling.resetDistanceConfig();
+        delete mapWrapper._map.getSource;
+    });
+
+    test("test refreshStyles in the flow mode", () => {
+        const route = (origin, destination, distance, passengers) => ({ properties: { origin, destination, distance, passengers } });
+        const routes = { features: [route('Oslo', 'Rome', 1000, 400), route('Rome', 'Oslo', 3000, 100), route('Oslo', 'Lima', 5000)] };
+        const mockSetPaint = jest.fn();
+        mapWrapper._map.getSource = jest.fn(() => ({ _data: routes, setData: jest.fn() }));
+        mapWrapper._map.setPaintProperty = mockSetPaint;
+
+        styling.setFlowConfig({ volume: Stylings.FLOW_VOLUMES.PASSENGERS, scale: Stylings.FLOW_SCALES.LINEAR });
+        mapWrapper.refreshStyles();
+
+        expect(mapWrapper.maxFlowVolume).toBe(400);
+        expect(routes.features.map(({ properties }) => properties.lineWidth)).toEqual([
+            styling.getFlowProperties(400, 400).lineWidth, styling.getFlowProperties(100, 400).lineWidth, Stylings.FLOW_LINE_WIDTH.min
+        ]);
+        expect(routes.features[1].properties.lineOpacity).toBe(styling.getFlowProperties(100, 400).lineOpacity);
+        // Only routes displayed in both directions are drawn side by side
+        expect(routes.features.map(({ properties }) => properties.bidirectional)).toEqual([true, true, false]);
+        expect(mockSetPaint).toHaveBeenCalledWith('route', 'line-offset', styling.getRoutePaintProperties()['line-offset']);
+
+        // Widths follow distances again
+        styling.setFlowConfig(null);
+        mapWrapper.refreshStyles();
+        expect(mapWrapper.maxFlowVolume).toBe(0);
+        expect(routes.features[0].properties).toEqual({
+            origin: 'Oslo', destination: 'Rome', distance: 1000, passengers: 400, ...styling.getLineProperties(1000)
+        });
+        expect(mockSetPaint).toHaveBeenCalledWith('route', 'line-offset', 0);
+
+        delete mapWrapper._map.getSource;
+    });
+
+    test("test exportNetwork", () => {
+        const routes = {
+            type: 'FeatureCollection',
+            features: [
+                { properties: { origin: 'Riyadh', destination: 'Lima', distance: 13000, category: 'LONG' }, geometry: { type: 'LineString', coordinates: [[46.7, 24.6], [-77, -12]] } },
+                { properties: { origin: 'Riyadh', destination: 'Doha', distance: 490, category: 'SHORT' }, geometry: { type: 'LineString', coordinates: [[46.7, 24.6], [51.5, 25.3]] } }
+            ]
+        };
+        const capitalMarkers = {
+            type: 'FeatureCollection',
+            features: ['Riyadh', 'Lima', 'Doha'].map(capitalName => ({ properties: { capitalName }, geometry: { type: 'Point', coordinates: [0, 0] } }))
+        };
+        Object.defineProperty(dataProcessor, 'capitalMarkers', { value: capitalMarkers });
+        Object.defineProperty(dataProcessor, 'selectedCapitals', { value: ['Riyadh'] });
+        mapWrapper._map.getSource = jest.fn(() => ({ _data: routes }));
+        styling.highLightedCategory = 'LONG';
+
+        mapWrapper.exportNetwork('csv');
+
+        expect(downloadFile).toHaveBeenCalledWith(
+            'origin,destination,distance_km,category\nRiyadh,Lima,13000,LONG\n',
+            'routes-Riyadh-LONG.csv',
+            'text/csv'
+        );
+
+        styling.highLightedCategory = '';
+        mapWrapper.exportNetwork('geojson');
+        const [content, fileName] = downloadFile.mock.calls[1];
+        expect(fileName).toBe('routes-Riyadh-all.geojson');
+        expect(JSON.parse(content).features.length).toBe(5);
+
+        mapWrapper.exportNetwork('shapefile');
+        expect(notify).toHaveBeenCalledWith('Unknown export format "shapefile"');
+        expect(downloadFile).toHaveBeenCalledTimes(2);
+
+        delete mapWrapper._map.getSource;
+    });
+
+    test("test saveImage", async () => {
+        downloadFile.mockClear();
+        Object.defineProperty(dataProcessor, 'selectedCapitals', { value: ['Port Moresby', 'Lae'] });
+        styling.theme = Stylings.DARK_THEME;
+        styling.highLightedCategory = Stylings.DISTANCE_CATEROGY_NAMES.LONG;
+        const mapCanvas = { id: 'map canvas' };
+        Object.assign(mapWrapper._map, {
+            getContainer: () => ({ clientWidth: 800, clientHeight: 600 }),
+            getCanvas: () => mapCanvas
+        });
+
+        await mapWrapper.saveImage(1);
+
+        const [canvas, options] = composeSnapshot.mock.calls[0];
+        expect(canvas).toBe(mapCanvas);
+        expect(options).toEqual({
+            width: 800,
+            height: 600,
+            scale: 1,
+            title: 'Flights from Port Moresby, Lae (>= 10000 km)',
+            legendItems: styling.getLegendItems(),
+            dark: true,
+            attribution: '© Mapbox © OpenStreetMap'
+        });
+        expect(downloadFile).toHaveBeenCalledWith('png blob', 'map-Port_Moresby+Lae.png', 'image/png');
+
+        // Higher resolution is drawn by a hidden map with the same style and camera
+        mockMapConstructor.mockClear();
+        Object.assign(mapWrapper._map, {
+            getStyle: () => 'style',
+            getCenter: () => ({ lng: 147, lat: -9 }),
+            getZoom: () => 3,
+            getBearing: () => 0,
+            getPitch: () => 0,
+            on: jest.fn(),
+            once: jest.fn((event, callBack) => callBack()),
+            remove: jest.fn()
+        });
+
+        await mapWrapper.saveImage(2);
+
+        expect(mockMapConstructor.mock.calls[0][0]).toMatchObject({ style: 'style', center: [147, -9], zoom: 3, preserveDrawingBuffer: true });
+        expect(mapWrapper._map.once).toHaveBeenCalledWith('idle', expect.any(Function));
+        expect(mapWrapper._map.remove).toHaveBeenCalled();
+        expect(composeSnapshot.mock.calls[1][1].scale).toBe(2);
+        expect(window.devicePixelRatio).toBe(1);
+        expect(downloadFile).toHaveBeenCalledTimes(2);
+
+        // A failing hidden map is removed and the pixel ratio restored
+        notify.mockClear();
+        mapWrapper._map.remove.mockClear();
+        mapWrapper._map.once = jest.fn();
+        mapWrapper._map.on = jest.fn((event, callBack) => event === 'error' && callBack({ error: new Error('tile error') }));
+
+        await mapWrapper.saveImage(3);
+
+        expect(notify).toHaveBeenCalledWith("Snapshot can't be rendered: tile error");
+        expect(mapWrapper._map.remove).toHaveBeenCalledTimes(1);
+        expect(window.devicePixelRatio).toBe(1);
+        expect(downloadFile).toHaveBeenCalledTimes(2);
+
+        ['getContainer', 'getCanvas', 'getStyle', 'getCenter', 'getZoom', 'getBearing', 'getPitch', 'on', 'once', 'remove'].forEach(key => {
+            delete mapWrapper._map[key];
+        });
+        styling.highLightedCategory = '';
+    });
+
     test("test initialRender", () => {
         mapWrapper._initFlightMap = jest.fn();
         mapWrapper._displayCapitalInfoPopup = jest.fn();
@@ -208,29 +516,57 @@ describe('Map wrapper test', () => {
             highLightOneSpecificRoute, unHighLightOneSpecificRoute
         });
 
+        const dataChangeHandler = jest.fn();
+        mapWrapper.addDataChangeHandler(dataChangeHandler);
+        expect(mapWrapper.isDataLoaded).toBe(false);
+        // Uploads are queued until the initial dataset is loaded
+        const dataLoadHandler = jest.fn();
+        mapWrapper.whenDataLoaded(dataLoadHandler);
+        expect(dataLoadHandler).not.toHaveBeenCalled();
+
         mapWrapper._initialRender();
         expect(mapWrapper._initFlightMap).toHaveBeenCalled();
         expect(mockOnCall.mock.calls.length >= 5).toBeTruthy();
+        // Panels filled from the dataset are refreshed once it is loaded
+        expect(mapWrapper.isDataLoaded).toBe(true);
+        expect(dataChangeHandler).toHaveBeenCalledWith(dataProcessor);
+        expect(dataLoadHandler).toHaveBeenCalledWith(dataProcessor);
+
+        const lateHandler = jest.fn();
+        mapWrapper.whenDataLoaded(lateHandler);
+        expect(lateHandler).toHaveBeenCalledWith(dataProcessor);
+        expect(dataLoadHandler).toHaveBeenCalledTimes(1);
     });
 
-    test("test initFlightMap", () => {
-        mapWrapper._moveCenterTo = jest.fn();
-        dataProcessor.selectedCapitalCoordinates = [1, 0];
-        dataProcessor.arcLinesFromSelectedCapital = {
+    test("test initFlightMap", async () => {
+        const arcs = {
             'type': 'FeatureCollection',
-            'features': []
+            'features': [{ 'type': 'Feature', 'id': 0, 'properties': {}, 'geometry': { 'type': 'LineString', 'coordinates': [] } }]
         };
+        mapWrapper._moveCenterTo = jest.fn();
+        dataProcessor.selectedCapitalCoordinates = [1, 0];
+        dataProcessor.computeArcLinesFromSelectedCapital = jest.fn(() => Promise.resolve(arcs));
         mapWrapper._addSourceAndLayers = jest.fn();
+        mapWrapper.flightAnimator.setRoutes = jest.fn();
+        const mockSetData = jest.fn();
+        mapWrapper._map.getSource = jest.fn(() => ({ setData: mockSetData }));
 
         mapWrapper._initFlightMap();
 
         expect(mapWrapper._moveCenterTo).toHaveBeenCalled();
         expect(mapWrapper._moveCenterTo.mock.calls[0][0]).toEqual([1, 0]);
+        // Layers are added right away, arcs once the worker computed them
         expect(mapWrapper._addSourceAndLayers).toHaveBeenCalled();
         expect(mapWrapper._addSourceAndLayers.mock.calls[0][0]).toEqual({
             'type': 'FeatureCollection',
             'features': []
         });
+        expect(mockSetData).not.toHaveBeenCalled();
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(dataProcessor.computeArcLinesFromSelectedCapital).toHaveBeenCalledWith(DEFAULT_ZOOM_LEVEL);
+        expect(mockSetData).toHaveBeenCalledWith(arcs);
+        expect(mapWrapper.flightAnimator.setRoutes).toHaveBeenCalledWith(arcs);
     });
 
     test("test addSourceAndLayer", () => {
@@ -238,6 +574,7 @@ describe('Map wrapper test', () => {
         const mockAddSource = jest.fn();
         mapWrapper._map.addLayer = mockAddLayer;
         mapWrapper._map.addSource = mockAddSource;
+        mapWrapper._map.getStyle = jest.fn(() => ({ glyphs: 'glyphs/{fontstack}/{range}.pbf' }));
 
         mapWrapper._addSourceAndLayers({
             'type': 'FeatureCollection',
@@ -249,6 +586,7 @@ describe('Map wrapper test', () => {
         expect(addLayerCalls.length >= 2).toBeTruthy();
         expect(addLayerCalls[0][0].id).toEqual("capitals");
         expect(addLayerCalls[0][0].type).toEqual("symbol");
+        expect(addLayerCalls[0][0].source.cluster).toBe(true);
 
         expect(addLayerCalls[1][0].id).toEqual("route");
         expect(addLayerCalls[1][0].type).toEqual("line");
@@ -262,6 +600,106 @@ describe('Map wrapper test', () => {
             'type': 'FeatureCollection',
             'features': []
         });
+
+        // Clusters and their counts are below routes, origins and spiders above them
+        const layerIds = addLayerCalls.map(([{ id }]) => id);
+        expect(addLayerCalls.find(([{ id }]) => id === 'capital-clusters')[1]).toBe('route');
+        expect(addLayerCalls.find(([{ id }]) => id === 'capital-cluster-count')[1]).toBe('route');
+        expect(layerIds).toEqual(expect.arrayContaining([
+            'route-diff', 'reachability-tree', 'reachability-capitals', 'origin-halos', 'origins', 'spider-legs', 'spider-capitals'
+        ]));
+
+        // Counts need glyphs
+        mockAddLayer.mockClear();
+        mapWrapper._map.getStyle = jest.fn(() => ({}));
+        mapWrapper._addSourceAndLayers({ 'type': 'FeatureCollection', 'features': [] });
+        expect(mockAddLayer.mock.calls.map(([{ id }]) => id)).not.toContain('capital-cluster-count');
+    });
+
+    test("test clusters are zoomed into, or spiderfied at the last cluster zoom", () => {
+        const leaves = [{ properties: { capitalName: 'Basseterre' } }, { properties: { capitalName: 'Roseau' } }];
+        const capitalSource = {
+            getClusterExpansionZoom: jest.fn((id, callback) => callback(null, 4)),
+            getClusterLeaves: jest.fn((id, limit, offset, callback) => callback(null, leaves))
+        };
+        const spiderSource = { setData: jest.fn() };
+        mapWrapper._map.getSource = jest.fn(id => (id === 'spider' ? spiderSource : capitalSource));
+        mapWrapper._map.easeTo = jest.fn();
+        mapWrapper._map.project = jest.fn(() => ({ x: 100, y: 100 }));
+        mapWrapper._map.unproject = jest.fn(([x, y]) => ({ lng: x, lat: y }));
+        const cluster = { geometry: { coordinates: [-62, 16] }, properties: { cluster_id: 7, point_count: 2 } };
+
+        mapWrapper._expandCluster({ features: [cluster] });
+        expect(capitalSource.getClusterExpansionZoom.mock.calls[0][0]).toBe(7);
+        expect(mapWrapper._map.easeTo).toHaveBeenCalledWith({ center: [-62, 16], zoom: 4 });
+        expect(spiderSource.setData).not.toHaveBeenCalled();
+
+        capitalSource.getClusterExpansionZoom = jest.fn((id, callback) => callback(null, CAPITAL_CLUSTER_MAX_ZOOM + 1));
+        mapWrapper._expandCluster({ features: [cluster] });
+        expect(capitalSource.getClusterLeaves.mock.calls[0].slice(0, 3)).toEqual([7, 2, 0]);
+        const spider = spiderSource.setData.mock.calls[0][0];
+        expect(spider.features.filter(({ geometry }) => geometry.type === 'Point').map(({ properties }) => properties.capitalName))
+            .toEqual(['Basseterre', 'Roseau']);
+
+        // Clicking elsewhere collapses the spider, clicking a spiderfied capital doesn't
+        mapWrapper._map.getLayer = jest.fn(() => ({}));
+        mapWrapper._map.queryRenderedFeatures = jest.fn(() => [spider.features[2]]);
+        mapWrapper._collapseSpiderOnClickOutside({ point: { x: 100, y: 70 } });
+        expect(spiderSource.setData).toHaveBeenCalledTimes(1);
+        mapWrapper._map.queryRenderedFeatures = jest.fn(() => []);
+        mapWrapper._collapseSpiderOnClickOutside({ point: { x: 0, y: 0 } });
+        expect(spiderSource.setData).toHaveBeenLastCalledWith(MapWrapper.EMPTY_SPIDER);
+    });
+
+    test("test timeline displays the routes operating at its moment", async () => {
+        const june1 = Date.UTC(2024, 5, 1);
+        const hour = 60 * 60 * 1000;
+        const route = (id, schedule) => ({
+            type: 'Feature',
+            id,
+            properties: { origin: 'Helsinki', destination: `D${id}`, distance: 800, schedule },
+            geometry: { type: 'LineString', coordinates: [[0, 0], [10, 0]] }
+        });
+        const arcs = {
+            type: 'FeatureCollection',
+            features: [
+                route(0),
+                route(1, { always: false, periods: [{ from: june1, to: june1 + 24 * hour }], departures: [] }),
+                route(2, { always: false, periods: [], departures: [june1 + 30 * hour] })
+            ]
+        };
+        const sources = { route: { setData: jest.fn() }, departures: { setData: jest.fn() } };
+        mapWrapper._map.getSource = jest.fn(id => sources[id]);
+        mapWrapper.flightAnimator.setRoutes = jest.fn();
+        mapWrapper._applyRouteFilter = jest.fn();
+        dataProcessor.computeArcLinesFromSelectedCapital = jest.fn(() => Promise.resolve(arcs));
+        Object.defineProperty(dataProcessor, 'scheduleRange', { value: { start: june1, end: june1 + 48 * hour }, configurable: true });
+        const handler = jest.fn();
+        mapWrapper.addTimelineChangeHandler(handler);
+        const displayedIds = () => sources.route.setData.mock.calls[sources.route.setData.mock.calls.length - 1][0].features.map(({ id }) => id);
+
+        await mapWrapper._renderRoutes();
+        expect(mapWrapper.timeline.time).toBe(june1);
+        expect(displayedIds()).toEqual([0, 1]);
+        expect(handler).toHaveBeenCalledWith(mapWrapper.timeline);
+
+        // The flight is in the air during its block time, its plane is half way after half of it
+        const { blockTime } = mapWrapper.flightEstimator.estimate(800);
+        mapWrapper.timeline.setTime(june1 + 30 * hour + blockTime * 30 * 1000);
+        expect(displayedIds()).toEqual([0, 2]);
+        const [plane] = sources.departures.setData.mock.calls[sources.departures.setData.mock.calls.length - 1][0].features;
+        expect(plane.geometry.coordinates[0]).toBeCloseTo(5);
+
+        // The route source is only updated when other routes operate
+        const updates = sources.route.setData.mock.calls.length;
+        mapWrapper.timeline.setTime(june1 + 30 * hour + blockTime * 40 * 1000);
+        expect(sources.route.setData.mock.calls.length).toBe(updates);
+
+        // Every route is displayed when routes don't depend on time
+        Object.defineProperty(dataProcessor, 'scheduleRange', { value: null, configurable: true });
+        await mapWrapper._renderRoutes();
+        expect(displayedIds()).toEqual([0, 1, 2]);
+        expect(sources.route.setData).toHaveBeenLastCalledWith(arcs);
     });
 
     test("Test move center to", () => {
@@ -316,6 +754,24 @@ describe('Map wrapper test', () => {
         expect(cursorObj.cursor).toBe("pointer");
     });
 
+    test("test names of uploaded datasets are escaped in popups", () => {
+        const name = '<img src=x onerror=alert(1)>';
+        const escapedName = '&lt;img src=x onerror=alert(1)&gt;';
+        const { _popupWrapper: popupWrapper } = mapWrapper;
+        mapWrapper._popupWrapper = { displayMessageAtPosition: jest.fn() };
+        mapWrapper._map = { getCanvas: () => ({ style: {} }) };
+
+        mapWrapper._displayCapitalInfoPopup({
+            features: [{ geometry: { coordinates: [1, 2] }, properties: { capitalName: name, capitalDescription: `Capital of ${name}` } }]
+        });
+        expect(mapWrapper._popupWrapper.displayMessageAtPosition.mock.calls[0][0])
+            .toBe(`<h3>${escapedName}</h3> <p> Capital of ${escapedName} </p>`);
+
+        const routeMessage = popupWrapper._describeRoute({ origin: 'Helsinki', destination: name, distance: 1000 });
+        expect(routeMessage).toContain(`<h3>Helsinki - ${escapedName}</h3>`);
+        expect(routeMessage).not.toContain('<img');
+    });
+
     test("test hide capital info popup", () => {
         const cursorObj = { cursor: 'test' };
         mapWrapper._map = {
@@ -351,13 +807,447 @@ describe('Map wrapper test', () => {
         expect(mapWrapper._replaceSelectedCapital).toHaveBeenCalledWith("Helsinki");
     });
 
-    test("test replace selected capital", () => {
-        dataProcessor.setSelectedCapital = jest.fn();
-        dataProcessor.setSelectedCapital.mockReturnValue(true);
-        dataProcessor.arcLinesFromSelectedCapital = {
+    describe('Keyboard navigation', () => {
+        let spies = [];
+
+        afterEach(() => {
+            spies.forEach(spy => spy.mockRestore());
+            spies = [];
+            formatKilometers.mockReset();
+        });
+
+        test("test keyboard focus cycles through capitals", () => {
+            const capital = (capitalName, country, continent, coordinates) => ({
+                geometry: { type: 'Point', coordinates },
+                properties: { capitalName, capitalDescription: `Capital of ${country}`, countryName: country, continentName: continent }
+            });
+            Object.defineProperty(dataProcessor, 'capitalMarkers', {
+                value: {
+                    features: [
+                        capital('Tokyo', 'Japan', 'Asia', [139.7, 35.7]),
+                        capital('Helsinki', 'Finland', 'Europe', [24.9, 60.2]),
+                        capital('Madrid', 'Spain', 'Europe', [-3.7, 40.4])
+                    ]
+                },
+                configurable: true
+            });
+            Object.defineProperty(dataProcessor, 'selectedCapitals', { value: ['Helsinki'], configurable: true });
+            const moveCenterTo = jest.spyOn(mapWrapper, '_moveCenterTo').mockReturnValue(undefined);
+            const hideCapitalInfoPopup = jest.spyOn(mapWrapper, '_hideCapitalInfoPopup').mockReturnValue(undefined);
+            spies.push(moveCenterTo, hideCapitalInfoPopup, jest.spyOn(mapWrapper, '_displayCapitalInfoPopup').mockReturnValue(undefined));
+
+            expect(mapWrapper.focusNextCapital()).toBe('Helsinki, Capital of Finland, origin, 1 of 3 capitals');
+            expect(moveCenterTo).toHaveBeenLastCalledWith([24.9, 60.2]);
+            expect(mapWrapper.focusNextCapital()).toBe('Madrid, Capital of Spain, 2 of 3 capitals');
+            expect(mapWrapper.focusNextCapital(-1)).toBe('Helsinki, Capital of Finland, origin, 1 of 3 capitals');
+            // Focus cycles at both ends
+            expect(mapWrapper.focusNextCapital(-1)).toMatch(/^Tokyo/);
+
+            // Capitals hidden by the route filter are skipped, origins are not
+            mapWrapper.routeFilter.update({ hiddenContinents: ['Europe'] });
+            mapWrapper.clearKeyboardFocus();
+            expect(hideCapitalInfoPopup).toHaveBeenCalled();
+            expect(mapWrapper.focusNextCapital()).toMatch(/^Helsinki/);
+            expect(mapWrapper.focusNextCapital()).toMatch(/^Tokyo/);
+
+            const displayAllFlights = jest.spyOn(mapWrapper, '_displayAllFlightsFromChosenCapital').mockReturnValue(undefined);
+            spies.push(displayAllFlights);
+            expect(mapWrapper.selectFocusedCapital(true)).toBe('Tokyo');
+            const { features, originalEvent } = displayAllFlights.mock.calls[0][0];
+            expect(features[0].properties.capitalName).toBe('Tokyo');
+            expect(originalEvent.shiftKey).toBe(true);
+            // Focus is removed after the selection
+            expect(mapWrapper.selectFocusedCapital()).toBe('');
+        });
+
+        test("test keyboard focus cycles through routes", () => {
+            const route = (id, destination, distance) => ({
+                id,
+                properties: { origin: 'Helsinki', destination, distance },
+                geometry: { type: 'LineString', coordinates: [[24.9, 60.2], [distance / 100, 0]] }
+            });
+            // The map mock is shared by all tests, the route source is read from a map of its own
+            mapWrapper._map = {
+                getSource: jest.fn(() => ({
+                    _data: { features: [route(0, 'Tokyo', 7800), route(1, 'Tallinn', 80), route(2, 'Madrid', 2950)] }
+                }))
+            };
+            const highLightRoute = jest.spyOn(mapWrapper._popupWrapper, 'highLightRoute').mockReturnValue(undefined);
+            const unHighLightSpecificRoute = jest.spyOn(mapWrapper._popupWrapper, 'unHighLightSpecificRoute').mockReturnValue(undefined);
+            spies.push(highLightRoute, unHighLightSpecificRoute);
+            formatKilometers.mockImplementation(distance => `${distance} km`);
+
+            expect(mapWrapper.focusNextRoute()).toBe('Helsinki - Tallinn, 80 km, 1 of 3 routes');
+            const [feature, coordinates] = highLightRoute.mock.calls[0];
+            expect(feature.properties.destination).toBe('Tallinn');
+            expect(coordinates).toEqual([(24.9 + 0.8) / 2, 30.1]);
+            expect(mapWrapper.focusNextRoute(-1)).toBe('Helsinki - Tokyo, 7800 km, 3 of 3 routes');
+
+            mapWrapper.clearKeyboardFocus();
+            expect(unHighLightSpecificRoute).toHaveBeenCalled();
+            expect(mapWrapper.focusNextRoute(-1)).toMatch(/^Helsinki - Tokyo/);
+        });
+    });
+
+    test("test tap inspects capitals and routes, tap elsewhere dismisses", () => {
+        const capital = { layer: { id: 'capitals' }, geometry: { coordinates: [24.9, 60.2] }, properties: { capitalName: 'Helsinki' } };
+        const route = { layer: { id: 'route' }, id: 3, properties: { origin: 'Helsinki', destination: 'Tallinn', distance: 80 } };
+        mapWrapper._map.getLayer = jest.fn(() => ({}));
+        mapWrapper._map.queryRenderedFeatures = jest.fn(() => [route, capital]);
+        mapWrapper._displayCapitalInfoPopup = jest.fn();
+        mapWrapper._popupWrapper = { highLightRoute: jest.fn(), unHighLightSpecificRoute: jest.fn(), remove: jest.fn() };
+        const lngLat = { toArray: () => [25, 60] };
+        const tap = point => {
+            mapWrapper._handleTouchStart({ point, points: [point] });
+            mapWrapper._handleTouchEnd({ point, lngLat });
+        };
+
+        // Capitals win over routes and the hit box is around the tap
+        tap({ x: 100, y: 50 });
+        expect(mapWrapper._map.queryRenderedFeatures).toHaveBeenLastCalledWith([[88, 38], [112, 62]], { layers: ['origins', 'spider-capitals', 'capitals', 'route'] });
+        expect(mapWrapper._displayCapitalInfoPopup).toHaveBeenCalledWith({ features: [capital] });
+
+        mapWrapper._map.queryRenderedFeatures = jest.fn(() => [route]);
+        tap({ x: 100, y: 50 });
+        expect(mapWrapper._popupWrapper.highLightRoute).toHaveBeenCalledWith(route, [25, 60]);
+
+        mapWrapper._map.queryRenderedFeatures = jest.fn(() => []);
+        tap({ x: 10, y: 10 });
+        expect(mapWrapper._popupWrapper.remove).toHaveBeenCalled();
+        expect(mapWrapper._popupWrapper.unHighLightSpecificRoute).toHaveBeenCalled();
+
+        // A drag is not a tap
+        mapWrapper._popupWrapper.remove.mockClear();
+        mapWrapper._handleTouchStart({ point: { x: 10, y: 10 }, points: [{ x: 10, y: 10 }] });
+        mapWrapper._handleTouchMove({ point: { x: 40, y: 10 } });
+        mapWrapper._handleTouchEnd({ point: { x: 40, y: 10 }, lngLat });
+        expect(mapWrapper._popupWrapper.remove).not.toHaveBeenCalled();
+
+        // The click emulated by the browser after a tap doesn't select the capital
+        mapWrapper._displayAllFlightsFromChosenCapital = jest.fn();
+        mapWrapper._handleCapitalClick({ features: [capital] });
+        expect(mapWrapper._displayAllFlightsFromChosenCapital).not.toHaveBeenCalled();
+        mapWrapper._touch.endTime = 0;
+        mapWrapper._handleCapitalClick({ features: [capital] });
+        expect(mapWrapper._displayAllFlightsFromChosenCapital).toHaveBeenCalled();
+    });
+
+    test("test long press selects a capital", () => {
+        jest.useFakeTimers();
+        const capital = { layer: { id: 'capitals' }, geometry: { coordinates: [24.9, 60.2] }, properties: { capitalName: 'Helsinki' } };
+        mapWrapper._map.getLayer = jest.fn(() => ({}));
+        mapWrapper._map.queryRenderedFeatures = jest.fn(() => [capital]);
+        mapWrapper._displayAllFlightsFromChosenCapital = jest.fn();
+        mapWrapper._inspectAt = jest.fn();
+        const point = { x: 100, y: 50 };
+
+        mapWrapper._handleTouchStart({ point, points: [point] });
+        jest.advanceTimersByTime(LONG_PRESS_DURATION);
+        mapWrapper._handleTouchEnd({ point, lngLat: { toArray: () => [25, 60] } });
+        expect(mapWrapper._displayAllFlightsFromChosenCapital).toHaveBeenCalledWith({ features: [capital] });
+        expect(mapWrapper._inspectAt).not.toHaveBeenCalled();
+
+        // Lifting the finger early is a tap, 2 fingers are neither
+        mapWrapper._displayAllFlightsFromChosenCapital.mockClear();
+        mapWrapper._handleTouchStart({ point, points: [point] });
+        mapWrapper._handleTouchEnd({ point, lngLat: { toArray: () => [25, 60] } });
+        mapWrapper._handleTouchStart({ point, points: [point, point] });
+        jest.advanceTimersByTime(LONG_PRESS_DURATION);
+        expect(mapWrapper._displayAllFlightsFromChosenCapital).not.toHaveBeenCalled();
+        expect(mapWrapper._inspectAt).toHaveBeenCalledTimes(1);
+        jest.useRealTimers();
+    });
+
+    test("test shift click adds and removes origins", () => {
+        mapWrapper._moveCenterTo = jest.fn();
+        mapWrapper._replaceSelectedCapital = jest.fn();
+        mapWrapper._renderSelectedRoutes = jest.fn();
+        dataProcessor.hasCapital = jest.fn(() => true);
+        dataProcessor.addOrigin = jest.fn(() => true);
+        dataProcessor.removeOrigin = jest.fn(() => true);
+        Object.defineProperty(dataProcessor, 'selectedCapitals', { value: ['Doha', 'Dubai'] });
+
+        const shiftClickOn = capitalName => mapWrapper._displayAllFlightsFromChosenCapital({
+            features: [{ geometry: { coordinates: [1, 2] }, properties: { capitalName } }],
+            originalEvent: { shiftKey: true }
+        });
+
+        shiftClickOn('Istanbul');
+        expect(dataProcessor.addOrigin).toHaveBeenCalledWith('Istanbul');
+        expect(mapWrapper._renderSelectedRoutes).toHaveBeenCalledTimes(1);
+
+        shiftClickOn('Dubai');
+        expect(dataProcessor.removeOrigin).toHaveBeenCalledWith('Dubai');
+        expect(mapWrapper._renderSelectedRoutes).toHaveBeenCalledTimes(2);
+
+        // Nothing is rendered again when origins don't change
+        dataProcessor.removeOrigin.mockReturnValue(false);
+        mapWrapper.removeOrigin('Doha');
+        expect(mapWrapper._renderSelectedRoutes).toHaveBeenCalledTimes(2);
+
+        dataProcessor.hasCapital.mockReturnValue(false);
+        mapWrapper.addOrigin('Atlantis');
+        expect(notify).toHaveBeenCalledWith('Capital "Atlantis" is not found');
+        expect(mapWrapper._renderSelectedRoutes).toHaveBeenCalledTimes(2);
+
+        expect(mapWrapper._moveCenterTo).not.toHaveBeenCalled();
+        expect(mapWrapper._replaceSelectedCapital).not.toHaveBeenCalled();
+    });
+
+    test("test pick itinerary endpoints in route finder mode", () => {
+        const onChange = jest.fn();
+        mapWrapper._moveCenterTo = jest.fn();
+        mapWrapper._replaceSelectedCapital = jest.fn();
+        mapWrapper.showItinerary = jest.fn();
+        mapWrapper.setRouteFinderMode(true, onChange);
+
+        const clickOn = capitalName => mapWrapper._displayAllFlightsFromChosenCapital({
+            features: [{
+                geometry: { coordinates: [1, 2] },
+                properties: { capitalName }
+            }]
+        });
+
+        clickOn("Helsinki");
+        expect(onChange).toHaveBeenLastCalledWith({ origin: "Helsinki", destination: "" });
+        expect(mapWrapper.showItinerary).not.toHaveBeenCalled();
+
+        clickOn("Apia");
+        expect(onChange).toHaveBeenLastCalledWith({ origin: "Helsinki", destination: "Apia" });
+        expect(mapWrapper.showItinerary).toHaveBeenCalledWith("Helsinki", "Apia");
+
+        // A new pick starts a new itinerary
+        clickOn("Oslo");
+        expect(onChange).toHaveBeenLastCalledWith({ origin: "Oslo", destination: "" });
+
+        expect(mapWrapper._moveCenterTo).not.toHaveBeenCalled();
+        expect(mapWrapper._replaceSelectedCapital).not.toHaveBeenCalled();
+    });
+
+    test("test show and clear itinerary", () => {
+        const itinerary = { type: 'FeatureCollection', features: [{ geometry: { coordinates: [[1, 2], [3, 4]] } }] };
+        dataProcessor.findItinerary = jest.fn();
+        dataProcessor.findItinerary.mockReturnValueOnce(null).mockReturnValueOnce({
+            path: ["Helsinki", "Apia"],
+            legs: [{ origin: "Helsinki", destination: "Apia", distance: 15000 }],
+            distance: 15000,
+            itinerary
+        });
+
+        const mockSetData = jest.fn();
+        mapWrapper._map.getSource = jest.fn();
+        mapWrapper._map.getSource.mockReturnValue({ setData: mockSetData });
+        mapWrapper._popupWrapper = { displayMessageAtPosition: jest.fn(), remove: jest.fn() };
+
+        expect(mapWrapper.showItinerary("Helsinki", "Apia")).toBeNull();
+        expect(mockSetData).not.toHaveBeenCalled();
+
+        mapWrapper.showItinerary("Helsinki", "Apia");
+        expect(mapWrapper._map.getSource).toHaveBeenCalledWith("itinerary");
+        expect(mockSetData).toHaveBeenLastCalledWith(itinerary);
+        expect(mapWrapper._popupWrapper.displayMessageAtPosition.mock.calls[0][1]).toEqual([3, 4]);
+
+        // Names of uploaded datasets are escaped
+        dataProcessor.findItinerary.mockReturnValueOnce({
+            path: ["Helsinki", "<b>Apia</b>"],
+            legs: [{ origin: "Helsinki", destination: "<b>Apia</b>", distance: 15000 }],
+            distance: 15000,
+            itinerary
+        });
+        mapWrapper.showItinerary("Helsinki", "<b>Apia</b>");
+        const message = mapWrapper._popupWrapper.displayMessageAtPosition.mock.calls[1][0];
+        expect(message).toContain("<h3>Helsinki - &lt;b&gt;Apia&lt;/b&gt;</h3>");
+        expect(message).toContain("<li>Helsinki - &lt;b&gt;Apia&lt;/b&gt;:");
+        expect(message).not.toContain("<b>");
+
+        mapWrapper.clearItinerary();
+        expect(mockSetData).toHaveBeenLastCalledWith(MapWrapper.EMPTY_ITINERARY);
+        expect(mapWrapper._popupWrapper.remove).toHaveBeenCalled();
+    });
+
+    test("test show and clear reachability", async () => {
+        const edge = (origin, destination, hops, cumulativeDistance) => ({
+            type: 'Feature',
+            properties: { origin, destination, hops, cumulativeDistance },
+            geometry: { type: 'LineString', coordinates: [[1, 2], [3, 4]] }
+        });
+        const capital = (capitalName, hops, cumulativeDistance) => ({
+            type: 'Feature',
+            properties: { capitalName, hops, cumulativeDistance },
+            geometry: { type: 'Point', coordinates: [3, 4] }
+        });
+        const reachability = {
+            origin: "Helsinki",
+            metric: RouteGraph.REACH_METRICS.HOPS,
+            limit: 2,
+            reached: [
+                { name: "Tallinn", hops: 1, distance: 80, previous: "Helsinki" },
+                { name: "Riga", hops: 2, distance: 360, previous: "Tallinn" }
+            ],
+            capitals: { type: 'FeatureCollection', features: [capital("Tallinn", 1, 80), capital("Riga", 2, 360)] },
+            tree: { type: 'FeatureCollection', features: [edge("Helsinki", "Tallinn", 1, 80), edge("Tallinn", "Riga", 2, 360)] }
+        };
+        dataProcessor.computeReachability = jest.fn(() => Promise.resolve(reachability));
+        Object.defineProperty(dataProcessor, 'selectedCapital', { value: "Helsinki", configurable: true });
+
+        const mockSetData = jest.fn();
+        mapWrapper._map.getSource = jest.fn(() => ({ setData: mockSetData }));
+        mapWrapper._map.getLayer = jest.fn(() => ({}));
+        mapWrapper._map.setLayoutProperty = jest.fn();
+        const handler = jest.fn();
+        mapWrapper.addReachabilityChangeHandler(handler);
+
+        mapWrapper._arcDensityZoom = 3;
+        expect(await mapWrapper.showReachability({ metric: RouteGraph.REACH_METRICS.HOPS, limit: 2 })).toBe(reachability);
+        expect(dataProcessor.computeReachability).toHaveBeenCalledWith("Helsinki", RouteGraph.REACH_METRICS.HOPS, 2, DEFAULT_MAX_LEG_LENGTH, 3);
+        expect(mapWrapper._map.getSource).toHaveBeenCalledWith("reachability");
+        expect(handler).toHaveBeenLastCalledWith(reachability);
+
+        // Tree edges come before reached capitals, both colored by hops
+        const { features } = mockSetData.mock.calls[0][0];
+        expect(features.map(({ geometry }) => geometry.type)).toEqual(['LineString', 'LineString', 'Point', 'Point']);
+        expect(features.map(({ properties }) => properties.color)).toEqual([
+            Stylings.getHopColor(1), Stylings.getHopColor(2), Stylings.getHopColor(1), Stylings.getHopColor(2)
+        ]);
+        MapWrapper.ROUTE_LAYER_IDS.forEach(layerId => {
+            expect(mapWrapper._map.setLayoutProperty).toHaveBeenCalledWith(layerId, 'visibility', 'none');
+        });
+
+        // Cumulative distances are colored like routes
+        await mapWrapper.showReachability({ metric: RouteGraph.REACH_METRICS.DISTANCE, limit: 500 });
+        reachability.metric = RouteGraph.REACH_METRICS.DISTANCE;
+        await mapWrapper.showReachability({ metric: RouteGraph.REACH_METRICS.DISTANCE, limit: 500 });
+        expect(mockSetData.mock.calls[2][0].features[1].properties.color).toBe(styling.getLineProperties(360).color);
+
+        // The popup of a reached capital shows its best path
+        expect(mapWrapper._describeReachedCapital("Riga")).toBe(`<p> 2 hops, ${formatKilometers(360)}: Helsinki - Tallinn - Riga </p>`);
+        expect(mapWrapper._describeReachedCapital("Apia")).toBe('');
+        reachability.reached[0].name = "<i>Tallinn</i>";
+        reachability.reached[1].previous = "<i>Tallinn</i>";
+        expect(mapWrapper._describeReachedCapital("Riga")).toContain("Helsinki - &lt;i&gt;Tallinn&lt;/i&gt; - Riga");
+
+        mapWrapper.clearReachability();
+        expect(mockSetData).toHaveBeenLastCalledWith(MapWrapper.EMPTY_REACHABILITY);
+        expect(mapWrapper._map.setLayoutProperty).toHaveBeenLastCalledWith(MapWrapper.DEPARTURES_LAYER_ID, 'visibility', 'visible');
+        expect(mapWrapper.reachability).toBeNull();
+        expect(handler).toHaveBeenLastCalledWith(null);
+    });
+
+    test("test show and clear centrality", () => {
+        const centrality = [
+            { name: "Helsinki", degree: 4, frequency: 10 },
+            { name: "Tallinn", degree: 1, frequency: 5 }
+        ];
+        dataProcessor.computeCentrality = jest.fn(() => centrality);
+        Object.defineProperty(dataProcessor, 'selectedCapitals', { value: ['Oslo'], configurable: true });
+        Object.defineProperty(dataProcessor, 'capitalMarkers', {
+            value: {
+                type: 'FeatureCollection',
+                features: ["Helsinki", "Tallinn", "Apia", "Oslo"].map(capitalName => ({ properties: { capitalName } }))
+            },
+            configurable: true
+        });
+        const mockSetData = jest.fn();
+        mapWrapper._map.getSource = jest.fn(() => ({ setData: mockSetData }));
+        mapWrapper._map.getLayer = jest.fn(() => ({}));
+        mapWrapper._map.setLayoutProperty = jest.fn();
+        mapWrapper._map.setPaintProperty = jest.fn();
+        const handler = jest.fn();
+        mapWrapper.addCentralityChangeHandler(handler);
+
+        // Ranking only, markers keep their style
+        expect(mapWrapper.showCentrality({ metric: 'degree' })).toEqual({ metric: 'degree', styleMarkers: false, capitals: centrality });
+        expect(handler).toHaveBeenLastCalledWith(mapWrapper.centrality);
+        expect(mockSetData.mock.calls[0][0].features[0].properties).toEqual({ capitalName: "Helsinki" });
+        expect(mapWrapper._map.setLayoutProperty).toHaveBeenCalledWith('capitals', 'icon-image', 'airport-11');
+
+        mapWrapper.showCentrality({ metric: 'frequency', styleMarkers: true });
+        const [capitals, origins] = mockSetData.mock.calls.slice(-3).map(([data]) => data);
+        expect(capitals.features.map(({ properties }) => properties.centrality)).toEqual([1, 0.5, 0]);
+        expect(origins.features.map(({ properties }) => properties)).toEqual([{ capitalName: "Oslo" }]);
+        const { layout, paint } = Stylings.getCapitalIconStyles(true);
+        expect(mapWrapper._map.setLayoutProperty).toHaveBeenCalledWith('capitals', 'icon-size', layout['icon-size']);
+        expect(mapWrapper._map.setPaintProperty).toHaveBeenLastCalledWith('capitals', 'icon-color', paint['icon-color']);
+
+        // Capitals are only restyled when the route network changes
+        const callCount = handler.mock.calls.length;
+        mapWrapper._refreshCentrality();
+        expect(handler).toHaveBeenCalledTimes(callCount);
+        dataProcessor.computeCentrality = jest.fn(() => null);
+        mapWrapper._refreshCentrality();
+        expect(handler).toHaveBeenLastCalledWith({ metric: 'frequency', styleMarkers: true, capitals: null });
+        expect(mapWrapper._map.setLayoutProperty).toHaveBeenLastCalledWith('capitals', 'icon-size', 1);
+
+        mapWrapper.clearCentrality();
+        expect(mapWrapper.centrality).toBeNull();
+        expect(handler).toHaveBeenLastCalledWith(null);
+    });
+
+    test("test show and clear route diff", () => {
+        const routes = { type: 'FeatureCollection', features: [{ properties: { diffStatus: 'ADDED' } }] };
+        const mockSetData = jest.fn();
+        mapWrapper._map.getSource = jest.fn(() => ({ setData: mockSetData }));
+        mapWrapper._map.getLayer = jest.fn(() => ({}));
+        mapWrapper._map.setLayoutProperty = jest.fn();
+
+        mapWrapper.showRouteDiff(routes);
+        expect(mapWrapper._map.getSource).toHaveBeenCalledWith("route-diff");
+        expect(mockSetData).toHaveBeenLastCalledWith(routes);
+        expect(mapWrapper._map.setLayoutProperty).toHaveBeenCalledWith('route', 'visibility', 'none');
+
+        mapWrapper.clearRouteDiff();
+        expect(mockSetData).toHaveBeenLastCalledWith(MapWrapper.EMPTY_ROUTE_DIFF);
+        expect(mapWrapper._map.setLayoutProperty).toHaveBeenLastCalledWith(MapWrapper.DEPARTURES_LAYER_ID, 'visibility', 'visible');
+
+        mockSetData.mockClear();
+        mapWrapper.clearRouteDiff();
+        expect(mockSetData).not.toHaveBeenCalled();
+    });
+
+    test("test camera follows another map", () => {
+        const handler = jest.fn();
+        mapWrapper._map.on = jest.fn();
+        mapWrapper._map.once = jest.fn();
+        mapWrapper._map.getCenter = () => ({ lng: 1, lat: 2 });
+        mapWrapper._map.getBearing = () => 4;
+        mapWrapper._map.getPitch = () => 5;
+        mapWrapper._map.jumpTo = jest.fn();
+        mapWrapper._map.resize = jest.fn();
+
+        mapWrapper.addCameraMoveHandler(handler);
+        mapWrapper._loadMapInitially();
+        const [, notifyCameraMove] = mapWrapper._map.on.mock.calls.find(([event]) => event === 'move');
+        notifyCameraMove();
+        expect(handler).toHaveBeenCalledWith({ center: [1, 2], zoom: DEFAULT_ZOOM_LEVEL, bearing: 4, pitch: 5 });
+
+        mapWrapper.jumpTo({ zoom: 3 });
+        expect(mapWrapper._map.jumpTo).toHaveBeenCalledWith({ zoom: 3 });
+        mapWrapper.resize();
+        expect(mapWrapper._map.resize).toHaveBeenCalled();
+    });
+
+    test("test set origins", () => {
+        dataProcessor.hasCapital = jest.fn(name => name !== "Atlantis");
+        dataProcessor.setSelectedCapitals = jest.fn();
+        dataProcessor.setSelectedCapitals.mockReturnValueOnce(true).mockReturnValueOnce(false);
+        mapWrapper._renderSelectedRoutes = jest.fn();
+
+        mapWrapper.setOrigins(["Helsinki", "Atlantis", "Oslo"]);
+        expect(dataProcessor.setSelectedCapitals).toHaveBeenCalledWith(["Helsinki", "Oslo"]);
+        expect(mapWrapper._renderSelectedRoutes).toHaveBeenCalledTimes(1);
+
+        mapWrapper.setOrigins(["Helsinki", "Oslo"]);
+        expect(mapWrapper._renderSelectedRoutes).toHaveBeenCalledTimes(1);
+    });
+
+    test("test replace selected capital", async () => {
+        const arcs = {
             'type': 'FeatureCollection',
             'features': []
         };
+        dataProcessor.setSelectedCapital = jest.fn();
+        dataProcessor.setSelectedCapital.mockReturnValue(true);
+        dataProcessor.computeArcLinesFromSelectedCapital = jest.fn(() => Promise.resolve(arcs));
 
         mapWrapper._map.getSource = jest.fn();
         const mockSetData = jest.fn();
@@ -365,15 +1255,105 @@ describe('Map wrapper test', () => {
             setData: mockSetData
         });
 
-        mapWrapper._replaceSelectedCapital("Washinton D.C");
+        const routesChangeHandler = jest.fn();
+        mapWrapper.addRoutesChangeHandler(routesChangeHandler);
+
+        await mapWrapper._replaceSelectedCapital("Washinton D.C");
 
         expect(mapWrapper._map.getSource).toHaveBeenCalledWith("route");
 
         expect(mockSetData).toHaveBeenCalled();
-        expect(mockSetData.mock.calls[0][0]).toEqual({
-            'type': 'FeatureCollection',
-            'features': []
+        expect(mockSetData.mock.calls[0][0]).toEqual(arcs);
+        expect(routesChangeHandler).toHaveBeenCalledWith(arcs);
+    });
+
+    test("test arcs of a cancelled or failed computation are not rendered", async () => {
+        const mockSetData = jest.fn();
+        mapWrapper._map.getSource = jest.fn(() => ({ setData: mockSetData }));
+        notify.mockClear();
+
+        dataProcessor.computeArcLinesFromSelectedCapital = jest.fn(() => Promise.resolve(null));
+        await mapWrapper._renderRoutes();
+        expect(mockSetData).not.toHaveBeenCalled();
+        expect(notify).not.toHaveBeenCalled();
+
+        dataProcessor.computeArcLinesFromSelectedCapital = jest.fn(() => Promise.reject(new Error("Script error")));
+        await mapWrapper._renderRoutes();
+        expect(mockSetData).not.toHaveBeenCalled();
+        expect(notify).toHaveBeenCalledWith("Arcs can't be computed: Script error");
+    });
+
+    test("test reachability errors are not reported as arcs errors", async () => {
+        const arcs = { 'type': 'FeatureCollection', 'features': [] };
+        const mockSetData = jest.fn();
+        dataProcessor.computeArcLinesFromSelectedCapital = jest.fn(() => Promise.resolve(arcs));
+        dataProcessor.computeReachability = jest.fn(() => {
+            throw new Error("Unknown capital");
         });
+        mapWrapper._map.getSource = jest.fn(() => ({ setData: mockSetData }));
+        mapWrapper.flightAnimator.setRoutes = jest.fn();
+        notify.mockClear();
+
+        await expect(mapWrapper.showReachability({ metric: RouteGraph.REACH_METRICS.HOPS, limit: 2 })).rejects.toThrow("Unknown capital");
+        await mapWrapper._renderRoutes();
+        expect(mockSetData).toHaveBeenCalledWith(arcs);
+        expect(notify).toHaveBeenCalledWith("Reachability can't be computed: Unknown capital");
+        expect(notify).not.toHaveBeenCalledWith(expect.stringContaining("Arcs can't be computed"));
+
+        notify.mockClear();
+        await mapWrapper.setMaxLegLength(1000);
+        expect(notify).toHaveBeenCalledWith("Reachability can't be computed: Unknown capital");
+
+        mapWrapper.clearReachability();
+        delete mapWrapper._map.getSource;
     });
 
-});
\ No newline at end of file
+    test("test arcs are computed again when the zoom crosses a density level", async () => {
+        const arcs = { 'type': 'FeatureCollection', 'features': [] };
+        dataProcessor.computeArcLinesFromSelectedCapital = jest.fn(() => Promise.resolve(arcs));
+        mapWrapper._map.getSource = jest.fn(() => ({ setData: jest.fn() }));
+        mapWrapper.flightAnimator.setRoutes = jest.fn();
+        mapWrapper.flightAnimator.play = jest.fn();
+
+        await mapWrapper._renderRoutes();
+        expect(dataProcessor.computeArcLinesFromSelectedCapital).toHaveBeenCalledTimes(1);
+
+        mapWrapper._map.getZoom.mockReturnValue(DEFAULT_ZOOM_LEVEL + 0.7);
+        mapWrapper._refreshArcDensity();
+        expect(dataProcessor.computeArcLinesFromSelectedCapital).toHaveBeenCalledTimes(1);
+
+        mapWrapper._map.getZoom.mockReturnValue(DEFAULT_ZOOM_LEVEL + 1.2);
+        mapWrapper._refreshArcDensity();
+        expect(dataProcessor.computeArcLinesFromSelectedCapital).toHaveBeenLastCalledWith(DEFAULT_ZOOM_LEVEL + 1.2);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(mapWrapper.flightAnimator.setRoutes).toHaveBeenCalledTimes(2);
+        // Animation stopped by the new arcs is not resumed when it wasn't playing
+        expect(mapWrapper.flightAnimator.play).not.toHaveBeenCalled();
+
+        delete mapWrapper._map.getSource;
+    });
+
+    test("test highlighted distance range is only reset when other routes are displayed", async () => {
+        const route = (origin, destination) => ({
+            type: 'Feature', properties: { origin, destination, distance: 1000 }, geometry: { type: 'LineString', coordinates: [] }
+        });
+        const arcs = { 'type': 'FeatureCollection', 'features': [route("Helsinki", "Tallinn"), route("Helsinki", "Riga")] };
+        dataProcessor.computeArcLinesFromSelectedCapital = jest.fn(() => Promise.resolve(arcs));
+        mapWrapper._map.getSource = jest.fn(() => ({ setData: jest.fn() }));
+        mapWrapper.flightAnimator.setRoutes = jest.fn();
+        const range = { from: 500, to: 1500 };
+
+        await mapWrapper._renderRoutes();
+        mapWrapper.highLightDistanceRange(range);
+        // Arcs of the same routes recomputed for another zoom
+        dataProcessor.computeArcLinesFromSelectedCapital = jest.fn(() => Promise.resolve({ ...arcs, features: arcs.features.slice().reverse() }));
+        await mapWrapper._renderRoutes();
+        expect(mapWrapper.highlightedDistanceRange).toEqual(range);
+
+        dataProcessor.computeArcLinesFromSelectedCapital = jest.fn(() => Promise.resolve({ ...arcs, features: [route("Helsinki", "Oslo")] }));
+        await mapWrapper._renderRoutes();
+        expect(mapWrapper.highlightedDistanceRange).toBeNull();
+
+        delete mapWrapper._map.getSource;
+    });
+});
@@ -0,0 +1,101 @@
+import { RouteFilter } from '../route-filter.js';
+import { ROUTE_FILTER_MAX_DISTANCE } from '../constants.js';
+
+const routes = [
+    { distance: 500, destinationContinent: 'Europe', destinationCountry: 'Finland' },
+    { distance: 3000, destinationContinent: 'Europe', destinationCountry: 'Spain' },
+    { distance: 7000, destinationContinent: 'Asia', destinationCountry: 'Japan' },
+    { distance: 15000, destinationContinent: 'Oceania', destinationCountry: 'Fiji' }
+];
+
+const capitals = [
+    { capitalName: 'Helsinki', continentName: 'Europe', countryName: 'Finland' },
+    { capitalName: 'Tokyo', continentName: 'Asia', countryName: 'Japan' },
+    { capitalName: 'Suva', continentName: 'Oceania', countryName: 'Fiji' }
+];
+
+/**
+ * Evaluate the subset of mapbox expressions built by RouteFilter
+ * @param {Array} expression mapbox expression
+ * @param {Object} properties feature properties
+ * @returns {*} value of the expression
+ */
+function evaluate(expression, properties) {
+    if (!Array.isArray(expression)) {
+        return expression;
+    }
+    const [operator, ...args] = expression;
+    switch (operator) {
+        case 'get': return properties[args[0]];
+        case 'all': return args.every(arg => evaluate(arg, properties));
+        case '!': return !evaluate(args[0], properties);
+        case '>=': return evaluate(args[0], properties) >= args[1];
+        case '<=': return evaluate(args[0], properties) <= args[1];
+        case 'match': return args[1].includes(evaluate(args[0], properties)) ? args[2] : args[3];
+        default: throw new Error(`Unexpected operator ${operator}`);
+    }
+}
+
+describe('Test route filter', () => {
+    let routeFilter;
+
+    beforeEach(() => {
+        routeFilter = new RouteFilter();
+    });
+
+    test('every route and capital is shown by default', () => {
+        expect(routeFilter.isActive).toBe(false);
+        expect(routeFilter.routeExpression()).toBeNull();
+        expect(capitals.every(capital => routeFilter.matchesCapital(capital))).toBe(true);
+        expect(routes.every(routeFilter.matchesRoute)).toBe(true);
+        expect(routeFilter.criteria).toEqual({
+            minDistance: 0,
+            maxDistance: ROUTE_FILTER_MAX_DISTANCE,
+            hiddenContinents: [],
+            includedCountries: [],
+            excludedCountries: []
+        });
+    });
+
+    test('filter routes by distance range', () => {
+        routeFilter.update({ minDistance: 1000, maxDistance: 10000 });
+        expect(routes.filter(routeFilter.matchesRoute).map(({ distance }) => distance)).toEqual([3000, 7000]);
+
+        // Swapped and out of range distances are fixed
+        routeFilter.update({ minDistance: 50000, maxDistance: -10 });
+        expect(routeFilter.criteria).toMatchObject({ minDistance: 0, maxDistance: ROUTE_FILTER_MAX_DISTANCE });
+        expect(routeFilter.isActive).toBe(false);
+    });
+
+    test('filter routes by continent and country', () => {
+        routeFilter.update({ hiddenContinents: ['Oceania', 'Oceania', ''] });
+        expect(routeFilter.criteria.hiddenContinents).toEqual(['Oceania']);
+        expect(routes.filter(routeFilter.matchesRoute).length).toBe(3);
+
+        routeFilter.update({ includedCountries: ['Finland', 'Spain', 'Fiji'], excludedCountries: ['Spain'] });
+        expect(routes.filter(routeFilter.matchesRoute).map(({ destinationCountry }) => destinationCountry)).toEqual(['Finland']);
+
+        // Missing criteria are unchanged
+        routeFilter.update({ minDistance: 100 });
+        expect(routeFilter.criteria.includedCountries).toEqual(['Finland', 'Spain', 'Fiji']);
+
+        routeFilter.reset();
+        expect(routeFilter.isActive).toBe(false);
+    });
+
+    test('expression gives the same result as the predicate', () => {
+        routeFilter.update({ minDistance: 1000, maxDistance: 16000, hiddenContinents: ['Asia'], excludedCountries: ['Spain'] });
+        routes.forEach(route => {
+            expect(evaluate(routeFilter.routeExpression(), route)).toBe(routeFilter.matchesRoute(route));
+        });
+    });
+
+    test('selected origins stay visible', () => {
+        routeFilter.update({ hiddenContinents: ['Europe'] });
+        expect(routeFilter.matchesCapital(capitals[0])).toBe(false);
+        expect(routeFilter.matchesCapital(capitals[0], ['Helsinki'])).toBe(true);
+        // The distance doesn't hide capitals
+        routeFilter.update({ hiddenContinents: [], minDistance: 5000 });
+        expect(capitals.every(capital => routeFilter.matchesCapital(capital))).toBe(true);
+    });
+});
@@ -0,0 +1,89 @@
+import { RouteGraph } from '../route-graph.js';
+
+const nodes = {
+    Helsinki: [24.93, 60.17],
+    Tallinn: [24.75, 59.43],
+    Riga: [24.1, 56.95],
+    Vilnius: [25.28, 54.68],
+    Reykjavik: [-21.95, 64.15]
+};
+
+describe('Route graph test', () => {
+
+    test('test great-circle distance', () => {
+        expect(RouteGraph.greatCircleDistance(nodes.Helsinki, nodes.Tallinn)).toBeCloseTo(82.9, 0);
+    });
+
+    test('test build graph from max leg length', () => {
+        const graph = RouteGraph.fromMaxLegLength(nodes, 300);
+
+        expect(graph.edgesFrom('Helsinki').map(({ destination }) => destination)).toEqual(['Tallinn']);
+        expect(graph.edgesFrom('Riga').map(({ destination }) => destination)).toEqual(['Tallinn', 'Vilnius']);
+        expect(graph.edgesFrom('Reykjavik')).toEqual([]);
+    });
+
+    test('test build graph from edge list', () => {
+        const graph = RouteGraph.fromEdgeList(nodes, [
+            { origin: 'Helsinki', destination: 'Vilnius' },
+            { origin: 'Helsinki', destination: 'Atlantis' }
+        ]);
+
+        expect(graph.edgesFrom('Helsinki').length).toBe(1);
+        expect(graph.edgesFrom('Vilnius')).toEqual([]);
+    });
+
+    test('test shortest path prefers short legs under the max leg length', () => {
+        const graph = RouteGraph.fromMaxLegLength(nodes, 300);
+        const result = graph.shortestPath('Helsinki', 'Vilnius');
+
+        expect(result.path).toEqual(['Helsinki', 'Tallinn', 'Riga', 'Vilnius']);
+        expect(result.legs.map(({ origin, destination }) => `${origin}-${destination}`)).toEqual(['Helsinki-Tallinn', 'Tallinn-Riga', 'Riga-Vilnius']);
+        expect(result.distance).toBeCloseTo(result.legs.reduce((total, { distance }) => total + distance, 0));
+        expect(result.legs[0].distance).toBeCloseTo(RouteGraph.greatCircleDistance(nodes.Helsinki, nodes.Tallinn));
+    });
+
+    test('test shortest path takes the direct edge when it is the shortest', () => {
+        const graph = RouteGraph.fromMaxLegLength(nodes, 1000);
+        expect(graph.shortestPath('Helsinki', 'Vilnius').path).toEqual(['Helsinki', 'Vilnius']);
+    });
+
+    test('test shortest path follows edge directions', () => {
+        const graph = RouteGraph.fromEdgeList(nodes, [
+            { origin: 'Helsinki', destination: 'Tallinn' },
+            { origin: 'Tallinn', destination: 'Reykjavik' },
+            { origin: 'Helsinki', destination: 'Riga' },
+            { origin: 'Riga', destination: 'Reykjavik' }
+        ]);
+
+        expect(graph.shortestPath('Helsinki', 'Reykjavik').path).toEqual(['Helsinki', 'Tallinn', 'Reykjavik']);
+        expect(graph.shortestPath('Reykjavik', 'Helsinki')).toBeNull();
+        expect(graph.shortestPath('Helsinki', 'Atlantis')).toBeNull();
+        expect(graph.shortestPath('Helsinki', 'Helsinki')).toEqual({ path: ['Helsinki'], legs: [], distance: 0 });
+    });
+
+    test('test reachable capitals by hops', () => {
+        const graph = RouteGraph.fromMaxLegLength(nodes, 300);
+        const reached = graph.reachableFrom('Helsinki', RouteGraph.REACH_METRICS.HOPS, 2);
+
+        expect(reached.map(({ name, hops, previous }) => [name, hops, previous])).toEqual([
+            ['Helsinki', 0, null],
+            ['Tallinn', 1, 'Helsinki'],
+            ['Riga', 2, 'Tallinn']
+        ]);
+        expect(reached[2].distance).toBeCloseTo(graph.shortestPath('Helsinki', 'Riga').distance);
+        expect(graph.reachableFrom('Helsinki').map(({ name }) => name)).toEqual(['Helsinki', 'Tallinn', 'Riga', 'Vilnius']);
+        expect(graph.reachableFrom('Atlantis')).toEqual([]);
+    });
+
+    test('test reachable capitals prefer fewer hops then shorter distance', () => {
+        const graph = RouteGraph.fromMaxLegLength(nodes, 1000);
+
+        const byHops = graph.reachableFrom('Helsinki', RouteGraph.REACH_METRICS.HOPS);
+        expect(byHops.find(({ name }) => name === 'Vilnius')).toMatchObject({ hops: 1, previous: 'Helsinki' });
+
+        const byDistance = graph.reachableFrom('Helsinki', RouteGraph.REACH_METRICS.DISTANCE, 300);
+        expect(byDistance.map(({ name }) => name)).toEqual(['Helsinki', 'Tallinn']);
+        expect(graph.reachableFrom('Helsinki', RouteGraph.REACH_METRICS.DISTANCE).find(({ name }) => name === 'Vilnius'))
+            .toMatchObject({ hops: 1, previous: 'Helsinki' });
+    });
+});
@@ -0,0 +1,90 @@
+import { routeLoaders } from '../route-loaders.js';
+
+const routesDat = [
+    'AY,2350,HEL,421,RUH,2082,,0,320',
+    'SV,4435,RUH,2082,HEL,421,Y,0,320 321',
+    'XX,\\N,\\N,\\N,HEL,421,,0,320'
+].join('\n');
+
+describe('Route loaders test', () => {
+
+    test('test select route loader', () => {
+        expect(routeLoaders.resolve({ fileName: 'routes.dat' }).name).toBe('routes-dat');
+        expect(routeLoaders.sniff(routesDat).name).toBe('routes-dat');
+        expect(routeLoaders.sniff('origin,destination\nA,B').name).toBe('routes-csv');
+    });
+
+    test('test parse routes.dat', () => {
+        const { records, errors } = routeLoaders.parse(routesDat);
+
+        expect(records).toEqual([
+            { origin: 'HEL', destination: 'RUH', airline: 'AY', frequency: 1, originId: '421', destinationId: '2082', line: 1 },
+            { origin: 'RUH', destination: 'HEL', airline: 'SV', frequency: 1, originId: '2082', destinationId: '421', line: 2 }
+        ]);
+        expect(errors).toEqual([{ line: 3, index: 2, message: 'missing origin' }]);
+    });
+
+    test('test parse routes csv', () => {
+        const csv = 'from,to,carrier,flights\nHelsinki,Riyadh,AY,7\nHelsinki,Oslo,,abc\nOslo,Helsinki,SK,';
+        const { records, errors, format } = routeLoaders.parse(csv, { fileName: 'routes.csv' });
+
+        expect(format).toBe('routes-csv');
+        expect(records).toEqual([
+            { origin: 'Helsinki', destination: 'Riyadh', airline: 'AY', frequency: 7, line: 2 },
+            { origin: 'Oslo', destination: 'Helsinki', airline: 'SK', frequency: 1, line: 4 }
+        ]);
+        expect(errors).toEqual([{ line: 3, index: 1, message: 'invalid frequency "abc" for Helsinki - Oslo' }]);
+    });
+
+    test('test parse seats of routes', () => {
+        const csv = 'origin,destination,seats\nHelsinki,Riyadh,180\nHelsinki,Oslo,-1\nOslo,Helsinki,';
+        const { records, errors } = routeLoaders.parse(csv, { fileName: 'routes.csv' });
+
+        expect(records).toEqual([
+            { origin: 'Helsinki', destination: 'Riyadh', airline: '', frequency: 1, seats: 180, line: 2 },
+            { origin: 'Oslo', destination: 'Helsinki', airline: '', frequency: 1, line: 4 }
+        ]);
+        expect(errors).toEqual([{ line: 3, index: 1, message: 'invalid seats "-1" for Helsinki - Oslo' }]);
+    });
+
+    test('test parse passengers of routes', () => {
+        const csv = 'origin,destination,seats,pax\nHelsinki,Riyadh,180,150\nHelsinki,Oslo,100,many\nOslo,Helsinki,,90';
+        const { records, errors } = routeLoaders.parse(csv, { fileName: 'routes.csv' });
+
+        expect(records).toEqual([
+            { origin: 'Helsinki', destination: 'Riyadh', airline: '', frequency: 1, seats: 180, passengers: 150, line: 2 },
+            { origin: 'Oslo', destination: 'Helsinki', airline: '', frequency: 1, passengers: 90, line: 4 }
+        ]);
+        expect(errors).toEqual([{ line: 3, index: 1, message: 'invalid passengers "many" for Helsinki - Oslo' }]);
+    });
+
+    test('test parse dates of schedules', () => {
+        const csv = [
+            'origin,destination,valid_from,valid_to,departure',
+            'Helsinki,Oslo,2024-06-01,2024-06-30,',
+            'Helsinki,Riyadh,,,2024-06-01T08:30:00Z',
+            'Oslo,Helsinki,June,,',
+            'Oslo,Riyadh,2024-07-01,2024-06-01,'
+        ].join('\n');
+        const { records, errors } = routeLoaders.parse(csv, { format: 'routes-csv' });
+
+        expect(records).toEqual([
+            {
+                origin: 'Helsinki', destination: 'Oslo', airline: '', frequency: 1, line: 2,
+                // The last day of a period is included
+                validFrom: Date.UTC(2024, 5, 1), validTo: Date.UTC(2024, 6, 1)
+            },
+            { origin: 'Helsinki', destination: 'Riyadh', airline: '', frequency: 1, line: 3, departure: Date.UTC(2024, 5, 1, 8, 30) }
+        ]);
+        expect(errors).toEqual([
+            { line: 4, index: 2, message: 'invalid validFrom "June" for Oslo - Helsinki' },
+            { line: 5, index: 3, message: 'validFrom is after validTo for Oslo - Riyadh' }
+        ]);
+    });
+
+    test('test routes csv with missing columns is rejected', () => {
+        const { records, errors } = routeLoaders.parse('a,b\nx,y', { format: 'routes-csv' });
+        expect(records).toEqual([]);
+        expect(errors).toEqual([{ line: 1, index: 0, message: 'missing column(s): origin, destination' }]);
+    });
+});
@@ -0,0 +1,97 @@
+import { median, niceBinWidth, computeHistogram, computeRouteStats } from '../route-stats.js';
+
+/**
+ * Create a route feature
+ * @param {string} destination name of the destination
+ * @param {number} distance distance in km
+ * @param {string} category distance category
+ * @param {string} destinationContinent continent of the destination
+ * @returns {GEOJSON.Feature<LineString>} route
+ */
+function route(destination, distance, category, destinationContinent) {
+    return {
+        type: 'Feature',
+        properties: { origin: 'Helsinki', destination, distance, category, destinationContinent },
+        geometry: { type: 'LineString', coordinates: [] }
+    };
+}
+
+const routes = {
+    type: 'FeatureCollection',
+    features: [
+        route('Tallinn', 80, 'SHORT', 'Europe'),
+        route('Madrid', 2950, 'LOWER_MEDIUM', 'Europe'),
+        route('Tokyo', 7820, 'UPPER_MEDIUM', 'Asia'),
+        route('Wellington', 17200, 'LONG', 'Oceania'),
+        route('Stockholm', 400, 'SHORT', 'Europe')
+    ]
+};
+
+describe('Test route statistics', () => {
+
+    test('median of sorted values', () => {
+        expect(median([1, 3, 8])).toBe(3);
+        expect(median([1, 3, 8, 10])).toBe(5.5);
+        expect(median([])).toBeNaN();
+    });
+
+    test('nice bin widths', () => {
+        expect(niceBinWidth(0)).toBe(1);
+        expect(niceBinWidth(1720)).toBe(2000);
+        expect(niceBinWidth(2100)).toBe(2500);
+        expect(niceBinWidth(450)).toBe(500);
+        expect(niceBinWidth(1000)).toBe(1000);
+    });
+
+    test('histogram of distances', () => {
+        expect(computeHistogram([])).toEqual([]);
+
+        const histogram = computeHistogram([80, 400, 2950, 7820, 17200], 10);
+        expect(histogram.length).toBe(9);
+        expect(histogram[0]).toEqual({ from: 0, to: 2000, count: 2 });
+        expect(histogram[1]).toEqual({ from: 2000, to: 4000, count: 1 });
+        expect(histogram[8]).toEqual({ from: 16000, to: 18000, count: 1 });
+        expect(histogram.reduce((sum, { count }) => sum + count, 0)).toBe(5);
+
+        // The longest distance is in the last bin even when it is a bound
+        const bounded = computeHistogram([0, 1000], 2);
+        expect(bounded[bounded.length - 1]).toEqual({ from: 1000, to: 1500, count: 1 });
+    });
+
+    test('statistics of routes', () => {
+        const stats = computeRouteStats(routes, ['LONG', 'UPPER_MEDIUM', 'LOWER_MEDIUM', 'SHORT']);
+
+        expect(stats.routeCount).toBe(5);
+        expect(stats.categories).toEqual([
+            { category: 'LONG', count: 1 },
+            { category: 'UPPER_MEDIUM', count: 1 },
+            { category: 'LOWER_MEDIUM', count: 1 },
+            { category: 'SHORT', count: 2 }
+        ]);
+        expect(stats.distance).toEqual({ min: 80, max: 17200, mean: 5690, median: 2950 });
+        expect(stats.nearest).toEqual({ origin: 'Helsinki', destination: 'Tallinn', distance: 80 });
+        expect(stats.farthest).toEqual({ origin: 'Helsinki', destination: 'Wellington', distance: 17200 });
+        expect(stats.continents).toEqual([
+            { continent: 'Europe', count: 3, meanDistance: 1143.3333333333333 },
+            { continent: 'Asia', count: 1, meanDistance: 7820 },
+            { continent: 'Oceania', count: 1, meanDistance: 17200 }
+        ]);
+        expect(stats.histogram.length).toBe(9);
+    });
+
+    test('statistics without routes', () => {
+        const stats = computeRouteStats(null, ['SHORT']);
+        expect(stats).toEqual({
+            routeCount: 0,
+            categories: [{ category: 'SHORT', count: 0 }],
+            distance: null,
+            nearest: null,
+            farthest: null,
+            histogram: [],
+            continents: []
+        });
+
+        // Straight lines without distance are ignored
+        expect(computeRouteStats({ features: [{ properties: { origin: 'A', destination: 'B' } }] }).routeCount).toBe(0);
+    });
+});
@@ -0,0 +1,70 @@
+import { drawSnapshot, composeSnapshot, SNAPSHOT_PALETTES, SNAPSHOT_ATTRIBUTION } from '../snapshot.js';
+
+/**
+ * Context that records the text and rectangles drawn with their fill style
+ */
+function createRecordingContext() {
+    const gradient = { addColorStop: jest.fn() };
+    const context = {
+        gradient,
+        texts: [],
+        rects: [],
+        drawImage: jest.fn(),
+        measureText: text => ({ width: text.length * 7 }),
+        createLinearGradient: jest.fn(() => gradient),
+        fillRect: jest.fn((...rect) => context.rects.push({ rect, fillStyle: context.fillStyle })),
+        fillText: jest.fn((text, x, y) => context.texts.push({ text, x, y, fillStyle: context.fillStyle, font: context.font }))
+    };
+    return context;
+}
+
+const legendItems = [
+    { label: '>= 10000', colors: ['#ffab40'] },
+    { label: '0 - 10000', colors: ['#000000', '#ffffff'] }
+];
+
+describe('Snapshot test', () => {
+    test('test draw snapshot with dark theme', () => {
+        const context = createRecordingContext();
+        const mapCanvas = {};
+        drawSnapshot(context, mapCanvas, { width: 800, height: 600, scale: 2, title: 'Flights from Riyadh', legendItems, dark: true });
+
+        expect(context.drawImage).toHaveBeenCalledWith(mapCanvas, 0, 0, 1600, 1200);
+        expect(context.texts.map(({ text }) => text)).toEqual([
+            'Flights from Riyadh', 'Distance (km)', '>= 10000', '0 - 10000', SNAPSHOT_ATTRIBUTION
+        ]);
+        context.texts.forEach(({ fillStyle }) => expect(fillStyle).toBe(SNAPSHOT_PALETTES.dark.text));
+        expect(context.texts[0].font).toContain('36px');
+
+        const swatches = context.rects.filter(({ rect }) => rect[2] === 32 && rect[3] === 32);
+        expect(swatches.map(({ fillStyle }) => fillStyle)).toEqual(['#ffab40', context.gradient]);
+        expect(context.gradient.addColorStop.mock.calls).toEqual([[0, '#000000'], [1, '#ffffff']]);
+
+        // Legend box stays inside the image at the top right corner
+        const [legendLeft, , legendWidth] = context.rects[1].rect;
+        expect(context.rects[1].fillStyle).toBe(SNAPSHOT_PALETTES.dark.background);
+        expect(legendLeft + legendWidth).toBe(1580);
+    });
+
+    test('test draw snapshot with light theme and no title', () => {
+        const context = createRecordingContext();
+        drawSnapshot(context, {}, { width: 400, height: 300, scale: 1, title: '', legendItems, dark: false, attribution: 'Test' });
+
+        expect(context.texts.map(({ text }) => text)).toEqual(['Distance (km)', '>= 10000', '0 - 10000', 'Test']);
+        expect(context.rects[0].fillStyle).toBe(SNAPSHOT_PALETTES.light.background);
+        context.texts.forEach(({ fillStyle }) => expect(fillStyle).toBe(SNAPSHOT_PALETTES.light.text));
+    });
+
+    test('test compose snapshot size', () => {
+        const context = createRecordingContext();
+        const canvas = { getContext: jest.fn(() => context) };
+        const spy = jest.spyOn(document, 'createElement').mockReturnValue(canvas);
+
+        expect(composeSnapshot({}, { width: 400, height: 300, scale: 3, title: 'T', legendItems, dark: false })).toBe(canvas);
+        expect(canvas.width).toBe(1200);
+        expect(canvas.height).toBe(900);
+        expect(canvas.getContext).toHaveBeenCalledWith('2d');
+
+        spy.mockRestore();
+    });
+});
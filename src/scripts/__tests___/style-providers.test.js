@@ -0,0 +1,78 @@
+import {
+    createMapStyle, requiresAccessToken, getAttribution, getCountries, createFallbackIcon, createCircleIcon, findStyleProvider
+} from '../style-providers.js';
+import { Stylings } from '../stylings.js';
+import { PREFIX_STYLE_URL } from '../constants.js';
+
+describe('Style providers test', () => {
+    test('test mapbox basemap', () => {
+        const config = Stylings.getBasemapConfig(Stylings.LIGHT_THEME, 'mapbox');
+        expect(createMapStyle(config)).toBe(`${PREFIX_STYLE_URL}mapbox/light-v10`);
+        expect(requiresAccessToken(config)).toBe(true);
+        expect(getAttribution(config)).toBe('© Mapbox © OpenStreetMap');
+
+        // Unknown themes are used as Mapbox style ids
+        expect(createMapStyle(Stylings.getBasemapConfig('username/style', 'mapbox'))).toBe(`${PREFIX_STYLE_URL}username/style`);
+    });
+
+    test('test self-hosted basemaps', () => {
+        const urlConfig = Stylings.getBasemapConfig(Stylings.DARK_THEME, 'self-hosted');
+        expect(createMapStyle(urlConfig)).toBe('/static/styles/dark.json');
+        expect(requiresAccessToken(urlConfig)).toBe(false);
+
+        const rasterConfig = { type: 'raster', tiles: ['/tiles/{z}/{x}/{y}.png'], attribution: '© OpenStreetMap contributors' };
+        const style = createMapStyle(rasterConfig);
+        expect(style.sources.basemap).toEqual({
+            type: 'raster', tiles: ['/tiles/{z}/{x}/{y}.png'], tileSize: 256, minzoom: 0, maxzoom: 22, attribution: '© OpenStreetMap contributors'
+        });
+        expect(style.layers).toEqual([{ id: 'basemap', type: 'raster', source: 'basemap' }]);
+        expect(requiresAccessToken(rasterConfig)).toBe(false);
+        expect(getAttribution(rasterConfig)).toBe('© OpenStreetMap contributors');
+    });
+
+    test('test offline basemap with bundled countries', () => {
+        const config = Stylings.getBasemapConfig(Stylings.DARK_THEME, 'offline');
+        const style = createMapStyle(config);
+
+        expect(requiresAccessToken(config)).toBe(false);
+        expect(getAttribution(config)).toBe('Natural Earth');
+        expect(style.version).toBe(8);
+        expect(style.layers.map(({ id }) => id)).toEqual(['background', 'countries-fill', 'countries-line']);
+        expect(style.layers[0].paint['background-color']).toBe(config.background);
+
+        const countries = getCountries();
+        expect(style.sources.countries.data).toBe(countries);
+        expect(countries.type).toBe('FeatureCollection');
+        expect(countries.features.length).toBeGreaterThan(150);
+        expect(countries.features.some(({ properties }) => properties.name === 'Finland')).toBe(true);
+    });
+
+    test('test unknown basemap type', () => {
+        expect(() => findStyleProvider({ type: 'wms' })).toThrow('Unknown basemap type "wms"');
+    });
+
+    test('test fallback icon', () => {
+        const { width, height, data } = createFallbackIcon(5, [1, 2, 3]);
+        expect(width).toBe(5);
+        expect(height).toBe(5);
+
+        const alphaAt = (x, y) => data[(y * 5 + x) * 4 + 3];
+        // Tip of the arrow at the top center, full width at the bottom
+        expect([0, 1, 2, 3, 4].map(x => alphaAt(x, 0))).toEqual([0, 0, 255, 0, 0]);
+        expect([0, 1, 2, 3, 4].map(x => alphaAt(x, 4))).toEqual([255, 255, 255, 255, 255]);
+        expect(Array.from(data.slice(8, 12))).toEqual([1, 2, 3, 255]);
+    });
+
+    test('test circle icon', () => {
+        const { width, height, data } = createCircleIcon(9);
+        expect(width).toBe(9);
+        expect(height).toBe(9);
+
+        // Alpha is the signed distance to the circle of radius 1, 192 on its edge
+        const alphaAt = (x, y) => data[(y * 9 + x) * 4 + 3];
+        expect([4, 5, 6, 7, 8].map(x => alphaAt(x, 4))).toEqual([224, 192, 160, 128, 96]);
+        expect(alphaAt(3, 4)).toBe(alphaAt(4, 5));
+        expect(alphaAt(0, 0)).toBeLessThan(alphaAt(0, 4));
+        expect(Array.from(data.slice(0, 3))).toEqual([255, 255, 255]);
+    });
+});
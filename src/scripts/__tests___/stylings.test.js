@@ -4,6 +4,7 @@ describe('Map wrapper test', () => {
     let styling;
 
     beforeEach(() => {
+        localStorage.clear();
         styling = new Stylings();
     });
 
@@ -43,4 +44,177 @@ describe('Map wrapper test', () => {
             category: Stylings.DISTANCE_CATEROGY_NAMES.LOWER_MEDIUM
         });
     });
-});
\ No newline at end of file
+
+    test("test default legend labels are distance ranges with their unit", () => {
+        // Labels are read as they are by the aria labels of the legend
+        expect(styling.getLegendItems().map(({ label }) => label)).toEqual([
+            '>= 10000 km', '5000 - 10000 km', '3000 - 5000 km', '0 - 3000 km'
+        ]);
+    });
+
+    test("test custom categories are used for line properties and legend", () => {
+        styling.theme = Stylings.LIGHT_THEME;
+        styling.highLightedCategory = Stylings.DISTANCE_CATEROGY_NAMES.SHORT;
+        styling.setDistanceConfig({
+            categories: [
+                { name: 'NEAR', label: 'Near', minDistance: 0, colors: '#000000', lineWidth: 3 },
+                { name: 'FAR', minDistance: 2000, colors: { [Stylings.LIGHT_THEME]: '#ff0000', [Stylings.DARK_THEME]: '#00ff00' }, lineWidth: 1 }
+            ]
+        });
+
+        expect(styling.categoryNames).toEqual(['FAR', 'NEAR']);
+        expect(styling.highLightedCategory).toBe('');
+        expect(styling.getLineProperties(2500)).toEqual({ color: '#ff0000', lineWidth: 1, category: 'FAR' });
+        expect(styling.getLineProperties(100)).toEqual({ color: '#000000', lineWidth: 3, category: 'NEAR' });
+        expect(styling.getLegendItems(Stylings.DARK_THEME)).toEqual([
+            { category: 'FAR', label: '>= 2000 km', colors: ['#00ff00'], background: '#00ff00' },
+            { category: 'NEAR', label: 'Near', colors: ['#000000'], background: '#000000' }
+        ]);
+        expect(styling.getRoutePaintProperties()['line-color']).toEqual(['get', 'color']);
+    });
+
+    test("test color ramp interpolates color and width by distance", () => {
+        styling.theme = Stylings.DARK_THEME;
+        styling.setDistanceConfig({
+            ...Stylings.DEFAULT_DISTANCE_CONFIG,
+            mode: Stylings.DISTANCE_STYLE_MODES.RAMP,
+            ramp: [
+                { distance: 0, colors: '#000000', lineWidth: 2 },
+                { distance: 10000, colors: '#ffffff', lineWidth: 1 }
+            ]
+        });
+
+        expect(styling.getLineProperties(5000)).toEqual({ color: '#808080', lineWidth: 1.5, category: Stylings.DISTANCE_CATEROGY_NAMES.UPPER_MEDIUM });
+        expect(styling.getLineProperties(20000)).toEqual({ color: '#ffffff', lineWidth: 1, category: Stylings.DISTANCE_CATEROGY_NAMES.LONG });
+
+        const paint = styling.getRoutePaintProperties();
+        expect(paint['line-color']).toEqual(['interpolate', ['linear'], ['get', 'distance'], 0, '#000000', 10000, '#ffffff']);
+        expect(paint['line-width'][3]).toEqual(['interpolate', ['linear'], ['get', 'distance'], 0, 2, 10000, 1]);
+        expect(styling.getRouteStyles().paint['line-blur']).toEqual(Stylings.ROUTE_STYLES.paint['line-blur']);
+
+        const [longest] = styling.getLegendItems();
+        expect(longest.colors).toEqual(['#ffffff', '#ffffff']);
+        expect(longest.background).toBe('linear-gradient(to right, #ffffff, #ffffff)');
+    });
+
+    test("test distance config is persisted, exported and imported", () => {
+        styling.setDistanceStyleMode(Stylings.DISTANCE_STYLE_MODES.RAMP);
+        expect(new Stylings().distanceConfig.mode).toBe(Stylings.DISTANCE_STYLE_MODES.RAMP);
+
+        const exported = styling.exportDistanceConfig();
+        styling.resetDistanceConfig();
+        expect(styling.distanceConfig.mode).toBe(Stylings.DISTANCE_STYLE_MODES.CATEGORIES);
+
+        styling.importDistanceConfig(exported);
+        expect(styling.distanceConfig).toEqual(JSON.parse(exported));
+
+        localStorage.setItem(Stylings.DISTANCE_CONFIG_KEY, '{broken');
+        expect(Stylings.loadDistanceConfig().categories.map(({ name }) => name)).toEqual(Stylings.CATEGORY_NAMES_IN_DESC_ORDER);
+    });
+
+    test("test invalid distance config is rejected", () => {
+        expect(() => styling.importDistanceConfig('{broken')).toThrow('not valid JSON');
+        expect(() => styling.setDistanceConfig({ mode: 'NOPE', categories: [] })).toThrow(/unknown mode "NOPE".*categories must be a non empty list/);
+        expect(() => styling.setDistanceConfig({
+            categories: [
+                { name: 'A', minDistance: -1, colors: 'red', lineWidth: 1 },
+                { name: 'A', minDistance: 0, colors: '#fff', lineWidth: 1 }
+            ]
+        })).toThrow(/minDistance must be a number >= 0.*invalid color "red".*duplicated category name\(s\): A/);
+
+        // Rejected configs don't replace the active one
+        expect(styling.categoryNames).toEqual(Stylings.CATEGORY_NAMES_IN_DESC_ORDER);
+    });
+
+    test("test interpolate color", () => {
+        expect(Stylings.interpolateColor('#000', '#ffffff', 0.5)).toBe('#808080');
+        expect(Stylings.interpolateColor('#D84315', '#1A237E', 0)).toBe('#d84315');
+    });
+
+    test("test legacy theme ids", () => {
+        expect(Stylings.normalizeTheme('mapbox/light-v10')).toBe(Stylings.LIGHT_THEME);
+        expect(Stylings.normalizeTheme(Stylings.DARK_THEME)).toBe(Stylings.DARK_THEME);
+        expect(Stylings.normalizeTheme('unknown')).toBeUndefined();
+
+        localStorage.setItem(Stylings.THEME_KEY, 'mapbox/light-v10');
+        expect(new Stylings().theme).toBe(Stylings.LIGHT_THEME);
+
+        // Colors of configurations saved with legacy theme ids are kept
+        styling.setDistanceConfig({
+            categories: [{ name: 'ALL', minDistance: 0, colors: { 'mapbox/light-v10': '#111111', 'anhnguyen6281/ck7ir19ij3qoo1inr3qhnowy5': '#222222' }, lineWidth: 1 }]
+        });
+        expect(styling.categories[0].colors).toEqual({ [Stylings.LIGHT_THEME]: '#111111', [Stylings.DARK_THEME]: '#222222' });
+    });
+
+    test("test color routes by origin", () => {
+        expect(styling.getOriginColor(1)).toBe(Stylings.ORIGIN_COLORS[1]);
+        expect(styling.getOriginColor(Stylings.ORIGIN_COLORS.length)).toBe(Stylings.ORIGIN_COLORS[0]);
+
+        styling.colorMode = Stylings.COLOR_MODES.ORIGIN;
+        expect(styling.getRoutePaintProperties()['line-color']).toEqual(['get', 'originColor']);
+
+        // Width still follows the ramp
+        styling.setDistanceStyleMode(Stylings.DISTANCE_STYLE_MODES.RAMP);
+        const paint = styling.getRoutePaintProperties();
+        expect(paint['line-color']).toEqual(['get', 'originColor']);
+        expect(paint['line-width'][3][0]).toBe('interpolate');
+    });
+
+    test("test color capitals by hops", () => {
+        expect(Stylings.getHopColor(1)).toBe(Stylings.REACHABILITY_HOP_COLORS[0]);
+        expect(Stylings.getHopColor(99)).toBe(Stylings.REACHABILITY_HOP_COLORS[Stylings.REACHABILITY_HOP_COLORS.length - 1]);
+
+        expect(Stylings.getHopLegendItems(2)).toEqual([
+            { hops: 1, label: '1 hop', background: Stylings.REACHABILITY_HOP_COLORS[0] },
+            { hops: 2, label: '2 hops', background: Stylings.REACHABILITY_HOP_COLORS[1] }
+        ]);
+    });
+
+    test("test style capitals by centrality", () => {
+        expect(Stylings.getCapitalIconStyles(false)).toEqual({
+            layout: { 'icon-image': 'airport-11', 'icon-size': 1 },
+            paint: { 'icon-color': '#000000' }
+        });
+
+        const { layout, paint } = Stylings.getCapitalIconStyles(true);
+        expect(layout['icon-image']).toBe(Stylings.HUB_ICON_ID);
+        expect(layout['icon-size']).toEqual(['interpolate', ['linear'], ['coalesce', ['get', 'centrality'], 0], 0, 0.35, 1, 1.1]);
+        expect(paint['icon-color'].slice(-2)).toEqual([1, Stylings.HUB_CENTRALITY_COLORS[2]]);
+    });
+
+    test("test scale route widths by volume", () => {
+        const { LINEAR, SQRT, LOG } = Stylings.FLOW_SCALES;
+        expect(Stylings.scaleVolume(25, 100, LINEAR)).toBe(0.25);
+        expect(Stylings.scaleVolume(25, 100, SQRT)).toBe(0.5);
+        expect(Stylings.scaleVolume(9, 99, LOG)).toBeCloseTo(0.5);
+        expect(Stylings.scaleVolume(200, 100, LINEAR)).toBe(1);
+        expect(Stylings.scaleVolume(10, 0, LINEAR)).toBe(0);
+
+        expect(styling.flowConfig).toBeNull();
+        expect(styling.getRoutePaintProperties()['line-offset']).toBe(0);
+        expect(() => styling.setFlowConfig({ volume: 'weight' })).toThrow('Unknown flow volume "weight"');
+        expect(() => styling.setFlowConfig({ volume: Stylings.FLOW_VOLUMES.SEATS, scale: 'CUBE' })).toThrow('Unknown flow scale "CUBE"');
+
+        styling.setFlowConfig({ volume: Stylings.FLOW_VOLUMES.PASSENGERS });
+        expect(styling.flowConfig).toEqual({ volume: Stylings.FLOW_VOLUMES.PASSENGERS, scale: SQRT });
+        expect(styling.getFlowProperties(100, 100)).toEqual({
+            lineWidth: Stylings.FLOW_LINE_WIDTH.max, lineOpacity: Stylings.FLOW_LINE_OPACITY.max
+        });
+        expect(styling.getFlowProperties(0, 100)).toEqual({
+            lineWidth: Stylings.FLOW_LINE_WIDTH.min, lineOpacity: Stylings.FLOW_LINE_OPACITY.min
+        });
+
+        // Widths of the samples are evenly spaced
+        expect(styling.getFlowLegendItems(1600).map(({ volume }) => volume)).toEqual([1600, 900, 400, 100]);
+        expect(styling.getFlowLegendItems(0)).toEqual([]);
+
+        // Widths are route properties, both directions of a route are drawn side by side
+        styling.setDistanceStyleMode(Stylings.DISTANCE_STYLE_MODES.RAMP);
+        const paint = styling.getRoutePaintProperties();
+        expect(paint['line-width']).toEqual(Stylings.ROUTE_STYLES.paint['line-width']);
+        expect(paint['line-offset']).toEqual(['case', ['boolean', ['get', 'bidirectional'], false], ['*', 0.5, ['get', 'lineWidth']], 0]);
+
+        styling.setFlowConfig(null);
+        expect(styling.getRoutePaintProperties()['line-width'][3][0]).toBe('interpolate');
+    });
+});
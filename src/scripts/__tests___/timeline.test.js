@@ -0,0 +1,129 @@
+import {
+    parseScheduleDate, formatScheduleDate, createSchedule, addToSchedule, computeScheduleRange,
+    airborneFractions, isScheduledAt, computeDeparturePlanes, Timeline
+} from '../timeline.js';
+
+const HOUR = 60 * 60 * 1000;
+const JUNE_1 = Date.UTC(2024, 5, 1);
+
+describe('Test schedules', () => {
+
+    test('parse and format dates', () => {
+        expect(parseScheduleDate('2024-06-01')).toBe(JUNE_1);
+        expect(parseScheduleDate('2024-06-01', true)).toBe(JUNE_1 + 24 * HOUR);
+        expect(parseScheduleDate('2024-06-01T02:00:00+02:00')).toBe(JUNE_1);
+        expect(parseScheduleDate(' ')).toBeNull();
+        expect(parseScheduleDate(undefined)).toBeNull();
+        expect(parseScheduleDate('soon')).toBeNaN();
+        expect(formatScheduleDate(JUNE_1 + 8.5 * HOUR)).toBe('2024-06-01 08:30');
+        expect(formatScheduleDate(null)).toBe('');
+    });
+
+    test('records are added to the schedule of their route', () => {
+        const schedule = createSchedule();
+        addToSchedule(schedule, { validFrom: JUNE_1 });
+        addToSchedule(schedule, { departure: JUNE_1 + HOUR, validFrom: 0 });
+        expect(schedule).toEqual({ always: false, periods: [{ from: JUNE_1, to: null }], departures: [JUNE_1 + HOUR] });
+
+        addToSchedule(schedule, {});
+        expect(schedule.always).toBe(true);
+    });
+
+    test('range covers periods and landings', () => {
+        const period = { always: false, periods: [{ from: JUNE_1, to: JUNE_1 + 48 * HOUR }], departures: [] };
+        const flight = { always: false, periods: [], departures: [JUNE_1 + 40 * HOUR] };
+        expect(computeScheduleRange([period, flight, createSchedule()])).toEqual({ start: JUNE_1, end: JUNE_1 + 64 * HOUR });
+        expect(computeScheduleRange([createSchedule()])).toBeNull();
+    });
+
+    test('routes operate during their periods and flights', () => {
+        const schedule = { always: false, periods: [{ from: null, to: JUNE_1 }], departures: [JUNE_1 + 10 * HOUR] };
+        expect(isScheduledAt(schedule, JUNE_1 - 1, 120)).toBe(true);
+        expect(isScheduledAt(schedule, JUNE_1, 120)).toBe(false);
+        expect(isScheduledAt(schedule, JUNE_1 + 11 * HOUR, 120)).toBe(true);
+        expect(isScheduledAt(schedule, JUNE_1 + 12 * HOUR, 120)).toBe(false);
+        expect(isScheduledAt(undefined, JUNE_1, 120)).toBe(true);
+        expect(isScheduledAt({ ...schedule, always: true }, JUNE_1, 120)).toBe(true);
+
+        expect(airborneFractions(schedule, JUNE_1 + 10.5 * HOUR, 120)).toEqual([0.25]);
+        expect(airborneFractions(schedule, JUNE_1 + 10.5 * HOUR, 0)).toEqual([]);
+    });
+
+    test('planes are positioned by the elapsed fraction of the block time', () => {
+        const route = {
+            id: 4,
+            properties: { origin: 'A', destination: 'B', distance: 1000, schedule: { always: false, periods: [], departures: [JUNE_1, JUNE_1 + HOUR] } },
+            geometry: { type: 'LineString', coordinates: [[0, 0], [10, 0], [20, 0]] }
+        };
+        const getBlockTime = jest.fn(() => 240);
+        const { features } = computeDeparturePlanes([route], JUNE_1 + 2 * HOUR, getBlockTime);
+
+        expect(getBlockTime).toHaveBeenCalledWith(1000);
+        expect(features.map(({ geometry }) => geometry.coordinates)).toEqual([[10, 0], [5, 0]]);
+        expect(features[0].properties).toMatchObject({ routeId: 4, origin: 'A', destination: 'B', bearing: 90 });
+        expect(computeDeparturePlanes([{ ...route, properties: { distance: 1000 } }], JUNE_1, getBlockTime).features).toEqual([]);
+    });
+});
+
+describe('Test timeline', () => {
+    let timeline, frames, onChange;
+
+    beforeEach(() => {
+        frames = [];
+        global.requestAnimationFrame = jest.fn(callBack => frames.push(callBack));
+        global.cancelAnimationFrame = jest.fn();
+        timeline = new Timeline();
+        onChange = jest.fn();
+        timeline.onChange(onChange);
+    });
+
+    test('timeline is disabled without range', () => {
+        expect(timeline.isEnabled).toBe(false);
+        timeline.setTime(JUNE_1);
+        timeline.play();
+        expect(timeline.time).toBeNull();
+        expect(requestAnimationFrame).not.toHaveBeenCalled();
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('time starts at the range and is clamped to it', () => {
+        timeline.setRange({ start: JUNE_1, end: JUNE_1 + 24 * HOUR });
+        expect(timeline.time).toBe(JUNE_1);
+        expect(onChange).not.toHaveBeenCalled();
+
+        timeline.setTime(JUNE_1 + 30 * HOUR);
+        expect(timeline.time).toBe(JUNE_1 + 24 * HOUR);
+        expect(onChange).toHaveBeenCalledWith(timeline);
+
+        // Time is kept when it is in the new range
+        timeline.setRange({ start: JUNE_1, end: JUNE_1 + 48 * HOUR });
+        expect(timeline.time).toBe(JUNE_1 + 24 * HOUR);
+
+        timeline.setRange(null);
+        expect(timeline.isEnabled).toBe(false);
+        expect(timeline.time).toBeNull();
+    });
+
+    test('play advances the time by the rate and stops at the end', () => {
+        timeline.setRange({ start: JUNE_1, end: JUNE_1 + 3 * HOUR });
+        timeline.setRate(Timeline.RATES.HOUR);
+        timeline.play();
+        expect(timeline.isPlaying).toBe(true);
+
+        frames.shift()(1000);
+        frames.shift()(2000);
+        expect(timeline.time).toBe(JUNE_1 + HOUR);
+
+        frames.shift()(5000);
+        expect(timeline.time).toBe(JUNE_1 + 3 * HOUR);
+        expect(timeline.isPlaying).toBe(false);
+        expect(frames.length).toBe(0);
+
+        // Playing again starts over
+        timeline.play();
+        expect(timeline.time).toBe(JUNE_1);
+        timeline.pause();
+        expect(cancelAnimationFrame).toHaveBeenCalled();
+        expect(timeline.isPlaying).toBe(false);
+    });
+});
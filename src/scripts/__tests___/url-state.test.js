@@ -0,0 +1,100 @@
+import { parseUrlState, serializeUrlState, UrlState } from '../url-state.js';
+import { Stylings } from '../stylings.js';
+import { DomHandler } from '../dom-handler.js';
+
+jest.mock('../dom-handler.js');
+
+describe('Url state test', () => {
+
+    test('test parse url state', () => {
+        const hash = `#capital=Helsinki&theme=${encodeURIComponent(Stylings.LIGHT_THEME)}&highlight=SHORT&center=24.9384,60.1699&zoom=4.5&bearing=-20`;
+        expect(parseUrlState(hash)).toEqual({
+            capital: 'Helsinki',
+            theme: Stylings.LIGHT_THEME,
+            highlight: 'SHORT',
+            center: [24.9384, 60.1699],
+            zoom: 4.5,
+            bearing: -20
+        });
+    });
+
+    test('test invalid values are dropped', () => {
+        expect(parseUrlState('')).toEqual({});
+        expect(parseUrlState('#theme=unknown&highlight=NOPE&center=200,10&zoom=30&bearing=abc')).toEqual({});
+        expect(parseUrlState('#highlight=NOPE', ['NOPE'])).toEqual({ highlight: 'NOPE' });
+        expect(parseUrlState('#theme=mapbox%2Flight-v10')).toEqual({ theme: Stylings.LIGHT_THEME });
+        expect(parseUrlState('center=1&zoom=')).toEqual({});
+        expect(parseUrlState('center=,1')).toEqual({});
+    });
+
+    test('test serialize url state', () => {
+        const hash = serializeUrlState({
+            capital: 'Port Moresby',
+            theme: Stylings.DARK_THEME,
+            highlight: '',
+            center: [24.938412345, 60.16991],
+            zoom: 4.123,
+            bearing: 0
+        });
+
+        expect(hash).toBe(`#capital=Port+Moresby&theme=${encodeURIComponent(Stylings.DARK_THEME)}&center=24.9384%2C60.1699&zoom=4.12&bearing=0`);
+        expect(parseUrlState(hash)).toEqual({
+            capital: 'Port Moresby',
+            theme: Stylings.DARK_THEME,
+            center: [24.9384, 60.1699],
+            zoom: 4.12,
+            bearing: 0
+        });
+    });
+
+    test('test write state to url', () => {
+        const state = { capital: 'Riyadh', theme: Stylings.DARK_THEME, highlight: '', center: [46.7, 24.6], zoom: 2, bearing: 0 };
+        const pushState = jest.spyOn(window.history, 'pushState');
+        const replaceState = jest.spyOn(window.history, 'replaceState');
+
+        UrlState._write(state);
+        expect(replaceState).toHaveBeenCalledTimes(1);
+        expect(window.location.hash).toBe(serializeUrlState(state));
+
+        // Camera changes replace the history entry
+        UrlState._write({ ...state, zoom: 5 });
+        expect(replaceState).toHaveBeenCalledTimes(2);
+        expect(pushState).not.toHaveBeenCalled();
+
+        // Selecting another origin adds an history entry
+        UrlState._write({ ...state, capital: 'Helsinki' });
+        expect(pushState).toHaveBeenCalledTimes(1);
+        expect(parseUrlState(window.location.hash).capital).toBe('Helsinki');
+    });
+
+    test('test apply state from url', () => {
+        const styling = new Stylings(Stylings.DARK_THEME);
+        const mapWrapper = {
+            dataProcessor: { selectedCapital: 'Riyadh' },
+            selectCapital: jest.fn(),
+            setCamera: jest.fn()
+        };
+
+        UrlState._apply({
+            capital: 'Helsinki',
+            theme: Stylings.LIGHT_THEME,
+            highlight: 'LONG',
+            center: [24.9, 60.2],
+            zoom: 4
+        }, styling, mapWrapper);
+
+        expect(DomHandler.setTheme).toHaveBeenCalledWith(Stylings.LIGHT_THEME, styling, mapWrapper);
+        expect(DomHandler.setHighLightedCategory).toHaveBeenCalledWith('LONG', styling, mapWrapper);
+        expect(mapWrapper.selectCapital).toHaveBeenCalledWith('Helsinki', false);
+        expect(mapWrapper.setCamera).toHaveBeenCalledWith({ center: [24.9, 60.2], zoom: 4 });
+        expect(UrlState._isApplying).toBeFalsy();
+
+        // Missing highlight resets the highlighted category, nothing else changes
+        styling.highLightedCategory = 'LONG';
+        UrlState._apply({ theme: Stylings.DARK_THEME }, styling, mapWrapper);
+        expect(DomHandler.setTheme).toHaveBeenCalledTimes(1);
+        expect(DomHandler.setHighLightedCategory).toHaveBeenLastCalledWith('', styling, mapWrapper);
+        expect(mapWrapper.selectCapital).toHaveBeenCalledTimes(1);
+        expect(mapWrapper.setCamera).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,132 @@
+import { ARC_CACHE_CAPACITY } from './constants.js';
+
+/**
+ * Reverse an arc so that it goes from its destination to its origin
+ * @param {GeoJSON.LineString|GeoJSON.MultiLineString} geometry arc
+ * @returns {GeoJSON.LineString|GeoJSON.MultiLineString} reversed arc
+ */
+export function reverseArcGeometry(geometry) {
+    if (!geometry.coordinates) {
+        return geometry;
+    }
+    return geometry.type === 'MultiLineString'
+        ? { type: 'MultiLineString', coordinates: geometry.coordinates.map(part => [...part].reverse()).reverse() }
+        : { type: 'LineString', coordinates: [...geometry.coordinates].reverse() };
+}
+
+/**
+ * Least recently used cache of computed arcs keyed by unordered city pair and density zoom,
+ * the arc A -> B is reused reversed for B -> A
+ */
+export class ArcCache {
+
+    /**
+     * Max number of arcs
+     * @type {number}
+     * @private
+     */
+    _capacity = ARC_CACHE_CAPACITY;
+
+    /**
+     * Cached arcs in the order they were used, the least recently used first
+     * @type {Map<string, {origin: string, distance: number, geometry: GeoJSON.LineString|GeoJSON.MultiLineString}>}
+     * @private
+     */
+    _entries = new Map();
+
+    /**
+     * Statistics since the cache was created
+     * @type {{hits: number, misses: number, evictions: number, invalidations: number}}
+     * @private
+     */
+    _counters = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+    /**
+     * @param {number} capacity max number of arcs
+     */
+    constructor(capacity = ARC_CACHE_CAPACITY) {
+        this._capacity = capacity;
+    }
+
+    /**
+     * Key of a city pair, the same for both directions
+     * @param {string} origin name of the origin
+     * @param {string} destination name of the destination
+     * @param {number} densityZoom see toDensityZoom
+     * @returns {string} key
+     * @private
+     */
+    static _keyOf(origin, destination, densityZoom) {
+        return JSON.stringify([...[origin, destination].sort(), densityZoom]);
+    }
+
+    /**
+     * Get the arc of a city pair and mark it as recently used
+     * @param {string} origin name of the origin
+     * @param {string} destination name of the destination
+     * @param {number} densityZoom see toDensityZoom
+     * @returns {{distance: number, geometry: GeoJSON.LineString|GeoJSON.MultiLineString}} arc from origin to destination, undefined if it isn't cached
+     * @public
+     */
+    get = (origin, destination, densityZoom) => {
+        const key = ArcCache._keyOf(origin, destination, densityZoom);
+        const entry = this._entries.get(key);
+        if (!entry) {
+            this._counters.misses++;
+            return undefined;
+        }
+
+        this._counters.hits++;
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+
+        const { distance, geometry } = entry;
+        return { distance, geometry: entry.origin === origin ? geometry : reverseArcGeometry(geometry) };
+    }
+
+    /**
+     * Cache the arc of a city pair, the least recently used arc is evicted when the cache is full
+     * @param {string} origin name of the origin
+     * @param {string} destination name of the destination
+     * @param {number} densityZoom see toDensityZoom
+     * @param {{distance: number, geometry: GeoJSON.LineString|GeoJSON.MultiLineString}} arc arc from origin to destination
+     * @returns {void}
+     * @public
+     */
+    set = (origin, destination, densityZoom, { distance, geometry }) => {
+        const key = ArcCache._keyOf(origin, destination, densityZoom);
+        this._entries.delete(key);
+        this._entries.set(key, { origin, distance, geometry });
+
+        while (this._entries.size > this._capacity) {
+            this._entries.delete(this._entries.keys().next().value);
+            this._counters.evictions++;
+        }
+    }
+
+    /**
+     * Remove all arcs, e.g: when the dataset is reloaded and coordinates of cities may change
+     * @returns {void}
+     * @public
+     */
+    clear = () => {
+        this._entries.clear();
+        this._counters.invalidations++;
+    }
+
+    /**
+     * Get statistics of the cache
+     * @returns {{size: number, capacity: number, hits: number, misses: number, evictions: number, invalidations: number, hitRate: number}}
+     * hitRate is between 0 and 1, 0 when the cache was never read
+     * @public
+     */
+    get stats() {
+        const { hits, misses } = this._counters;
+        return {
+            size: this._entries.size,
+            capacity: this._capacity,
+            ...this._counters,
+            hitRate: hits + misses ? hits / (hits + misses) : 0
+        };
+    }
+}
@@ -0,0 +1,248 @@
+import * as turf from "@turf/turf";
+import { GreatCircle } from "arc";
+
+import {
+    NUMBER_OF_POINTS_ALONG_THE_LINE, MIN_POINTS_ALONG_THE_LINE, ARC_SEGMENT_LENGTH_AT_ZOOM_0, MAX_ARC_DENSITY_ZOOM
+} from './constants.js';
+
+/**
+ * Great circle arcs shared by the main thread and the arc worker.
+ * Arcs are exchanged with the worker as flat typed arrays so that their buffers can be transferred instead of copied:
+ * - endpoints: [srcLong, srcLat, dstLong, dstLat] of every route
+ * - distances: length in km of every route
+ * - coordinates: [long, lat] of every point of every part
+ * - partOffsets: index of the first point of every part, plus the total number of points
+ * - routePartOffsets: index of the first part of every route, plus the total number of parts.
+ *   Arcs crossing the antimeridian are split into several parts
+ */
+
+/**
+ * Zoom level that decides the density of arcs, fractional zooms are rounded down so that arcs are reused while zooming
+ * @param {number} zoom zoom of the map
+ * @returns {number} integer between 0 and MAX_ARC_DENSITY_ZOOM
+ */
+export function toDensityZoom(zoom) {
+    return Math.min(Math.max(Math.floor(zoom) || 0, 0), MAX_ARC_DENSITY_ZOOM);
+}
+
+/**
+ * Number of points along an arc, short hops need few points while long arcs need more to look curved
+ * @param {number} distance distance in km
+ * @param {number} zoom zoom of the map
+ * @returns {number} number of points between MIN_POINTS_ALONG_THE_LINE and NUMBER_OF_POINTS_ALONG_THE_LINE
+ */
+export function numberOfPointsAlongArc(distance, zoom) {
+    const segmentLength = ARC_SEGMENT_LENGTH_AT_ZOOM_0 / 2 ** toDensityZoom(zoom);
+    const numberOfPoints = Math.ceil(distance / segmentLength) + 1;
+    return Math.min(Math.max(numberOfPoints, MIN_POINTS_ALONG_THE_LINE), NUMBER_OF_POINTS_ALONG_THE_LINE);
+}
+
+/**
+ * Latitude where the great circle through 2 points crosses a meridian, see http://www.edwilliams.org/avform.htm#Par
+ * @param {Array<number>} from [longitude, latitude] of a point
+ * @param {Array<number>} to [longitude, latitude] of the next point
+ * @param {number} longitude longitude of the meridian
+ * @returns {number} latitude in degrees
+ */
+export function greatCircleLatitudeAt([fromLong, fromLat], [toLong, toLat], longitude) {
+    const [lon1, lat1, lon2, lat2, lon] = [fromLong, fromLat, toLong, toLat, longitude].map(degrees => degrees * Math.PI / 180);
+    const denominator = Math.cos(lat1) * Math.cos(lat2) * Math.sin(lon1 - lon2);
+    if (Math.abs(denominator) < 1e-12) {
+        // A point is at a pole or both points are on the same meridian, the crossing is at the point closer to the meridian
+        const distanceToMeridian = pointLong => Math.abs(((pointLong - longitude + 540) % 360) - 180);
+        return distanceToMeridian(fromLong) <= distanceToMeridian(toLong) ? fromLat : toLat;
+    }
+    const numerator = Math.sin(lat1) * Math.cos(lat2) * Math.sin(lon - lon2) - Math.sin(lat2) * Math.cos(lat1) * Math.sin(lon - lon1);
+    return Math.atan(numerator / denominator) * 180 / Math.PI;
+}
+
+/**
+ * Split a line at the antimeridian and at the poles, so that no segment goes the long way around the world.
+ * Parts end and start exactly at ±180°, the way mapbox-gl draws them without horizontal streaks
+ * @param {Array<Array<number>>} points [longitude, latitude] of points along the line, longitudes between -180 and 180
+ * @returns {GeoJSON.LineString|GeoJSON.MultiLineString} LineString when the line doesn't cross, MultiLineString otherwise
+ */
+export function splitAtAntimeridian(points) {
+    const parts = [[]];
+    points.forEach((point, index) => {
+        const part = parts[parts.length - 1];
+        const previous = points[index - 1];
+        const longitudeDiff = previous ? Math.abs(point[0] - previous[0]) : 0;
+
+        if (Math.abs(longitudeDiff - 180) < 1e-9) {
+            // The line goes over a pole and comes down on the opposite meridian
+            const poleLatitude = previous[1] < 0 ? -90 : 90;
+            part.push([previous[0], poleLatitude]);
+            parts.push([[point[0], poleLatitude], point]);
+        } else if (longitudeDiff > 180) {
+            const side = previous[0] > 0 ? 180 : -180;
+            const latitude = greatCircleLatitudeAt(previous, point, side);
+            part.push([side, latitude]);
+            parts.push([[-side, latitude], point]);
+        } else {
+            part.push(point);
+        }
+    });
+
+    return parts.length > 1
+        ? { type: 'MultiLineString', coordinates: parts }
+        : { type: 'LineString', coordinates: parts[0] };
+}
+
+/**
+ * Compute the arc and the distance between 2 points
+ * @param {Array<number>} source [longitude, latitude] of the source
+ * @param {Array<number>} destination [longitude, latitude] of the destination
+ * @param {number} zoom zoom of the map, decides the number of points along the arc
+ * @returns {{distance: number, geometry: GeoJSON.LineString|GeoJSON.MultiLineString}} distance in km and arc split at the antimeridian
+ */
+export function computeArc([srcLong, srcLat], [dstLong, dstLat], zoom) {
+    const distance = turf.length(turf.lineString([[srcLong, srcLat], [dstLong, dstLat]]), { units: 'kilometers' });
+    if (!distance) {
+        return { distance, geometry: { type: 'LineString', coordinates: [[srcLong, srcLat], [dstLong, dstLat]] } };
+    }
+
+    /**
+     * Arc.js is used here to compute points along the arc since the method to draw arc at https://docs.mapbox.com/mapbox-gl-js/example/animate-point-along-route/
+     * is broken for some long distances route. For example, if origin = [-171.933333, -13.95] and destination = [71.416667, 51.166666666666664], the line rendered has a weird shape. For example, https://jsfiddle.net/e1h62qga/
+     * Its own dateline handling is left out, it misses crossings when points are far apart, e.g: short arcs with few points
+     */
+    const generator = new GreatCircle({ x: srcLong, y: srcLat }, { x: dstLong, y: dstLat });
+    const numberOfPoints = numberOfPointsAlongArc(distance, zoom);
+    // Endpoints are exact so that arcs touch the capital markers
+    const points = [[srcLong, srcLat]];
+    for (let index = 1; index < numberOfPoints - 1; index++) {
+        points.push(generator.interpolate(index / (numberOfPoints - 1)));
+    }
+    points.push([dstLong, dstLat]);
+
+    return { distance, geometry: splitAtAntimeridian(points) };
+}
+
+/**
+ * Pack the endpoints of straight line routes
+ * @param {Array<GeoJSON.Feature<LineString>>} features straight lines from src to dest
+ * @returns {Float64Array} endpoints
+ */
+export function encodeEndpoints(features) {
+    const endpoints = new Float64Array(features.length * 4);
+    features.forEach(({ geometry: { coordinates: [source, destination] } }, index) => {
+        endpoints.set([...source, ...destination], index * 4);
+    });
+    return endpoints;
+}
+
+/**
+ * Compute the arcs of packed endpoints
+ * @param {Float64Array} endpoints see encodeEndpoints
+ * @param {number} zoom zoom of the map, decides the number of points along every arc
+ * @returns {{distances: Float64Array, coordinates: Float64Array, partOffsets: Uint32Array, routePartOffsets: Uint32Array}} packed arcs
+ */
+export function computeArcBuffers(endpoints, zoom) {
+    const routeCount = endpoints.length / 4;
+    const distances = new Float64Array(routeCount);
+    const routePartOffsets = new Uint32Array(routeCount + 1);
+    const parts = [];
+
+    for (let index = 0; index < routeCount; index++) {
+        const offset = index * 4;
+        const { distance, geometry } = computeArc(
+            [endpoints[offset], endpoints[offset + 1]],
+            [endpoints[offset + 2], endpoints[offset + 3]],
+            zoom
+        );
+        distances[index] = distance;
+        routePartOffsets[index] = parts.length;
+        if (geometry.type === 'MultiLineString') {
+            parts.push(...geometry.coordinates);
+        } else if (geometry.coordinates) {
+            parts.push(geometry.coordinates);
+        }
+    }
+    routePartOffsets[routeCount] = parts.length;
+
+    const partOffsets = new Uint32Array(parts.length + 1);
+    parts.forEach((part, index) => {
+        partOffsets[index + 1] = partOffsets[index] + part.length;
+    });
+
+    const coordinates = new Float64Array(partOffsets[parts.length] * 2);
+    parts.forEach((part, index) => {
+        part.forEach(([longitude, latitude], pointIndex) => {
+            const offset = (partOffsets[index] + pointIndex) * 2;
+            coordinates[offset] = longitude;
+            coordinates[offset + 1] = latitude;
+        });
+    });
+
+    return { distances, coordinates, partOffsets, routePartOffsets };
+}
+
+/**
+ * Unpack the arcs computed by computeArcBuffers into GeoJSON geometries
+ * @param {{coordinates: Float64Array, partOffsets: Uint32Array, routePartOffsets: Uint32Array}} buffers packed arcs
+ * @returns {Array<GeoJSON.LineString|GeoJSON.MultiLineString>} arc of every route, same as computeArc
+ */
+export function decodeArcGeometries({ coordinates, partOffsets, routePartOffsets }) {
+    const partCoordinates = partIndex => {
+        const points = [];
+        for (let pointIndex = partOffsets[partIndex]; pointIndex < partOffsets[partIndex + 1]; pointIndex++) {
+            points.push([coordinates[pointIndex * 2], coordinates[pointIndex * 2 + 1]]);
+        }
+        return points;
+    };
+
+    const geometries = [];
+    for (let index = 0; index < routePartOffsets.length - 1; index++) {
+        const parts = [];
+        for (let partIndex = routePartOffsets[index]; partIndex < routePartOffsets[index + 1]; partIndex++) {
+            parts.push(partCoordinates(partIndex));
+        }
+        geometries.push(parts.length > 1
+            ? { type: 'MultiLineString', coordinates: parts }
+            : { type: 'LineString', coordinates: parts.length ? parts[0] : null });
+    }
+    return geometries;
+}
+
+/**
+ * Create the message handler of the arc worker. Requests are queued and computed one by one,
+ * so that a request cancelled before its turn is never computed.
+ * Messages received: { type: 'compute', id, endpoints, zoom } and { type: 'cancel', id }.
+ * Messages posted: { type: 'result', id, distances, coordinates, partOffsets, routePartOffsets } and { type: 'error', id, message }
+ * @param {Function} postMessage (message, transfer) => void, posts a message back to the main thread
+ * @returns {Function} message => void, handles a message from the main thread
+ */
+export function createArcMessageHandler(postMessage) {
+    let queue = [];
+
+    const computeNext = () => {
+        const request = queue.shift();
+        if (!request) {
+            return;
+        }
+
+        try {
+            const buffers = computeArcBuffers(request.endpoints, request.zoom);
+            postMessage({ type: 'result', id: request.id, ...buffers }, Object.values(buffers).map(({ buffer }) => buffer));
+        } catch (error) {
+            postMessage({ type: 'error', id: request.id, message: error.message }, []);
+        }
+
+        if (queue.length) {
+            setTimeout(computeNext, 0);
+        }
+    };
+
+    return message => {
+        if (message.type === 'cancel') {
+            queue = queue.filter(({ id }) => id !== message.id);
+        } else if (message.type === 'compute') {
+            queue.push(message);
+            // Computation waits for the next task, a cancel message already posted is handled first
+            if (queue.length === 1) {
+                setTimeout(computeNext, 0);
+            }
+        }
+    };
+}
@@ -0,0 +1,142 @@
+import ArcWorker from './arc.worker.js';
+import { encodeEndpoints, decodeArcGeometries } from './arc-geometry.js';
+
+/**
+ * Class to compute arcs in a Web Worker so that the main thread stays free for map animations.
+ * Only the latest request matters: a new request cancels the pending one
+ */
+export class ArcWorkerClient {
+
+    /**
+     * Factory of the worker
+     * @type {Function}
+     * @private
+     */
+    _createWorker = null;
+
+    /**
+     * Worker, created on the first request
+     * @type {Worker}
+     * @private
+     */
+    _worker = null;
+
+    /**
+     * Id of the last request
+     * @type {number}
+     * @private
+     */
+    _lastRequestId = 0;
+
+    /**
+     * Request waiting for its result
+     * @type {{id: number, resolve: Function, reject: Function}}
+     * @private
+     */
+    _pendingRequest = null;
+
+    /**
+     * @param {Function} createWorker () => Worker, creates the worker
+     */
+    constructor(createWorker = () => new ArcWorker()) {
+        this._createWorker = createWorker;
+    }
+
+    /**
+     * Compute the arcs of straight line routes
+     * @param {Array<GeoJSON.Feature<LineString>>} features straight lines from src to dest
+     * @param {number} zoom zoom of the map, decides the number of points along every arc
+     * @returns {Promise<{distances: Float64Array, geometries: Array<GeoJSON.LineString|GeoJSON.MultiLineString>}>}
+     * distance and arc of every route, in the order of the features. Resolves with null when the request is cancelled
+     * @public
+     */
+    computeArcs = (features, zoom) => new Promise((resolve, reject) => {
+        this.cancel();
+
+        const id = ++this._lastRequestId;
+        this._pendingRequest = { id, resolve, reject };
+
+        const endpoints = encodeEndpoints(features);
+        this._getWorker().postMessage({ type: 'compute', id, endpoints, zoom }, [endpoints.buffer]);
+    })
+
+    /**
+     * Cancel the pending request, its promise resolves with null
+     * @returns {void}
+     * @public
+     */
+    cancel = () => {
+        if (!this._pendingRequest) {
+            return;
+        }
+
+        const { id, resolve } = this._pendingRequest;
+        this._pendingRequest = null;
+        this._worker.postMessage({ type: 'cancel', id });
+        resolve(null);
+    }
+
+    /**
+     * Cancel the pending request and stop the worker
+     * @returns {void}
+     * @public
+     */
+    terminate = () => {
+        this.cancel();
+        if (this._worker) {
+            this._worker.terminate();
+            this._worker = null;
+        }
+    }
+
+    /**
+     * Get the worker, create it if needed
+     * @returns {Worker} worker
+     * @private
+     */
+    _getWorker = () => {
+        if (!this._worker) {
+            this._worker = this._createWorker();
+            this._worker.onmessage = this._handleMessage;
+            this._worker.onerror = this._handleError;
+        }
+        return this._worker;
+    }
+
+    /**
+     * Settle the pending request with the message of the worker. Results of cancelled requests are dropped
+     * @param {MessageEvent} event message of the worker
+     * @returns {void}
+     * @private
+     */
+    _handleMessage = ({ data }) => {
+        if (!this._pendingRequest || this._pendingRequest.id !== data.id) {
+            return;
+        }
+
+        const { resolve, reject } = this._pendingRequest;
+        this._pendingRequest = null;
+        if (data.type === 'error') {
+            reject(new Error(data.message));
+        } else {
+            resolve({ distances: data.distances, geometries: decodeArcGeometries(data) });
+        }
+    }
+
+    /**
+     * Reject the pending request when the worker crashes, the next request starts a new worker
+     * @param {ErrorEvent} event error of the worker
+     * @returns {void}
+     * @private
+     */
+    _handleError = event => {
+        const pendingRequest = this._pendingRequest;
+        this._pendingRequest = null;
+        this._worker.terminate();
+        this._worker = null;
+
+        if (pendingRequest) {
+            pendingRequest.reject(new Error(event.message || "Arc worker failed"));
+        }
+    }
+}
@@ -0,0 +1,8 @@
+import { createArcMessageHandler } from './arc-geometry.js';
+
+/**
+ * Worker computing great circle arcs off the main thread, see ArcWorkerClient
+ */
+const handleMessage = createArcMessageHandler((message, transfer) => self.postMessage(message, transfer));
+
+self.addEventListener('message', ({ data }) => handleMessage(data));
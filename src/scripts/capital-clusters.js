@@ -0,0 +1,59 @@
+import { SPIDERFY_MIN_RADIUS, SPIDERFY_SPACING } from './constants.js';
+
+/**
+ * Split capital markers between the clustered capitals and the selected origins which are never clustered
+ * @param {GeoJSON.FeatureCollection<Point>} markers capital markers with a capitalName property
+ * @param {Array<string>} origins names of the selected origins
+ * @param {Function} isShown predicate of the properties of the other capitals, e.g: RouteFilter.matchesCapital
+ * @returns {{capitals: GeoJSON.FeatureCollection<Point>, origins: GeoJSON.FeatureCollection<Point>}} data of the sources
+ */
+export function splitCapitalMarkers(markers, origins, isShown = () => true) {
+    const features = (markers && markers.features) || [];
+    return {
+        capitals: {
+            type: 'FeatureCollection',
+            features: features.filter(({ properties }) => !origins.includes(properties.capitalName) && isShown(properties))
+        },
+        origins: {
+            type: 'FeatureCollection',
+            features: features.filter(({ properties }) => origins.includes(properties.capitalName))
+        }
+    };
+}
+
+/**
+ * Pixel offsets of markers spread on a circle, the first one is above the center.
+ * The circle grows with the number of markers so that they are SPIDERFY_SPACING pixels apart
+ * @param {number} count number of markers
+ * @returns {Array<Array<number>>} offsets in the shape [x, y]
+ */
+export function spiderOffsets(count) {
+    const radius = Math.max(SPIDERFY_MIN_RADIUS, (count * SPIDERFY_SPACING) / (2 * Math.PI));
+    return Array.from({ length: count }, (_, index) => {
+        const angle = (2 * Math.PI * index) / count - Math.PI / 2;
+        return [radius * Math.cos(angle), radius * Math.sin(angle)];
+    });
+}
+
+/**
+ * Spread the capitals of a cluster around it, each one linked to the cluster by a leg
+ * @param {Array<number>} center coordinates of the cluster in the shape [longitude, latitude]
+ * @param {Array<GeoJSON.Feature<Point>>} leaves capitals of the cluster
+ * @param {Function} project converts [longitude, latitude] to a pixel {x, y}, e.g: map.project
+ * @param {Function} unproject converts a pixel [x, y] to a {lng, lat}, e.g: map.unproject
+ * @returns {GeoJSON.FeatureCollection} legs as LineStrings and capitals as Points keeping their properties
+ */
+export function createSpider(center, leaves, project, unproject) {
+    const { x, y } = project(center);
+    const offsets = spiderOffsets(leaves.length);
+    const capitals = leaves.map(({ properties }, index) => {
+        const { lng, lat } = unproject([x + offsets[index][0], y + offsets[index][1]]);
+        return { type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties };
+    });
+    const legs = capitals.map(({ geometry: { coordinates }, properties: { capitalName } }) => ({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [center, coordinates] },
+        properties: { capitalName }
+    }));
+    return { type: 'FeatureCollection', features: [...legs, ...capitals] };
+}
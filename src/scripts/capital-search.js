@@ -0,0 +1,118 @@
+/**
+ * Fuzzy search over capitals by capital name, country name and country code.
+ * Matching ignores case and diacritics, e.g: "reykjavik" matches "Reykjavík"
+ */
+
+/**
+ * Scores of the different kinds of match, higher is better
+ */
+const MATCH_SCORES = {
+    EXACT: 100,
+    PREFIX: 80,
+    COUNTRY_CODE: 70,
+    WORD_PREFIX: 60,
+    SUBSTRING: 40,
+    SUBSEQUENCE: 20
+};
+
+/**
+ * Country matches rank slightly below capital name matches of the same kind
+ */
+const COUNTRY_WEIGHT = 0.9;
+
+/**
+ * Lower case text without diacritics
+ * @param {string} text raw text
+ * @returns {string} normalized text
+ */
+export function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Score how well a normalized text matches a normalized query
+ * @param {string} text normalized text
+ * @param {string} query normalized query
+ * @returns {number} score, 0 when it doesn't match
+ */
+export function scoreMatch(text, query) {
+    if (!text || !query) {
+        return 0;
+    }
+    if (text === query) {
+        return MATCH_SCORES.EXACT;
+    }
+    if (text.startsWith(query)) {
+        return MATCH_SCORES.PREFIX;
+    }
+    if (text.split(/[\s\-'.,()]+/).some(word => word.startsWith(query))) {
+        return MATCH_SCORES.WORD_PREFIX;
+    }
+    if (text.includes(query)) {
+        return MATCH_SCORES.SUBSTRING;
+    }
+
+    // Characters of the query appear in order, tighter matches score higher
+    let position = -1;
+    let gaps = 0;
+    for (const char of query) {
+        const next = text.indexOf(char, position + 1);
+        if (next === -1) {
+            return 0;
+        }
+        if (position !== -1) {
+            gaps += next - position - 1;
+        }
+        position = next;
+    }
+    return Math.max(MATCH_SCORES.SUBSEQUENCE - gaps, 1);
+}
+
+/**
+ * Build the search index from capital records
+ * @param {Array<Object>} capitals capital records, see DataProcessor
+ * @returns {Array<Object>} search entries
+ */
+export function buildSearchIndex(capitals) {
+    return capitals.map(({ CapitalName, CountryName, CountryCode, ContinentName }) => ({
+        name: CapitalName,
+        country: CountryName,
+        countryCode: CountryCode,
+        continent: ContinentName,
+        normalizedName: normalizeText(CapitalName),
+        normalizedCountry: normalizeText(CountryName),
+        normalizedCountryCode: normalizeText(CountryCode)
+    }));
+}
+
+/**
+ * Find capitals matching a query, best matches first
+ * @param {Array<Object>} index search entries built by buildSearchIndex
+ * @param {string} query text typed by the user
+ * @param {number} limit max number of results
+ * @returns {Array<{name: string, country: string, countryCode: string, continent: string, score: number}>} matched capitals
+ */
+export function searchCapitals(index, query, limit = 8) {
+    const normalizedQuery = normalizeText(query);
+    if (!normalizedQuery) {
+        return [];
+    }
+
+    return index
+        .map(entry => {
+            const score = Math.max(
+                scoreMatch(entry.normalizedName, normalizedQuery),
+                scoreMatch(entry.normalizedCountry, normalizedQuery) * COUNTRY_WEIGHT,
+                entry.normalizedCountryCode === normalizedQuery ? MATCH_SCORES.COUNTRY_CODE : 0
+            );
+            const { name, country, countryCode, continent } = entry;
+            return { name, country, countryCode, continent, score };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
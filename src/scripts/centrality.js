@@ -0,0 +1,134 @@
+/**
+ * Centrality metrics of the capitals of a route network
+ */
+export const CENTRALITY_METRICS = {
+    DEGREE: 'degree',
+    FREQUENCY: 'frequency',
+    SEATS: 'seats',
+    BETWEENNESS: 'betweenness',
+    CLOSENESS: 'closeness'
+};
+
+/**
+ * Shortest paths in hops from a capital with a breadth first search, the first step of Brandes' algorithm
+ * @param {string} source name of the capital
+ * @param {Map<string, Array<string>>} successors destinations of the routes of every capital
+ * @returns {{order: Array<string>, hops: Map<string, number>, pathCounts: Map<string, number>, predecessors: Map<string, Array<string>>}}
+ * reached capitals in ascending order of hops, their number of hops, number of shortest paths and previous capitals on them
+ */
+function breadthFirstSearch(source, successors) {
+    const order = [];
+    const hops = new Map([[source, 0]]);
+    const pathCounts = new Map([[source, 1]]);
+    const predecessors = new Map([[source, []]]);
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        order.push(current);
+        successors.get(current).forEach(next => {
+            if (!hops.has(next)) {
+                hops.set(next, hops.get(current) + 1);
+                pathCounts.set(next, 0);
+                predecessors.set(next, []);
+                queue.push(next);
+            }
+            if (hops.get(next) === hops.get(current) + 1) {
+                pathCounts.set(next, pathCounts.get(next) + pathCounts.get(current));
+                predecessors.get(next).push(current);
+            }
+        });
+    }
+    return { order, hops, pathCounts, predecessors };
+}
+
+/**
+ * Compute centrality metrics of every capital with at least one route. Routes are directed,
+ * paths are counted in hops so that a hub is central because of its connections rather than its location.
+ *  - degree: number of routes from and to the capital
+ *  - frequency, seats: sums of the frequencies and the seats of these routes
+ *  - betweenness: share of the shortest paths between other capitals going through the capital (Brandes), between 0 and 1
+ *  - closeness: inverse of the mean number of hops to the reachable capitals, scaled by the share of reachable capitals
+ *    so that capitals of small disconnected parts don't rank first (Wasserman and Faust), between 0 and 1
+ * @param {Array<{origin: string, destination: string, frequency: number, seats: number}>} routes directed routes, one per pair of capitals
+ * @returns {Array<{name: string, degree: number, frequency: number, seats: number, betweenness: number, closeness: number}>} metrics of the capitals
+ */
+export function computeCentrality(routes) {
+    const successors = new Map();
+    const metrics = new Map();
+    const addCapital = name => {
+        if (!metrics.has(name)) {
+            successors.set(name, []);
+            metrics.set(name, { name, degree: 0, frequency: 0, seats: 0, betweenness: 0, closeness: 0 });
+        }
+        return metrics.get(name);
+    };
+    routes.forEach(({ origin, destination, frequency = 0, seats = 0 }) => {
+        [addCapital(origin), addCapital(destination)].forEach(capital => {
+            capital.degree++;
+            capital.frequency += frequency;
+            capital.seats += seats;
+        });
+        successors.get(origin).push(destination);
+    });
+
+    const names = [...metrics.keys()];
+    const otherCount = names.length - 1;
+    names.forEach(source => {
+        const { order, hops, pathCounts, predecessors } = breadthFirstSearch(source, successors);
+
+        const reachedCount = order.length - 1;
+        const totalHops = order.reduce((sum, name) => sum + hops.get(name), 0);
+        if (totalHops > 0) {
+            metrics.get(source).closeness = (reachedCount / otherCount) * (reachedCount / totalHops);
+        }
+
+        // Dependencies are accumulated from the farthest capitals back to the source
+        const dependencies = new Map(order.map(name => [name, 0]));
+        order.slice().reverse().forEach(name => {
+            predecessors.get(name).forEach(previous => {
+                const dependency = (pathCounts.get(previous) / pathCounts.get(name)) * (1 + dependencies.get(name));
+                dependencies.set(previous, dependencies.get(previous) + dependency);
+            });
+            if (name !== source) {
+                metrics.get(name).betweenness += dependencies.get(name);
+            }
+        });
+    });
+
+    // Pairs of other capitals, both directions
+    const pairCount = otherCount * (otherCount - 1);
+    return [...metrics.values()].map(capital => ({
+        ...capital,
+        betweenness: pairCount > 0 ? capital.betweenness / pairCount : 0
+    }));
+}
+
+/**
+ * Rank capitals by a centrality metric, ties are ranked by name
+ * @param {Array<Object>} centralities metrics of the capitals, see computeCentrality
+ * @param {string} metric one of CENTRALITY_METRICS
+ * @param {number} limit max number of ranked capitals
+ * @returns {Array<Object>} metrics of the first capitals in descending order of the metric with their rank from 1
+ */
+export function rankHubs(centralities, metric, limit = Infinity) {
+    return centralities
+        .slice()
+        .sort((a, b) => b[metric] - a[metric] || a.name.localeCompare(b.name))
+        .slice(0, limit)
+        .map((capital, index) => ({ ...capital, rank: index + 1 }));
+}
+
+/**
+ * Scores of the capitals by a centrality metric relative to the most central one, e.g: to size their markers
+ * @param {Array<Object>} centralities metrics of the capitals, see computeCentrality
+ * @param {string} metric one of CENTRALITY_METRICS
+ * @returns {Object<string, number>} mapping from capital name to score between 0 and 1
+ */
+export function normalizeCentrality(centralities, metric) {
+    const max = centralities.reduce((result, capital) => Math.max(result, capital[metric]), 0);
+    const scores = {};
+    centralities.forEach(capital => {
+        scores[capital.name] = max > 0 ? capital[metric] / max : 0;
+    });
+    return scores;
+}
@@ -0,0 +1,387 @@
+/**
+ * Key of a route, routes of 2 datasets are the same when they have the same key
+ * @param {{origin: string, destination: string}} properties properties of the route
+ * @returns {string} key
+ */
+export function routeKey({ origin, destination }) {
+    return `${origin}→${destination}`;
+}
+
+/**
+ * Tell which routes are added, removed or unchanged between the displayed routes of 2 datasets.
+ * Removed and unchanged routes keep the arcs of the base dataset, added ones the arcs of the compared dataset
+ * @param {GEOJSON.FeatureCollection<LineString>} baseRoutes routes of the base dataset, e.g: last year's network
+ * @param {GEOJSON.FeatureCollection<LineString>} compareRoutes routes of the compared dataset, e.g: this year's network
+ * @returns {{routes: GEOJSON.FeatureCollection<LineString>, counts: {ADDED: number, REMOVED: number, UNCHANGED: number}}}
+ * routes with a diffStatus property, one of CompareMode.DIFF_STATUSES, and the number of routes of each status
+ */
+export function diffRoutes(baseRoutes, compareRoutes) {
+    const { ADDED, REMOVED, UNCHANGED } = CompareMode.DIFF_STATUSES;
+    const baseFeatures = (baseRoutes && baseRoutes.features) || [];
+    const compareFeatures = (compareRoutes && compareRoutes.features) || [];
+    const compareKeys = new Set(compareFeatures.map(({ properties }) => routeKey(properties)));
+    const baseKeys = new Set(baseFeatures.map(({ properties }) => routeKey(properties)));
+
+    const withStatus = (feature, diffStatus) => ({ ...feature, properties: { ...feature.properties, diffStatus } });
+    const features = [
+        ...baseFeatures.map(feature => withStatus(feature, compareKeys.has(routeKey(feature.properties)) ? UNCHANGED : REMOVED)),
+        ...compareFeatures
+            .filter(({ properties }) => !baseKeys.has(routeKey(properties)))
+            .map(feature => withStatus(feature, ADDED))
+    ].map((feature, id) => ({ ...feature, id }));
+
+    const counts = { [ADDED]: 0, [REMOVED]: 0, [UNCHANGED]: 0 };
+    features.forEach(({ properties }) => counts[properties.diffStatus]++);
+
+    return {
+        routes: {
+            type: 'FeatureCollection',
+            features
+        },
+        counts
+    };
+}
+
+/**
+ * Comparison of the routes of 2 datasets, each displayed by its own MapWrapper and DataProcessor.
+ * The compared map is created on demand, its camera, theme, highlight and origins follow the base map.
+ * Maps are laid out side by side or overlaid with a swipe divider, or the base map displays the diff of the routes
+ */
+export class CompareMode {
+
+    /**
+     * Id of the container of the compared map
+     */
+    static CONTAINER_ID = 'compare-map';
+
+    /**
+     * How the compared datasets are displayed
+     */
+    static LAYOUTS = {
+        SWIPE: 'swipe',
+        SIDE_BY_SIDE: 'side-by-side',
+        DIFF: 'diff'
+    }
+
+    /**
+     * Diff status of a route of the compared dataset against the base dataset
+     */
+    static DIFF_STATUSES = {
+        ADDED: 'ADDED',
+        REMOVED: 'REMOVED',
+        UNCHANGED: 'UNCHANGED'
+    }
+
+    /**
+     * Map of the base dataset
+     * @type {MapWrapper}
+     * @private
+     */
+    _baseWrapper = null;
+
+    /**
+     * Create the map of the compared dataset in the container CompareMode.CONTAINER_ID
+     * @type {Function}
+     * @private
+     */
+    _createCompareWrapper = null;
+
+    /**
+     * Map of the compared dataset, null until the compare mode is enabled once
+     * @type {MapWrapper}
+     * @private
+     */
+    _compareWrapper = null;
+
+    /**
+     * Current layout, one of CompareMode.LAYOUTS, null when the compare mode is disabled
+     * @type {string}
+     * @private
+     */
+    _layout = null;
+
+    /**
+     * Position of the swipe divider, fraction of the width from the left
+     * @type {number}
+     * @private
+     */
+    _swipePosition = 0.5;
+
+    /**
+     * Displayed routes of the base map
+     * @type {GEOJSON.FeatureCollection<LineString>}
+     * @private
+     */
+    _baseRoutes = null;
+
+    /**
+     * Displayed routes of the compared map, null until they are computed once
+     * @type {GEOJSON.FeatureCollection<LineString>}
+     * @private
+     */
+    _compareRoutes = null;
+
+    /**
+     * Last diff of the displayed routes, see diffRoutes
+     * @type {{routes: GEOJSON.FeatureCollection<LineString>, counts: Object<string, number>}}
+     * @private
+     */
+    _diff = null;
+
+    /**
+     * Theme and highlighted category last applied to the compared map
+     * @type {{theme: string, highlight: string}}
+     * @private
+     */
+    _compareStyle = { theme: null, highlight: null };
+
+    /**
+     * Whether a camera is being copied to the other map, the move it fires must not be copied back
+     * @type {boolean}
+     * @private
+     */
+    _isSyncingCamera = false;
+
+    /**
+     * Callbacks fired with the compare mode after its layout, swipe position or diff are changed
+     * @type {Array<Function>}
+     * @private
+     */
+    _changeHandlers = [];
+
+    /**
+     * Follow the base map
+     * @param {MapWrapper} baseWrapper map of the base dataset
+     * @param {Function} createCompareWrapper function creating the map of the compared dataset
+     */
+    constructor(baseWrapper, createCompareWrapper) {
+        this._baseWrapper = baseWrapper;
+        this._createCompareWrapper = createCompareWrapper;
+
+        baseWrapper.addRoutesChangeHandler(this._handleBaseRoutesChange);
+        baseWrapper.addStateChangeHandler(this._syncState);
+        baseWrapper.addCameraMoveHandler(camera => this._syncCamera(this._compareWrapper, camera));
+    }
+
+    /**
+     * Whether the datasets are compared
+     * @returns {boolean} true if there is a layout
+     * @public
+     */
+    get isEnabled() {
+        return this._layout !== null;
+    }
+
+    /**
+     * Get the current layout
+     * @returns {string} one of CompareMode.LAYOUTS, null when the compare mode is disabled
+     * @public
+     */
+    get layout() {
+        return this._layout;
+    }
+
+    /**
+     * Get the position of the swipe divider
+     * @returns {number} fraction of the width from the left
+     * @public
+     */
+    get swipePosition() {
+        return this._swipePosition;
+    }
+
+    /**
+     * Get the map of the base dataset
+     * @returns {MapWrapper} base map
+     * @public
+     */
+    get baseWrapper() {
+        return this._baseWrapper;
+    }
+
+    /**
+     * Get the map of the compared dataset
+     * @returns {MapWrapper} compared map, null until the compare mode is enabled once
+     * @public
+     */
+    get compareWrapper() {
+        return this._compareWrapper;
+    }
+
+    /**
+     * Get the diff of the displayed routes
+     * @returns {{routes: GEOJSON.FeatureCollection<LineString>, counts: Object<string, number>}} see diffRoutes,
+     * null until the routes of both maps are computed
+     * @public
+     */
+    get diff() {
+        return this._diff;
+    }
+
+    /**
+     * Listen to changes of the layout, the swipe position and the diff
+     * @param {Function} callBack function called with the compare mode
+     * @returns {void}
+     * @public
+     */
+    addChangeHandler = callBack => {
+        this._changeHandlers.push(callBack);
+    }
+
+    /**
+     * Compare the datasets with a layout, the compared map is created the first time.
+     * Its container must be displayed before so that the map gets its size
+     * @param {string} layout one of CompareMode.LAYOUTS, null to stop comparing
+     * @returns {void}
+     * @public
+     */
+    setLayout = layout => {
+        if (layout !== null && !Object.values(CompareMode.LAYOUTS).includes(layout)) {
+            return;
+        }
+        this._layout = layout;
+
+        if (this.isEnabled && !this._compareWrapper) {
+            const { theme, highlight } = this._baseWrapper.state;
+            this._compareWrapper = this._createCompareWrapper();
+            // Both maps share the styling, the compared map starts with the same theme and highlight
+            this._compareStyle = { theme, highlight };
+            this._compareWrapper.addRoutesChangeHandler(this._handleCompareRoutesChange);
+            this._compareWrapper.addCameraMoveHandler(camera => this._syncCamera(this._baseWrapper, camera));
+        }
+        if (this.isEnabled) {
+            // The compared map doesn't follow the base map while it is hidden
+            this._syncCamera(this._compareWrapper, this._baseWrapper.camera);
+            this._syncState();
+        }
+        this._displayDiff();
+        this._notifyChange();
+    }
+
+    /**
+     * Move the swipe divider
+     * @param {number} position fraction of the width from the left, clamped between 0 and 1
+     * @returns {void}
+     * @public
+     */
+    setSwipePosition = position => {
+        if (!Number.isFinite(position)) {
+            return;
+        }
+        this._swipePosition = Math.min(Math.max(position, 0), 1);
+        this._notifyChange();
+    }
+
+    /**
+     * Restyle the arcs of the compared map after the distance styling configuration is changed
+     * @returns {void}
+     * @public
+     */
+    refreshStyles = () => {
+        if (this._compareRoutes) {
+            this._compareWrapper.refreshStyles();
+        }
+    }
+
+    /**
+     * Keep the routes of the base map to diff them
+     * @param {GEOJSON.FeatureCollection<LineString>} routes displayed routes
+     * @returns {void}
+     * @private
+     */
+    _handleBaseRoutesChange = routes => {
+        this._baseRoutes = routes;
+        this._updateDiff();
+    }
+
+    /**
+     * Keep the routes of the compared map to diff them. Its origins are synced once its routes can be rendered
+     * @param {GEOJSON.FeatureCollection<LineString>} routes displayed routes
+     * @returns {void}
+     * @private
+     */
+    _handleCompareRoutesChange = routes => {
+        const isFirstRender = this._compareRoutes === null;
+        this._compareRoutes = routes;
+        if (isFirstRender) {
+            this._syncState();
+        }
+        this._updateDiff();
+    }
+
+    /**
+     * Copy the camera of a map to the other one
+     * @param {MapWrapper} target map to move
+     * @param {{center: Array<number>, zoom: number, bearing: number, pitch: number}} camera camera of the moved map
+     * @returns {void}
+     * @private
+     */
+    _syncCamera = (target, camera) => {
+        if (!this.isEnabled || !target || this._isSyncingCamera) {
+            return;
+        }
+        this._isSyncingCamera = true;
+        try {
+            target.jumpTo(camera);
+        } finally {
+            this._isSyncingCamera = false;
+        }
+    }
+
+    /**
+     * Apply the theme, the highlighted category and the origins of the base map to the compared map.
+     * Origins are only applied once the compared map can render routes
+     * @returns {void}
+     * @private
+     */
+    _syncState = () => {
+        if (!this.isEnabled || this._compareRoutes === null) {
+            return;
+        }
+        const { theme, highlight } = this._baseWrapper.state;
+        if (theme !== this._compareStyle.theme) {
+            this._compareWrapper.changeTheme(theme);
+        }
+        if (highlight !== this._compareStyle.highlight) {
+            this._compareWrapper.highLightLines();
+        }
+        this._compareStyle = { theme, highlight };
+        this._compareWrapper.setOrigins(this._baseWrapper.dataProcessor.selectedCapitals);
+    }
+
+    /**
+     * Diff the displayed routes of both maps
+     * @returns {void}
+     * @private
+     */
+    _updateDiff = () => {
+        if (!this._baseRoutes || !this._compareRoutes) {
+            return;
+        }
+        this._diff = diffRoutes(this._baseRoutes, this._compareRoutes);
+        this._displayDiff();
+        this._notifyChange();
+    }
+
+    /**
+     * Display the diff on the base map in the diff layout, the routes of the base map otherwise
+     * @returns {void}
+     * @private
+     */
+    _displayDiff = () => {
+        if (this._layout === CompareMode.LAYOUTS.DIFF && this._diff) {
+            this._baseWrapper.showRouteDiff(this._diff.routes);
+        } else {
+            this._baseWrapper.clearRouteDiff();
+        }
+    }
+
+    /**
+     * Notify change handlers
+     * @returns {void}
+     * @private
+     */
+    _notifyChange = () => {
+        this._changeHandlers.forEach(f => f(this));
+    }
+}
@@ -1,7 +1,43 @@
-export const ACCESS_TOKEN = 'pk.eyJ1IjoiYW5obmd1eWVuNjI4MSIsImEiOiJjazdpc3ZiOXkwajZkM2dwcnZiYmdycWpoIn0.miItHbnpDwLSnkbssDoQww';
+// Only needed by the mapbox basemap, the default token can be replaced at build time with MAPBOX_ACCESS_TOKEN
+export const ACCESS_TOKEN = process.env.MAPBOX_ACCESS_TOKEN || 'pk.eyJ1IjoiYW5obmd1eWVuNjI4MSIsImEiOiJjazdpc3ZiOXkwajZkM2dwcnZiYmdycWpoIn0.miItHbnpDwLSnkbssDoQww';
 export const PREFIX_STYLE_URL = 'mapbox://styles/';
+// One of Stylings.BASEMAPS, chosen at build time with BASEMAP
+export const BASEMAP = process.env.BASEMAP || 'mapbox';
 export const DEFAULT_ZOOM_LEVEL = 2;
 export const FLY_TO_ANIMATION_SPEED = 0.4;
 export const CAPITAL_JSON_URL = '/capitals';
+// Number of points along an arc grows with its distance and the zoom, between MIN and NUMBER_OF_POINTS_ALONG_THE_LINE
 export const NUMBER_OF_POINTS_ALONG_THE_LINE = 500;
+export const MIN_POINTS_ALONG_THE_LINE = 16;
+// Distance in km between 2 points of an arc at zoom 0, halved at every zoom level up to MAX_ARC_DENSITY_ZOOM
+export const ARC_SEGMENT_LENGTH_AT_ZOOM_0 = 200;
+export const MAX_ARC_DENSITY_ZOOM = 6;
+export const ARC_CACHE_CAPACITY = 2000;
 export const DEFAULT_ORIGIN = 'Riyadh';
+export const DEFAULT_MAX_LEG_LENGTH = 5000;
+export const FLIGHT_ANIMATION_DURATION = 10000;
+// Upper bound of the route filter distance slider, the longest great circle is ~20,015 km
+export const ROUTE_FILTER_MAX_DISTANCE = 20100;
+export const ROUTE_FILTER_DISTANCE_STEP = 100;
+// Approximate number of bars of the distance histogram of the route statistics
+export const ROUTE_STATS_HISTOGRAM_BINS = 10;
+// Touch interaction: pixels around a tap where routes and capitals are looked up, pixels a finger may move during a tap,
+// duration of a long press in ms, delay in ms during which the click emulated by the browser after a tap is ignored
+export const TOUCH_HIT_TOLERANCE = 12;
+export const TAP_MOVE_TOLERANCE = 10;
+export const LONG_PRESS_DURATION = 600;
+export const EMULATED_CLICK_DELAY = 800;
+// Capital markers are clustered up to CAPITAL_CLUSTER_MAX_ZOOM, within CAPITAL_CLUSTER_RADIUS pixels.
+// Clusters that are still together at that zoom are spread on a circle, at least SPIDERFY_SPACING pixels apart
+export const CAPITAL_CLUSTER_MAX_ZOOM = 6;
+export const CAPITAL_CLUSTER_RADIUS = 30;
+export const SPIDERFY_MIN_RADIUS = 30;
+export const SPIDERFY_SPACING = 24;
+// Default limits of the reachability analysis: hops from the origin, cumulative distance in km. Hop limits go up to REACHABILITY_MAX_HOPS
+export const DEFAULT_REACHABILITY_HOPS = 2;
+export const DEFAULT_REACHABILITY_DISTANCE = 6000;
+export const REACHABILITY_MAX_HOPS = 5;
+// Number of capitals of the ranked hubs table
+export const HUBS_TABLE_SIZE = 20;
+// Max duration in ms of the rendering of a high resolution snapshot
+export const SNAPSHOT_RENDER_TIMEOUT = 30000;
@@ -1,15 +1,30 @@
-import * as turf from "@turf/turf";
-import { GreatCircle } from "arc";
 import $ from "jquery";
 
-import { NUMBER_OF_POINTS_ALONG_THE_LINE, DEFAULT_ORIGIN } from './constants.js';
+import { DEFAULT_ORIGIN, DEFAULT_MAX_LEG_LENGTH, MAX_ARC_DENSITY_ZOOM } from './constants.js';
 import { notify } from "./utils.js";
+import { datasetLoaders, describeDatasetErrors } from "./dataset-loaders.js";
+import { routeLoaders } from "./route-loaders.js";
+import { RouteGraph } from "./route-graph.js";
+import { ArcWorkerClient } from "./arc-worker-client.js";
+import { computeArc, toDensityZoom } from "./arc-geometry.js";
+import { ArcCache } from "./arc-cache.js";
+import { createSchedule, addToSchedule, isTimedSchedule, computeScheduleRange } from "./timeline.js";
+import { computeCentrality } from "./centrality.js";
 
 /**
  * Class to fetch capital data, compute data for markers, arcs
  */
 export class DataProcessor {
 
+    /**
+     * Ways to compute routes from the selected capital.
+     * ALL_TO_ALL: arcs to every other capital, NETWORK: arcs of the loaded routes dataset only
+     */
+    static ROUTE_MODES = {
+        ALL_TO_ALL: 'ALL_TO_ALL',
+        NETWORK: 'NETWORK'
+    }
+
     /**
      * Raw capital data fetched from back-end
      * @type {Array}
@@ -24,6 +39,13 @@ export class DataProcessor {
      */
     _capitalNameToInfoMappings = {};
 
+    /**
+     * Mapping from {alias(e.g: IATA code) => capital name} to resolve route endpoints
+     * @type {Object}
+     * @private
+     */
+    _aliasToCapitalNameMappings = {};
+
     /**
      * Data to render markers for all capitals
      * @type {GEOJSON.FeatureCollection<Point>}
@@ -38,6 +60,13 @@ export class DataProcessor {
      */
     _selectedCapital = DEFAULT_ORIGIN;
 
+    /**
+     * Origins added to the selected capital in the multi origins mode, in the order they were added
+     * @type {Array<string>}
+     * @private
+     */
+    _additionalOrigins = [];
+
     /**
      * Path to fetch data from back-end
      * @type {string}
@@ -45,13 +74,106 @@ export class DataProcessor {
      */
     _url = "/";
 
+    /**
+     * Options to select and configure the dataset loader. E.g: { format: 'csv', columns: { name: 'city' } }
+     * @type {Object}
+     * @private
+     */
+    _datasetOptions = {};
+
+    /**
+     * Rows of the last loaded dataset that were skipped because they are invalid
+     * @type {Array<{line: number, index: number, message: string}>}
+     * @private
+     */
+    _datasetErrors = [];
+
+    /**
+     * Registry of loaders used to parse datasets
+     * @type {DatasetLoaderRegistry}
+     * @private
+     */
+    _loaderRegistry = datasetLoaders;
+
+    /**
+     * How routes are computed, one of DataProcessor.ROUTE_MODES
+     * @type {string}
+     * @private
+     */
+    _routeMode = DataProcessor.ROUTE_MODES.ALL_TO_ALL;
+
+    /**
+     * Route records of the loaded routes dataset
+     * @type {Array<{origin: string, destination: string, airline: string, frequency: number, line: number}>}
+     * @private
+     */
+    _routeRecords = [];
+
+    /**
+     * Mapping from {origin capital name => outgoing routes}, built from route records whose endpoints are known
+     * @type {Object<string, Array<{destination: string, airlines: Array<string>, frequency: number, seats: number, passengers: number, schedule: Object}>>}
+     * @private
+     */
+    _routeNetwork = {};
+
+    /**
+     * Dates covered by the periods and departures of the loaded routes, null when they don't depend on time
+     * @type {{start: number, end: number}}
+     * @private
+     */
+    _scheduleRange = null;
+
+    /**
+     * Result of the validation of the loaded routes dataset
+     * @type {{format: string, routeCount: number, edgeCount: number, errors: Array<Object>, unknownNodes: Array<Object>}}
+     * @private
+     */
+    _routesValidationReport = null;
+
+    /**
+     * Graph of routes used to find itineraries, cached until the dataset, routes or graph options change
+     * @type {{key: string, graph: RouteGraph}}
+     * @private
+     */
+    _routeGraphCache = null;
+
+    /**
+     * Centrality metrics of the capitals of the route network, cached until the dataset or routes change
+     * @type {Array<Object>}
+     * @private
+     */
+    _centralityCache = null;
+
+    /**
+     * Client of the worker computing arcs off the main thread
+     * @type {ArcWorkerClient}
+     * @private
+     */
+    _arcWorkerClient = new ArcWorkerClient();
+
+    /**
+     * Client of the worker computing the arcs of the reachability tree, so that it doesn't cancel the displayed routes
+     * @type {ArcWorkerClient}
+     * @private
+     */
+    _reachabilityWorkerClient = new ArcWorkerClient();
+
+    /**
+     * Computed arcs, reused when a capital is selected again or the arc is seen from the other end
+     * @type {ArcCache}
+     * @private
+     */
+    _arcCache = new ArcCache();
+
     /**
      * @param {string} _url url path to fetch data
      * @param {Stylings} styling Styling object to handle theme changes
+     * @param {Object} datasetOptions options to select and configure the dataset loader
      */
-    constructor(_url, styling) {
+    constructor(_url, styling, datasetOptions = {}) {
         this._url = _url;
         this.styling = styling;
+        this._datasetOptions = datasetOptions;
     }
 
     /**
@@ -70,23 +192,226 @@ export class DataProcessor {
      * @public
      */
     setSelectedCapital(newOriginCapital) {
-        if (this._selectedCapital === newOriginCapital) {
+        if (this._selectedCapital === newOriginCapital && !this._additionalOrigins.length) {
             return false;
         }
 
         this._selectedCapital = newOriginCapital;
+        this._additionalOrigins = [];
         return true;
     }
 
     /**
-     * Get all arc lines data that starts from the selected capital
-     * @returns {GeoJSON.FeatureCollection<LineString>} arcs line data
+     * Get names of all origins, the selected capital comes first
+     * @returns {Array<string>} names of origin capitals
      * @public
      */
-    get arcLinesFromSelectedCapital() {
-        const routes = this._computeStraightLineRoutes(this._selectedCapital);
-        this._addDistancesAndConvertStraightLineToArc(routes);
-        return routes;
+    get selectedCapitals() {
+        return [this._selectedCapital, ...this._additionalOrigins];
+    }
+
+    /**
+     * Replace all origins, e.g: to display the same origins as another map. Duplicated names are ignored
+     * @param {Array<string>} capitalNames names of the origins, the first one becomes the selected capital
+     * @returns {boolean} whether the origins are different from the old ones
+     * @public
+     */
+    setSelectedCapitals(capitalNames) {
+        const [selectedCapital, ...additionalOrigins] = [...new Set(capitalNames)];
+        if (!selectedCapital) {
+            return false;
+        }
+        const isUnchanged = selectedCapital === this._selectedCapital
+            && additionalOrigins.length === this._additionalOrigins.length
+            && additionalOrigins.every((origin, index) => origin === this._additionalOrigins[index]);
+        if (isUnchanged) {
+            return false;
+        }
+
+        this._selectedCapital = selectedCapital;
+        this._additionalOrigins = additionalOrigins;
+        return true;
+    }
+
+    /**
+     * Add an origin to the selected capital
+     * @param {string} capitalName name of the capital
+     * @returns {boolean} whether the origin is added, false if it is unknown or already an origin
+     * @public
+     */
+    addOrigin(capitalName) {
+        if (!this.hasCapital(capitalName) || this.selectedCapitals.includes(capitalName)) {
+            return false;
+        }
+        this._additionalOrigins.push(capitalName);
+        return true;
+    }
+
+    /**
+     * Remove an origin. When the selected capital is removed, the next origin becomes the selected capital
+     * @param {string} capitalName name of the capital
+     * @returns {boolean} whether the origin is removed, false if it is not an origin or the only one
+     * @public
+     */
+    removeOrigin(capitalName) {
+        if (!this._additionalOrigins.length || !this.selectedCapitals.includes(capitalName)) {
+            return false;
+        }
+        if (capitalName === this._selectedCapital) {
+            this._selectedCapital = this._additionalOrigins.shift();
+        } else {
+            this._additionalOrigins = this._additionalOrigins.filter(origin => origin !== capitalName);
+        }
+        return true;
+    }
+
+    /**
+     * Get records of all capitals in the dataset
+     * @returns {Array<Object>} capital records
+     * @public
+     */
+    get capitalData() {
+        return this._capitalData;
+    }
+
+    /**
+     * Get the continents of the capitals, e.g: to filter destinations
+     * @returns {Array<string>} sorted continent names
+     * @public
+     */
+    get continents() {
+        return DataProcessor._uniqueSorted(this._capitalData.map(({ ContinentName }) => ContinentName));
+    }
+
+    /**
+     * Get the countries of the capitals, e.g: to filter destinations
+     * @returns {Array<string>} sorted country names
+     * @public
+     */
+    get countries() {
+        return DataProcessor._uniqueSorted(this._capitalData.map(({ CountryName }) => CountryName));
+    }
+
+    /**
+     * Remove empty and duplicated values and sort the others
+     * @param {Array<string>} values values
+     * @returns {Array<string>} unique values in alphabetical order
+     * @private
+     */
+    static _uniqueSorted(values) {
+        return [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Check whether a capital is in the dataset
+     * @param {string} capitalName name of the capital
+     * @returns {boolean} true if the capital is known
+     * @public
+     */
+    hasCapital(capitalName) {
+        return Boolean(this._capitalNameToInfoMappings[capitalName]);
+    }
+
+    /**
+     * Get how routes are computed
+     * @returns {string} one of DataProcessor.ROUTE_MODES
+     * @public
+     */
+    get routeMode() {
+        return this._routeMode;
+    }
+
+    /**
+     * Set how routes are computed
+     * @param {string} routeMode one of DataProcessor.ROUTE_MODES
+     * @returns {boolean} whether the route mode is changed
+     * @public
+     */
+    setRouteMode(routeMode) {
+        if (!Object.values(DataProcessor.ROUTE_MODES).includes(routeMode)) {
+            notify(`Route mode "${routeMode}" is not supported`);
+            return false;
+        }
+        if (this._routeMode === routeMode) {
+            return false;
+        }
+        if (routeMode === DataProcessor.ROUTE_MODES.NETWORK && !this._routesValidationReport) {
+            notify("Load a routes dataset first");
+            return false;
+        }
+
+        this._routeMode = routeMode;
+        return true;
+    }
+
+    /**
+     * Get the validation result of the loaded routes dataset
+     * @returns {{format: string, routeCount: number, edgeCount: number, errors: Array<Object>, unknownNodes: Array<Object>}} null if no routes are loaded
+     * @public
+     */
+    get routesValidationReport() {
+        return this._routesValidationReport;
+    }
+
+    /**
+     * Get the dates of the schedules of the displayed routes, only routes of the network have schedules
+     * @returns {{start: number, end: number}} timestamps in ms, null when the displayed routes don't depend on time
+     * @public
+     */
+    get scheduleRange() {
+        return this._routeMode === DataProcessor.ROUTE_MODES.NETWORK ? this._scheduleRange : null;
+    }
+
+    /**
+     * Compute all arc lines data that starts from the selected capital and the additional origins.
+     * Cached arcs are reused, the others are computed in a worker. A new call cancels the pending one.
+     * Every arc is tagged with the color of its origin
+     * @param {number} zoom zoom of the map, longer arcs and higher zooms get more points
+     * @returns {Promise<GeoJSON.FeatureCollection<LineString>>} arcs line data, null when the computation is cancelled
+     * @public
+     */
+    computeArcLinesFromSelectedCapital = (zoom = 0) => {
+        return this._convertStraightLinesToArcsInWorker(this._arcWorkerClient, this._computeStraightLinesFromSelectedCapitals(), zoom);
+    }
+
+    /**
+     * Replace straight lines by their arcs. Cached arcs are reused, the others are computed in a worker.
+     * A new call with the same client cancels the pending one
+     * @param {ArcWorkerClient} workerClient client of the worker
+     * @param {GEOJSON.FeatureCollection<LineString>} routes straight lines from src to dest, updated in place
+     * @param {number} zoom zoom of the map, longer arcs and higher zooms get more points
+     * @returns {Promise<GEOJSON.FeatureCollection<LineString>>} routes with their arcs, null when the computation is cancelled
+     * @private
+     */
+    _convertStraightLinesToArcsInWorker = (workerClient, routes, zoom) => {
+        const densityZoom = toDensityZoom(zoom);
+        const missingRoutes = routes.features.filter(route => !this._applyCachedArc(route, densityZoom));
+
+        if (!missingRoutes.length) {
+            workerClient.cancel();
+            return Promise.resolve(routes);
+        }
+
+        return workerClient.computeArcs(missingRoutes, densityZoom).then(arcs => {
+            if (!arcs) {
+                return null;
+            }
+            missingRoutes.forEach((route, index) => {
+                const arc = { distance: arcs.distances[index], geometry: arcs.geometries[index] };
+                this._arcCache.set(route.properties.origin, route.properties.destination, densityZoom, arc);
+                this._applyArc(route, arc.distance, arc.geometry);
+            });
+            return routes;
+        });
+    }
+
+    /**
+     * Get statistics of the arc cache
+     * @returns {{size: number, capacity: number, hits: number, misses: number, evictions: number, invalidations: number, hitRate: number}} see ArcCache.stats
+     * @public
+     */
+    get arcCacheStats() {
+        return this._arcCache.stats;
     }
 
     /**
@@ -109,25 +434,194 @@ export class DataProcessor {
             return [];
         }
 
-        const { CapitalLongitude: longitude, CapitalLatitude: latitude } = this._capitalNameToInfoMappings[this._selectedCapital];
+        return this.getCapitalCoordinates(this._selectedCapital);
+    }
+
+    /**
+     * Get coordinates of a capital
+     * @param {string} capitalName name of the capital
+     * @returns {Array[Number, Number]} [longitude, latitude] of capital, empty array if capital is not found
+     * @public
+     */
+    getCapitalCoordinates(capitalName) {
+        const capitalInfo = this._capitalNameToInfoMappings[capitalName];
+        if (!capitalInfo) {
+            return [];
+        }
+
+        const { CapitalLongitude: longitude, CapitalLatitude: latitude } = capitalInfo;
 
         return [Number(longitude), Number(latitude)];
     }
 
+    /**
+     * Get rows of the last loaded dataset that were skipped because they are invalid
+     * @returns {Array<{line: number, index: number, message: string}>} skipped rows with their position
+     * @public
+     */
+    get datasetErrors() {
+        return this._datasetErrors;
+    }
+
+    /**
+     * Get graph of routes between capitals. In the route network mode, edges are the loaded routes.
+     * Otherwise every pair of capitals that are at most maxLegLength km apart is connected
+     * @param {number} maxLegLength max distance of one leg in km, ignored in the route network mode
+     * @returns {RouteGraph} route graph
+     * @public
+     */
+    getRouteGraph = (maxLegLength = DEFAULT_MAX_LEG_LENGTH) => {
+        const isNetwork = this._routeMode === DataProcessor.ROUTE_MODES.NETWORK;
+        const key = isNetwork ? this._routeMode : `${this._routeMode}:${maxLegLength}`;
+        if (this._routeGraphCache && this._routeGraphCache.key === key) {
+            return this._routeGraphCache.graph;
+        }
+
+        const nodes = {};
+        this._capitalData.forEach(({ CapitalName, CapitalLongitude, CapitalLatitude }) => {
+            nodes[CapitalName] = [Number(CapitalLongitude), Number(CapitalLatitude)];
+        });
+
+        let graph;
+        if (isNetwork) {
+            const edges = [];
+            Object.keys(this._routeNetwork).forEach(origin => {
+                this._routeNetwork[origin].forEach(({ destination }) => edges.push({ origin, destination }));
+            });
+            graph = RouteGraph.fromEdgeList(nodes, edges);
+        } else {
+            graph = RouteGraph.fromMaxLegLength(nodes, maxLegLength);
+        }
+
+        this._routeGraphCache = { key, graph };
+        return graph;
+    }
+
+    /**
+     * Find the shortest itinerary between 2 capitals over the route graph
+     * @param {string} origin name of the origin capital
+     * @param {string} destination name of the destination capital
+     * @param {number} maxLegLength max distance of one leg in km, ignored in the route network mode
+     * @returns {{path: Array<string>, legs: Array<Object>, distance: number, itinerary: GEOJSON.FeatureCollection<LineString>}} null if there is no itinerary
+     * @public
+     */
+    findItinerary = (origin, destination, maxLegLength) => {
+        const graph = this.getRouteGraph(maxLegLength);
+        const result = graph.shortestPath(origin, destination);
+        if (!result) {
+            return null;
+        }
+
+        const itinerary = {
+            type: 'FeatureCollection',
+            features: result.legs.map((leg, index) => ({
+                'type': 'Feature',
+                'id': index,
+                'properties': {
+                    origin: leg.origin,
+                    destination: leg.destination,
+                    leg: index + 1
+                },
+                'geometry': {
+                    'type': 'LineString',
+                    'coordinates': [graph.coordinatesOf(leg.origin), graph.coordinatesOf(leg.destination)]
+                }
+            }))
+        };
+        this._addDistancesAndConvertStraightLineToArc(itinerary);
+
+        return { ...result, itinerary };
+    }
+
+    /**
+     * Find the capitals reachable from an origin over the route graph within a limit of hops or of cumulative distance.
+     * Edges of the tree of best paths are converted to arcs in a worker like displayed routes, a new call cancels the pending one
+     * @param {string} origin name of the origin capital
+     * @param {string} metric one of RouteGraph.REACH_METRICS
+     * @param {number} limit max number of hops or max cumulative distance in km
+     * @param {number} maxLegLength max distance of one leg in km, ignored in the route network mode
+     * @param {number} zoom zoom of the map, decides the number of points along the arcs
+     * @returns {Promise<{
+     *  origin: string,
+     *  metric: string,
+     *  limit: number,
+     *  reached: Array<{name: string, hops: number, distance: number, previous: string}>,
+     *  capitals: GEOJSON.FeatureCollection<Point>,
+     *  tree: GEOJSON.FeatureCollection<LineString>
+     * }>} reachability, reached capitals don't include the origin. Null when the computation is cancelled
+     * @public
+     */
+    computeReachability = (origin, metric, limit, maxLegLength, zoom = 0) => {
+        const graph = this.getRouteGraph(maxLegLength);
+        const reached = graph.reachableFrom(origin, metric, limit).filter(({ previous }) => previous !== null);
+
+        // Capitals and the tree are displayed by one source, ids of the capitals follow the ids of the edges
+        const capitals = {
+            type: 'FeatureCollection',
+            features: reached.map(({ name, hops, distance }, index) => ({
+                'type': 'Feature',
+                'id': reached.length + index,
+                'properties': { capitalName: name, hops, cumulativeDistance: distance },
+                'geometry': { 'type': 'Point', 'coordinates': graph.coordinatesOf(name) }
+            }))
+        };
+
+        const tree = {
+            type: 'FeatureCollection',
+            features: reached.map(({ name, hops, distance, previous }, index) => ({
+                'type': 'Feature',
+                'id': index,
+                'properties': { origin: previous, destination: name, hops, cumulativeDistance: distance },
+                'geometry': {
+                    'type': 'LineString',
+                    'coordinates': [graph.coordinatesOf(previous), graph.coordinatesOf(name)]
+                }
+            }))
+        };
+        return this._convertStraightLinesToArcsInWorker(this._reachabilityWorkerClient, tree, zoom)
+            .then(arcs => (arcs ? { origin, metric, limit, reached, capitals, tree } : null));
+    }
+
+    /**
+     * Compute centrality metrics of the capitals of the loaded route network, see computeCentrality.
+     * Betweenness runs a search from every capital on the main thread, metrics are only computed again after the dataset or routes change
+     * @returns {Array<{name: string, degree: number, frequency: number, seats: number, betweenness: number, closeness: number}>}
+     * metrics of the capitals with at least one route, null when no route network is displayed
+     * @public
+     */
+    computeCentrality = () => {
+        if (this._routeMode !== DataProcessor.ROUTE_MODES.NETWORK) {
+            return null;
+        }
+        if (!this._centralityCache) {
+            const routes = [];
+            Object.keys(this._routeNetwork).forEach(origin => {
+                this._routeNetwork[origin].forEach(({ destination, frequency, seats }) => routes.push({ origin, destination, frequency, seats }));
+            });
+            this._centralityCache = computeCentrality(routes);
+        }
+        return this._centralityCache;
+    }
+
     /**
      * Fetch data from backend
      * @returns {Promise<any>}
      * @public
      */
     load = () => new Promise((resolve, reject) => {
+        // Without explicit format or known extension, the dataset is fetched as JSON and recognized by its content
+        const loader = this._loaderRegistry.resolve({ ...this._datasetOptions, fileName: this._url });
         $.ajax({
             type: 'GET',
             url: this._url,
-            dataType: 'json',
+            dataType: loader ? loader.dataType : 'json',
             success: (data) => {
-                this._capitalData = data;
-                this._computeCapitalPoints();
-                this._buildMapFromCapitalNameToInfo();
+                try {
+                    this._applyDataset(data, { ...this._datasetOptions, fileName: this._url });
+                } catch (e) {
+                    reject(e.message);
+                    return;
+                }
                 resolve();
             },
             error: (err) => {
@@ -137,6 +631,106 @@ export class DataProcessor {
         });
     });
 
+    /**
+     * Fetch a routes dataset and switch to the route network mode
+     * @param {string} url url of the routes dataset
+     * @param {Object} options loader selection and loader specific options(e.g: columns)
+     * @returns {Promise<Object>} validation report of the routes, rejected with the error.
+     * Unavailable and invalid datasets are notified
+     * @public
+     */
+    loadRoutes = (url, options = {}) => new Promise((resolve, reject) => {
+        const fail = error => {
+            notify(error.message);
+            reject(error);
+        };
+        $.ajax({
+            type: 'GET',
+            url,
+            dataType: 'text',
+            success: (data) => {
+                try {
+                    resolve(this.loadRoutesFromText(data, { ...options, fileName: url }));
+                } catch (e) {
+                    fail(e);
+                }
+            },
+            error: () => fail(new Error(`Route data at "${url}" is not available`))
+        });
+    });
+
+    /**
+     * Load a routes dataset from its content and switch to the route network mode
+     * @param {string} content raw text of the dataset
+     * @param {{fileName: string, format: string}} options loader selection and loader specific options(e.g: columns)
+     * @returns {{format: string, routeCount: number, edgeCount: number, errors: Array<Object>, unknownNodes: Array<Object>}} validation report
+     * @throws {Error} when the format is unknown or the content can't be parsed
+     * @public
+     */
+    loadRoutesFromText = (content, options = {}) => {
+        const { records, errors, format } = routeLoaders.parse(content, options);
+        this._routeRecords = records;
+        this._buildRouteNetwork({ format, errors });
+        this._routeMode = DataProcessor.ROUTE_MODES.NETWORK;
+
+        const { unknownNodes } = this._routesValidationReport;
+        if (errors.length || unknownNodes.length) {
+            notify(describeDatasetErrors([...errors, ...unknownNodes]));
+        }
+
+        return this._routesValidationReport;
+    }
+
+    /**
+     * Load a dataset from its content, e.g: a file picked by the user
+     * @param {string|Object} content raw text or parsed JSON
+     * @param {{fileName: string, format: string}} options loader selection and loader specific options(e.g: columns)
+     * @returns {{format: string, count: number, errors: Array<Object>}} summary of the loaded dataset
+     * @throws {Error} when the format is unknown or the content can't be parsed
+     * @public
+     */
+    loadFromText = (content, options = {}) => {
+        const format = this._applyDataset(content, options);
+        return { format, count: this._capitalData.length, errors: this._datasetErrors };
+    }
+
+    /**
+     * Parse a dataset and replace the current capitals with it
+     * @param {string|Object} content raw text or parsed JSON
+     * @param {Object} options loader options
+     * @returns {string} name of the format used to parse the dataset
+     * @private
+     */
+    _applyDataset = (content, options) => {
+        const { records, errors, format } = this._loaderRegistry.parse(content, options);
+
+        this._capitalData = records;
+        this._datasetErrors = errors;
+        this._computeCapitalPoints();
+        this._buildMapFromCapitalNameToInfo();
+        this._routeGraphCache = null;
+        this._centralityCache = null;
+        // Cities of the new dataset may have the same names with other coordinates
+        this._arcCache.clear();
+        if (this._routesValidationReport) {
+            // Route endpoints are resolved against the new capitals
+            this._buildRouteNetwork(this._routesValidationReport);
+        }
+
+        // Custom datasets or shared links may not contain the current origin
+        this._additionalOrigins = this._additionalOrigins.filter(origin => this._capitalNameToInfoMappings[origin]);
+        if (!this._capitalNameToInfoMappings[this._selectedCapital] && records.length) {
+            this._selectedCapital = this._additionalOrigins.shift()
+                || (this._capitalNameToInfoMappings[DEFAULT_ORIGIN] ? DEFAULT_ORIGIN : records[0].CapitalName);
+        }
+
+        if (errors.length) {
+            notify(describeDatasetErrors(errors));
+        }
+
+        return format;
+    }
+
     /**
      * Compute capitals Feature<Point> from raw capital data
      * @returns {void}
@@ -149,12 +743,15 @@ export class DataProcessor {
                 CapitalName: name,
                 CapitalLongitude: longitude,
                 CapitalLatitude: latitude,
-                CountryName } = capitalInfo;
+                CountryName,
+                ContinentName } = capitalInfo;
             return {
                 type: 'Feature',
                 properties: {
                     capitalName: name,
-                    capitalDescription: `Capital of ${CountryName}`
+                    capitalDescription: `Capital of ${CountryName}`,
+                    countryName: CountryName,
+                    continentName: ContinentName
                 },
                 geometry: {
                     type: 'Point',
@@ -176,14 +773,107 @@ export class DataProcessor {
      */
     _buildMapFromCapitalNameToInfo = () => {
         const index = {};
+        const aliases = {};
         for (const capital of this._capitalData) {
             index[capital.CapitalName] = capital;
+            (capital.Aliases || []).forEach(alias => {
+                aliases[alias] = capital.CapitalName;
+            });
         }
         this._capitalNameToInfoMappings = index;
+        this._aliasToCapitalNameMappings = aliases;
+    }
+
+    /**
+     * Find the capital referenced by a route endpoint
+     * @param {string} endpoint capital name or alias(e.g: IATA code)
+     * @returns {string} capital name or undefined if the endpoint is unknown
+     * @private
+     */
+    _resolveCapitalName = endpoint => {
+        if (this._capitalNameToInfoMappings[endpoint]) {
+            return endpoint;
+        }
+        return this._aliasToCapitalNameMappings[endpoint];
+    }
+
+    /**
+     * Build the mapping origin -> outgoing routes from the route records.
+     * Records of the same origin and destination are merged, records with unknown endpoints are reported
+     * @param {{format: string, errors: Array<Object>}} parseResult format and parsing errors of the routes dataset
+     * @returns {void}
+     * @private
+     */
+    _buildRouteNetwork = ({ format, errors }) => {
+        const network = {};
+        const edges = {};
+        const unknownNodes = [];
+
+        this._routeRecords.forEach((record, index) => {
+            const origin = this._resolveCapitalName(record.origin) || this._resolveCapitalName(record.originId);
+            const destination = this._resolveCapitalName(record.destination) || this._resolveCapitalName(record.destinationId);
+            if (!origin || !destination) {
+                const unknown = [!origin && `origin "${record.origin}"`, !destination && `destination "${record.destination}"`];
+                unknownNodes.push({ line: record.line, index, message: `unknown ${unknown.filter(Boolean).join(' and ')}` });
+                return;
+            }
+            if (origin === destination) {
+                return;
+            }
+
+            const key = JSON.stringify([origin, destination]);
+            if (!edges[key]) {
+                edges[key] = { destination, airlines: [], frequency: 0, seats: 0, passengers: 0, schedule: createSchedule() };
+                network[origin] = network[origin] || [];
+                network[origin].push(edges[key]);
+            }
+            if (record.airline && !edges[key].airlines.includes(record.airline)) {
+                edges[key].airlines.push(record.airline);
+            }
+            edges[key].frequency += record.frequency;
+            edges[key].seats += record.seats || 0;
+            edges[key].passengers += record.passengers || 0;
+            addToSchedule(edges[key].schedule, record);
+        });
+
+        this._routeNetwork = network;
+        this._scheduleRange = computeScheduleRange(Object.values(edges).map(({ schedule }) => schedule));
+        this._routeGraphCache = null;
+        this._centralityCache = null;
+        this._routesValidationReport = {
+            format,
+            routeCount: this._routeRecords.length,
+            edgeCount: Object.keys(edges).length,
+            errors,
+            unknownNodes
+        };
     }
 
     /**
-     * Compute straight lines between selected capital to other capitals
+     * Compute straight lines from the selected capital and the additional origins
+     * @returns {GEOJSON.FeatureCollection<LineString>} features collections of line strings
+     * @private
+     */
+    _computeStraightLinesFromSelectedCapitals = () => {
+        const routes = {
+            type: 'FeatureCollection',
+            features: []
+        };
+        this.selectedCapitals.forEach((origin, originIndex) => {
+            this._computeStraightLineRoutes(origin).features.forEach(feature => {
+                routes.features.push({
+                    ...feature,
+                    // Ids must be unique across origins, they identify the hovered route
+                    'id': routes.features.length,
+                    'properties': { ...feature.properties, originColor: this.styling.getOriginColor(originIndex) }
+                });
+            });
+        });
+        return routes;
+    }
+
+    /**
+     * Compute straight lines between selected capital to other capitals, or to its destinations in the route network mode
      * @param {string} selectedCapital name of the selected capital
      * @return {GEOJSON.FeatureCollection<LineString>} features collections of line strings
      * @private
@@ -197,15 +887,28 @@ export class DataProcessor {
             };
         }
 
-        const features = this._capitalData
-            .filter(({ CapitalName }) => CapitalName !== selectedCapital)
-            .map(({ CapitalName: destination, CapitalLongitude: longitude, CapitalLatitude: latitude }, index) => {
+        const destinations = this._routeMode === DataProcessor.ROUTE_MODES.NETWORK
+            ? (this._routeNetwork[selectedCapital] || []).map(({ destination, airlines, frequency, seats, passengers, schedule }) => ({
+                ...this._capitalNameToInfoMappings[destination],
+                // Routes that always operate have no schedule. Volumes are used by the flow mode
+                routeProperties: { airlines, frequency, seats, passengers, ...(isTimedSchedule(schedule) && { schedule }) }
+            }))
+            : this._capitalData.filter(({ CapitalName }) => CapitalName !== selectedCapital);
+
+        const features = destinations
+            .map(({
+                CapitalName: destination, CapitalLongitude: longitude, CapitalLatitude: latitude, CountryName, ContinentName, routeProperties
+            }, index) => {
                 return {
                     'type': 'Feature',
                     'id': index,
                     'properties': {
                         origin: selectedCapital,
-                        destination
+                        destination,
+                        // Used by the route filter
+                        destinationCountry: CountryName,
+                        destinationContinent: ContinentName,
+                        ...routeProperties
                     },
                     'geometry': {
                         'type': 'LineString',
@@ -227,28 +930,48 @@ export class DataProcessor {
      * Calculate distance and add to the properties of each existing line
      * Add style to line based on the distance of each line
      * @param {GEOJSON.FeatureCollection<LineString>} routes straigh lines data from src to dest
+     * @param {number} zoom zoom of the map, arcs get all their points by default
      * @return {void}
      * @private
      */
-    _addDistancesAndConvertStraightLineToArc = routes => {
-        routes.features.forEach(route => {
-            /**
-             * Arc.js is used here to compute points along the arc since the method to draw arc at https://docs.mapbox.com/mapbox-gl-js/example/animate-point-along-route/
-             * is broken for some long distances route. For example, if origin = [-171.933333, -13.95] and destination = [71.416667, 51.166666666666664], the line rendered has a weird shape. For example, https://jsfiddle.net/e1h62qga/
-             */
-            const [[srcLong, srcLat], [dstLong, dstLat]] = route.geometry.coordinates;
-            const src = { x: srcLong, y: srcLat };
-            const dest = { x: dstLong, y: dstLat };
-            const generator = new GreatCircle(src, dest);
-
-            const line = generator.Arc(NUMBER_OF_POINTS_ALONG_THE_LINE);
-            const lineDistance = turf.length(route, { units: 'kilometers' });
-
-
-            route.properties = { ...route.properties, distance: lineDistance, ...this.styling.getLineProperties(lineDistance) };
+    _addDistancesAndConvertStraightLineToArc = (routes, zoom = MAX_ARC_DENSITY_ZOOM) => {
+        const densityZoom = toDensityZoom(zoom);
+        routes.features
+            .filter(route => !this._applyCachedArc(route, densityZoom))
+            .forEach(route => {
+                const [source, destination] = route.geometry.coordinates;
+                const arc = computeArc(source, destination, densityZoom);
+                this._arcCache.set(route.properties.origin, route.properties.destination, densityZoom, arc);
+                this._applyArc(route, arc.distance, arc.geometry);
+            });
+    }
 
-            route.geometry = line.json().geometry;
+    /**
+     * Replace the straight line of a route by its cached arc
+     * @param {GEOJSON.Feature<LineString>} route straight line from src to dest
+     * @param {number} densityZoom see toDensityZoom
+     * @return {boolean} whether the arc is cached
+     * @private
+     */
+    _applyCachedArc = (route, densityZoom) => {
+        const arc = this._arcCache.get(route.properties.origin, route.properties.destination, densityZoom);
+        if (!arc) {
+            return false;
+        }
+        this._applyArc(route, arc.distance, arc.geometry);
+        return true;
+    }
 
-        });
+    /**
+     * Replace the straight line of a route by its arc, add the distance and the style to its properties
+     * @param {GEOJSON.Feature<LineString>} route straight line from src to dest
+     * @param {number} distance distance in km
+     * @param {GeoJSON.LineString|GeoJSON.MultiLineString} geometry arc
+     * @return {void}
+     * @private
+     */
+    _applyArc = (route, distance, geometry) => {
+        route.properties = { ...route.properties, distance, ...this.styling.getLineProperties(distance) };
+        route.geometry = geometry;
     }
-}
\ No newline at end of file
+}
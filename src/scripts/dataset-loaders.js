@@ -0,0 +1,541 @@
+/**
+ * Loaders that turn raw location datasets (capitals JSON, CSV, GeoJSON, OpenFlights airports.dat)
+ * into the capital records used by DataProcessor:
+ * { CountryName, CapitalName, CapitalLatitude, CapitalLongitude, CountryCode, ContinentName }
+ *
+ * A row that can't be turned into a record is skipped and reported as
+ * { line, index, message }, where `line` is the 1-based line in text formats and `index` is the 0-based position of the row
+ */
+
+/**
+ * Value used by OpenFlights data files for missing fields
+ */
+export const OPEN_FLIGHTS_NULL = '\\N';
+
+/**
+ * Candidate header names(lower case) for every column of a CSV location dataset
+ */
+export const DEFAULT_CSV_COLUMNS = {
+    name: ['name', 'capitalname', 'capital', 'city'],
+    latitude: ['latitude', 'lat', 'capitallatitude'],
+    longitude: ['longitude', 'lon', 'lng', 'long', 'capitallongitude'],
+    country: ['country', 'countryname'],
+    countryCode: ['countrycode', 'country_code', 'iso2'],
+    continent: ['continent', 'continentname']
+};
+
+/**
+ * Column positions in OpenFlights airports.dat, see https://openflights.org/data.html#airport
+ */
+const AIRPORTS_DAT_COLUMNS = {
+    id: 0,
+    name: 1,
+    city: 2,
+    country: 3,
+    iata: 4,
+    icao: 5,
+    latitude: 6,
+    longitude: 7,
+    timezoneName: 11
+};
+
+/**
+ * Split delimited text(CSV like) into rows of fields. Quoted fields may contain delimiters, new lines and escaped quotes("")
+ * @param {string} text raw text
+ * @param {string} delimiter field delimiter
+ * @returns {Array<{fields: Array<string>, line: number}>} non empty rows with the line number where each row starts
+ */
+export function parseDelimitedText(text, delimiter = ',') {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0].trim() !== '') {
+            rows.push({ fields, line: rowLine });
+        }
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n') {
+            endRow();
+            line++;
+            rowLine = line;
+        } else if (char !== '\r') {
+            field += char;
+        }
+    }
+
+    if (field !== '' || fields.length) {
+        endRow();
+    }
+
+    return rows;
+}
+
+/**
+ * Parse a coordinate value
+ * @param {string|number} value raw value
+ * @returns {number} parsed number, NaN when the value is empty or not numeric
+ */
+function parseCoordinate(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return NaN;
+    }
+    return Number(value);
+}
+
+/**
+ * Build a capital record, validating its name and coordinates
+ * @param {{name: string, latitude: *, longitude: *, countryName: string, countryCode: string, continentName: string, aliases: Array<string>}} location raw location
+ * @returns {{record: Object, error: string}} record when the location is valid, error message otherwise
+ */
+export function createLocationRecord({ name, latitude, longitude, countryName, countryCode, continentName, aliases }) {
+    const capitalName = name === null || name === undefined ? '' : String(name).trim();
+    if (!capitalName) {
+        return { error: 'missing name' };
+    }
+
+    const lat = parseCoordinate(latitude);
+    const long = parseCoordinate(longitude);
+    if (Number.isNaN(lat) || lat < -90 || lat > 90) {
+        return { error: `invalid latitude "${latitude}" for "${capitalName}"` };
+    }
+    if (Number.isNaN(long) || long < -180 || long > 180) {
+        return { error: `invalid longitude "${longitude}" for "${capitalName}"` };
+    }
+
+    const record = {
+        CountryName: countryName || '',
+        CapitalName: capitalName,
+        CapitalLatitude: lat,
+        CapitalLongitude: long,
+        CountryCode: countryCode || '',
+        ContinentName: continentName || 'UNKNOWN'
+    };
+
+    const validAliases = (aliases || []).filter(alias => alias && alias !== OPEN_FLIGHTS_NULL);
+    if (validAliases.length) {
+        record.Aliases = validAliases;
+    }
+
+    return { record };
+}
+
+/**
+ * Format dataset errors to be shown to users
+ * @param {Array<{line: number, index: number, message: string}>} errors dataset errors
+ * @param {number} limit max number of errors listed
+ * @returns {string} readable summary
+ */
+export function describeDatasetErrors(errors, limit = 5) {
+    const listed = errors.slice(0, limit).map(({ line, index, message }) => {
+        const position = line ? `line ${line}` : `item ${index + 1}`;
+        return `${position}: ${message}`;
+    });
+
+    if (errors.length > limit) {
+        listed.push(`... and ${errors.length - limit} more`);
+    }
+
+    return `${errors.length} invalid row(s) skipped\n${listed.join('\n')}`;
+}
+
+/**
+ * Parse a string into JSON if needed
+ * @param {string|Object} content raw or already parsed content
+ * @returns {*} parsed JSON
+ */
+function toJson(content) {
+    return typeof content === 'string' ? JSON.parse(content) : content;
+}
+
+/**
+ * Whether a JSON value is an object, e.g: an entry of a capitals array
+ * @param {*} value parsed JSON value
+ * @returns {boolean} true if the value is a non null object other than an array
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Try to parse content as JSON without throwing
+ * @param {string|Object} content raw or already parsed content
+ * @returns {*} parsed JSON or undefined
+ */
+function tryJson(content) {
+    if (typeof content !== 'string') {
+        return content;
+    }
+    const trimmed = content.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(trimmed);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Find the position of a column in the CSV header
+ * @param {Array<string>} header lower cased header fields
+ * @param {string|number|Array<string>} column header name, column index or candidate header names
+ * @returns {number} index of the column, -1 if not found
+ */
+export function findColumnIndex(header, column) {
+    if (typeof column === 'number') {
+        return column;
+    }
+    const candidates = Array.isArray(column) ? column : [column];
+    for (const candidate of candidates) {
+        const index = header.indexOf(String(candidate).trim().toLowerCase());
+        if (index !== -1) {
+            return index;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Loader for the capitals JSON array served by the back-end(see capitals.json)
+ */
+export const CAPITALS_JSON_LOADER = {
+    name: 'capitals-json',
+    // .json files are either capitals or GeoJSON, they are told apart by sniffing
+    extensions: [],
+    dataType: 'json',
+    sniff: content => {
+        const json = tryJson(content);
+        return Array.isArray(json) && (!json.length || (isObject(json[0]) && 'CapitalName' in json[0]));
+    },
+    parse: content => {
+        const records = [];
+        const errors = [];
+        toJson(content).forEach((capital, index) => {
+            if (!isObject(capital)) {
+                errors.push({ index, message: 'capital is not an object' });
+                return;
+            }
+            const { record, error } = createLocationRecord({
+                name: capital.CapitalName,
+                latitude: capital.CapitalLatitude,
+                longitude: capital.CapitalLongitude,
+                countryName: capital.CountryName,
+                countryCode: capital.CountryCode,
+                continentName: capital.ContinentName,
+                aliases: Array.isArray(capital.Aliases) ? capital.Aliases : []
+            });
+            if (error) {
+                errors.push({ index, message: error });
+                return;
+            }
+            records.push(record);
+        });
+        return { records, errors };
+    }
+};
+
+/**
+ * Loader for a GeoJSON FeatureCollection of points.
+ * Property names are configured with options.properties = { name, country, countryCode, continent }
+ */
+export const GEOJSON_LOADER = {
+    name: 'geojson',
+    extensions: ['geojson'],
+    dataType: 'json',
+    sniff: content => {
+        const json = tryJson(content);
+        return Boolean(json) && json.type === 'FeatureCollection';
+    },
+    parse: (content, options = {}) => {
+        const json = toJson(content);
+        const properties = {
+            name: ['name', 'CapitalName', 'title'],
+            country: ['country', 'CountryName'],
+            countryCode: ['countryCode', 'CountryCode', 'iso_a2'],
+            continent: ['continent', 'ContinentName'],
+            ...options.properties
+        };
+        const pick = (featureProperties, keys) => {
+            for (const key of [].concat(keys)) {
+                if (featureProperties[key] !== undefined && featureProperties[key] !== null) {
+                    return featureProperties[key];
+                }
+            }
+            return undefined;
+        };
+
+        const records = [];
+        const errors = [];
+        (json.features || []).forEach((feature, index) => {
+            if (!feature || !feature.geometry || feature.geometry.type !== 'Point') {
+                errors.push({ index, message: 'feature is not a Point' });
+                return;
+            }
+            const featureProperties = feature.properties || {};
+            const [longitude, latitude] = feature.geometry.coordinates || [];
+            const { record, error } = createLocationRecord({
+                name: pick(featureProperties, properties.name),
+                latitude,
+                longitude,
+                countryName: pick(featureProperties, properties.country),
+                countryCode: pick(featureProperties, properties.countryCode),
+                continentName: pick(featureProperties, properties.continent)
+            });
+            if (error) {
+                errors.push({ index, message: error });
+                return;
+            }
+            records.push(record);
+        });
+        return { records, errors };
+    }
+};
+
+/**
+ * Loader for OpenFlights airports.dat. Airports are named after their city and IATA code,
+ * the IATA, ICAO codes and OpenFlights id are kept as aliases to match route datasets
+ */
+export const AIRPORTS_DAT_LOADER = {
+    name: 'airports-dat',
+    extensions: ['dat'],
+    dataType: 'text',
+    sniff: content => {
+        if (typeof content !== 'string') {
+            return false;
+        }
+        const [firstRow] = parseDelimitedText(content.slice(0, 2000));
+        if (!firstRow || firstRow.fields.length < 12) {
+            return false;
+        }
+        const { fields } = firstRow;
+        return /^\d+$/.test(fields[AIRPORTS_DAT_COLUMNS.id])
+            && !Number.isNaN(parseCoordinate(fields[AIRPORTS_DAT_COLUMNS.latitude]))
+            && !Number.isNaN(parseCoordinate(fields[AIRPORTS_DAT_COLUMNS.longitude]));
+    },
+    parse: content => {
+        const records = [];
+        const errors = [];
+        parseDelimitedText(content).forEach(({ fields, line }, index) => {
+            if (fields.length < 8) {
+                errors.push({ line, index, message: `expected at least 8 fields, got ${fields.length}` });
+                return;
+            }
+            const field = column => {
+                const value = fields[AIRPORTS_DAT_COLUMNS[column]];
+                return value === OPEN_FLIGHTS_NULL ? '' : value;
+            };
+            const code = field('iata') || field('icao');
+            const city = field('city') || field('name');
+            const timezoneName = field('timezoneName');
+            const { record, error } = createLocationRecord({
+                name: code ? `${city} (${code})` : field('name'),
+                latitude: field('latitude'),
+                longitude: field('longitude'),
+                countryName: field('country'),
+                // Region of the tz database name(e.g: Europe/Helsinki) is the closest thing to a continent in airports.dat
+                continentName: timezoneName ? timezoneName.split('/')[0] : '',
+                aliases: [field('iata'), field('icao'), field('id')]
+            });
+            if (error) {
+                errors.push({ line, index, message: error });
+                return;
+            }
+            records.push(record);
+        });
+        return { records, errors };
+    }
+};
+
+/**
+ * Loader for CSV files with a header row.
+ * Columns are mapped with options.columns = { name, latitude, longitude, country, countryCode, continent },
+ * each value being a header name or a column index. Missing mappings fall back to DEFAULT_CSV_COLUMNS
+ */
+export const CSV_LOADER = {
+    name: 'csv',
+    extensions: ['csv', 'txt'],
+    dataType: 'text',
+    sniff: content => typeof content === 'string',
+    parse: (content, options = {}) => {
+        const [headerRow, ...rows] = parseDelimitedText(content, options.delimiter || ',');
+        if (!headerRow) {
+            return { records: [], errors: [{ line: 1, index: 0, message: 'file is empty' }] };
+        }
+
+        const header = headerRow.fields.map(field => field.trim().toLowerCase());
+        const columns = { ...DEFAULT_CSV_COLUMNS, ...options.columns };
+        const indexes = {};
+        Object.keys(columns).forEach(key => {
+            indexes[key] = findColumnIndex(header, columns[key]);
+        });
+
+        const missing = ['name', 'latitude', 'longitude'].filter(key => indexes[key] === -1);
+        if (missing.length) {
+            return {
+                records: [],
+                errors: [{ line: headerRow.line, index: 0, message: `missing column(s): ${missing.join(', ')}` }]
+            };
+        }
+
+        const records = [];
+        const errors = [];
+        rows.forEach(({ fields, line }, index) => {
+            const field = key => (indexes[key] === -1 ? undefined : fields[indexes[key]]);
+            const { record, error } = createLocationRecord({
+                name: field('name'),
+                latitude: field('latitude'),
+                longitude: field('longitude'),
+                countryName: field('country'),
+                countryCode: field('countryCode'),
+                continentName: field('continent')
+            });
+            if (error) {
+                errors.push({ line, index, message: error });
+                return;
+            }
+            records.push(record);
+        });
+        return { records, errors };
+    }
+};
+
+/**
+ * Registry of dataset loaders. A loader is selected by explicit format name, then by file extension, then by sniffing the content
+ */
+export class DatasetLoaderRegistry {
+
+    /**
+     * Registered loaders, in sniffing order
+     * @type {Array<Object>}
+     * @private
+     */
+    _loaders = [];
+
+    /**
+     * @param {Array<Object>} loaders initial loaders
+     */
+    constructor(loaders = []) {
+        loaders.forEach(loader => this.register(loader));
+    }
+
+    /**
+     * Register a loader. A loader has a `name`, file `extensions`, the `dataType` used to fetch it, `sniff(content)` and `parse(content, options)`
+     * @param {Object} loader loader to register
+     * @returns {void}
+     * @public
+     */
+    register(loader) {
+        this._loaders = this._loaders.filter(({ name }) => name !== loader.name);
+        this._loaders.push(loader);
+    }
+
+    /**
+     * Get loader by its name
+     * @param {string} name name of the format
+     * @returns {Object} loader or undefined
+     * @public
+     */
+    findByName(name) {
+        return this._loaders.find(loader => loader.name === name);
+    }
+
+    /**
+     * Get loader from the extension of a file name or url
+     * @param {string} fileName file name or url
+     * @returns {Object} loader or undefined
+     * @public
+     */
+    findByFileName(fileName) {
+        const match = /\.([a-z0-9]+)$/i.exec((fileName || '').split(/[?#]/)[0]);
+        if (!match) {
+            return undefined;
+        }
+        const extension = match[1].toLowerCase();
+        return this._loaders.find(loader => loader.extensions.includes(extension));
+    }
+
+    /**
+     * Get the first loader recognizing the content
+     * @param {string|Object} content raw text or parsed JSON
+     * @returns {Object} loader or undefined
+     * @public
+     */
+    sniff(content) {
+        return this._loaders.find(loader => loader.sniff(content));
+    }
+
+    /**
+     * Select the loader for a dataset
+     * @param {{format: string, fileName: string, content: (string|Object)}} dataset description of the dataset, content is optional
+     * @returns {Object} loader or undefined
+     * @public
+     */
+    resolve({ format, fileName, content }) {
+        if (format) {
+            return this.findByName(format);
+        }
+        return this.findByFileName(fileName) || (content === undefined ? undefined : this.sniff(content));
+    }
+
+    /**
+     * Parse a dataset into capital records
+     * @param {string|Object} content raw text or parsed JSON
+     * @param {{format: string, fileName: string}} options loader selection and loader specific options(e.g: columns)
+     * @returns {{records: Array<Object>, errors: Array<Object>, format: string}} parsed records and rejected rows
+     * @public
+     */
+    parse(content, options = {}) {
+        const loader = this.resolve({ ...options, content });
+        if (!loader) {
+            throw new Error(options.format ? `Unknown dataset format "${options.format}"` : 'Dataset format is not recognized');
+        }
+
+        try {
+            return { ...loader.parse(content, options), format: loader.name };
+        } catch (e) {
+            throw new Error(`Dataset is not valid ${loader.name}: ${e.message}`);
+        }
+    }
+}
+
+/**
+ * Registry with all the built in loaders, CSV comes last as it accepts any text
+ */
+export const datasetLoaders = new DatasetLoaderRegistry([
+    GEOJSON_LOADER,
+    CAPITALS_JSON_LOADER,
+    AIRPORTS_DAT_LOADER,
+    CSV_LOADER
+]);
@@ -1,75 +1,1382 @@
 import $ from 'jquery';
 import { Stylings } from './stylings.js';
+import { DataProcessor } from './data-processor.js';
+import { FlightAnimator } from './flight-animator.js';
+import { DISTANCE_UNITS } from './flight-estimates.js';
+import { buildSearchIndex, searchCapitals } from './capital-search.js';
+import { EXPORTERS } from './exporters.js';
+import { computeRouteStats } from './route-stats.js';
+import { Timeline, formatScheduleDate } from './timeline.js';
+import { RouteGraph } from './route-graph.js';
+import { CompareMode } from './compare.js';
+import { CENTRALITY_METRICS, rankHubs } from './centrality.js';
+import { notify, downloadFile, formatKilometers } from './utils.js';
+import {
+    DEFAULT_MAX_LEG_LENGTH, ROUTE_FILTER_MAX_DISTANCE, ROUTE_FILTER_DISTANCE_STEP,
+    DEFAULT_REACHABILITY_HOPS, DEFAULT_REACHABILITY_DISTANCE, REACHABILITY_MAX_HOPS, HUBS_TABLE_SIZE
+} from './constants.js';
 
 /**
  * Class to listen to HTML DOM events and react to those events
  */
 export class DomHandler {
 
+    /**
+     * Search index of the capital picker with the capital data it is built from
+     * @type {{capitals: Array<Object>, index: Array<Object>}}
+     * @private
+     */
+    static _searchIndex = { capitals: null, index: [] };
+
+    /**
+     * Hop limit of the reachability analysis colored by hops, the legend shows hops instead of distances.
+     * Null when no reachability is colored by hops
+     * @type {number}
+     * @private
+     */
+    static _reachabilityHops = null;
+
+    /**
+     * Max width in px of the screens where panels are folded, must match the media query of index.css
+     * @type {number}
+     */
+    static NARROW_SCREEN_WIDTH = 600;
+
     /**
      * Subscribe to DOM events and react
      * @param {Stylings} styling instance of styling
      * @param {MapWrapper} mapWrapper instance of map wrapper
      * @return {Function} inner curried function
      */
-    static subscribeAndReactToStyleChanges = (styling, mapWrapper) => () => {
-        DomHandler.themeOnChange(styling, theme => DomHandler._changeTheme(theme, styling, mapWrapper));
+    static subscribeAndReactToStyleChanges = (styling, mapWrapper, compareMode) => () => {
+        DomHandler.themeOnChange(styling, theme => DomHandler._changeTheme(theme, styling, mapWrapper));
+
+        DomHandler._highlightedRoutesOnChange(styling, (category) => {
+            DomHandler._changeHighLightedRoutes(category, styling, mapWrapper);
+        });
+
+        DomHandler.distanceConfigOnChange(styling, () => {
+            DomHandler._changeDistanceConfig(styling, mapWrapper);
+            compareMode.refreshStyles();
+        });
+
+        DomHandler.originsOnChange(styling, mapWrapper);
+
+        DomHandler.flowOnChange(styling, mapWrapper, () => {
+            mapWrapper.refreshStyles();
+            compareMode.refreshStyles();
+        });
+
+        DomHandler.capitalSearchOnChange(mapWrapper.dataProcessor, capitalName => mapWrapper.selectCapital(capitalName));
+
+        DomHandler.datasetOnChange(file => DomHandler._loadDataset(file, mapWrapper));
+
+        DomHandler.routesOnChange(
+            mapWrapper.dataProcessor,
+            file => DomHandler._loadRoutes(file, mapWrapper),
+            routeMode => DomHandler._changeRouteMode(routeMode, mapWrapper)
+        );
+
+        DomHandler.routeFilterOnChange(mapWrapper);
+
+        DomHandler.routeFinderOnChange(mapWrapper);
+
+        DomHandler.reachabilityOnChange(styling, mapWrapper);
+
+        DomHandler.hubsOnChange(mapWrapper);
+
+        DomHandler.compareOnChange(compareMode);
+
+        DomHandler.animationOnChange(mapWrapper.flightAnimator);
+
+        DomHandler.flightEstimatesOnChange(mapWrapper.flightEstimator);
+
+        DomHandler.exportOnChange(format => mapWrapper.exportNetwork(format));
+
+        DomHandler.snapshotOnChange(scale => mapWrapper.saveImage(scale));
+
+        DomHandler.routeStatsOnChange(styling, mapWrapper);
+
+        DomHandler.timelineOnChange(mapWrapper);
+
+        DomHandler.routesTableOnChange(styling, mapWrapper);
+
+        DomHandler.keyboardNavigationOnChange(mapWrapper);
+
+        DomHandler.responsiveLayoutOnChange();
+
+        DomHandler.showThemeSelectorAndDescription();
+    }
+
+    /**
+     * Add buttons to fold the menu and the legend on narrow screens, where they would cover the map.
+     * Both start folded on narrow screens, the buttons are hidden on wider screens
+     */
+    static responsiveLayoutOnChange() {
+        $('#content').append(
+            `
+            <div class="panel-toggles">
+                <button id="menu-toggle" class="panel-toggle" aria-controls="menu">Menu</button>
+                <button id="description-toggle" class="panel-toggle" aria-controls="description-box">Legend</button>
+            </div>
+            `
+        );
+
+        const setFolded = (panel, button, folded) => {
+            $(panel).toggleClass('folded', folded);
+            $(button).attr('aria-expanded', String(!folded));
+        };
+        const isNarrow = window.matchMedia && window.matchMedia(`(max-width: ${DomHandler.NARROW_SCREEN_WIDTH}px)`).matches;
+        setFolded('#menu', '#menu-toggle', Boolean(isNarrow));
+        setFolded('#description-box', '#description-toggle', Boolean(isNarrow));
+
+        $('#menu-toggle').click(() => {
+            const folded = !$('#menu').hasClass('folded');
+            setFolded('#menu', '#menu-toggle', folded);
+            // Only one panel is unfolded at a time on a small screen
+            if (!folded) {
+                setFolded('#description-box', '#description-toggle', true);
+            }
+        });
+        $('#description-toggle').click(() => {
+            const folded = !$('#description-box').hasClass('folded');
+            setFolded('#description-box', '#description-toggle', folded);
+            if (!folded) {
+                setFolded('#menu', '#menu-toggle', true);
+            }
+        });
+    }
+
+    /**
+     * Show theme selector and description after loading map
+     */
+    static showThemeSelectorAndDescription() {
+        $("#menu").show(200);
+        $("#description-box").show(200);
+    }
+    /**
+     * Listen to theme change in HTML
+     * @param {Stylings} styling instance of styling 
+     * @param {Function} callBack function that got called when theme is changed
+     */
+    static themeOnChange(styling, callBack) {
+        // Add input elements for theme selector using configured values
+        $('#menu').html(
+            `
+            <input id="light" type="radio" name="theme" value="${Stylings.LIGHT_THEME}" />
+            <label for="light">Light</label>
+            <input id="dark" type="radio" name="theme" value="${Stylings.DARK_THEME}" />
+            <label for="dark">Dark</label>
+            `
+        );
+
+        const themeSelectors = $('#menu input');
+
+        const defaultTheme = styling.theme;
+        // Set inital selected input in theme selector
+        themeSelectors.each((_, input) => {
+            input.checked = input.value === defaultTheme;
+        });
+
+        DomHandler._setThemeColors(defaultTheme, styling);
+
+        themeSelectors.click(e => {
+            const theme = e.target.value;
+            if (theme === styling.theme) {
+                return;
+            }
+
+            callBack(theme);
+        });
+    }
+
+    /**
+     * Add a search box to the menu to pick a capital as origin.
+     * Results are navigated with arrow keys, picked with Enter or click
+     * @param {DataProcessor} dataProcessor data processor instance, source of the capitals
+     * @param {Function} callBack function that got called with the picked capital name
+     */
+    static capitalSearchOnChange(dataProcessor, callBack) {
+        $('#menu').append(
+            `
+            <div class="capital-search">
+                <input id="capital-search-input" type="text" placeholder="Search capital, country or code" autocomplete="off"
+                    role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="capital-search-results" />
+                <ul id="capital-search-results" role="listbox"></ul>
+            </div>
+            `
+        );
+
+        const input = $('#capital-search-input');
+        const resultList = $('#capital-search-results');
+        let results = [];
+        let activeIndex = -1;
+
+        const render = () => {
+            resultList.empty();
+            results.forEach(({ name, country, countryCode, continent }, index) => {
+                const item = $('<li role="option"></li>')
+                    .attr('id', `capital-search-result-${index}`)
+                    .attr('aria-selected', index === activeIndex)
+                    .toggleClass('active', index === activeIndex)
+                    .data('capitalName', name);
+                item.append($('<span class="name"></span>').text(name));
+                item.append($('<span class="context"></span>').text(`${country}${countryCode ? ` (${countryCode})` : ''} · ${continent}`));
+                resultList.append(item);
+            });
+            input.attr('aria-expanded', results.length > 0);
+            input.attr('aria-activedescendant', activeIndex >= 0 ? `capital-search-result-${activeIndex}` : null);
+        };
+
+        const close = () => {
+            results = [];
+            activeIndex = -1;
+            render();
+        };
+
+        const pick = capitalName => {
+            input.val(capitalName);
+            close();
+            callBack(capitalName);
+        };
+
+        input.on('input', () => {
+            results = searchCapitals(DomHandler._getSearchIndex(dataProcessor), input.val());
+            activeIndex = results.length ? 0 : -1;
+            render();
+        });
+
+        input.on('keydown', e => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (!results.length) {
+                    return;
+                }
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                activeIndex = (activeIndex + step + results.length) % results.length;
+                render();
+            } else if (e.key === 'Enter' && activeIndex >= 0) {
+                e.preventDefault();
+                pick(results[activeIndex].name);
+            } else if (e.key === 'Escape') {
+                close();
+            }
+        });
+
+        // mousedown fires before the input loses focus
+        resultList.on('mousedown', 'li', e => {
+            e.preventDefault();
+            pick($(e.currentTarget).data('capitalName'));
+        });
+
+        input.on('blur', close);
+    }
+
+    /**
+     * Get search index of the current capital data, rebuilt when the dataset is replaced
+     * @param {DataProcessor} dataProcessor data processor instance
+     * @returns {Array<Object>} search entries
+     */
+    static _getSearchIndex(dataProcessor) {
+        const capitals = dataProcessor.capitalData;
+        if (DomHandler._searchIndex.capitals !== capitals) {
+            DomHandler._searchIndex = { capitals, index: buildSearchIndex(capitals) };
+        }
+        return DomHandler._searchIndex.index;
+    }
+
+    /**
+     * Add a file picker to the menu to load a custom location dataset
+     * @param {Function} callBack function that got called with the picked File
+     */
+    static datasetOnChange(callBack) {
+        $('#menu').append(
+            `
+            <div class="dataset-loader">
+                <label for="dataset-file">Locations</label>
+                <input id="dataset-file" type="file" accept=".json,.geojson,.csv,.txt,.dat" />
+            </div>
+            `
+        );
+
+        $('#dataset-file').change(e => {
+            const [file] = e.target.files;
+            if (file) {
+                callBack(file);
+            }
+            // Allow picking the same file again after editing it
+            e.target.value = '';
+        });
+    }
+
+    /**
+     * Read a dataset file and render its locations
+     * @param {File} file file picked by the user
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static _loadDataset(file, mapWrapper) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                mapWrapper.dataProcessor.loadFromText(reader.result, { fileName: file.name });
+            } catch (e) {
+                notify(e.message);
+                return;
+            }
+            // Capital names and route filter options follow the data change
+            mapWrapper.refreshData();
+        };
+        reader.onerror = () => notify(`File "${file.name}" can't be read`);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Add route mode selector and routes file picker to the menu
+     * @param {DataProcessor} dataProcessor data processor instance, used to show the current route mode
+     * @param {Function} fileCallBack function that got called with the picked routes File
+     * @param {Function} modeCallBack function that got called when route mode is changed
+     */
+    static routesOnChange(dataProcessor, fileCallBack, modeCallBack) {
+        const { ALL_TO_ALL, NETWORK } = DataProcessor.ROUTE_MODES;
+        $('#menu').append(
+            `
+            <div class="route-mode">
+                <input id="all-to-all" type="radio" name="route-mode" value="${ALL_TO_ALL}" />
+                <label for="all-to-all">All capitals</label>
+                <input id="route-network" type="radio" name="route-mode" value="${NETWORK}" />
+                <label for="route-network">Route network</label>
+            </div>
+            <div class="dataset-loader">
+                <label for="routes-file">Routes</label>
+                <input id="routes-file" type="file" accept=".csv,.txt,.dat" />
+            </div>
+            `
+        );
+
+        DomHandler._setRouteModeSelector(dataProcessor.routeMode);
+
+        $('.route-mode input').click(e => {
+            const routeMode = e.target.value;
+            if (routeMode === dataProcessor.routeMode) {
+                return;
+            }
+            modeCallBack(routeMode);
+        });
+
+        $('#routes-file').change(e => {
+            const [file] = e.target.files;
+            if (file) {
+                fileCallBack(file);
+            }
+            e.target.value = '';
+        });
+    }
+
+    /**
+     * Check the input of the route mode selector
+     * @param {string} routeMode one of DataProcessor.ROUTE_MODES
+     */
+    static _setRouteModeSelector(routeMode) {
+        $('.route-mode input').each((_, input) => {
+            input.checked = input.value === routeMode;
+        });
+    }
+
+    /**
+     * Read a routes file and render the routes of the network
+     * @param {File} file file picked by the user
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static _loadRoutes(file, mapWrapper) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                mapWrapper.dataProcessor.loadRoutesFromText(reader.result, { fileName: file.name });
+            } catch (e) {
+                notify(e.message);
+                return;
+            }
+            DomHandler._setRouteModeSelector(mapWrapper.dataProcessor.routeMode);
+            mapWrapper.refreshRoutes();
+        };
+        reader.onerror = () => notify(`File "${file.name}" can't be read`);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Change how routes are computed
+     * @param {string} routeMode one of DataProcessor.ROUTE_MODES
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static _changeRouteMode(routeMode, mapWrapper) {
+        if (!mapWrapper.dataProcessor.setRouteMode(routeMode)) {
+            DomHandler._setRouteModeSelector(mapWrapper.dataProcessor.routeMode);
+            return;
+        }
+        mapWrapper.refreshRoutes();
+    }
+
+    /**
+     * Add the route filter panel to the menu: distance range, destination continents and included/excluded countries.
+     * The number of visible routes follows the filter and the displayed routes
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static routeFilterOnChange(mapWrapper) {
+        $('#menu').append(
+            `
+            <div class="route-filter">
+                <h4 class="title">Filter routes</h4>
+                <label for="filter-min-distance">Distance <span id="filter-distance-range"></span></label>
+                <div class="distance-range">
+                    <input id="filter-min-distance" type="range" min="0" max="${ROUTE_FILTER_MAX_DISTANCE}" step="${ROUTE_FILTER_DISTANCE_STEP}" />
+                    <input id="filter-max-distance" type="range" min="0" max="${ROUTE_FILTER_MAX_DISTANCE}" step="${ROUTE_FILTER_DISTANCE_STEP}" aria-label="Maximum distance" />
+                </div>
+                <fieldset id="filter-continents">
+                    <legend>Destination continents</legend>
+                    <div class="options"></div>
+                </fieldset>
+                <label for="filter-included-countries">Only countries</label>
+                <select id="filter-included-countries" multiple size="4"></select>
+                <label for="filter-excluded-countries">Except countries</label>
+                <select id="filter-excluded-countries" multiple size="4"></select>
+                <button id="filter-reset" class="menu-button">Show all</button>
+                <p id="filter-route-count" class="hint" aria-live="polite"></p>
+            </div>
+            `
+        );
+
+        // The initial dataset is loaded after the map
+        DomHandler._setRouteFilterOptions(mapWrapper);
+        mapWrapper.addDataChangeHandler(() => DomHandler._setRouteFilterOptions(mapWrapper));
+
+        mapWrapper.addRouteFilterChangeHandler(({ visibleRouteCount, routeCount }) => {
+            $('#filter-route-count').text(`${visibleRouteCount} of ${routeCount} routes visible`);
+        });
+
+        const readDistances = () => {
+            const minDistance = Number($('#filter-min-distance').val());
+            const maxDistance = Number($('#filter-max-distance').val());
+            return { minDistance: Math.min(minDistance, maxDistance), maxDistance: Math.max(minDistance, maxDistance) };
+        };
+        // Label follows the handles while dragging, layers are filtered once the handle is released
+        $('.distance-range input').on('input', () => DomHandler._setDistanceRangeLabel(readDistances()));
+        $('.distance-range input').change(() => mapWrapper.setRouteFilter(readDistances()));
+
+        $('#filter-continents').on('change', 'input', () => {
+            const hiddenContinents = $('#filter-continents input:not(:checked)').map((_, input) => input.value).get();
+            mapWrapper.setRouteFilter({ hiddenContinents });
+        });
+
+        $('#filter-included-countries').change(e => mapWrapper.setRouteFilter({ includedCountries: $(e.target).val() || [] }));
+        $('#filter-excluded-countries').change(e => mapWrapper.setRouteFilter({ excludedCountries: $(e.target).val() || [] }));
+
+        $('#filter-reset').click(() => {
+            mapWrapper.resetRouteFilter();
+            DomHandler._setRouteFilterOptions(mapWrapper);
+        });
+    }
+
+    /**
+     * Fill the route filter panel with the continents and countries of the dataset and the current criteria
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static _setRouteFilterOptions(mapWrapper) {
+        const { continents, countries } = mapWrapper.dataProcessor;
+        const { minDistance, maxDistance, hiddenContinents, includedCountries, excludedCountries } = mapWrapper.routeFilter.criteria;
+
+        $('#filter-min-distance').val(minDistance);
+        $('#filter-max-distance').val(maxDistance);
+        DomHandler._setDistanceRangeLabel({ minDistance, maxDistance });
+
+        const continentOptions = continents.map((continent, index) => {
+            const id = `filter-continent-${index}`;
+            const checkbox = $(`<input id="${id}" type="checkbox" />`).val(continent).prop('checked', !hiddenContinents.includes(continent));
+            const label = $(`<label for="${id}"></label>`).text(continent);
+            return $('<div></div>').append(checkbox, label);
+        });
+        $('#filter-continents .options').empty().append(continentOptions);
+
+        const countryOptions = selectedCountries => countries.map(country => $('<option></option>')
+            .val(country)
+            .text(country)
+            .prop('selected', selectedCountries.includes(country)));
+        $('#filter-included-countries').empty().append(countryOptions(includedCountries));
+        $('#filter-excluded-countries').empty().append(countryOptions(excludedCountries));
+    }
+
+    /**
+     * Show the distance range of the route filter
+     * @param {{minDistance: number, maxDistance: number}} range distances in km
+     */
+    static _setDistanceRangeLabel({ minDistance, maxDistance }) {
+        const max = maxDistance >= ROUTE_FILTER_MAX_DISTANCE ? 'any' : formatKilometers(maxDistance);
+        $('#filter-distance-range').text(`${formatKilometers(minDistance)} - ${max}`);
+    }
+
+    /**
+     * Add the collapsible statistics panel of the displayed routes: counts per category, distances, nearest and farthest capitals,
+     * distance histogram and breakdown per continent. It follows the selected origins.
+     * Clicking a bar of the histogram highlights the routes in its distance range, clicking it again resets the highlight
+     * @param {Stylings} styling style instance, source of the category colors
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static routeStatsOnChange(styling, mapWrapper) {
+        $('#content').append(
+            `
+            <div id="route-stats" class="route-stats">
+                <button id="route-stats-toggle" class="route-stats-toggle" aria-expanded="true" aria-controls="route-stats-body">
+                    Route statistics
+                </button>
+                <div id="route-stats-body"></div>
+            </div>
+            `
+        );
+
+        let histogram = [];
+        const render = routes => {
+            const stats = computeRouteStats(routes, styling.categoryNames);
+            histogram = stats.histogram;
+            $('#route-stats-body').empty().append(DomHandler._renderRouteStats(stats, styling, mapWrapper.dataProcessor.selectedCapitals));
+            DomHandler._setActiveHistogramBar(histogram, mapWrapper.highlightedDistanceRange);
+        };
+
+        // The highlighted range is reset by the map wrapper when other routes are displayed
+        mapWrapper.addRoutesChangeHandler(render);
+        // Highlighting a category replaces the highlighted bar
+        mapWrapper.addStateChangeHandler(() => DomHandler._setActiveHistogramBar(histogram, mapWrapper.highlightedDistanceRange));
+        render(null);
+
+        $('#route-stats-toggle').click(e => {
+            const collapsed = $('#route-stats').toggleClass('collapsed').hasClass('collapsed');
+            $(e.currentTarget).attr('aria-expanded', String(!collapsed));
+        });
+
+        $('#route-stats').on('click', '.histogram-bar', e => {
+            const range = histogram[Number($(e.currentTarget).attr('data-index'))];
+            const activeRange = mapWrapper.highlightedDistanceRange;
+            const isActive = activeRange && activeRange.from === range.from && activeRange.to === range.to;
+            mapWrapper.highLightDistanceRange(isActive ? null : { from: range.from, to: range.to });
+        });
+        $('#route-stats').on('keydown', '.histogram-bar', e => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                $(e.currentTarget).click();
+            }
+        });
+    }
+
+    /**
+     * Add the timeline of the schedules to the map: a scrubber of the date, play/pause and the playback speed.
+     * It is only shown when the loaded routes have periods or departures
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static timelineOnChange(mapWrapper) {
+        const { timeline } = mapWrapper;
+        const { HOUR, DAY, WEEK } = Timeline.RATES;
+        $('#content').append(
+            `
+            <div id="timeline" class="timeline" hidden>
+                <button id="timeline-play" class="menu-button">Play</button>
+                <input id="timeline-time" type="range" step="60000" aria-label="Date of the schedules" />
+                <output id="timeline-date" for="timeline-time"></output>
+                <label for="timeline-rate" class="visually-hidden">Playback speed</label>
+                <select id="timeline-rate">
+                    <option value="${HOUR}">1 hour/s</option>
+                    <option value="${DAY}">1 day/s</option>
+                    <option value="${WEEK}">1 week/s</option>
+                </select>
+            </div>
+            `
+        );
+
+        $('#timeline-rate').val(String(timeline.rate));
+
+        const render = () => {
+            $('#timeline').prop('hidden', !timeline.isEnabled);
+            if (!timeline.isEnabled) {
+                return;
+            }
+            const { start, end } = timeline.range;
+            $('#timeline-time').attr({ min: start, max: end }).val(timeline.time);
+            $('#timeline-date').text(`${formatScheduleDate(timeline.time)} UTC`);
+            $('#timeline-play').text(timeline.isPlaying ? 'Pause' : 'Play');
+        };
+        mapWrapper.addTimelineChangeHandler(render);
+        render();
+
+        $('#timeline-play').click(() => {
+            if (timeline.isPlaying) {
+                timeline.pause();
+            } else {
+                timeline.play();
+            }
+        });
+
+        // Scrubbing wins over playing
+        $('#timeline-time').on('input', e => {
+            timeline.pause();
+            timeline.setTime(Number(e.target.value));
+        });
+
+        $('#timeline-rate').change(e => timeline.setRate(Number(e.target.value)));
+    }
+
+    /**
+     * Add a table of the visible routes under the statistics panel, an alternative to the map for screen reader users.
+     * Destinations can be selected as origin from the table
+     * @param {Stylings} styling style instance, source of the category labels
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static routesTableOnChange(styling, mapWrapper) {
+        $('#route-stats').append(
+            `
+            <button id="routes-table-toggle" class="menu-button" aria-expanded="false" aria-controls="routes-table">
+                Show routes as a table
+            </button>
+            <div id="routes-table" class="routes-table" hidden></div>
+            `
+        );
+
+        let routes = null;
+        const render = () => {
+            // The table is only built while it is shown, it may have hundreds of rows
+            if ($('#routes-table').prop('hidden')) {
+                return;
+            }
+            $('#routes-table').empty().append(DomHandler._renderRoutesTable(routes, styling, mapWrapper));
+        };
+
+        mapWrapper.addRoutesChangeHandler(newRoutes => {
+            routes = newRoutes;
+            render();
+        });
+        mapWrapper.addRouteFilterChangeHandler(render);
+
+        $('#routes-table-toggle').click(e => {
+            const hidden = !$('#routes-table').prop('hidden');
+            $('#routes-table').prop('hidden', hidden);
+            $(e.currentTarget)
+                .attr('aria-expanded', String(!hidden))
+                .text(hidden ? 'Show routes as a table' : 'Hide routes table');
+            render();
+        });
+
+        $('#routes-table').on('click', '.select-capital', e => {
+            mapWrapper.selectCapital($(e.currentTarget).attr('data-capital'));
+        });
+    }
+
+    /**
+     * Build the table of the visible routes in ascending order of distance
+     * @param {GEOJSON.FeatureCollection<LineString>} routes displayed routes
+     * @param {Stylings} styling style instance, source of the category labels
+     * @param {MapWrapper} mapWrapper map wrapper instance, source of the route filter
+     * @returns {jQuery} table
+     */
+    static _renderRoutesTable(routes, styling, mapWrapper) {
+        const labels = {};
+        styling.getLegendItems().forEach(({ category, label }) => {
+            labels[category] = label;
+        });
+        const features = ((routes && routes.features) || [])
+            .filter(({ properties }) => mapWrapper.routeFilter.matchesRoute(properties))
+            .sort((a, b) => a.properties.distance - b.properties.distance);
+
+        const caption = $('<caption></caption>')
+            .text(`${features.length} routes from ${mapWrapper.dataProcessor.selectedCapitals.join(', ')}, nearest first`);
+        const header = $('<tr></tr>').append(
+            ['Origin', 'Destination', 'Country', 'Distance', 'Category'].map(title => $('<th scope="col"></th>').text(title))
+        );
+        const rows = features.map(({ properties: { origin, destination, destinationCountry, distance, category } }) => {
+            const selectButton = $('<button class="select-capital"></button>')
+                .attr('data-capital', destination)
+                .attr('aria-label', `Select ${destination} as origin`)
+                .text(destination);
+            return $('<tr></tr>').append(
+                $('<td></td>').text(origin),
+                $('<th scope="row"></th>').append(selectButton),
+                $('<td></td>').text(destinationCountry || ''),
+                $('<td></td>').text(formatKilometers(distance)),
+                $('<td></td>').text(labels[category] || category)
+            );
+        });
+        return $('<table></table>').append(caption, $('<thead></thead>').append(header), $('<tbody></tbody>').append(rows));
+    }
+
+    /**
+     * Let keyboard users explore the map and announce changes to screen readers through a live region.
+     * Keys on the focused map: C / Shift + C next / previous capital, R / Shift + R next / previous route,
+     * Enter selects the focused capital(or the destination of the focused route) as origin, Shift + Enter adds or removes it,
+     * Escape removes the focus
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static keyboardNavigationOnChange(mapWrapper) {
+        $('#content').append(
+            `
+            <div id="map-announcer" class="visually-hidden" role="status" aria-live="polite"></div>
+            <p id="map-keyboard-help" class="visually-hidden">
+                Press C or Shift + C to move to the next or previous capital, R or Shift + R for routes.
+                Press Enter to select the focused capital as origin, Shift + Enter to add or remove it, Escape to leave.
+            </p>
+            `
+        );
+        $('#map .mapboxgl-canvas').attr({
+            'role': 'application',
+            'aria-label': 'Map of flight routes',
+            'aria-describedby': 'map-keyboard-help'
+        });
+
+        const keyActions = {
+            c: e => DomHandler.announce(mapWrapper.focusNextCapital(e.shiftKey ? -1 : 1)),
+            r: e => DomHandler.announce(mapWrapper.focusNextRoute(e.shiftKey ? -1 : 1)),
+            enter: e => mapWrapper.selectFocusedCapital(e.shiftKey),
+            escape: () => mapWrapper.clearKeyboardFocus()
+        };
+        $('#map').on('keydown', e => {
+            const action = keyActions[(e.key || '').toLowerCase()];
+            if (!action || e.ctrlKey || e.metaKey || e.altKey) {
+                return;
+            }
+            e.preventDefault();
+            action(e);
+        });
+
+        let announcedSelection = '';
+        mapWrapper.addRoutesChangeHandler(routes => {
+            const origins = mapWrapper.dataProcessor.selectedCapitals;
+            const { routeCount, nearest } = computeRouteStats(routes);
+            // Routes are also computed again while zooming, only a new selection is announced
+            const selection = `${origins.join('|')}:${routeCount}`;
+            if (selection === announcedSelection) {
+                return;
+            }
+            announcedSelection = selection;
+            const nearestText = nearest ? `, nearest ${nearest.destination} ${formatKilometers(nearest.distance)}` : '';
+            DomHandler.announce(`Selected ${origins.join(', ')}, ${routeCount} routes${nearestText}`);
+        });
+    }
+
+    /**
+     * Read a message out to screen reader users
+     * @param {string} message message, nothing is announced when it is empty
+     */
+    static announce(message) {
+        if (message) {
+            $('#map-announcer').text(message);
+        }
+    }
+
+    /**
+     * Build the content of the statistics panel
+     * @param {Object} stats see computeRouteStats
+     * @param {Stylings} styling style instance, source of the category colors
+     * @param {Array<string>} origins names of the selected origins
+     * @returns {Array<jQuery>} elements of the panel
+     */
+    static _renderRouteStats(stats, styling, origins) {
+        const title = $('<h4 class="title"></h4>').text(`${stats.routeCount} routes from ${origins.join(', ')}`);
+        if (!stats.distance) {
+            return [title];
+        }
+
+        const legendItems = styling.getLegendItems();
+        const categories = $('<ul class="stats-categories"></ul>').append(stats.categories.map(({ category, count }) => {
+            const legendItem = legendItems.find(item => item.category === category) || { label: category, background: '' };
+            const swatch = $('<span class="stats-swatch"></span>').css('background', legendItem.background);
+            return $('<li></li>').append(swatch, $('<span></span>').text(`${legendItem.label}: ${count}`));
+        }));
+
+        const { min, max, mean, median } = stats.distance;
+        const describeRoute = ({ origin, destination, distance }) => {
+            const name = origins.length > 1 ? `${origin} - ${destination}` : destination;
+            return `${name} (${formatKilometers(distance)})`;
+        };
+        const distances = $('<dl class="stats-distances"></dl>').append(
+            [
+                ['Min', formatKilometers(min)],
+                ['Max', formatKilometers(max)],
+                ['Mean', formatKilometers(mean)],
+                ['Median', formatKilometers(median)],
+                ['Nearest', describeRoute(stats.nearest)],
+                ['Farthest', describeRoute(stats.farthest)]
+            ].map(([term, value]) => [$('<dt></dt>').text(term), $('<dd></dd>').text(value)])
+        );
+
+        const continents = $('<table class="stats-continents"></table>').append(
+            $('<tr><th>Continent</th><th>Routes</th><th>Mean</th></tr>'),
+            stats.continents.map(({ continent, count, meanDistance }) => $('<tr></tr>').append(
+                $('<td></td>').text(continent),
+                $('<td></td>').text(count),
+                $('<td></td>').text(formatKilometers(meanDistance))
+            ))
+        );
+
+        return [title, categories, distances, DomHandler._renderHistogram(stats.histogram), continents];
+    }
+
+    /**
+     * Draw the distance histogram with SVG, one bar per bin
+     * @param {Array<{from: number, to: number, count: number}>} histogram see computeHistogram
+     * @returns {string} SVG element
+     */
+    static _renderHistogram(histogram) {
+        const [width, height, labelHeight] = [240, 80, 14];
+        const barWidth = width / histogram.length;
+        const maxCount = Math.max(...histogram.map(({ count }) => count), 1);
+        const bars = histogram.map(({ from, to, count }, index) => {
+            const barHeight = count / maxCount * height;
+            return `
+                <g class="histogram-bar" data-index="${index}" role="button" tabindex="0">
+                    <title>${formatKilometers(from)} - ${formatKilometers(to)}: ${count} routes</title>
+                    <rect class="histogram-hit-area" x="${index * barWidth}" y="0" width="${barWidth}" height="${height}" />
+                    <rect x="${index * barWidth + 1}" y="${height - barHeight}" width="${Math.max(barWidth - 2, 1)}" height="${barHeight}" />
+                </g>`;
+        }).join('');
+        const lastBin = histogram[histogram.length - 1];
+        return `
+            <svg class="stats-histogram" viewBox="0 0 ${width} ${height + labelHeight}" width="${width}" height="${height + labelHeight}">
+                ${bars}
+                <text x="0" y="${height + labelHeight - 2}">0</text>
+                <text x="${width}" y="${height + labelHeight - 2}" text-anchor="end">${formatKilometers(lastBin.to)}</text>
+            </svg>`;
+    }
+
+    /**
+     * Mark the histogram bar of the highlighted distance range
+     * @param {Array<{from: number, to: number}>} histogram bins of the displayed histogram
+     * @param {{from: number, to: number}} range highlighted distance range, null if there is none
+     */
+    static _setActiveHistogramBar(histogram, range) {
+        $('.histogram-bar').each((index, bar) => {
+            const bin = histogram[index];
+            const isActive = Boolean(range && bin && bin.from === range.from && bin.to === range.to);
+            // jQuery class helpers don't support SVG elements in every browser
+            bar.classList.toggle('active', isActive);
+        });
+    }
+
+    /**
+     * Add the "from / to" route finder to the menu.
+     * Origin and destination are typed in or picked by clicking capitals while the route finder is enabled
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static routeFinderOnChange(mapWrapper) {
+        $('#menu').append(
+            `
+            <div class="route-finder">
+                <input id="route-finder-toggle" type="checkbox" />
+                <label for="route-finder-toggle">From / To</label>
+                <div class="route-finder-fields" style="display: none;">
+                    <input id="route-finder-origin" list="capital-names" placeholder="From" />
+                    <input id="route-finder-destination" list="capital-names" placeholder="To" />
+                    <label for="route-finder-max-leg">Max leg (km)</label>
+                    <input id="route-finder-max-leg" type="number" min="100" step="100" value="${DEFAULT_MAX_LEG_LENGTH}" />
+                    <button id="route-finder-button" class="menu-button">Find route</button>
+                </div>
+                <datalist id="capital-names"></datalist>
+            </div>
+            `
+        );
+
+        // The initial dataset is loaded after the map
+        DomHandler._setCapitalNameOptions(mapWrapper.dataProcessor);
+        mapWrapper.addDataChangeHandler(DomHandler._setCapitalNameOptions);
+
+        $('#route-finder-toggle').change(e => {
+            const { checked } = e.target;
+            $('#route-finder-origin, #route-finder-destination').val('');
+            $('.route-finder-fields').toggle(checked);
+            mapWrapper.setRouteFinderMode(checked, ({ origin, destination }) => {
+                $('#route-finder-origin').val(origin);
+                $('#route-finder-destination').val(destination);
+            });
+        });
+
+        $('#route-finder-max-leg').change(e => {
+            const maxLegLength = Number(e.target.value);
+            if (!maxLegLength || maxLegLength <= 0) {
+                notify("Max leg length must be a positive number");
+                return;
+            }
+            mapWrapper.setMaxLegLength(maxLegLength);
+        });
+
+        $('#route-finder-button').click(() => {
+            const origin = $('#route-finder-origin').val().trim();
+            const destination = $('#route-finder-destination').val().trim();
+            const unknown = [origin, destination].filter(name => !mapWrapper.dataProcessor.hasCapital(name));
+            if (unknown.length) {
+                notify(`Unknown capital: ${unknown.map(name => `"${name}"`).join(', ')}`);
+                return;
+            }
+            mapWrapper.showItinerary(origin, destination);
+        });
+    }
+
+    /**
+     * Add the reachability analysis from the selected origin to the menu, limited by hops or by cumulative distance.
+     * The legend shows the colors of hops while capitals are colored by hops
+     * @param {Stylings} styling style instance
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static reachabilityOnChange(styling, mapWrapper) {
+        const { HOPS, DISTANCE } = RouteGraph.REACH_METRICS;
+        const hopOptions = Array.from({ length: REACHABILITY_MAX_HOPS }, (_, index) => `<option value="${index + 1}">${index + 1}</option>`);
+        $('#menu').append(
+            `
+            <div class="reachability">
+                <input id="reachability-toggle" type="checkbox" />
+                <label for="reachability-toggle">Reachability</label>
+                <div class="reachability-fields" style="display: none;">
+                    <select id="reachability-metric" aria-label="Reachability metric">
+                        <option value="${HOPS}">Hops</option>
+                        <option value="${DISTANCE}">Distance</option>
+                    </select>
+                    <label for="reachability-hops">Max hops</label>
+                    <select id="reachability-hops">${hopOptions.join('')}</select>
+                    <label for="reachability-distance" style="display: none;">Max distance (km)</label>
+                    <input id="reachability-distance" type="number" min="100" step="100" value="${DEFAULT_REACHABILITY_DISTANCE}" style="display: none;" />
+                    <output id="reachability-count" aria-live="polite"></output>
+                </div>
+            </div>
+            `
+        );
+
+        $('#reachability-hops').val(DEFAULT_REACHABILITY_HOPS);
+
+        const showReachability = () => {
+            const metric = $('#reachability-metric').val();
+            const isByHops = metric === HOPS;
+            $('#reachability-hops, label[for="reachability-hops"]').toggle(isByHops);
+            $('#reachability-distance, label[for="reachability-distance"]').toggle(!isByHops);
+
+            const limit = Number(isByHops ? $('#reachability-hops').val() : $('#reachability-distance').val());
+            if (!limit || limit <= 0) {
+                notify("Reachability limit must be a positive number");
+                return;
+            }
+            mapWrapper.showReachability({ metric, limit })
+                .catch(error => notify(`Reachability can't be computed: ${error.message}`));
+        };
+
+        mapWrapper.addReachabilityChangeHandler(reachability => {
+            const reachabilityHops = reachability && reachability.metric === HOPS ? reachability.limit : null;
+            $('#reachability-count').text(reachability ? `${reachability.reached.length} capitals reached` : '');
+            if (reachabilityHops === DomHandler._reachabilityHops) {
+                return;
+            }
+            DomHandler._reachabilityHops = reachabilityHops;
+            DomHandler._setDescription(styling.theme, styling);
+        });
+
+        $('#reachability-toggle').change(e => {
+            const { checked } = e.target;
+            $('.reachability-fields').toggle(checked);
+            if (checked) {
+                showReachability();
+            } else {
+                mapWrapper.clearReachability();
+            }
+        });
+
+        $('#reachability-metric, #reachability-hops, #reachability-distance').change(showReachability);
+    }
+
+    /**
+     * Add the hub centrality analysis of the route network to the menu: a table of the most central capitals
+     * by the chosen metric, optionally sizing and coloring capital markers by it. Capitals can be selected as origin from the table
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static hubsOnChange(mapWrapper) {
+        const { DEGREE, FREQUENCY, SEATS, BETWEENNESS, CLOSENESS } = CENTRALITY_METRICS;
+        $('#menu').append(
+            `
+            <div class="hubs">
+                <input id="hubs-toggle" type="checkbox" />
+                <label for="hubs-toggle">Hubs</label>
+                <div class="hubs-fields" style="display: none;">
+                    <select id="hubs-metric" aria-label="Centrality metric">
+                        <option value="${DEGREE}">Routes</option>
+                        <option value="${FREQUENCY}">Frequency</option>
+                        <option value="${SEATS}">Seats</option>
+                        <option value="${BETWEENNESS}">Betweenness</option>
+                        <option value="${CLOSENESS}">Closeness</option>
+                    </select>
+                    <input id="hubs-style-markers" type="checkbox" />
+                    <label for="hubs-style-markers">Size and color markers</label>
+                    <div id="hubs-table" class="routes-table"></div>
+                </div>
+            </div>
+            `
+        );
 
-        DomHandler._highlightedRoutesOnChange(styling, (category) => {
-            DomHandler._changeHighLightedRoutes(category, styling, mapWrapper);
+        const showCentrality = () => {
+            mapWrapper.showCentrality({ metric: $('#hubs-metric').val(), styleMarkers: $('#hubs-style-markers').prop('checked') });
+        };
+
+        mapWrapper.addCentralityChangeHandler(centrality => {
+            $('#hubs-table').empty().append(centrality ? DomHandler._renderHubsTable(centrality) : []);
         });
 
-        DomHandler.showThemeSelectorAndDescription();
+        $('#hubs-toggle').change(e => {
+            const { checked } = e.target;
+            $('.hubs-fields').toggle(checked);
+            if (checked) {
+                showCentrality();
+            } else {
+                mapWrapper.clearCentrality();
+            }
+        });
+
+        $('#hubs-metric, #hubs-style-markers').change(showCentrality);
+
+        $('#hubs-table').on('click', '.select-capital', e => {
+            mapWrapper.selectCapital($(e.currentTarget).attr('data-capital'));
+        });
     }
 
     /**
-     * Show theme selector and description after loading map
+     * Build the table of the most central capitals
+     * @param {{metric: string, capitals: Array<Object>}} centrality centrality analysis, see MapWrapper.centrality
+     * @returns {jQuery} table, or a message when no route network is displayed
      */
-    static showThemeSelectorAndDescription() {
-        $("#menu").show(200);
-        $("#description-box").show(200);
+    static _renderHubsTable({ metric, capitals }) {
+        if (!capitals) {
+            return $('<p></p>').text('Load a route network to rank hubs');
+        }
+        const { BETWEENNESS, CLOSENESS } = CENTRALITY_METRICS;
+        const format = value => ([BETWEENNESS, CLOSENESS].includes(metric) ? value.toFixed(3) : value.toLocaleString());
+        const label = $(`#hubs-metric option[value="${metric}"]`).text();
+
+        const hubs = rankHubs(capitals, metric, HUBS_TABLE_SIZE);
+        const caption = $('<caption></caption>').text(`${hubs.length} of ${capitals.length} capitals ranked by ${label.toLowerCase()}`);
+        const header = $('<tr></tr>').append(
+            ['Rank', 'Capital', label].map(title => $('<th scope="col"></th>').text(title))
+        );
+        const rows = hubs.map(hub => {
+            const selectButton = $('<button class="select-capital"></button>')
+                .attr('data-capital', hub.name)
+                .attr('aria-label', `Select ${hub.name} as origin`)
+                .text(hub.name);
+            return $('<tr></tr>').append(
+                $('<td></td>').text(hub.rank),
+                $('<th scope="row"></th>').append(selectButton),
+                $('<td></td>').text(format(hub[metric]))
+            );
+        });
+        return $('<table></table>').append(caption, $('<thead></thead>').append(header), $('<tbody></tbody>').append(rows));
     }
+
     /**
-     * Listen to theme change in HTML
-     * @param {Stylings} styling instance of styling 
-     * @param {Function} callBack function that got called when theme is changed
+     * Add the comparison with another dataset to the menu: its locations and routes files and the layout.
+     * The compared map is overlaid with a swipe divider or displayed side by side, the diff layout colors the routes
+     * of the base map as added, removed or unchanged
+     * @param {CompareMode} compareMode compare mode of the base map
      */
-    static themeOnChange(styling, callBack) {
-        // Add input elements for theme selector using configured values
-        $('#menu').html(
+    static compareOnChange(compareMode) {
+        const { SWIPE, SIDE_BY_SIDE, DIFF } = CompareMode.LAYOUTS;
+        $('#menu').append(
             `
-            <input id="light" type="radio" name="theme" value="${Stylings.LIGHT_THEME}" />
-            <label for="light">Light</label>
-            <input id="dark" type="radio" name="theme" value="${Stylings.DARK_THEME}" />
-            <label for="dark">Dark</label>
+            <div class="compare">
+                <input id="compare-toggle" type="checkbox" />
+                <label for="compare-toggle">Compare</label>
+                <div class="compare-fields" style="display: none;">
+                    <select id="compare-layout" aria-label="Compare layout">
+                        <option value="${SWIPE}">Swipe</option>
+                        <option value="${SIDE_BY_SIDE}">Side by side</option>
+                        <option value="${DIFF}">Diff</option>
+                    </select>
+                    <label for="compare-dataset-file">Compared locations</label>
+                    <input id="compare-dataset-file" type="file" accept=".json,.geojson,.csv,.txt,.dat" />
+                    <label for="compare-routes-file">Compared routes</label>
+                    <input id="compare-routes-file" type="file" accept=".csv,.txt,.dat" />
+                    <ul id="compare-counts" class="compare-counts" aria-live="polite"></ul>
+                </div>
+            </div>
+            `
+        );
+        $('#content').append(
+            `
+            <div id="${CompareMode.CONTAINER_ID}"></div>
+            <div id="compare-divider" class="compare-divider" role="separator" aria-orientation="vertical"
+                aria-label="Swipe between the datasets" aria-valuemin="0" aria-valuemax="100" tabindex="0"></div>
             `
         );
 
-        const themeSelectors = $('#menu input');
+        let layout = null;
+        compareMode.addChangeHandler(() => {
+            DomHandler._setCompareLayout(compareMode.layout, compareMode.swipePosition);
+            DomHandler._renderDiffCounts(compareMode.diff);
+            if (compareMode.layout !== layout) {
+                layout = compareMode.layout;
+                // Maps are resized with their containers. The compared map is created hidden by the diff layout,
+                // it only gets its size once its container is displayed
+                compareMode.baseWrapper.resize();
+                if (compareMode.compareWrapper && $(`#${CompareMode.CONTAINER_ID}`).is(':visible')) {
+                    compareMode.compareWrapper.resize();
+                }
+            }
+        });
 
-        const defaultTheme = styling.theme;
-        // Set inital selected input in theme selector
-        themeSelectors.each((_, input) => {
-            input.checked = input.value === defaultTheme;
+        const setLayout = () => {
+            const checked = $('#compare-toggle').prop('checked');
+            $('.compare-fields').toggle(checked);
+            const newLayout = checked ? $('#compare-layout').val() : null;
+            // The container of the compared map is displayed before the map is created so that it gets its size
+            DomHandler._setCompareLayout(newLayout, compareMode.swipePosition);
+            compareMode.setLayout(newLayout);
+        };
+        $('#compare-toggle, #compare-layout').change(setLayout);
+
+        $('#compare-dataset-file, #compare-routes-file').change(e => {
+            const [file] = e.target.files;
+            if (file) {
+                DomHandler._loadComparedFile(file, compareMode.compareWrapper, e.target.id === 'compare-routes-file');
+            }
+            e.target.value = '';
         });
 
-        DomHandler._setThemeColors(defaultTheme);
+        const swipeTo = clientX => {
+            const { left, width } = $('#content')[0].getBoundingClientRect();
+            compareMode.setSwipePosition((clientX - left) / width);
+        };
+        $('#compare-divider').on('pointerdown', e => {
+            e.preventDefault();
+            e.target.setPointerCapture(e.originalEvent.pointerId);
+            $('#compare-divider').on('pointermove', moveEvent => swipeTo(moveEvent.originalEvent.clientX));
+        });
+        $('#compare-divider').on('pointerup pointercancel', () => $('#compare-divider').off('pointermove'));
+        $('#compare-divider').on('keydown', e => {
+            const steps = { ArrowLeft: -0.05, ArrowRight: 0.05 };
+            if (steps[e.key] === undefined) {
+                return;
+            }
+            e.preventDefault();
+            compareMode.setSwipePosition(compareMode.swipePosition + steps[e.key]);
+        });
+    }
 
-        themeSelectors.click(e => {
-            const theme = e.target.value;
-            if (theme === styling.theme) {
+    /**
+     * Lay out the compared map
+     * @param {string} layout one of CompareMode.LAYOUTS, null when the datasets are not compared
+     * @param {number} swipePosition position of the swipe divider, fraction of the width from the left
+     */
+    static _setCompareLayout(layout, swipePosition) {
+        const { SWIPE, SIDE_BY_SIDE } = CompareMode.LAYOUTS;
+        const percent = `${swipePosition * 100}%`;
+        $('#content')
+            .toggleClass('compare-swipe', layout === SWIPE)
+            .toggleClass('compare-side-by-side', layout === SIDE_BY_SIDE);
+        // The compared map is only visible right of the divider
+        $(`#${CompareMode.CONTAINER_ID}`).css('clip-path', layout === SWIPE ? `inset(0 0 0 ${percent})` : '');
+        $('#compare-divider').css('left', percent).attr('aria-valuenow', Math.round(swipePosition * 100));
+    }
+
+    /**
+     * Show the number of added, removed and unchanged routes with their colors
+     * @param {{counts: Object<string, number>}} diff diff of the displayed routes, null until both maps have routes
+     */
+    static _renderDiffCounts(diff) {
+        const labels = { ADDED: 'Added', REMOVED: 'Removed', UNCHANGED: 'Unchanged' };
+        const items = diff ? Object.values(CompareMode.DIFF_STATUSES).map(status => {
+            const indicator = $('<span class="diff-indicator"></span>').css('background', Stylings.ROUTE_DIFF_COLORS[status]);
+            return $('<li></li>').append(indicator, document.createTextNode(`${labels[status]}: ${diff.counts[status]}`));
+        }) : [];
+        $('#compare-counts').empty().append(items);
+    }
+
+    /**
+     * Read a locations or routes file into the compared map
+     * @param {File} file file picked by the user
+     * @param {MapWrapper} mapWrapper compared map
+     * @param {boolean} isRoutes whether the file has routes, locations otherwise
+     */
+    static _loadComparedFile(file, mapWrapper, isRoutes) {
+        const reader = new FileReader();
+        // The compared map loads the default dataset first, the file would be replaced by it
+        reader.onload = () => mapWrapper.whenDataLoaded(dataProcessor => {
+            try {
+                if (isRoutes) {
+                    dataProcessor.loadRoutesFromText(reader.result, { fileName: file.name });
+                } else {
+                    dataProcessor.loadFromText(reader.result, { fileName: file.name });
+                }
+            } catch (e) {
+                notify(e.message);
                 return;
             }
+            if (isRoutes) {
+                mapWrapper.refreshRoutes();
+            } else {
+                mapWrapper.refreshData();
+            }
+        });
+        reader.onerror = () => notify(`File "${file.name}" can't be read`);
+        reader.readAsText(file);
+    }
 
-            callBack(theme);
+    /**
+     * Add play/pause, speed and subset controls of the plane animation to the menu
+     * @param {FlightAnimator} flightAnimator animator of the map wrapper
+     */
+    static animationOnChange(flightAnimator) {
+        const { ALL, HIGHLIGHTED } = FlightAnimator.SUBSETS;
+        $('#menu').append(
+            `
+            <div class="flight-animation">
+                <button id="animation-button" class="menu-button">Play flights</button>
+                <label for="animation-speed">Speed</label>
+                <input id="animation-speed" type="range" min="0.25" max="4" step="0.25" value="${flightAnimator.speed}" />
+                <select id="animation-subset">
+                    <option value="${ALL}">All routes</option>
+                    <option value="${HIGHLIGHTED}">Highlighted routes</option>
+                </select>
+            </div>
+            `
+        );
+
+        $('#animation-subset').val(flightAnimator.subset);
+
+        flightAnimator.onStateChange(isPlaying => {
+            $('#animation-button').text(isPlaying ? 'Pause flights' : 'Play flights');
+        });
+
+        $('#animation-button').click(() => {
+            if (flightAnimator.isPlaying) {
+                flightAnimator.pause();
+            } else {
+                flightAnimator.play();
+            }
+        });
+
+        $('#animation-speed').on('input', e => flightAnimator.setSpeed(Number(e.target.value)));
+
+        $('#animation-subset').change(e => flightAnimator.setSubset(e.target.value));
+    }
+
+    /**
+     * Add the aircraft profile and distance unit of the flight estimates shown on route popups to the menu,
+     * profiles can be loaded from a JSON file
+     * @param {FlightEstimator} flightEstimator estimator of the map wrapper
+     */
+    static flightEstimatesOnChange(flightEstimator) {
+        const unitOptions = Object.keys(DISTANCE_UNITS)
+            .map(unit => `<option value="${unit}">${DISTANCE_UNITS[unit].label}</option>`)
+            .join('');
+        $('#menu').append(
+            `
+            <div class="flight-estimates">
+                <label for="aircraft-profile">Aircraft</label>
+                <select id="aircraft-profile"></select>
+                <label for="distance-unit">Distance unit</label>
+                <select id="distance-unit">${unitOptions}</select>
+                <button id="aircraft-profiles-import" class="menu-button">Load aircraft</button>
+                <button id="aircraft-profiles-reset" class="menu-button">Default aircraft</button>
+                <input id="aircraft-profiles-file" type="file" accept=".json" style="display: none;" />
+            </div>
+            `
+        );
+
+        const renderProfiles = () => {
+            // Profiles may be imported by the user, their ids and labels are not HTML
+            const options = flightEstimator.profiles.map(({ id, label }) => $('<option></option>').val(id).text(label));
+            $('#aircraft-profile').empty().append(options).val(flightEstimator.profile.id);
+        };
+        const applyChange = change => {
+            try {
+                change();
+            } catch (e) {
+                notify(e.message);
+            }
+            renderProfiles();
+            $('#distance-unit').val(flightEstimator.unit);
+        };
+
+        renderProfiles();
+        $('#distance-unit').val(flightEstimator.unit);
+
+        $('#aircraft-profile').change(e => applyChange(() => flightEstimator.setProfile(e.target.value)));
+
+        $('#distance-unit').change(e => applyChange(() => flightEstimator.setUnit(e.target.value)));
+
+        $('#aircraft-profiles-reset').click(() => applyChange(() => flightEstimator.resetProfiles()));
+
+        $('#aircraft-profiles-import').click(() => $('#aircraft-profiles-file').click());
+
+        $('#aircraft-profiles-file').change(e => {
+            const [file] = e.target.files;
+            e.target.value = '';
+            if (!file) {
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => applyChange(() => flightEstimator.importProfiles(reader.result));
+            reader.onerror = () => notify(`File "${file.name}" can't be read`);
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Add the export menu to download the displayed arcs and capitals
+     * @param {Function} callBack function that got called with the name of the picked export format
+     */
+    static exportOnChange(callBack) {
+        const options = EXPORTERS.map(({ name, label }) => `<option value="${name}">${label}</option>`).join('');
+        $('#menu').append(
+            `
+            <div class="network-export">
+                <label for="export-format">Export routes</label>
+                <select id="export-format">${options}</select>
+                <button id="export-button" class="menu-button">Download</button>
+            </div>
+            `
+        );
+
+        $('#export-button').click(() => callBack($('#export-format').val()));
+    }
+
+    /**
+     * Add the "Save image" action with the resolution of the image
+     * @param {Function} callBack function that got called with the resolution multiplier, returns a promise resolved once the image is saved
+     */
+    static snapshotOnChange(callBack) {
+        $('#menu').append(
+            `
+            <div class="map-snapshot">
+                <label for="snapshot-scale">Image resolution</label>
+                <select id="snapshot-scale">
+                    <option value="1">1x</option>
+                    <option value="2">2x</option>
+                    <option value="3">3x</option>
+                </select>
+                <button id="snapshot-button" class="menu-button">Save image</button>
+            </div>
+            `
+        );
+
+        $('#snapshot-button').click(e => {
+            const button = $(e.target);
+            button.prop('disabled', true);
+            callBack(Number($('#snapshot-scale').val())).then(() => button.prop('disabled', false));
         });
     }
 
+    /**
+     * Fill the suggestions of the route finder inputs with capital names
+     * @param {DataProcessor} dataProcessor data processor instance
+     */
+    static _setCapitalNameOptions(dataProcessor) {
+        const { features = [] } = dataProcessor.capitalMarkers;
+        const options = features.map(({ properties: { capitalName } }) => $('<option></option>').val(capitalName));
+        $('#capital-names').empty().append(options);
+    }
+
     /**
      * Set theme color for theme selector and descriptions board
      * @param {string} theme name of the selected theme
+     * @param {Stylings} styling style instance, source of the legend
      */
-    static _setThemeColors(theme) {
+    static _setThemeColors(theme, styling) {
 
         if (theme === Stylings.DARK_THEME) {
             $('#content').addClass("dark-theme");
@@ -77,33 +1384,239 @@ export class DomHandler {
             $('#content').removeClass("dark-theme");
         }
 
-        DomHandler._setDescription(theme);
+        DomHandler._setDescription(theme, styling);
     }
 
     /**
      * Generate color indicators in the description board.
-     * The indicators map colors to distance ranges
+     * The indicators map colors to distance ranges of the active distance configuration,
+     * or to hops while the reachability analysis colors capitals by hops
      * @param {string} theme name of the theme
+     * @param {Stylings} styling style instance
      */
-    static _setDescription(theme) {
-        const categoryDescription = Stylings.CATEGORY_NAMES_IN_DESC_ORDER.map((categoryName, index) => {
-            const minDistance = Stylings.MIN_DISTANCE[categoryName];
-            const prevMinDistance = index >= 1 ? Stylings.MIN_DISTANCE[Stylings.CATEGORY_NAMES_IN_DESC_ORDER[index - 1]] : "";
-            const backgroundColor = Stylings.COLORS[categoryName][theme];
+    static _setDescription(theme, styling) {
+        if (DomHandler._reachabilityHops) {
+            DomHandler._setHopDescription(DomHandler._reachabilityHops);
+            return;
+        }
 
-            return `
-            <div class="category">
-                <div class="color-indicator" id="${categoryName}" style="background-color: ${backgroundColor}"></div>
-                <div class="description">
-                    ${index > 0 ? `${minDistance} - ${prevMinDistance}` : `>= ${minDistance}`}
+        const categoryDescription = styling.getLegendItems(theme).map(({ category, label, background }) => {
+            const indicator = $('<div class="color-indicator" role="button" tabindex="0"></div>')
+                .attr('data-category', category)
+                .attr('aria-label', `Highlight routes of ${label}`)
+                .attr('aria-pressed', String(category === styling.highLightedCategory))
+                .css('background', background);
+            const description = $('<div class="description"></div>').text(label);
+
+            return $('<div class="category"></div>').append(indicator, description);
+        });
+
+        const header = `<h4 class="title">Distance (km)</h4>`;
+
+        $('#description').html(header).append(categoryDescription);
+    }
+
+    /**
+     * Generate color indicators of hops in the description board, they don't highlight routes
+     * @param {number} maxHops hop limit of the reachability analysis
+     */
+    static _setHopDescription(maxHops) {
+        const hopDescription = Stylings.getHopLegendItems(maxHops).map(({ label, background }) => {
+            const indicator = $('<div class="hop-indicator"></div>').css('background', background);
+            const description = $('<div class="description"></div>').text(label);
+
+            return $('<div class="category"></div>').append(indicator, description);
+        });
+
+        const header = `<h4 class="title">Hops</h4>`;
+
+        $('#description').html(header).append(hopDescription);
+    }
+
+    /**
+     * Add controls of the distance configuration under the legend:
+     * categories/ramp switch, JSON import, export and reset
+     * @param {Stylings} styling style instance
+     * @param {Function} callBack function that got called after the configuration is changed
+     */
+    static distanceConfigOnChange(styling, callBack) {
+        const { CATEGORIES, RAMP } = Stylings.DISTANCE_STYLE_MODES;
+        $('#description-box').append(
+            `
+            <div class="distance-config">
+                <select id="distance-style-mode">
+                    <option value="${CATEGORIES}">Categories</option>
+                    <option value="${RAMP}">Color ramp</option>
+                </select>
+                <button id="distance-config-import" class="menu-button">Import</button>
+                <button id="distance-config-export" class="menu-button">Export</button>
+                <button id="distance-config-reset" class="menu-button">Default</button>
+                <input id="distance-config-file" type="file" accept=".json" style="display: none;" />
+            </div>
+            `
+        );
+
+        const applyChange = change => {
+            try {
+                change();
+            } catch (e) {
+                notify(e.message);
+                return;
+            }
+            $('#distance-style-mode').val(styling.distanceConfig.mode);
+            callBack();
+        };
+
+        $('#distance-style-mode').val(styling.distanceConfig.mode);
+
+        $('#distance-style-mode').change(e => applyChange(() => styling.setDistanceStyleMode(e.target.value)));
+
+        $('#distance-config-reset').click(() => applyChange(() => styling.resetDistanceConfig()));
+
+        $('#distance-config-export').click(() => {
+            downloadFile(styling.exportDistanceConfig(), 'distance-config.json', 'application/json');
+        });
+
+        $('#distance-config-import').click(() => $('#distance-config-file').click());
+
+        $('#distance-config-file').change(e => {
+            const [file] = e.target.files;
+            e.target.value = '';
+            if (!file) {
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => applyChange(() => styling.importDistanceConfig(reader.result));
+            reader.onerror = () => notify(`File "${file.name}" can't be read`);
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Add the list of origins to the legend, with a remove button per origin and the switch to color routes by origin.
+     * The list follows the origins selected on the map(shift + click)
+     * @param {Stylings} styling style instance
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static originsOnChange(styling, mapWrapper) {
+        $('#description-box').append(
+            `
+            <div class="origins">
+                <h4 class="title">Origins</h4>
+                <input id="color-by-origin" type="checkbox" />
+                <label for="color-by-origin">Color by origin</label>
+                <ul id="origin-list"></ul>
+                <p class="hint">Shift + click a capital to add or remove an origin</p>
+            </div>
+            `
+        );
+
+        let renderedOrigins = '';
+        const render = () => {
+            const origins = mapWrapper.dataProcessor.selectedCapitals;
+            // State changes are also fired by camera moves, the list is only rendered when origins change
+            if (origins.join('|') === renderedOrigins) {
+                return;
+            }
+            renderedOrigins = origins.join('|');
+
+            const items = origins.map((origin, index) => {
+                const swatch = $('<span class="origin-color"></span>').css('background-color', styling.getOriginColor(index));
+                const name = $('<span class="origin-name"></span>').text(origin);
+                const removeButton = $('<button class="remove-origin" title="Remove origin">&times;</button>')
+                    .attr('data-origin', origin)
+                    .prop('disabled', origins.length === 1);
+                return $('<li></li>').append(swatch, name, removeButton);
+            });
+            $('#origin-list').empty().append(items);
+        };
+
+        render();
+        mapWrapper.addStateChangeHandler(render);
+
+        $('#origin-list').on('click', '.remove-origin', e => {
+            mapWrapper.removeOrigin($(e.currentTarget).attr('data-origin'));
+        });
+
+        $('#color-by-origin').prop('checked', styling.colorMode === Stylings.COLOR_MODES.ORIGIN);
+        $('#color-by-origin').change(e => {
+            styling.colorMode = e.target.checked ? Stylings.COLOR_MODES.ORIGIN : Stylings.COLOR_MODES.DISTANCE;
+            mapWrapper.refreshStyles();
+        });
+    }
+
+    /**
+     * Add the flow mode to the legend: widths and opacities of routes scale with their passengers, seats or frequency,
+     * both directions of a route are drawn side by side. Width samples follow the displayed routes
+     * @param {Stylings} styling style instance
+     * @param {MapWrapper} mapWrapper map wrapper instance, source of the biggest volume
+     * @param {Function} callBack function that got called after the flow mode is changed
+     */
+    static flowOnChange(styling, mapWrapper, callBack) {
+        const { PASSENGERS, SEATS, FREQUENCY } = Stylings.FLOW_VOLUMES;
+        const { LINEAR, SQRT, LOG } = Stylings.FLOW_SCALES;
+        $('#description-box').append(
+            `
+            <div class="flows">
+                <h4 class="title">Flows</h4>
+                <input id="flow-toggle" type="checkbox" />
+                <label for="flow-toggle">Width by volume</label>
+                <div class="flow-fields" style="display: none;">
+                    <select id="flow-volume" aria-label="Flow volume">
+                        <option value="${PASSENGERS}">Passengers</option>
+                        <option value="${SEATS}">Seats</option>
+                        <option value="${FREQUENCY}">Frequency</option>
+                    </select>
+                    <select id="flow-scale" aria-label="Flow scale">
+                        <option value="${SQRT}">Square root</option>
+                        <option value="${LOG}">Logarithmic</option>
+                        <option value="${LINEAR}">Linear</option>
+                    </select>
+                    <ul id="flow-legend"></ul>
                 </div>
             </div>
-            `;
-        }).join("");
+            `
+        );
 
-        const header = `<h4 class="title">Distance (km)</h4>`;
+        const renderLegend = () => {
+            if (!styling.flowConfig) {
+                return;
+            }
+            const items = styling.getFlowLegendItems(mapWrapper.maxFlowVolume).map(({ volume, lineWidth, lineOpacity }) => {
+                const sample = $('<span class="flow-sample"></span>').css({ height: `${lineWidth}px`, opacity: lineOpacity });
+                const label = $('<span class="flow-volume"></span>').text(volume.toLocaleString());
+                return $('<li></li>').append(sample, label);
+            });
+            $('#flow-legend').empty().append(items.length ? items : $('<li></li>').text('No volumes in the displayed routes'));
+        };
 
-        $('#description').html(header + categoryDescription);
+        const applyChange = () => {
+            const isEnabled = $('#flow-toggle').prop('checked');
+            $('.flow-fields').toggle(isEnabled);
+            try {
+                styling.setFlowConfig(isEnabled ? { volume: $('#flow-volume').val(), scale: $('#flow-scale').val() } : null);
+            } catch (e) {
+                notify(e.message);
+                return;
+            }
+            callBack();
+            renderLegend();
+        };
+
+        mapWrapper.addRoutesChangeHandler(renderLegend);
+
+        $('#flow-toggle, #flow-volume, #flow-scale').change(applyChange);
+    }
+
+    /**
+     * Render the legend and the arcs again with the active distance configuration
+     * @param {Stylings} styling style instance
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static _changeDistanceConfig(styling, mapWrapper) {
+        DomHandler._setDescription(styling.theme, styling);
+        $('#reset-button').toggle(Boolean(styling.highLightedCategory));
+        mapWrapper.refreshStyles();
     }
 
     /**
@@ -112,15 +1625,42 @@ export class DomHandler {
      * @param {Function} callBack callback to execute when highlighted category is changed
      */
     static _highlightedRoutesOnChange(styling, callBack) {
-        $('#reset-button').hide();
+        $('#reset-button').toggle(Boolean(styling.highLightedCategory));
 
         $('#description').on('mouseenter', '.color-indicator', e => {
             $('#reset-button').show(200);
-            const category = e.target.id;
+            const category = $(e.target).attr('data-category');
+            if (category === styling.highLightedCategory) {
+                return;
+            }
+            callBack(category);
+        });
+
+        const toggleHighlight = category => {
             if (category === styling.highLightedCategory) {
+                $('#reset-button').hide(200);
+                callBack();
                 return;
             }
+            $('#reset-button').show(200);
             callBack(category);
+        };
+
+        // Keyboard users toggle the highlight of the focused legend item with Enter or Space
+        $('#description').on('keydown', '.color-indicator', e => {
+            if (e.key !== 'Enter' && e.key !== ' ') {
+                return;
+            }
+            e.preventDefault();
+            toggleHighlight($(e.target).attr('data-category'));
+        });
+
+        // Touch screens have no hover, a tap toggles the highlight
+        $('#description').on('pointerup', '.color-indicator', e => {
+            if (e.originalEvent.pointerType === 'mouse') {
+                return;
+            }
+            toggleHighlight($(e.target).attr('data-category'));
         });
 
         $('#reset-button').click(() => {
@@ -129,6 +1669,30 @@ export class DomHandler {
         });
     }
 
+    /**
+     * Select a theme as if it was picked in the theme selector
+     * @param {string} theme name of the theme
+     * @param {Stylings} styling style instance
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static setTheme(theme, styling, mapWrapper) {
+        $('#menu input[name="theme"]').each((_, input) => {
+            input.checked = input.value === theme;
+        });
+        DomHandler._changeTheme(theme, styling, mapWrapper);
+    }
+
+    /**
+     * Highlight a distance category as if its color indicator was hovered, empty category resets the highlight
+     * @param {string} category name of the distance category
+     * @param {Stylings} styling style instance
+     * @param {MapWrapper} mapWrapper map wrapper instance
+     */
+    static setHighLightedCategory(category, styling, mapWrapper) {
+        $('#reset-button').toggle(Boolean(category));
+        DomHandler._changeHighLightedRoutes(category, styling, mapWrapper);
+    }
+
     /**
      * Change theme colors
      * @param {string} theme name of the selected theme
@@ -136,7 +1700,7 @@ export class DomHandler {
      * @param {MapWrapper} mapWrapper map wrapper instance
      */
     static _changeTheme(theme, styling, mapWrapper) {
-        DomHandler._setThemeColors(theme);
+        DomHandler._setThemeColors(theme, styling);
         styling.theme = theme;
         mapWrapper.changeTheme(theme);
     }
@@ -150,5 +1714,8 @@ export class DomHandler {
     static _changeHighLightedRoutes(category, styling, mapWrapper) {
         styling.highLightedCategory = category;
         mapWrapper.highLightLines();
+        $('#description .color-indicator').each((_, indicator) => {
+            $(indicator).attr('aria-pressed', String($(indicator).attr('data-category') === styling.highLightedCategory));
+        });
     }
 }
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * Exporters that serialize the displayed network (arcs of the route source and capital markers)
+ * for GIS tools and spreadsheets. Every exporter has the shape
+ * { name, label, extension, mimeType, serialize: ({routes, capitals}) => string }
+ */
+
+/**
+ * Escape special characters of XML text and attribute values
+ * @param {*} value raw value
+ * @returns {string} escaped text
+ */
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Quote a CSV field when it contains delimiters, quotes or new lines
+ * @param {*} value raw value
+ * @returns {string} CSV field
+ */
+function escapeCsvField(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert a css hex color to a KML color, which is written in the order alpha, blue, green, red
+ * @param {string} color hex color, e.g: #D84315 or #fff
+ * @returns {string} KML color, e.g: ff1543d8
+ */
+export function toKmlColor(color) {
+    const hex = (color || '#ffffff').replace('#', '');
+    const fullHex = hex.length === 3 ? hex.split('').map(char => char + char).join('') : hex;
+    const [red, green, blue] = [0, 2, 4].map(index => fullHex.slice(index, index + 2));
+    return `ff${blue}${green}${red}`.toLowerCase();
+}
+
+/**
+ * Select the data to export. When a category is highlighted, only its arcs and their endpoints are exported
+ * @param {GEOJSON.FeatureCollection<LineString>} routes arcs of the route source
+ * @param {GEOJSON.FeatureCollection<Point>} capitals capital markers
+ * @param {string} highlightedCategory name of the highlighted category, empty to export everything
+ * @returns {{routes: GEOJSON.FeatureCollection<LineString>, capitals: GEOJSON.FeatureCollection<Point>}} data to export
+ */
+export function selectExportData(routes, capitals, highlightedCategory) {
+    const routeFeatures = (routes.features || []).filter(({ properties }) => !highlightedCategory || properties.category === highlightedCategory);
+    let capitalFeatures = capitals.features || [];
+
+    if (highlightedCategory) {
+        const endpoints = new Set();
+        routeFeatures.forEach(({ properties: { origin, destination } }) => {
+            endpoints.add(origin);
+            endpoints.add(destination);
+        });
+        capitalFeatures = capitalFeatures.filter(({ properties }) => endpoints.has(properties.capitalName));
+    }
+
+    return {
+        routes: { type: 'FeatureCollection', features: routeFeatures },
+        capitals: { type: 'FeatureCollection', features: capitalFeatures }
+    };
+}
+
+/**
+ * Properties of an arc that are exported, styling of the map is left out except the color
+ * @param {Object} properties properties of the arc
+ * @returns {Object} exported properties
+ */
+function routeExportProperties({ origin, destination, distance, category, color, airlines, frequency }) {
+    return {
+        origin,
+        destination,
+        distance: Math.round(distance * 100) / 100,
+        category,
+        color,
+        ...(airlines !== undefined && { airlines }),
+        ...(frequency !== undefined && { frequency })
+    };
+}
+
+/**
+ * GeoJSON FeatureCollection of capitals(Point) then arcs(LineString), the `type` property tells them apart
+ */
+export const GEOJSON_EXPORTER = {
+    name: 'geojson',
+    label: 'GeoJSON',
+    extension: 'geojson',
+    mimeType: 'application/geo+json',
+    serialize: ({ routes, capitals }) => JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            ...capitals.features.map(({ properties, geometry }) => ({
+                type: 'Feature',
+                properties: { type: 'capital', name: properties.capitalName, description: properties.capitalDescription },
+                geometry
+            })),
+            ...routes.features.map(({ properties, geometry }) => ({
+                type: 'Feature',
+                properties: { type: 'route', ...routeExportProperties(properties) },
+                geometry
+            }))
+        ]
+    }, null, 2)
+};
+
+/**
+ * KML document with capitals as points and arcs as LineStrings styled with the colors and widths of the map
+ */
+export const KML_EXPORTER = {
+    name: 'kml',
+    label: 'KML',
+    extension: 'kml',
+    mimeType: 'application/vnd.google-earth.kml+xml',
+    serialize: ({ routes, capitals }) => {
+        // One shared style per color and width, arcs of a category look the same
+        const styleIds = new Map();
+        const styles = [];
+        const styleIdOf = ({ color, lineWidth }) => {
+            const key = `${color}|${lineWidth}`;
+            if (!styleIds.has(key)) {
+                const id = `route-style-${styleIds.size}`;
+                styleIds.set(key, id);
+                styles.push(`
+    <Style id="${id}">
+      <LineStyle><color>${toKmlColor(color)}</color><width>${escapeXml(lineWidth || 1)}</width></LineStyle>
+    </Style>`);
+            }
+            return styleIds.get(key);
+        };
+
+        const coordinatesOf = points => points.map(([longitude, latitude]) => `${longitude},${latitude}`).join(' ');
+        const lineGeometry = geometry => (geometry.type === 'MultiLineString'
+            ? `<MultiGeometry>${geometry.coordinates.map(line => `<LineString><tessellate>1</tessellate><coordinates>${coordinatesOf(line)}</coordinates></LineString>`).join('')}</MultiGeometry>`
+            : `<LineString><tessellate>1</tessellate><coordinates>${coordinatesOf(geometry.coordinates)}</coordinates></LineString>`);
+        const extendedData = properties => Object.keys(properties)
+            .map(key => `<Data name="${escapeXml(key)}"><value>${escapeXml(properties[key])}</value></Data>`)
+            .join('');
+
+        const capitalPlacemarks = capitals.features.map(({ properties, geometry }) => `
+    <Placemark>
+      <name>${escapeXml(properties.capitalName)}</name>
+      <description>${escapeXml(properties.capitalDescription)}</description>
+      <Point><coordinates>${coordinatesOf([geometry.coordinates])}</coordinates></Point>
+    </Placemark>`);
+
+        const routePlacemarks = routes.features.map(({ properties, geometry }) => `
+    <Placemark>
+      <name>${escapeXml(`${properties.origin} - ${properties.destination}`)}</name>
+      <styleUrl>#${styleIdOf(properties)}</styleUrl>
+      <ExtendedData>${extendedData(routeExportProperties(properties))}</ExtendedData>
+      ${lineGeometry(geometry)}
+    </Placemark>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Flight routes</name>${styles.join('')}
+    <Folder>
+      <name>Capitals</name>${capitalPlacemarks.join('')}
+    </Folder>
+    <Folder>
+      <name>Routes</name>${routePlacemarks.join('')}
+    </Folder>
+  </Document>
+</kml>
+`;
+    }
+};
+
+/**
+ * Flat CSV with one row per arc, without geometry
+ */
+export const CSV_EXPORTER = {
+    name: 'csv',
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    serialize: ({ routes }) => {
+        const header = ['origin', 'destination', 'distance_km', 'category'];
+        const rows = routes.features.map(({ properties }) => {
+            const { origin, destination, distance, category } = routeExportProperties(properties);
+            return [origin, destination, distance, category].map(escapeCsvField).join(',');
+        });
+        return [header.join(','), ...rows].join('\n') + '\n';
+    }
+};
+
+/**
+ * All the built in exporters, in the order they are listed in the export menu
+ */
+export const EXPORTERS = [
+    GEOJSON_EXPORTER,
+    KML_EXPORTER,
+    CSV_EXPORTER
+];
+
+/**
+ * Find an exporter by its name
+ * @param {string} name name of the exporter, e.g: kml
+ * @returns {Object} exporter or undefined if there is none
+ */
+export function findExporter(name) {
+    return EXPORTERS.find(exporter => exporter.name === name);
+}
@@ -0,0 +1,358 @@
+import * as turf from "@turf/turf";
+
+import { Stylings } from './stylings.js';
+import { FLIGHT_ANIMATION_DURATION } from './constants.js';
+
+/**
+ * Get all points of a line geometry, parts of a MultiLineString are chained
+ * @param {GeoJSON.LineString|GeoJSON.MultiLineString} geometry line geometry
+ * @returns {Array<Array<number>>} list of [longitude, latitude]
+ */
+export function flattenLineCoordinates(geometry) {
+    if (!geometry) {
+        return [];
+    }
+    return geometry.type === 'MultiLineString'
+        ? [].concat(...geometry.coordinates)
+        : geometry.coordinates;
+}
+
+/**
+ * Position and bearing of a plane that travelled a fraction of a line
+ * @param {Array<Array<number>>} coordinates points along the line
+ * @param {number} fraction travelled fraction of the line between 0 and 1
+ * @returns {{coordinates: Array<number>, bearing: number}} null if the line has less than 2 points
+ */
+export function positionAlongLine(coordinates, fraction) {
+    if (!coordinates || coordinates.length < 2) {
+        return null;
+    }
+
+    const position = Math.min(Math.max(fraction, 0), 1) * (coordinates.length - 1);
+    const index = Math.min(Math.floor(position), coordinates.length - 2);
+    const [fromLong, fromLat] = coordinates[index];
+    const [toLong, toLat] = coordinates[index + 1];
+    const ratio = position - index;
+
+    // Points on both sides of the antimeridian are not interpolated, the plane jumps to the other side
+    const crossesAntimeridian = Math.abs(toLong - fromLong) > 180;
+    const longitude = crossesAntimeridian ? (ratio < 0.5 ? fromLong : toLong) : fromLong + (toLong - fromLong) * ratio;
+    const latitude = crossesAntimeridian ? (ratio < 0.5 ? fromLat : toLat) : fromLat + (toLat - fromLat) * ratio;
+
+    return {
+        coordinates: [longitude, latitude],
+        bearing: turf.bearing(turf.point(coordinates[index]), turf.point(coordinates[index + 1]))
+    };
+}
+
+/**
+ * Animate planes along the arcs of the route source with requestAnimationFrame.
+ * Planes are rendered with their own source and layer that must be added again when the map style is changed
+ */
+export class FlightAnimator {
+
+    /**
+     * Id of the source and layer of planes
+     */
+    static LAYER_ID = 'planes';
+
+    /**
+     * Subsets of arcs with a plane. HIGHLIGHTED falls back to all arcs when no category is highlighted
+     */
+    static SUBSETS = {
+        ALL: 'ALL',
+        HIGHLIGHTED: 'HIGHLIGHTED'
+    }
+
+    /**
+     * Map instance
+     * @type {mapboxgl.Map}
+     * @private
+     */
+    _map = null;
+
+    /**
+     * Styling instance, used to know the highlighted category
+     * @type {Stylings}
+     * @private
+     */
+    _styling = null;
+
+    /**
+     * Animated arcs
+     * @type {Array<{id: number, properties: Object, coordinates: Array<Array<number>>}>}
+     * @private
+     */
+    _flights = [];
+
+    /**
+     * Travelled fraction of every arc, between 0 and 1
+     * @type {number}
+     * @private
+     */
+    _progress = 0;
+
+    /**
+     * Speed multiplier, 1 means an arc is travelled in FLIGHT_ANIMATION_DURATION ms
+     * @type {number}
+     * @private
+     */
+    _speed = 1;
+
+    /**
+     * Subset of arcs with a plane, one of FlightAnimator.SUBSETS
+     * @type {string}
+     * @private
+     */
+    _subset = FlightAnimator.SUBSETS.ALL;
+
+    /**
+     * Id of the requested animation frame, null when the animation is not playing
+     * @type {number}
+     * @private
+     */
+    _frameId = null;
+
+    /**
+     * Timestamp of the last rendered frame
+     * @type {number}
+     * @private
+     */
+    _lastTimestamp = null;
+
+    /**
+     * Callback fired with the playing state whenever animation is played or stopped
+     * @type {Function}
+     * @private
+     */
+    _onStateChange = null;
+
+    /**
+     * @param {mapboxgl.Map} mapInstance map instance
+     * @param {Stylings} styling styling instance
+     */
+    constructor(mapInstance, styling) {
+        this._map = mapInstance;
+        this._styling = styling;
+    }
+
+    /**
+     * Whether animation is playing
+     * @returns {boolean} true if playing
+     * @public
+     */
+    get isPlaying() {
+        return this._frameId !== null;
+    }
+
+    /**
+     * Get speed multiplier
+     * @returns {number} speed multiplier
+     * @public
+     */
+    get speed() {
+        return this._speed;
+    }
+
+    /**
+     * Get subset of arcs with a plane
+     * @returns {string} one of FlightAnimator.SUBSETS
+     * @public
+     */
+    get subset() {
+        return this._subset;
+    }
+
+    /**
+     * Listen to play/stop of the animation
+     * @param {Function} callBack function called with the playing state
+     * @returns {void}
+     * @public
+     */
+    onStateChange(callBack) {
+        this._onStateChange = callBack;
+    }
+
+    /**
+     * Add source and layer of planes, must be called again after the style of the map is changed
+     * @returns {void}
+     * @public
+     */
+    addSourceAndLayer = () => {
+        this._map.addSource(FlightAnimator.LAYER_ID, {
+            'type': 'geojson',
+            'data': this._computePlanes()
+        });
+
+        this._map.addLayer({
+            'id': FlightAnimator.LAYER_ID,
+            'source': FlightAnimator.LAYER_ID,
+            'type': 'symbol',
+            ...Stylings.PLANE_ICON_STYLES
+        });
+    }
+
+    /**
+     * Replace the animated arcs. Animation is stopped as planes of the old arcs are meaningless
+     * @param {GEOJSON.FeatureCollection<LineString>} routes arcs
+     * @returns {void}
+     * @public
+     */
+    setRoutes = routes => {
+        this.stop();
+        this._flights = routes.features.map(({ id, properties, geometry }) => ({
+            id,
+            properties,
+            coordinates: flattenLineCoordinates(geometry)
+        }));
+    }
+
+    /**
+     * Set speed multiplier
+     * @param {number} speed speed multiplier
+     * @returns {void}
+     * @public
+     */
+    setSpeed = speed => {
+        if (!(speed > 0)) {
+            return;
+        }
+        this._speed = speed;
+    }
+
+    /**
+     * Set subset of arcs with a plane
+     * @param {string} subset one of FlightAnimator.SUBSETS
+     * @returns {void}
+     * @public
+     */
+    setSubset = subset => {
+        this._subset = subset;
+        this._render();
+    }
+
+    /**
+     * Start or resume the animation
+     * @returns {void}
+     * @public
+     */
+    play = () => {
+        if (this.isPlaying || !this._flights.length) {
+            return;
+        }
+        this._lastTimestamp = null;
+        this._frameId = requestAnimationFrame(this._tick);
+        this._notifyStateChange();
+    }
+
+    /**
+     * Pause the animation, planes stay where they are
+     * @returns {void}
+     * @public
+     */
+    pause = () => {
+        if (!this.isPlaying) {
+            return;
+        }
+        cancelAnimationFrame(this._frameId);
+        this._frameId = null;
+        this._notifyStateChange();
+    }
+
+    /**
+     * Stop the animation and remove planes from the map
+     * @returns {void}
+     * @public
+     */
+    stop = () => {
+        this.pause();
+        this._progress = 0;
+        this._flights = [];
+        this._render();
+    }
+
+    /**
+     * Advance planes and request the next frame
+     * @param {number} timestamp time of the frame in ms
+     * @returns {void}
+     * @private
+     */
+    _tick = timestamp => {
+        if (this._lastTimestamp !== null) {
+            const elapsed = timestamp - this._lastTimestamp;
+            this._progress = (this._progress + elapsed * this._speed / FLIGHT_ANIMATION_DURATION) % 1;
+        }
+        this._lastTimestamp = timestamp;
+
+        this._render();
+        this._frameId = requestAnimationFrame(this._tick);
+    }
+
+    /**
+     * Update source of planes
+     * @returns {void}
+     * @private
+     */
+    _render = () => {
+        // Source is missing while the map style is being changed
+        const source = this._map && this._map.getSource && this._map.getSource(FlightAnimator.LAYER_ID);
+        if (!source) {
+            return;
+        }
+        source.setData(this._computePlanes());
+    }
+
+    /**
+     * Compute plane positions of the animated subset of arcs
+     * @returns {GEOJSON.FeatureCollection<Point>} planes
+     * @private
+     */
+    _computePlanes = () => {
+        const highlightedCategory = this._styling ? this._styling.highLightedCategory : '';
+        const onlyHighlighted = this._subset === FlightAnimator.SUBSETS.HIGHLIGHTED && highlightedCategory;
+
+        const features = [];
+        this._flights.forEach(({ id, properties, coordinates }) => {
+            if (onlyHighlighted && properties.category !== highlightedCategory) {
+                return;
+            }
+            const position = positionAlongLine(coordinates, this._progress);
+            if (!position) {
+                return;
+            }
+            features.push({
+                'type': 'Feature',
+                'id': id,
+                'properties': {
+                    origin: properties.origin,
+                    destination: properties.destination,
+                    // Planes are filtered with their routes, see RouteFilter
+                    distance: properties.distance,
+                    destinationContinent: properties.destinationContinent,
+                    destinationCountry: properties.destinationCountry,
+                    bearing: position.bearing
+                },
+                'geometry': {
+                    'type': 'Point',
+                    'coordinates': position.coordinates
+                }
+            });
+        });
+
+        return {
+            type: 'FeatureCollection',
+            features
+        };
+    }
+
+    /**
+     * Notify the playing state
+     * @returns {void}
+     * @private
+     */
+    _notifyStateChange = () => {
+        if (this._onStateChange) {
+            this._onStateChange(this.isPlaying);
+        }
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * Rough flight estimates from the great-circle distance of a route:
+ * block time = overhead(taxi, climb, descent) + distance / cruise speed,
+ * fuel = overhead fuel + distance * fuel burn per km,
+ * CO2 per passenger = fuel * CO2_PER_KG_OF_FUEL / seats
+ */
+
+/**
+ * Kg of CO2 emitted by burning 1 kg of jet fuel
+ */
+export const CO2_PER_KG_OF_FUEL = 3.16;
+
+/**
+ * Units distances can be displayed in, factor converts from km
+ */
+export const DISTANCE_UNITS = {
+    km: { label: 'km', factor: 1 },
+    mi: { label: 'mi', factor: 0.621371192 },
+    nmi: { label: 'nmi', factor: 0.539956803 }
+};
+
+/**
+ * Built in aircraft profiles, figures are typical values of each class of aircraft
+ * - cruiseSpeed: km/h
+ * - overheadMinutes: taxi, climb and descent time added to the cruise time
+ * - overheadFuel: kg of fuel burnt during taxi, climb and descent
+ * - fuelBurnPerKm: kg of fuel per km at cruise
+ * - seats: number of passengers the fuel is shared by
+ */
+export const DEFAULT_AIRCRAFT_PROFILES = [
+    {
+        id: 'narrow-body',
+        label: 'Narrow-body (A320, 737)',
+        cruiseSpeed: 830,
+        overheadMinutes: 30,
+        overheadFuel: 800,
+        fuelBurnPerKm: 3.0,
+        seats: 180
+    },
+    {
+        id: 'wide-body',
+        label: 'Wide-body (787, A350)',
+        cruiseSpeed: 900,
+        overheadMinutes: 40,
+        overheadFuel: 1800,
+        fuelBurnPerKm: 6.5,
+        seats: 300
+    },
+    {
+        id: 'regional-turboprop',
+        label: 'Regional turboprop (ATR 72)',
+        cruiseSpeed: 510,
+        overheadMinutes: 20,
+        overheadFuel: 200,
+        fuelBurnPerKm: 1.4,
+        seats: 70
+    }
+];
+
+/**
+ * Numeric fields of a profile and the smallest value they accept
+ */
+const PROFILE_FIELDS = {
+    cruiseSpeed: { min: 0, exclusive: true },
+    overheadMinutes: { min: 0, exclusive: false },
+    overheadFuel: { min: 0, exclusive: false },
+    fuelBurnPerKm: { min: 0, exclusive: true },
+    seats: { min: 0, exclusive: true }
+};
+
+/**
+ * Estimate block time, fuel and CO2 of a flight
+ * @param {number} distance great-circle distance in km
+ * @param {Object} profile aircraft profile, see DEFAULT_AIRCRAFT_PROFILES
+ * @returns {{blockTime: number, fuel: number, co2PerPassenger: number}} block time in minutes, fuel and CO2 in kg
+ */
+export function estimateFlight(distance, { cruiseSpeed, overheadMinutes, overheadFuel, fuelBurnPerKm, seats }) {
+    const blockTime = overheadMinutes + distance / cruiseSpeed * 60;
+    const fuel = overheadFuel + distance * fuelBurnPerKm;
+    return {
+        blockTime,
+        fuel,
+        co2PerPassenger: fuel * CO2_PER_KG_OF_FUEL / seats
+    };
+}
+
+/**
+ * Convert a distance from km
+ * @param {number} distance distance in km
+ * @param {string} unit key of DISTANCE_UNITS
+ * @returns {number} distance in the unit
+ */
+export function convertDistance(distance, unit) {
+    return distance * (DISTANCE_UNITS[unit] || DISTANCE_UNITS.km).factor;
+}
+
+/**
+ * Format a distance in km to be displayed in a unit
+ * @param {number} distance distance in km
+ * @param {string} unit key of DISTANCE_UNITS
+ * @returns {string} rounded distance with unit, e.g: "2,290 mi"
+ */
+export function formatDistance(distance, unit) {
+    const { label } = DISTANCE_UNITS[unit] || DISTANCE_UNITS.km;
+    return `${Math.round(convertDistance(distance, unit)).toLocaleString('en-US')} ${label}`;
+}
+
+/**
+ * Format a duration to be displayed
+ * @param {number} minutes duration in minutes
+ * @returns {string} rounded duration, e.g: "5 h 05 min"
+ */
+export function formatDuration(minutes) {
+    const rounded = Math.round(minutes);
+    const hours = Math.floor(rounded / 60);
+    const rest = rounded % 60;
+    return hours ? `${hours} h ${String(rest).padStart(2, '0')} min` : `${rest} min`;
+}
+
+/**
+ * Format a mass to be displayed
+ * @param {number} kilograms mass in kg
+ * @returns {string} rounded mass with unit, e.g: "12,300 kg"
+ */
+export function formatKilograms(kilograms) {
+    return `${Math.round(kilograms).toLocaleString('en-US')} kg`;
+}
+
+/**
+ * Validate aircraft profiles, e.g: parsed from a JSON file
+ * @param {Array<Object>|{profiles: Array<Object>}} json list of profiles or an object with the list in `profiles`
+ * @returns {Array<Object>} valid profiles, labels default to ids
+ * @throws {Error} when a profile is invalid
+ */
+export function normalizeAircraftProfiles(json) {
+    const invalid = reason => new Error(`Invalid aircraft profiles: ${reason}`);
+    const profiles = Array.isArray(json) ? json : json && json.profiles;
+    if (!Array.isArray(profiles) || !profiles.length) {
+        throw invalid('a non empty list of profiles is expected');
+    }
+
+    const ids = new Set();
+    return profiles.map((profile, index) => {
+        if (!profile || typeof profile.id !== 'string' || !profile.id.trim()) {
+            throw invalid(`profile ${index + 1} has no id`);
+        }
+        const id = profile.id.trim();
+        if (ids.has(id)) {
+            throw invalid(`id "${id}" is used more than once`);
+        }
+        ids.add(id);
+
+        const normalized = { id, label: typeof profile.label === 'string' && profile.label.trim() ? profile.label.trim() : id };
+        Object.keys(PROFILE_FIELDS).forEach(field => {
+            const { min, exclusive } = PROFILE_FIELDS[field];
+            const value = Number(profile[field]);
+            if (profile[field] === null || profile[field] === '' || !Number.isFinite(value) || value < min || (exclusive && value === min)) {
+                throw invalid(`"${field}" of "${id}" must be a ${exclusive ? 'positive' : 'non negative'} number`);
+            }
+            normalized[field] = value;
+        });
+        return normalized;
+    });
+}
+
+/**
+ * Hold the aircraft profiles, the selected profile and the distance unit of the route popups.
+ * Choices and loaded profiles are kept in localStorage
+ */
+export class FlightEstimator {
+
+    /**
+     * Key to store/retrieve loaded aircraft profiles from local storage
+     * @type {string}
+     */
+    static PROFILES_KEY = 'AIRCRAFT_PROFILES';
+
+    /**
+     * Key to store/retrieve id of the selected aircraft profile from local storage
+     * @type {string}
+     */
+    static PROFILE_KEY = 'AIRCRAFT_PROFILE';
+
+    /**
+     * Key to store/retrieve the distance unit from local storage
+     * @type {string}
+     */
+    static UNIT_KEY = 'DISTANCE_UNIT';
+
+    /**
+     * Aircraft profiles
+     * @type {Array<Object>}
+     * @private
+     */
+    _profiles = FlightEstimator.loadProfiles();
+
+    /**
+     * Id of the selected profile
+     * @type {string}
+     * @private
+     */
+    _profileId = localStorage.getItem(FlightEstimator.PROFILE_KEY) || DEFAULT_AIRCRAFT_PROFILES[0].id;
+
+    /**
+     * Selected distance unit, key of DISTANCE_UNITS
+     * @type {string}
+     * @private
+     */
+    _unit = DISTANCE_UNITS[localStorage.getItem(FlightEstimator.UNIT_KEY)] ? localStorage.getItem(FlightEstimator.UNIT_KEY) : 'km';
+
+    /**
+     * Read profiles saved in localStorage, invalid values are dropped
+     * @returns {Array<Object>} saved profiles or the default ones
+     * @public
+     */
+    static loadProfiles() {
+        const saved = localStorage.getItem(FlightEstimator.PROFILES_KEY);
+        if (!saved) {
+            return DEFAULT_AIRCRAFT_PROFILES;
+        }
+        try {
+            return normalizeAircraftProfiles(JSON.parse(saved));
+        } catch (e) {
+            localStorage.removeItem(FlightEstimator.PROFILES_KEY);
+            return DEFAULT_AIRCRAFT_PROFILES;
+        }
+    }
+
+    /**
+     * Get all aircraft profiles
+     * @returns {Array<Object>} profiles
+     * @public
+     */
+    get profiles() {
+        return this._profiles;
+    }
+
+    /**
+     * Get the selected profile, the first one when the saved id is not found
+     * @returns {Object} profile
+     * @public
+     */
+    get profile() {
+        return this._profiles.find(({ id }) => id === this._profileId) || this._profiles[0];
+    }
+
+    /**
+     * Select a profile
+     * @param {string} profileId id of the profile
+     * @returns {void}
+     * @throws {Error} when the profile is unknown
+     * @public
+     */
+    setProfile = profileId => {
+        if (!this._profiles.some(({ id }) => id === profileId)) {
+            throw new Error(`Aircraft profile "${profileId}" is not found`);
+        }
+        this._profileId = profileId;
+        localStorage.setItem(FlightEstimator.PROFILE_KEY, profileId);
+    }
+
+    /**
+     * Get the selected distance unit
+     * @returns {string} key of DISTANCE_UNITS
+     * @public
+     */
+    get unit() {
+        return this._unit;
+    }
+
+    /**
+     * Select the distance unit
+     * @param {string} unit key of DISTANCE_UNITS
+     * @returns {void}
+     * @throws {Error} when the unit is unknown
+     * @public
+     */
+    setUnit = unit => {
+        if (!DISTANCE_UNITS[unit]) {
+            throw new Error(`Distance unit "${unit}" is not supported`);
+        }
+        this._unit = unit;
+        localStorage.setItem(FlightEstimator.UNIT_KEY, unit);
+    }
+
+    /**
+     * Replace the profiles by the ones of a JSON file
+     * @param {string} json content of the file
+     * @returns {void}
+     * @throws {Error} when the content is not valid
+     * @public
+     */
+    importProfiles = json => {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`Invalid aircraft profiles: ${e.message}`);
+        }
+        this._profiles = normalizeAircraftProfiles(parsed);
+        localStorage.setItem(FlightEstimator.PROFILES_KEY, JSON.stringify(this._profiles));
+    }
+
+    /**
+     * Go back to the built in profiles
+     * @returns {void}
+     * @public
+     */
+    resetProfiles = () => {
+        this._profiles = DEFAULT_AIRCRAFT_PROFILES;
+        localStorage.removeItem(FlightEstimator.PROFILES_KEY);
+    }
+
+    /**
+     * Estimate a flight with the selected profile
+     * @param {number} distance great-circle distance in km
+     * @returns {{blockTime: number, fuel: number, co2PerPassenger: number}} see estimateFlight
+     * @public
+     */
+    estimate = distance => {
+        return estimateFlight(distance, this.profile);
+    }
+}
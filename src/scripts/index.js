@@ -4,18 +4,45 @@ import { Stylings } from './stylings.js';
 import { DataProcessor } from './data-processor.js';
 import { MapWrapper } from './map-wrapper.js';
 import { DomHandler } from './dom-handler.js';
+import { CompareMode } from './compare.js';
+import { UrlState, parseUrlState } from './url-state.js';
 import { CAPITAL_JSON_URL } from './constants.js';
 
 import '../styles/index.css';
 
+/**
+ * Create a map with its own data processor, each map can load its own dataset
+ * @param {Stylings} styling styling shared by the maps
+ * @param {Array<string>} origins names of the origins, the first one is the selected capital
+ * @param {{center: Array<number>, zoom: number, bearing: number}} camera initial camera
+ * @param {string} container id of the container of the map
+ * @returns {MapWrapper} map wrapper instance
+ */
+function createMapWrapper(styling, origins, camera, container) {
+    const dataProcessor = new DataProcessor(CAPITAL_JSON_URL, styling);
+    dataProcessor.setSelectedCapitals(origins);
+    return new MapWrapper(styling, dataProcessor, camera, container);
+}
+
 function runApp() {
-    const styling = new Stylings();
+    // Restore the view shared by url
+    const categoryNames = Stylings.loadDistanceConfig().categories.map(({ name }) => name);
+    const { capital, theme, highlight, center, zoom, bearing } = parseUrlState(window.location.hash, categoryNames);
 
-    const dataProcessor = new DataProcessor(CAPITAL_JSON_URL, styling);
+    const styling = new Stylings(theme);
+    if (highlight) {
+        styling.highLightedCategory = highlight;
+    }
+
+    const mapWrapper = createMapWrapper(styling, capital ? [capital] : [], { center, zoom, bearing });
 
-    const mapWrapper = new MapWrapper(styling, dataProcessor);
+    // The compared map is created when the compare mode is enabled, with the camera and the origins of the base map
+    const compareMode = new CompareMode(mapWrapper, () => createMapWrapper(
+        styling, mapWrapper.dataProcessor.selectedCapitals, mapWrapper.camera, CompareMode.CONTAINER_ID
+    ));
 
-    mapWrapper.addMapInitialLoadHandler(DomHandler.subscribeAndReactToStyleChanges(styling, mapWrapper));
+    mapWrapper.addMapInitialLoadHandler(DomHandler.subscribeAndReactToStyleChanges(styling, mapWrapper, compareMode));
+    mapWrapper.addMapInitialLoadHandler(UrlState.subscribe(styling, mapWrapper));
 }
 
 $(document).ready(() => {
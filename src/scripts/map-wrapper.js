@@ -2,16 +2,117 @@ import mapboxgl from 'mapbox-gl/dist/mapbox-gl.js';
 
 import { Stylings } from './stylings.js';
 import {
-    ACCESS_TOKEN, PREFIX_STYLE_URL, DEFAULT_ZOOM_LEVEL,
-    FLY_TO_ANIMATION_SPEED
+    ACCESS_TOKEN, BASEMAP, DEFAULT_ZOOM_LEVEL,
+    FLY_TO_ANIMATION_SPEED, DEFAULT_MAX_LEG_LENGTH,
+    TOUCH_HIT_TOLERANCE, TAP_MOVE_TOLERANCE, LONG_PRESS_DURATION, EMULATED_CLICK_DELAY,
+    CAPITAL_CLUSTER_MAX_ZOOM, CAPITAL_CLUSTER_RADIUS, SNAPSHOT_RENDER_TIMEOUT
 } from './constants.js';
-import { notify } from './utils.js';
+import { notify, formatKilometers, downloadFile, escapeHtml } from './utils.js';
 import { PopupWrapper } from './popup.js';
+import { FlightAnimator, flattenLineCoordinates, positionAlongLine } from './flight-animator.js';
+import { FlightEstimator } from './flight-estimates.js';
+import { RouteFilter } from './route-filter.js';
+import { RouteGraph } from './route-graph.js';
+import { splitCapitalMarkers, createSpider } from './capital-clusters.js';
+import { Timeline, isScheduledAt, computeDeparturePlanes } from './timeline.js';
+import { findExporter, selectExportData } from './exporters.js';
+import { composeSnapshot, canvasToPngBlob } from './snapshot.js';
+import { createMapStyle, requiresAccessToken, getAttribution, createFallbackIcon, createCircleIcon } from './style-providers.js';
+import { toDensityZoom } from './arc-geometry.js';
+import { normalizeCentrality } from './centrality.js';
+import { routeKey } from './compare.js';
 
 /**
  * Wrapper around map to encapsulate map manipulation api
  */
 export class MapWrapper {
+    /**
+     * Data of the itinerary source when no itinerary is displayed
+     */
+    static EMPTY_ITINERARY = {
+        'type': 'FeatureCollection',
+        'features': []
+    }
+
+    /**
+     * Data of the spider source when no cluster is spiderfied
+     */
+    static EMPTY_SPIDER = {
+        'type': 'FeatureCollection',
+        'features': []
+    }
+
+    /**
+     * Data of the reachability source when no reachability analysis is displayed
+     */
+    static EMPTY_REACHABILITY = {
+        'type': 'FeatureCollection',
+        'features': []
+    }
+
+    /**
+     * Id of the source and layer of the scheduled flights in the air at the moment of the timeline
+     */
+    static DEPARTURES_LAYER_ID = 'departures';
+
+    /**
+     * Data of the route diff source when the routes of compared datasets are not displayed
+     */
+    static EMPTY_ROUTE_DIFF = {
+        'type': 'FeatureCollection',
+        'features': []
+    }
+
+    /**
+     * Id of the container of the map when there is a single map
+     */
+    static DEFAULT_CONTAINER = 'map';
+
+    /**
+     * Layers of the routes, hidden while the tree of the reachability analysis or the route diff is displayed
+     */
+    static ROUTE_LAYER_IDS = ['route', FlightAnimator.LAYER_ID, MapWrapper.DEPARTURES_LAYER_ID];
+
+    /**
+     * Layers of capital markers, hovered and clicked the same way. Upper layers first
+     */
+    static CAPITAL_LAYER_IDS = ['origins', 'spider-capitals', 'capitals'];
+
+    /**
+     * Kinds of map features focused with the keyboard
+     */
+    static FOCUS_TYPES = {
+        CAPITAL: 'CAPITAL',
+        ROUTE: 'ROUTE'
+    }
+
+    /**
+     * Name of a downloaded file, without characters that are not allowed in file names
+     * @param {...string} parts parts of the name, joined with "-"
+     * @returns {string} file name without extension
+     * @private
+     */
+    static _toFileName(...parts) {
+        return parts.join('-').replace(/[\s/\\:*?"<>|]+/g, '_');
+    }
+
+    /**
+     * Listener of styleimagemissing that adds a fallback icon when the basemap has no sprite for an icon used by layers, e.g: airport-11,
+     * and the icon of capitals styled by centrality
+     * @param {mapboxgl.Map} map map instance
+     * @returns {Function} listener of styleimagemissing events
+     * @private
+     */
+    static _addMissingImage = map => ({ id }) => {
+        if (id === Stylings.HUB_ICON_ID) {
+            map.addImage(id, createCircleIcon(32), { sdf: true });
+            return;
+        }
+        // Sizes are the suffixes of Maki icon names
+        const [, size = '15'] = id.match(/-(\d+)$/) || [];
+        map.addImage(id, createFallbackIcon(Number(size)));
+    }
+
     /**
      * Stylings instance that contains style information of the selected theme
      * @type {Stylings}
@@ -26,6 +127,34 @@ export class MapWrapper {
      */
     dataProcessor = null;
 
+    /**
+     * Animation of planes along the displayed arcs
+     * @type {FlightAnimator}
+     * @public
+     */
+    flightAnimator = null;
+
+    /**
+     * Aircraft profile and distance unit of the flight estimates shown on route popups
+     * @type {FlightEstimator}
+     * @public
+     */
+    flightEstimator = null;
+
+    /**
+     * Distance, continent and country criteria of the displayed routes and capitals
+     * @type {RouteFilter}
+     * @public
+     */
+    routeFilter = null;
+
+    /**
+     * Moment of the schedules of the loaded routes, only routes operating at that moment are displayed
+     * @type {Timeline}
+     * @public
+     */
+    timeline = null;
+
     /**
      * List of callbacks fired on initial map load
      * @type {array<Function>}
@@ -54,23 +183,222 @@ export class MapWrapper {
      */
     _popupWrapper = null;
 
+    /**
+     * Last itinerary found by the route finder
+     * @type {{path: Array<string>, legs: Array<Object>, distance: number, itinerary: GEOJSON.FeatureCollection<LineString>}}
+     * @private
+     */
+    _itineraryResult = null;
+
+    /**
+     * State of the "from / to" mode. When enabled, clicked capitals are picked as origin then destination of an itinerary
+     * @type {{enabled: boolean, origin: string, destination: string, maxLegLength: number, onChange: Function}}
+     * @private
+     */
+    _routeFinder = {
+        enabled: false,
+        origin: '',
+        destination: '',
+        maxLegLength: DEFAULT_MAX_LEG_LENGTH,
+        onChange: null
+    };
+
+    /**
+     * Camera restored on load, e.g: from url. When it has a center, the map doesn't fly to the selected capital initially
+     * @type {{center: Array<number>, zoom: number, bearing: number}}
+     * @private
+     */
+    _initialCamera = {};
+
+    /**
+     * List of callbacks fired when selected capital, theme, highlighted category or camera is changed
+     * @type {array<Function>}
+     * @private
+     */
+    _stateChangeHandlers = [];
+
+    /**
+     * Density zoom of the displayed arcs, see toDensityZoom
+     * @type {number}
+     * @private
+     */
+    _arcDensityZoom = null;
+
+    /**
+     * Callbacks fired with the number of visible routes after the route filter or the routes are changed
+     * @type {Array<Function>}
+     * @private
+     */
+    _routeFilterChangeHandlers = [];
+
+    /**
+     * Callbacks fired with the data processor after the initial dataset is loaded or the dataset is replaced
+     * @type {Array<Function>}
+     * @private
+     */
+    _dataChangeHandlers = [];
+
+    /**
+     * Whether the initial dataset is loaded and rendered
+     * @type {boolean}
+     * @private
+     */
+    _isDataLoaded = false;
+
+    /**
+     * Callbacks fired once with the data processor after the initial dataset is loaded
+     * @type {Array<Function>}
+     * @private
+     */
+    _dataLoadHandlers = [];
+
+    /**
+     * Callbacks fired with the displayed routes after they are computed or restyled
+     * @type {Array<Function>}
+     * @private
+     */
+    _routesChangeHandlers = [];
+
+    /**
+     * Distance range highlighted instead of a category, e.g: by a bar of the distance histogram
+     * @type {{from: number, to: number}}
+     * @private
+     */
+    _highlightedDistanceRange = null;
+
+    /**
+     * Origin-destination keys of the scheduled routes, joined, the highlighted distance range is reset when they change
+     * @type {string}
+     * @private
+     */
+    _scheduledRouteKeys = null;
+
+    /**
+     * Every computed arc of the selected origins, the route source only contains those operating at the moment of the timeline
+     * @type {GEOJSON.FeatureCollection<LineString>}
+     * @private
+     */
+    _scheduledRoutes = null;
+
+    /**
+     * Ids of the routes in the route source, joined, so that the source is only updated when they change
+     * @type {string}
+     * @private
+     */
+    _activeRouteIds = null;
+
+    /**
+     * Callbacks fired with the timeline after its range, time or playing state are changed
+     * @type {Array<Function>}
+     * @private
+     */
+    _timelineChangeHandlers = [];
+
+    /**
+     * Options of the displayed reachability analysis, null when it is not displayed
+     * @type {{metric: string, limit: number}}
+     * @private
+     */
+    _reachabilityOptions = null;
+
+    /**
+     * Last reachability computed by data processor, see DataProcessor.computeReachability
+     * @type {Object}
+     * @private
+     */
+    _reachability = null;
+
+    /**
+     * Callbacks fired with the reachability after it is computed or cleared
+     * @type {Array<Function>}
+     * @private
+     */
+    _reachabilityChangeHandlers = [];
+
+    /**
+     * Options of the displayed hub centrality analysis, null when it is not displayed
+     * @type {{metric: string, styleMarkers: boolean}}
+     * @private
+     */
+    _centralityOptions = null;
+
+    /**
+     * Last centrality metrics computed by data processor, see DataProcessor.computeCentrality
+     * @type {Array<Object>}
+     * @private
+     */
+    _centrality = null;
+
+    /**
+     * Callbacks fired with the hub centrality analysis after it is computed or cleared
+     * @type {Array<Function>}
+     * @private
+     */
+    _centralityChangeHandlers = [];
+
+    /**
+     * Routes of compared datasets with their diff status, null when they are not displayed
+     * @type {GEOJSON.FeatureCollection<LineString>}
+     * @private
+     */
+    _routeDiff = null;
+
+    /**
+     * Biggest volume of the scheduled routes in the flow mode, 0 when the flow mode is off
+     * @type {number}
+     * @private
+     */
+    _maxFlowVolume = 0;
+
+    /**
+     * Callbacks fired with the camera while the map moves
+     * @type {Array<Function>}
+     * @private
+     */
+    _cameraMoveHandlers = [];
+
+    /**
+     * Capital or route focused with the keyboard, index in the list of focusable features of its type
+     * @type {{type: string, index: number, feature: GeoJSON.Feature}}
+     * @private
+     */
+    _keyboardFocus = { type: null, index: -1, feature: null };
+
+    /**
+     * Ongoing touch: where it started, whether it became a long press, and when the last one ended
+     * @type {{start: mapboxgl.Point, longPressed: boolean, longPressTimer: number, endTime: number}}
+     * @private
+     */
+    _touch = { start: null, longPressed: false, longPressTimer: null, endTime: 0 };
+
     /**
      * Init map instance, load data and render data
      * @param {Stylings} styling styling obj instance
      * @param {DataProcessor} dataProcessor data processor obj instance
+     * @param {{center: Array<number>, zoom: number, bearing: number}} initialCamera optional initial camera
+     * @param {string} container id of the container of the map, e.g: of the compared map
      */
-    constructor(styling, dataProcessor) {
+    constructor(styling, dataProcessor, initialCamera = {}, container = MapWrapper.DEFAULT_CONTAINER) {
         this.styling = styling;
         this.dataProcessor = dataProcessor;
+        this._initialCamera = initialCamera;
 
-        mapboxgl.accessToken = ACCESS_TOKEN;
         this._map = new mapboxgl.Map({
-            container: 'map',
-            style: `${PREFIX_STYLE_URL}${styling.theme}`,
-            zoom: DEFAULT_ZOOM_LEVEL
+            container,
+            style: this._createStyle(styling.theme),
+            zoom: initialCamera.zoom === undefined ? DEFAULT_ZOOM_LEVEL : initialCamera.zoom,
+            // Keep the drawn frame readable for snapshots
+            preserveDrawingBuffer: true,
+            ...(initialCamera.center && { center: initialCamera.center }),
+            ...(initialCamera.bearing !== undefined && { bearing: initialCamera.bearing })
         });
 
-        this._popupWrapper = new PopupWrapper(this._map);
+        this.flightEstimator = new FlightEstimator();
+        this.routeFilter = new RouteFilter();
+        this.timeline = new Timeline();
+        this.timeline.onChange(this._handleTimelineChange);
+        this._popupWrapper = new PopupWrapper(this._map, this.flightEstimator);
+        this.flightAnimator = new FlightAnimator(this._map, styling);
 
         this.loadDataAndRender();
     }
@@ -103,105 +431,1218 @@ export class MapWrapper {
         this._initialLoadHandlers.push(callBack);
     }
 
-    _loadMapInitially() {
-        if (this._isLoaded) {
-            console.warn("Map is already loaded once");
-            return;
+    /**
+     * Create the map style of a theme with the basemap of the build.
+     * The Mapbox access token is only set for basemaps loaded from Mapbox servers
+     * @param {string} theme theme key
+     * @returns {string|Object} style url or style JSON
+     * @private
+     */
+    _createStyle(theme) {
+        const basemapConfig = Stylings.getBasemapConfig(theme, BASEMAP);
+        if (requiresAccessToken(basemapConfig)) {
+            mapboxgl.accessToken = ACCESS_TOKEN;
         }
+        return createMapStyle(basemapConfig);
+    }
 
-        if (!this._map) {
-            notify("Map not found");
-            return;
-        }
+    /**
+     * Listen to changes of selected capital, theme, highlighted category and camera
+     * @param {Function} callBack function called with the current state, see `state`
+     * @returns {void}
+     * @public
+     */
+    addStateChangeHandler = callBack => {
+        this._stateChangeHandlers.push(callBack);
+    }
 
-        this._map.once('load', () => {
-            this._isLoaded = true;
-            this._initialLoadHandlers.forEach(f => f());
-        });
+    /**
+     * Listen to changes of the route filter and of the filtered routes
+     * @param {Function} callBack function called with {visibleRouteCount, routeCount}
+     * @returns {void}
+     * @public
+     */
+    addRouteFilterChangeHandler = callBack => {
+        this._routeFilterChangeHandlers.push(callBack);
     }
 
     /**
-     * Function decorator that wrap callBack function and check if map is null before calling callBack function  
-     * @param {Function} callBack call back function
-     * @returns {Function} wrapper function to swallow nullable map
-     * @private
+     * Listen to changes of the dataset, e.g: the initial dataset is loaded after the map
+     * @param {Function} callBack function called with the data processor
+     * @returns {void}
+     * @public
      */
-    _swallowNullMap = callBack => (...args) => {
-        if (!this._map) {
-            notify("Map not found");
-            return;
-        }
-        callBack(...args);
+    addDataChangeHandler = callBack => {
+        this._dataChangeHandlers.push(callBack);
     }
 
     /**
-     * Function decorator that wrap callBack function and check if pop up is null before calling callBack function  
-     * @param {Function} callBack call back function
-     * @returns {Function} wrapper function to swallow nullable popup
-     * @private
+     * Whether the initial dataset is loaded, datasets uploaded before would be replaced by it
+     * @returns {boolean} true once the initial dataset is rendered
+     * @public
      */
-    _swallowNullPopup = callBack => (...args) => {
-        if (!this._popupWrapper) {
-            notify("Popup not found");
+    get isDataLoaded() {
+        return this._isDataLoaded;
+    }
+
+    /**
+     * Run a callback once the initial dataset is loaded, e.g: to keep an uploaded dataset from being replaced by it
+     * @param {Function} callBack function called with the data processor, right away if the dataset is already loaded
+     * @returns {void}
+     * @public
+     */
+    whenDataLoaded = callBack => {
+        if (this._isDataLoaded) {
+            callBack(this.dataProcessor);
             return;
         }
-        callBack(...args);
+        this._dataLoadHandlers.push(callBack);
     }
 
     /**
-     * Function decorator that wrap callBack function and check if pop up is null or map is null before calling callBack function  
-     * @param {Function} callBack call back function
-     * @returns {Function} wrapper function to swallow nullable popup, nullable map
+     * Listen to changes of the displayed routes, e.g: another origin is selected
+     * @param {Function} callBack function called with the FeatureCollection of the displayed routes
+     * @returns {void}
+     * @public
+     */
+    addRoutesChangeHandler = callBack => {
+        this._routesChangeHandlers.push(callBack);
+    }
+
+    /**
+     * Listen to changes of the range, the time and the playing state of the timeline
+     * @param {Function} callBack function called with the timeline
+     * @returns {void}
+     * @public
+     */
+    addTimelineChangeHandler = callBack => {
+        this._timelineChangeHandlers.push(callBack);
+    }
+
+    /**
+     * Listen to changes of the reachability analysis, e.g: another origin is selected
+     * @param {Function} callBack function called with the reachability, null when it is cleared
+     * @returns {void}
+     * @public
+     */
+    addReachabilityChangeHandler = callBack => {
+        this._reachabilityChangeHandlers.push(callBack);
+    }
+
+    /**
+     * Listen to changes of the hub centrality analysis, e.g: another routes dataset is loaded
+     * @param {Function} callBack function called with the centrality analysis, null when it is cleared
+     * @returns {void}
+     * @public
+     */
+    addCentralityChangeHandler = callBack => {
+        this._centralityChangeHandlers.push(callBack);
+    }
+
+    /**
+     * Get the biggest volume of the routes in the flow mode, widths of routes are relative to it
+     * @returns {number} volume, 0 when the flow mode is off or the routes have no volume
+     * @public
+     */
+    get maxFlowVolume() {
+        return this._maxFlowVolume;
+    }
+
+    /**
+     * Get the displayed hub centrality analysis
+     * @returns {{metric: string, styleMarkers: boolean, capitals: Array<Object>}} options and centrality metrics of the capitals,
+     * see DataProcessor.computeCentrality. Capitals are null when no route network is displayed, the analysis is null when it is not displayed
+     * @public
+     */
+    get centrality() {
+        return this._centralityOptions && { ...this._centralityOptions, capitals: this._centrality };
+    }
+
+    /**
+     * Get the displayed reachability analysis
+     * @returns {Object} see DataProcessor.computeReachability, null when it is not displayed
+     * @public
+     */
+    get reachability() {
+        return this._reachability;
+    }
+
+    /**
+     * Listen to moves of the camera, e.g: to move another map the same way
+     * @param {Function} callBack function called with the camera, see `camera`
+     * @returns {void}
+     * @public
+     */
+    addCameraMoveHandler = callBack => {
+        this._cameraMoveHandlers.push(callBack);
+    }
+
+    /**
+     * Get the current camera
+     * @returns {{center: Array<number>, zoom: number, bearing: number, pitch: number}} current camera
+     * @public
+     */
+    get camera() {
+        const { lng, lat } = this._map.getCenter();
+        return {
+            center: [lng, lat],
+            zoom: this._map.getZoom(),
+            bearing: this._map.getBearing(),
+            pitch: this._map.getPitch()
+        };
+    }
+
+    /**
+     * Get the current view state
+     * @returns {{capital: string, theme: string, highlight: string, center: Array<number>, zoom: number, bearing: number}} current state
+     * @public
+     */
+    get state() {
+        const { lng, lat } = this._map.getCenter();
+        return {
+            capital: this.dataProcessor.selectedCapital,
+            theme: this.styling.theme,
+            highlight: this.styling.highLightedCategory,
+            center: [lng, lat],
+            zoom: this._map.getZoom(),
+            bearing: this._map.getBearing()
+        };
+    }
+
+    /**
+     * Select a capital as origin, fly to it and recompute arcs. Same as clicking its marker
+     * @param {string} capitalName name of the capital
+     * @param {boolean} moveCenter whether map flies to the capital
+     * @returns {void}
+     * @public
+     */
+    selectCapital = (capitalName, moveCenter = true) => {
+        if (!this.dataProcessor.hasCapital(capitalName)) {
+            notify(`Capital "${capitalName}" is not found`);
+            return;
+        }
+        if (moveCenter) {
+            this._moveCenterTo(this.dataProcessor.getCapitalCoordinates(capitalName));
+        }
+        this._replaceSelectedCapital(capitalName);
+    }
+
+    /**
+     * Add a capital to the origins, its arcs are displayed with the arcs of the other origins
+     * @param {string} capitalName name of the capital
+     * @returns {void}
+     * @public
+     */
+    addOrigin = capitalName => {
+        if (!this.dataProcessor.hasCapital(capitalName)) {
+            notify(`Capital "${capitalName}" is not found`);
+            return;
+        }
+        if (this.dataProcessor.addOrigin(capitalName)) {
+            this._renderSelectedRoutes();
+        }
+    }
+
+    /**
+     * Remove a capital from the origins, the last origin can't be removed
+     * @param {string} capitalName name of the capital
+     * @returns {void}
+     * @public
+     */
+    removeOrigin = capitalName => {
+        if (this.dataProcessor.removeOrigin(capitalName)) {
+            this._renderSelectedRoutes();
+        }
+    }
+
+    /**
+     * Replace all origins and recompute arcs, e.g: to display the same origins as another map.
+     * Capitals missing from the dataset are ignored
+     * @param {Array<string>} capitalNames names of the origins, the first one becomes the selected capital
+     * @returns {void}
+     * @public
+     */
+    setOrigins = capitalNames => {
+        const origins = capitalNames.filter(capitalName => this.dataProcessor.hasCapital(capitalName));
+        if (this.dataProcessor.setSelectedCapitals(origins)) {
+            this._renderSelectedRoutes();
+        }
+    }
+
+    /**
+     * Focus the next visible capital in alphabetical order, its popup is displayed and the map flies to it
+     * @param {number} step 1 for the next capital, -1 for the previous one
+     * @returns {string} description of the focused capital to be announced, empty if there is no capital
+     * @public
+     */
+    focusNextCapital = (step = 1) => {
+        const origins = this.dataProcessor.selectedCapitals;
+        const capitals = (this.dataProcessor.capitalMarkers.features || [])
+            .filter(({ properties }) => this.routeFilter.matchesCapital(properties, origins))
+            .sort((a, b) => a.properties.capitalName.localeCompare(b.properties.capitalName));
+        const feature = this._moveKeyboardFocus(MapWrapper.FOCUS_TYPES.CAPITAL, capitals, step);
+        if (!feature) {
+            return '';
+        }
+
+        this._displayCapitalInfoPopup({ features: [feature] });
+        this._moveCenterTo(feature.geometry.coordinates);
+        const { capitalName, capitalDescription } = feature.properties;
+        const originText = origins.includes(capitalName) ? ', origin' : '';
+        return `${capitalName}, ${capitalDescription}${originText}, ${this._keyboardFocus.index + 1} of ${capitals.length} capitals`;
+    }
+
+    /**
+     * Focus the next visible route in ascending order of distance, the route is highlighted with its popup
+     * @param {number} step 1 for the next route, -1 for the previous one
+     * @returns {string} description of the focused route to be announced, empty if there is no route
+     * @public
+     */
+    focusNextRoute = (step = 1) => {
+        const routeSource = this._map && this._map.getSource('route');
+        const routes = ((routeSource && routeSource._data && routeSource._data.features) || [])
+            .filter(({ properties }) => this.routeFilter.matchesRoute(properties))
+            .sort((a, b) => a.properties.distance - b.properties.distance);
+        const feature = this._moveKeyboardFocus(MapWrapper.FOCUS_TYPES.ROUTE, routes, step);
+        if (!feature || !this._popupWrapper) {
+            return '';
+        }
+
+        const middle = positionAlongLine(flattenLineCoordinates(feature.geometry), 0.5);
+        if (middle) {
+            this._popupWrapper.highLightRoute(feature, middle.coordinates);
+        }
+        const { origin, destination, distance } = feature.properties;
+        return `${origin} - ${destination}, ${formatKilometers(distance)}, ${this._keyboardFocus.index + 1} of ${routes.length} routes`;
+    }
+
+    /**
+     * Select the capital focused with the keyboard as origin, or the destination of the focused route.
+     * Same as clicking it, with shift the capital is added to or removed from the origins
+     * @param {boolean} toggleOrigin whether the capital is added to or removed from the origins
+     * @returns {string} name of the selected capital, empty if nothing is focused
+     * @public
+     */
+    selectFocusedCapital = (toggleOrigin = false) => {
+        const { type, feature } = this._keyboardFocus;
+        if (!feature) {
+            return '';
+        }
+        const capitalName = type === MapWrapper.FOCUS_TYPES.CAPITAL ? feature.properties.capitalName : feature.properties.destination;
+        const capital = (this.dataProcessor.capitalMarkers.features || []).find(({ properties }) => properties.capitalName === capitalName);
+        if (!capital) {
+            return '';
+        }
+
+        this.clearKeyboardFocus();
+        this._displayAllFlightsFromChosenCapital({ features: [capital], originalEvent: { shiftKey: toggleOrigin } });
+        return capitalName;
+    }
+
+    /**
+     * Remove the keyboard focus with its popup and route highlight
+     * @returns {void}
+     * @public
+     */
+    clearKeyboardFocus = () => {
+        if (this._keyboardFocus.type === MapWrapper.FOCUS_TYPES.ROUTE && this._popupWrapper) {
+            this._popupWrapper.unHighLightSpecificRoute();
+        } else if (this._keyboardFocus.type === MapWrapper.FOCUS_TYPES.CAPITAL) {
+            this._hideCapitalInfoPopup();
+        }
+        this._keyboardFocus = { type: null, index: -1, feature: null };
+    }
+
+    /**
+     * Move the keyboard focus in a list of features, the focus cycles at both ends of the list
+     * @param {string} type one of MapWrapper.FOCUS_TYPES
+     * @param {Array<GeoJSON.Feature>} features focusable features
+     * @param {number} step 1 for the next feature, -1 for the previous one
+     * @returns {GeoJSON.Feature} focused feature, null if the list is empty
+     * @private
+     */
+    _moveKeyboardFocus = (type, features, step) => {
+        if (!features.length) {
+            return null;
+        }
+        if (this._keyboardFocus.type !== type) {
+            this.clearKeyboardFocus();
+        }
+        // The first step from no focus lands on the first or the last feature
+        const start = this._keyboardFocus.type === type ? this._keyboardFocus.index : (step > 0 ? -1 : 0);
+        const index = ((start + step) % features.length + features.length) % features.length;
+        this._keyboardFocus = { type, index, feature: features[index] };
+        return features[index];
+    }
+
+    /**
+     * Notify routes change handlers
+     * @param {GEOJSON.FeatureCollection<LineString>} routes displayed routes
+     * @returns {void}
+     * @private
+     */
+    _notifyRoutesChange = routes => {
+        this._routesChangeHandlers.forEach(f => f(routes));
+    }
+
+    /**
+     * Display the routes operating at the new moment of the timeline, then notify timeline change handlers
+     * @returns {void}
+     * @private
+     */
+    _handleTimelineChange = () => {
+        this._displayScheduledRoutes(true);
+        this._timelineChangeHandlers.forEach(f => f(this.timeline));
+    }
+
+    /**
+     * Notify camera move handlers
+     * @returns {void}
+     * @private
+     */
+    _notifyCameraMove = () => {
+        if (!this._cameraMoveHandlers.length) {
+            return;
+        }
+        const { camera } = this;
+        this._cameraMoveHandlers.forEach(f => f(camera));
+    }
+
+    /**
+     * Notify state change handlers
+     * @returns {void}
+     * @private
+     */
+    _notifyStateChange = () => {
+        if (!this._stateChangeHandlers.length) {
+            return;
+        }
+        const state = this.state;
+        this._stateChangeHandlers.forEach(f => f(state));
+    }
+
+    _loadMapInitially() {
+        if (this._isLoaded) {
+            console.warn("Map is already loaded once");
+            return;
+        }
+
+        if (!this._map) {
+            notify("Map not found");
+            return;
+        }
+
+        this._map.on('styleimagemissing', MapWrapper._addMissingImage(this._map));
+        // Other maps follow the camera while it moves, before the map is loaded too
+        this._map.on('move', this._notifyCameraMove);
+
+        this._map.once('load', () => {
+            this._isLoaded = true;
+            this._initialLoadHandlers.forEach(f => f());
+        });
+    }
+
+    /**
+     * Function decorator that wrap callBack function and check if map is null before calling callBack function  
+     * @param {Function} callBack call back function
+     * @returns {Function} wrapper function to swallow nullable map
+     * @private
+     */
+    _swallowNullMap = callBack => (...args) => {
+        if (!this._map) {
+            notify("Map not found");
+            return;
+        }
+        return callBack(...args);
+    }
+
+    /**
+     * Function decorator that wrap callBack function and check if pop up is null before calling callBack function  
+     * @param {Function} callBack call back function
+     * @returns {Function} wrapper function to swallow nullable popup
+     * @private
+     */
+    _swallowNullPopup = callBack => (...args) => {
+        if (!this._popupWrapper) {
+            notify("Popup not found");
+            return;
+        }
+        return callBack(...args);
+    }
+
+    /**
+     * Function decorator that wrap callBack function and check if pop up is null or map is null before calling callBack function  
+     * @param {Function} callBack call back function
+     * @returns {Function} wrapper function to swallow nullable popup, nullable map
+     * @private
+     */
+    _swallowNullMapAndPopup = callBack => this._swallowNullMap(this._swallowNullPopup(callBack))
+
+    /**
+     * Move camera without animation
+     * @param {{center: Array<number>, zoom: number, bearing: number}} camera camera options, missing values are unchanged
+     * @returns {void}
+     * @public
+     */
+    setCamera = this._swallowNullMap(camera => {
+        this._map.jumpTo(camera);
+    })
+
+    /**
+     * Change theme style and add sources and layers again
+     * @param {string} theme Id of the selected theme
+     * @returns {void}
+     * @public
+     */
+    changeTheme = this._swallowNullMap(theme => {
+        // Preserve the state of the source before setting style as the state is lost after the setStyle() is called
+        const prevRouteSource = this._map.getSource('route');
+        if (!prevRouteSource || !prevRouteSource._data || !prevRouteSource._data.features) {
+            notify("Layer not found");
+            return;
+        }
+
+        // automatic style diff failed => force diff to false to rerender the entire map
+        this._map.setStyle(this._createStyle(theme), { diff: false });
+
+        this._map.once('styledata', () => {
+            const routesInfo = prevRouteSource._data;
+            // Recompute styles for lines based on theme state in this.styling
+            this._restyleRoutes(routesInfo);
+            this._addSourceAndLayers(routesInfo);
+
+            // Preserve the highlighted route category and the route filter after changing theme
+            this.highLightLines();
+            this._applyRouteFilter();
+            // Layers are added visible, routes stay hidden under the reachability or the route diff
+            if (this._reachabilityOptions || this._routeDiff) {
+                this._applyRouteVisibility();
+            }
+        });
+
+        this._notifyStateChange();
+    })
+
+    /**
+     * Move the camera without animation
+     * @param {{center: Array<number>, zoom: number, bearing: number, pitch: number}} camera new camera
+     * @returns {void}
+     * @public
+     */
+    jumpTo = this._swallowNullMap(camera => {
+        this._map.jumpTo(camera);
+    })
+
+    /**
+     * Fit the map to its container after the container is resized or displayed
+     * @returns {void}
+     * @public
+     */
+    resize = this._swallowNullMap(() => {
+        this._map.resize();
+    })
+
+    /**
+     * Highlight the selected routes in a specific distance category(short, ..., long)
+     * @returns {void}
+     * @public
+     */
+    highLightLines = this._swallowNullMap(() => {
+        const highlightedCategory = this.styling.highLightedCategory;
+        this._highlightedDistanceRange = null;
+
+        // Reset line opacity of route when there is no highlighted category
+        if (!highlightedCategory) {
+            this._map.setPaintProperty(...Stylings.DEFAULT_LINES_OPACITY_STYLE);
+        } else {
+            this._map.setPaintProperty(...Stylings.getLineOpacityWithHighLightedCategory(highlightedCategory));
+        }
+
+        this._notifyStateChange();
+    })
+
+    /**
+     * Highlight the routes in a distance range instead of the highlighted category
+     * @param {{from: number, to: number}} range distances in km, from is included and to is excluded.
+     * The highlighted category is shown again when it is null
+     * @returns {void}
+     * @public
+     */
+    highLightDistanceRange = this._swallowNullMap(range => {
+        if (!range) {
+            this.highLightLines();
+            return;
+        }
+        this._map.setPaintProperty(...Stylings.getLineOpacityWithHighLightedRange(range));
+        this._highlightedDistanceRange = range;
+        this._notifyStateChange();
+    })
+
+    /**
+     * Get the distance range highlighted by highLightDistanceRange
+     * @returns {{from: number, to: number}} range, null when the routes are highlighted by category
+     * @public
+     */
+    get highlightedDistanceRange() {
+        return this._highlightedDistanceRange;
+    }
+
+    /**
+     * Restyle arcs after the distance styling configuration of this.styling is changed
+     * @returns {void}
+     * @public
+     */
+    refreshStyles = this._swallowNullMap(() => {
+        const routeSource = this._map.getSource('route');
+        if (!routeSource || !routeSource._data || !routeSource._data.features) {
+            notify("Route source is not found");
+            return;
+        }
+
+        const routesInfo = routeSource._data;
+        // Displayed routes are a subset of the scheduled ones, routes that operate later are restyled too
+        this._restyleRoutes(this._scheduledRoutes || routesInfo);
+        routeSource.setData(routesInfo);
+        this._notifyRoutesChange(routesInfo);
+
+        const paintProperties = this.styling.getRoutePaintProperties();
+        Object.keys(paintProperties).forEach(property => {
+            this._map.setPaintProperty('route', property, paintProperties[property]);
+        });
+
+        // Highlighted category is reset by styling if it doesn't exist anymore
+        this.highLightLines();
+        // Cumulative distances are colored like routes
+        if (this._reachabilityOptions) {
+            this._setReachabilityData(this._reachabilityFeatures());
+        }
+    })
+
+    /**
+     * Change some criteria of the route filter, missing ones are unchanged
+     * @param {Object} criteria see RouteFilter.update
+     * @returns {void}
+     * @public
+     */
+    setRouteFilter = criteria => {
+        this.routeFilter.update(criteria);
+        this._refreshCapitals();
+        this._applyRouteFilter();
+    }
+
+    /**
+     * Show every route and capital again
+     * @returns {void}
+     * @public
+     */
+    resetRouteFilter = () => {
+        this.routeFilter.reset();
+        this._refreshCapitals();
+        this._applyRouteFilter();
+    }
+
+    /**
+     * Set the filter expressions of the route and plane layers, then notify the number of visible routes.
+     * Layers are filtered by mapbox so that arcs are not computed again.
+     * Capitals are filtered by _refreshCapitals instead so that clusters only count the shown capitals
+     * @returns {void}
+     * @private
+     */
+    _applyRouteFilter = this._swallowNullMap(() => {
+        const routeSource = this._map.getSource('route');
+        if (!routeSource) {
+            return;
+        }
+
+        const routeExpression = this.routeFilter.routeExpression();
+        this._map.setFilter('route', routeExpression);
+        this._map.setFilter(FlightAnimator.LAYER_ID, routeExpression);
+        this._map.setFilter(MapWrapper.DEPARTURES_LAYER_ID, routeExpression);
+
+        const { features = [] } = routeSource._data || {};
+        const counts = {
+            visibleRouteCount: features.filter(({ properties }) => this.routeFilter.matchesRoute(properties)).length,
+            routeCount: features.length
+        };
+        this._routeFilterChangeHandlers.forEach(f => f(counts));
+    })
+
+    /**
+     * Recompute color, width and category of arcs from their distance.
+     * In the flow mode, width and opacity follow the volume of arcs relative to the biggest one,
+     * arcs whose reverse route is among the arcs are marked as bidirectional so that both are offset
+     * @param {GeoJSON.FeatureCollection<LineString>} routes arcs, updated in place
+     * @returns {void}
+     * @private
+     */
+    _restyleRoutes = routes => {
+        const { flowConfig } = this.styling;
+        this._maxFlowVolume = flowConfig
+            ? routes.features.reduce((max, { properties }) => Math.max(max, properties[flowConfig.volume] || 0), 0)
+            : 0;
+
+        const keys = new Set(flowConfig ? routes.features.map(({ properties }) => routeKey(properties)) : []);
+
+        routes.features.forEach(feature => {
+            const { distance, origin, destination } = feature.properties;
+            const properties = { ...feature.properties, ...this.styling.getLineProperties(distance) };
+            if (flowConfig) {
+                Object.assign(properties, this.styling.getFlowProperties(properties[flowConfig.volume] || 0, this._maxFlowVolume));
+                properties.bidirectional = keys.has(routeKey({ origin: destination, destination: origin }));
+            } else {
+                delete properties.lineOpacity;
+                delete properties.bidirectional;
+            }
+            feature.properties = properties;
+        });
+    }
+
+    /**
+     * Render capitals and arcs again after the dataset of data processor is replaced
+     * @returns {void}
+     * @public
+     */
+    refreshData = this._swallowNullMap(() => {
+        const capitalSource = this._map.getSource('capitals');
+        if (!capitalSource) {
+            notify("Capital source is not found");
+            return;
+        }
+
+        this._refreshCapitals();
+        this.refreshRoutes();
+        this._moveCenterTo(this.dataProcessor.selectedCapitalCoordinates);
+        this._notifyDataChange();
+    })
+
+    /**
+     * Notify data change handlers
+     * @returns {void}
+     * @private
+     */
+    _notifyDataChange = () => {
+        this._dataChangeHandlers.forEach(f => f(this.dataProcessor));
+    }
+
+    /**
+     * Render arcs again after the routes or the route mode of data processor are changed
+     * @returns {Promise<void>} resolved when the arcs are displayed
+     * @public
+     */
+    refreshRoutes = this._swallowNullMapAndPopup(() => {
+        const routeSource = this._map.getSource('route');
+        if (!routeSource) {
+            notify("Route source is not found");
+            return Promise.resolve();
+        }
+
+        this._popupWrapper.remove();
+        return this._renderRoutes();
+    })
+
+    /**
+     * Download the displayed arcs and capitals. Only the highlighted category is exported when there is one
+     * @param {string} format name of the exporter, e.g: geojson, kml, csv
+     * @returns {void}
+     * @public
+     */
+    exportNetwork = this._swallowNullMap(format => {
+        const exporter = findExporter(format);
+        if (!exporter) {
+            notify(`Unknown export format "${format}"`);
+            return;
+        }
+
+        const routeSource = this._map.getSource('route');
+        if (!routeSource || !routeSource._data) {
+            notify("Route source is not found");
+            return;
+        }
+
+        const highlightedCategory = this.styling.highLightedCategory;
+        const data = selectExportData(routeSource._data, this.dataProcessor.capitalMarkers, highlightedCategory);
+        const fileName = MapWrapper._toFileName('routes', this.dataProcessor.selectedCapitals.join('+'), highlightedCategory || 'all');
+
+        downloadFile(exporter.serialize(data), `${fileName}.${exporter.extension}`, exporter.mimeType);
+    })
+
+    /**
+     * Download a PNG snapshot of the map with the title, the distance legend and the attribution burned in
+     * @param {number} scale resolution multiplier of the image, 2 gives an image twice as wide as the map
+     * @returns {Promise<void>} resolved once the image is downloaded
+     * @public
+     */
+    saveImage = (scale = 1) => {
+        if (!this._map) {
+            notify("Map not found");
+            return Promise.resolve();
+        }
+
+        const container = this._map.getContainer();
+        const highlightedCategory = this.styling.highLightedCategory;
+        const highlightedItem = this.styling.getLegendItems().find(({ category }) => category === highlightedCategory);
+        const options = {
+            width: container.clientWidth,
+            height: container.clientHeight,
+            scale,
+            title: `Flights from ${this.dataProcessor.selectedCapitals.join(', ')}${highlightedItem ? ` (${highlightedItem.label})` : ''}`,
+            legendItems: this.styling.getLegendItems(),
+            dark: this.styling.theme === Stylings.DARK_THEME,
+            attribution: getAttribution(Stylings.getBasemapConfig(this.styling.theme, BASEMAP))
+        };
+        const draw = mapCanvas => canvasToPngBlob(composeSnapshot(mapCanvas, options));
+        const fileName = MapWrapper._toFileName('map', this.dataProcessor.selectedCapitals.join('+'));
+
+        // The map is drawn again at the requested resolution, except when its canvas already has it
+        const image = scale === (window.devicePixelRatio || 1)
+            ? draw(this._map.getCanvas())
+            : this._renderMapAtScale(scale, draw);
+
+        return image
+            .then(blob => downloadFile(blob, `${fileName}.png`, 'image/png'))
+            .catch(e => notify(e.message));
+    }
+
+    /**
+     * Draw the current view on a hidden map with a pixel ratio of `scale`
+     * @param {number} scale pixel ratio of the hidden map
+     * @param {Function} draw function called with the canvas of the hidden map once it is rendered
+     * @returns {Promise<*>} result of draw, rejected when the hidden map fails or isn't rendered within SNAPSHOT_RENDER_TIMEOUT ms.
+     * The hidden map is removed and the pixel ratio restored in every case
+     * @private
+     */
+    _renderMapAtScale = (scale, draw) => new Promise((resolve, reject) => {
+        const container = this._map.getContainer();
+        const hiddenContainer = document.createElement('div');
+        hiddenContainer.style.cssText = `position: absolute; top: 0; left: -${container.clientWidth * 2}px;`
+            + `width: ${container.clientWidth}px; height: ${container.clientHeight}px;`;
+        document.body.appendChild(hiddenContainer);
+
+        // mapbox-gl sizes its canvas with devicePixelRatio, there is no option for it
+        const pixelRatioDescriptor = Object.getOwnPropertyDescriptor(window, 'devicePixelRatio');
+        Object.defineProperty(window, 'devicePixelRatio', { configurable: true, get: () => scale });
+
+        let hiddenMap = null;
+        let timeoutId = null;
+        let isSettled = false;
+        const settle = callBack => {
+            if (isSettled) {
+                return;
+            }
+            isSettled = true;
+            clearTimeout(timeoutId);
+            try {
+                callBack();
+            } catch (e) {
+                reject(e);
+            } finally {
+                if (hiddenMap) {
+                    hiddenMap.remove();
+                }
+                hiddenContainer.remove();
+                if (pixelRatioDescriptor) {
+                    Object.defineProperty(window, 'devicePixelRatio', pixelRatioDescriptor);
+                } else {
+                    delete window.devicePixelRatio;
+                }
+            }
+        };
+
+        timeoutId = setTimeout(() => settle(() => reject(new Error("Snapshot timed out while the map was rendered"))), SNAPSHOT_RENDER_TIMEOUT);
+        try {
+            const { lng, lat } = this._map.getCenter();
+            hiddenMap = new mapboxgl.Map({
+                container: hiddenContainer,
+                style: this._map.getStyle(),
+                center: [lng, lat],
+                zoom: this._map.getZoom(),
+                bearing: this._map.getBearing(),
+                pitch: this._map.getPitch(),
+                interactive: false,
+                attributionControl: false,
+                preserveDrawingBuffer: true,
+                fadeDuration: 0
+            });
+            hiddenMap.on('styleimagemissing', MapWrapper._addMissingImage(hiddenMap));
+            hiddenMap.on('error', ({ error }) => settle(() => reject(new Error(`Snapshot can't be rendered: ${error ? error.message : 'map error'}`))));
+            hiddenMap.once('idle', () => settle(() => resolve(draw(hiddenMap.getCanvas()))));
+        } catch (e) {
+            settle(() => reject(e));
+        }
+    })
+
+    /**
+     * Enable or disable the "from / to" mode
+     * @param {boolean} enabled whether clicked capitals are picked as itinerary endpoints
+     * @param {Function} onChange callback fired with {origin, destination} when an endpoint is picked on the map
+     * @returns {void}
+     * @public
+     */
+    setRouteFinderMode = (enabled, onChange) => {
+        this._routeFinder = { ...this._routeFinder, enabled, origin: '', destination: '' };
+        if (onChange) {
+            this._routeFinder.onChange = onChange;
+        }
+        if (!enabled) {
+            this.clearItinerary();
+        }
+    }
+
+    /**
+     * Set max distance of one leg used when there is no route network
+     * @param {number} maxLegLength max distance of one leg in km
+     * @returns {Promise} resolved when the reachability is refreshed
+     * @public
+     */
+    setMaxLegLength = maxLegLength => {
+        this._routeFinder.maxLegLength = maxLegLength;
+        return this._refreshReachability().catch(error => notify(`Reachability can't be computed: ${error.message}`));
+    }
+
+    /**
+     * Find and draw the shortest itinerary between 2 capitals, with per-leg and total distance in a popup
+     * @param {string} origin name of the origin capital
+     * @param {string} destination name of the destination capital
+     * @returns {Object} itinerary found by data processor, null if there is none
+     * @public
+     */
+    showItinerary = (origin, destination) => {
+        const result = this.dataProcessor.findItinerary(origin, destination, this._routeFinder.maxLegLength);
+        if (!result) {
+            notify(`No itinerary found from ${origin} to ${destination}`);
+            this.clearItinerary();
+            return null;
+        }
+
+        this._itineraryResult = result;
+        this._setItineraryData(result.itinerary);
+        this._displayItineraryPopup();
+        return result;
+    }
+
+    /**
+     * Remove the itinerary from the map
+     * @returns {void}
+     * @public
+     */
+    clearItinerary = () => {
+        if (!this._itineraryResult) {
+            return;
+        }
+        this._itineraryResult = null;
+        this._setItineraryData(MapWrapper.EMPTY_ITINERARY);
+        if (this._popupWrapper) {
+            this._popupWrapper.remove();
+        }
+    }
+
+    /**
+     * Replace data of the itinerary source
+     * @param {GEOJSON.FeatureCollection<LineString>} itinerary legs of the itinerary
+     * @returns {void}
+     * @private
+     */
+    _setItineraryData = this._swallowNullMap(itinerary => {
+        const itinerarySource = this._map.getSource('itinerary');
+        if (!itinerarySource) {
+            notify("Itinerary source is not found");
+            return;
+        }
+        itinerarySource.setData(itinerary);
+    })
+
+    /**
+     * Color capitals reachable from the selected origin by hops or cumulative distance and draw the tree of their best paths.
+     * Routes are hidden meanwhile, the analysis follows the selected origin until it is cleared
+     * @param {{metric: string, limit: number}} options metric is one of RouteGraph.REACH_METRICS,
+     * limit is the max number of hops or the max cumulative distance in km
+     * @returns {Promise<Object>} reachability, see DataProcessor.computeReachability. Null when it is cancelled by a newer one,
+     * rejected when the origin isn't part of the route graph
+     * @public
+     */
+    showReachability = ({ metric = RouteGraph.REACH_METRICS.HOPS, limit }) => {
+        this._reachabilityOptions = { metric, limit };
+        return this._refreshReachability();
+    }
+
+    /**
+     * Remove the reachability analysis and show the routes again
+     * @returns {void}
+     * @public
+     */
+    clearReachability = () => {
+        if (!this._reachabilityOptions) {
+            return;
+        }
+        this._reachabilityOptions = null;
+        this._reachability = null;
+        this._setReachabilityData(MapWrapper.EMPTY_REACHABILITY);
+        this._reachabilityChangeHandlers.forEach(f => f(null));
+    }
+
+    /**
+     * Compute the reachability again, e.g: after the origin, the dataset or the styling are changed
+     * Arcs of the tree get the density of the displayed routes
+     * @returns {Promise<Object>} reachability, null when it is not displayed or the computation is cancelled
+     * @private
+     */
+    _refreshReachability = () => {
+        if (!this._reachabilityOptions) {
+            return Promise.resolve(null);
+        }
+        const { metric, limit } = this._reachabilityOptions;
+        // Errors of the graph are rejected like errors of the worker
+        return new Promise(resolve => resolve(this.dataProcessor.computeReachability(
+            this.dataProcessor.selectedCapital, metric, limit, this._routeFinder.maxLegLength, this._arcDensityZoom
+        ))).then(reachability => {
+            // Cancelled by a newer computation, or cleared meanwhile
+            if (!reachability || !this._reachabilityOptions) {
+                return null;
+            }
+            this._reachability = reachability;
+            this._setReachabilityData(this._reachabilityFeatures());
+            this._reachabilityChangeHandlers.forEach(f => f(this._reachability));
+            return this._reachability;
+        });
+    }
+
+    /**
+     * Rank the capitals of the route network by a centrality metric. Capital markers are sized and colored
+     * by the metric when styleMarkers is set, the analysis follows the routes dataset until it is cleared
+     * @param {{metric: string, styleMarkers: boolean}} options metric is one of CENTRALITY_METRICS
+     * @returns {Object} centrality analysis, see MapWrapper.centrality
+     * @public
+     */
+    showCentrality = ({ metric, styleMarkers = false }) => {
+        this._centralityOptions = { metric, styleMarkers };
+        this._centrality = this.dataProcessor.computeCentrality();
+        this._applyCentrality();
+        return this.centrality;
+    }
+
+    /**
+     * Remove the hub centrality analysis and style capital markers again as usual
+     * @returns {void}
+     * @public
+     */
+    clearCentrality = () => {
+        if (!this._centralityOptions) {
+            return;
+        }
+        this._centralityOptions = null;
+        this._centrality = null;
+        this._applyCentrality();
+    }
+
+    /**
+     * Compute the centrality again after the routes are rendered, capitals are only restyled when the route network changed
+     * @returns {void}
+     * @private
+     */
+    _refreshCentrality = () => {
+        if (!this._centralityOptions) {
+            return;
+        }
+        const centrality = this.dataProcessor.computeCentrality();
+        if (centrality !== this._centrality) {
+            this._centrality = centrality;
+            this._applyCentrality();
+        }
+    }
+
+    /**
+     * Update the capital markers and the icon styles of the capitals layer with the centrality analysis, then notify handlers
+     * @returns {void}
+     * @private
+     */
+    _applyCentrality = () => {
+        this._refreshCapitals();
+        this._applyCapitalIconStyles();
+        this._centralityChangeHandlers.forEach(f => f(this.centrality));
+    }
+
+    /**
+     * Style the icons of the capitals layer by centrality or as usual
+     * @returns {void}
+     * @private
+     */
+    _applyCapitalIconStyles = this._swallowNullMap(() => {
+        if (!this._map.getLayer('capitals')) {
+            return;
+        }
+        const { layout, paint } = Stylings.getCapitalIconStyles(this._isStylingMarkersByCentrality());
+        Object.keys(layout).forEach(name => this._map.setLayoutProperty('capitals', name, layout[name]));
+        Object.keys(paint).forEach(name => this._map.setPaintProperty('capitals', name, paint[name]));
+    })
+
+    /**
+     * Whether capital markers are sized and colored by a centrality metric
+     * @returns {boolean} true if the analysis styles markers and there is a route network
+     * @private
+     */
+    _isStylingMarkersByCentrality = () => {
+        return Boolean(this._centralityOptions && this._centralityOptions.styleMarkers && this._centrality);
+    }
+
+    /**
+     * Tree and reached capitals of the reachability, colored by hops or by the distance styling of the cumulative distance
+     * @returns {GEOJSON.FeatureCollection} data of the reachability source
+     * @private
+     */
+    _reachabilityFeatures = () => {
+        if (!this._reachability) {
+            return MapWrapper.EMPTY_REACHABILITY;
+        }
+        const { metric, tree, capitals } = this._reachability;
+        const getColor = ({ hops, cumulativeDistance }) => (metric === RouteGraph.REACH_METRICS.HOPS
+            ? Stylings.getHopColor(hops)
+            : this.styling.getLineProperties(cumulativeDistance).color);
+        const withColor = feature => ({
+            ...feature,
+            properties: { ...feature.properties, color: getColor(feature.properties) }
+        });
+        return {
+            'type': 'FeatureCollection',
+            'features': [...tree.features.map(withColor), ...capitals.features.map(withColor)]
+        };
+    }
+
+    /**
+     * Replace data of the reachability source, routes are hidden while there is a reachability
+     * @param {GEOJSON.FeatureCollection} reachability tree and reached capitals
+     * @returns {void}
+     * @private
+     */
+    _setReachabilityData = this._swallowNullMap(reachability => {
+        const reachabilitySource = this._map.getSource('reachability');
+        if (!reachabilitySource) {
+            notify("Reachability source is not found");
+            return;
+        }
+        reachabilitySource.setData(reachability);
+        this._applyRouteVisibility();
+    })
+
+    /**
+     * Color routes of compared datasets as added, removed or unchanged instead of the displayed routes
+     * @param {GEOJSON.FeatureCollection<LineString>} routes routes with a diffStatus property, see diffRoutes
+     * @returns {void}
+     * @public
+     */
+    showRouteDiff = routes => {
+        this._routeDiff = routes;
+        this._setRouteDiffData(routes);
+    }
+
+    /**
+     * Remove the route diff and show the routes again
+     * @returns {void}
+     * @public
+     */
+    clearRouteDiff = () => {
+        if (!this._routeDiff) {
+            return;
+        }
+        this._routeDiff = null;
+        this._setRouteDiffData(MapWrapper.EMPTY_ROUTE_DIFF);
+    }
+
+    /**
+     * Replace data of the route diff source, routes are hidden while there is a route diff
+     * @param {GEOJSON.FeatureCollection<LineString>} routes routes with a diffStatus property
+     * @returns {void}
+     * @private
+     */
+    _setRouteDiffData = this._swallowNullMap(routes => {
+        const routeDiffSource = this._map.getSource('route-diff');
+        if (!routeDiffSource) {
+            notify("Route diff source is not found");
+            return;
+        }
+        routeDiffSource.setData(routes);
+        this._applyRouteVisibility();
+    })
+
+    /**
+     * Hide the route layers while the reachability or the route diff is displayed
+     * @returns {void}
+     * @private
+     */
+    _applyRouteVisibility = this._swallowNullMap(() => {
+        const visibility = this._reachabilityOptions || this._routeDiff ? 'none' : 'visible';
+        MapWrapper.ROUTE_LAYER_IDS
+            .filter(layerId => this._map.getLayer(layerId))
+            .forEach(layerId => this._map.setLayoutProperty(layerId, 'visibility', visibility));
+    })
+
+    /**
+     * Describe the best path to a capital reached by the reachability analysis
+     * @param {string} capitalName name of the capital
+     * @returns {string} html, empty when the capital isn't reached
      * @private
      */
-    _swallowNullMapAndPopup = callBack => this._swallowNullMap(this._swallowNullPopup(callBack))
+    _describeReachedCapital = capitalName => {
+        const reached = this._reachability && this._reachability.reached;
+        const capital = reached && reached.find(({ name }) => name === capitalName);
+        if (!capital) {
+            return '';
+        }
+        // The origin isn't in reached, paths end there
+        const byName = new Map(reached.map(reachedCapital => [reachedCapital.name, reachedCapital]));
+        const path = [capital.name];
+        for (let current = capital; current; current = byName.get(current.previous)) {
+            if (current.previous) {
+                path.unshift(current.previous);
+            }
+        }
+        const hops = `${capital.hops} hop${capital.hops > 1 ? 's' : ''}`;
+        return `<p> ${hops}, ${formatKilometers(capital.distance)}: ${path.map(escapeHtml).join(' - ')} </p>`;
+    }
 
     /**
-     * Change theme style and add sources and layers again
-     * @param {string} theme Id of the selected theme
+     * Display legs and total distance of the itinerary at its destination
      * @returns {void}
-     * @public
+     * @private
      */
-    changeTheme = this._swallowNullMap(theme => {
-        // Preserve the state of the source before setting style as the state is lost after the setStyle() is called
-        const prevRouteSource = this._map.getSource('route');
-        if (!prevRouteSource || !prevRouteSource._data || !prevRouteSource._data.features) {
-            notify("Layer not found");
+    _displayItineraryPopup = this._swallowNullPopup(() => {
+        if (!this._itineraryResult) {
             return;
         }
+        const { path, legs, distance, itinerary } = this._itineraryResult;
+        const lastLeg = itinerary.features[itinerary.features.length - 1];
+        const [destinationCoordinates] = lastLeg.geometry.coordinates.slice(-1);
 
-        // automatic style diff failed => force diff to false to rerender the entire map
-        this._map.setStyle(`${PREFIX_STYLE_URL}${theme}`, { diff: false });
-
-        this._map.once('styledata', () => {
-            const routesInfo = prevRouteSource._data;
-            // Recompute styles for lines based on theme state in this.styling
-            routesInfo.features.forEach(feature => {
-                const { distance } = feature.properties;
-                feature.properties = { ...feature.properties, ...this.styling.getLineProperties(distance) };
-            });
-            this._addSourceAndLayers(routesInfo);
+        const legItems = legs
+            .map(leg => `<li>${escapeHtml(leg.origin)} - ${escapeHtml(leg.destination)}: ${formatKilometers(leg.distance)}</li>`)
+            .join('');
+        const message = `
+            <h3>${escapeHtml(path[0])} - ${escapeHtml(path[path.length - 1])}</h3>
+            <ol>${legItems}</ol>
+            <p>Total: ${formatKilometers(distance)} (${legs.length} leg${legs.length > 1 ? 's' : ''})</p>`;
 
-            // Preserve the highlighted route category after changing theme
-            this.highLightLines();
-        });
+        this._popupWrapper.displayMessageAtPosition(message, destinationCoordinates);
     })
 
     /**
-     * Highlight the selected routes in a specific distance category(short, ..., long)
+     * Pick a clicked capital as origin, then destination of the itinerary
+     * @param {string} capitalName name of the clicked capital
      * @returns {void}
-     * @public
+     * @private
      */
-    highLightLines = this._swallowNullMap(() => {
-        const highlightedCategory = this.styling.highLightedCategory;
-
-        // Reset line opacity of route when there is no highlighted category
-        if (!highlightedCategory) {
-            return this._map.setPaintProperty(...Stylings.DEFAULT_LINES_OPACITY_STYLE);
+    _pickItineraryEndpoint = capitalName => {
+        const routeFinder = this._routeFinder;
+        if (!routeFinder.origin || routeFinder.destination) {
+            routeFinder.origin = capitalName;
+            routeFinder.destination = '';
+            this.clearItinerary();
+        } else {
+            routeFinder.destination = capitalName;
+            this.showItinerary(routeFinder.origin, routeFinder.destination);
         }
-
-        this._map.setPaintProperty(...Stylings.getLineOpacityWithHighLightedCategory(highlightedCategory));
-    })
+        if (routeFinder.onChange) {
+            routeFinder.onChange({ origin: routeFinder.origin, destination: routeFinder.destination });
+        }
+    }
 
     /**
      * Set INITIAL center position, add markerts, draw arcs, listen to events from map
@@ -211,12 +1652,34 @@ export class MapWrapper {
     _initialRender = () => {
         this._initFlightMap();
 
-        this._map.on('mouseenter', 'capitals', this._displayCapitalInfoPopup);
-        this._map.on('mouseleave', 'capitals', this._hideCapitalInfoPopup);
-        this._map.on('click', 'capitals', this._displayAllFlightsFromChosenCapital);
+        MapWrapper.CAPITAL_LAYER_IDS.forEach(layer => {
+            this._map.on('mouseenter', layer, this._displayCapitalInfoPopup);
+            this._map.on('mouseleave', layer, this._hideCapitalInfoPopup);
+            this._map.on('click', layer, this._handleCapitalClick);
+        });
+
+        // Clusters are expanded by zooming in, or spiderfied when zooming can't separate their capitals
+        this._map.on('click', 'capital-clusters', this._expandCluster);
+        this._map.on('click', this._collapseSpiderOnClickOutside);
+        this._map.on('zoomstart', this._collapseSpider);
 
         this._map.on('mouseenter', 'route', this._popupWrapper.highLightSpecificRoute);
         this._map.on('mouseleave', 'route', this._popupWrapper.unHighLightSpecificRoute);
+
+        this._map.on('click', 'itinerary', this._displayItineraryPopup);
+
+        // Hover doesn't exist on touch screens: tap to inspect, tap elsewhere to dismiss, long press to select a capital
+        this._map.on('touchstart', this._handleTouchStart);
+        this._map.on('touchmove', this._handleTouchMove);
+        this._map.on('touchend', this._handleTouchEnd);
+        this._map.on('touchcancel', this._cancelTouch);
+
+        this._map.on('moveend', this._notifyStateChange);
+        this._map.on('zoomend', this._refreshArcDensity);
+
+        this._isDataLoaded = true;
+        this._dataLoadHandlers.splice(0).forEach(f => f(this.dataProcessor));
+        this._notifyDataChange();
     }
 
     /**
@@ -225,9 +1688,19 @@ export class MapWrapper {
      * @private
      */
     _initFlightMap = () => {
-        this._moveCenterTo(this.dataProcessor.selectedCapitalCoordinates);
-        const routes = this.dataProcessor.arcLinesFromSelectedCapital;
-        this._addSourceAndLayers(routes);
+        // Camera restored from url wins over the selected capital
+        if (!this._initialCamera.center) {
+            this._moveCenterTo(this.dataProcessor.selectedCapitalCoordinates);
+        }
+        // Arcs are added once they are computed by the worker
+        this._addSourceAndLayers({ type: 'FeatureCollection', features: [] });
+        this._applyRouteFilter();
+        this._renderRoutes();
+
+        // Highlighted category may be restored from url
+        if (this.styling.highLightedCategory) {
+            this.highLightLines();
+        }
     }
 
     /**
@@ -237,14 +1710,21 @@ export class MapWrapper {
      * @private
      */
     _addSourceAndLayers = this._swallowNullMap(routes => {
+        const { capitals, origins } = this._splitCapitalMarkers();
+        const iconStyles = Stylings.getCapitalIconStyles(this._isStylingMarkersByCentrality());
         this._map.addLayer({
             id: 'capitals',
             type: 'symbol',
             source: {
                 type: 'geojson',
-                data: this.dataProcessor.capitalMarkers
+                data: capitals,
+                cluster: true,
+                clusterMaxZoom: CAPITAL_CLUSTER_MAX_ZOOM,
+                clusterRadius: CAPITAL_CLUSTER_RADIUS
             },
-            ...Stylings.CAPITAL_ICON_STYLES
+            ...Stylings.CAPITAL_ICON_STYLES,
+            layout: { ...Stylings.CAPITAL_ICON_STYLES.layout, ...iconStyles.layout },
+            paint: iconStyles.paint
         });
 
         this._map.addSource('route', {
@@ -256,10 +1736,240 @@ export class MapWrapper {
             'id': 'route',
             'source': 'route',
             'type': 'line',
-            ...Stylings.ROUTE_STYLES
+            ...this.styling.getRouteStyles()
+        });
+
+        // Clusters are below routes like the capitals
+        this._map.addLayer({
+            'id': 'capital-clusters',
+            'source': 'capitals',
+            'type': 'circle',
+            ...Stylings.CAPITAL_CLUSTER_STYLES
+        }, 'route');
+        // Basemaps without glyphs, e.g: blank, can't draw text, bubbles still grow with the count
+        const style = this._map.getStyle();
+        if (style && style.glyphs) {
+            this._map.addLayer({
+                'id': 'capital-cluster-count',
+                'source': 'capitals',
+                'type': 'symbol',
+                ...Stylings.CAPITAL_CLUSTER_COUNT_STYLES
+            }, 'route');
+        }
+
+        this._map.addSource('itinerary', {
+            'type': 'geojson',
+            'data': this._itineraryResult ? this._itineraryResult.itinerary : MapWrapper.EMPTY_ITINERARY
+        });
+
+        this._map.addLayer({
+            'id': 'itinerary',
+            'source': 'itinerary',
+            'type': 'line',
+            ...Stylings.ITINERARY_STYLES
+        });
+
+        this._map.addSource('route-diff', {
+            'type': 'geojson',
+            'data': this._routeDiff || MapWrapper.EMPTY_ROUTE_DIFF
+        });
+
+        this._map.addLayer({
+            'id': 'route-diff',
+            'source': 'route-diff',
+            'type': 'line',
+            ...Stylings.ROUTE_DIFF_STYLES
+        });
+
+        this._map.addSource('reachability', {
+            'type': 'geojson',
+            'data': this._reachabilityFeatures()
+        });
+
+        this._map.addLayer({
+            'id': 'reachability-tree',
+            'source': 'reachability',
+            'type': 'line',
+            ...Stylings.REACHABILITY_TREE_STYLES
+        });
+
+        this._map.addLayer({
+            'id': 'reachability-capitals',
+            'source': 'reachability',
+            'type': 'circle',
+            ...Stylings.REACHABILITY_CAPITAL_STYLES
+        });
+
+        this._map.addSource('origins', {
+            'type': 'geojson',
+            'data': origins
+        });
+
+        this._map.addLayer({
+            'id': 'origin-halos',
+            'source': 'origins',
+            'type': 'circle',
+            ...Stylings.ORIGIN_HALO_STYLES
+        });
+
+        this._map.addLayer({
+            'id': 'origins',
+            'source': 'origins',
+            'type': 'symbol',
+            ...Stylings.ORIGIN_ICON_STYLES
+        });
+
+        this._map.addSource('spider', {
+            'type': 'geojson',
+            'data': MapWrapper.EMPTY_SPIDER
+        });
+
+        this._map.addLayer({
+            'id': 'spider-legs',
+            'source': 'spider',
+            'type': 'line',
+            ...Stylings.SPIDER_LEG_STYLES
+        });
+
+        this._map.addLayer({
+            'id': 'spider-capitals',
+            'source': 'spider',
+            'type': 'symbol',
+            ...Stylings.SPIDER_CAPITAL_STYLES
+        });
+
+        this._map.addSource(MapWrapper.DEPARTURES_LAYER_ID, {
+            'type': 'geojson',
+            'data': this._computeDeparturePlanes()
+        });
+
+        this._map.addLayer({
+            'id': MapWrapper.DEPARTURES_LAYER_ID,
+            'source': MapWrapper.DEPARTURES_LAYER_ID,
+            'type': 'symbol',
+            ...Stylings.PLANE_ICON_STYLES
         });
+
+        this.flightAnimator.addSourceAndLayer();
     });
 
+    /**
+     * Split capital markers between the clustered capitals shown by the route filter and the selected origins
+     * @returns {{capitals: GeoJSON.FeatureCollection<Point>, origins: GeoJSON.FeatureCollection<Point>}} data of the sources
+     * @private
+     */
+    _splitCapitalMarkers = () => {
+        const markers = splitCapitalMarkers(
+            this.dataProcessor.capitalMarkers,
+            this.dataProcessor.selectedCapitals,
+            properties => this.routeFilter.matchesCapital(properties)
+        );
+        if (!this._isStylingMarkersByCentrality()) {
+            return markers;
+        }
+
+        // Capitals without routes have no centrality
+        const scores = normalizeCentrality(this._centrality, this._centralityOptions.metric);
+        const features = markers.capitals.features.map(feature => ({
+            ...feature,
+            properties: { ...feature.properties, centrality: scores[feature.properties.capitalName] || 0 }
+        }));
+        return { ...markers, capitals: { ...markers.capitals, features } };
+    }
+
+    /**
+     * Update the capital and origin sources after the origins, the dataset or the route filter are changed
+     * @returns {void}
+     * @private
+     */
+    _refreshCapitals = this._swallowNullMap(() => {
+        const capitalSource = this._map.getSource('capitals');
+        const originSource = this._map.getSource('origins');
+        if (!capitalSource || !originSource) {
+            return;
+        }
+
+        const { capitals, origins } = this._splitCapitalMarkers();
+        capitalSource.setData(capitals);
+        originSource.setData(origins);
+        this._collapseSpider();
+    })
+
+    /**
+     * Zoom into a clicked cluster until it splits, or spread its capitals around it when it is still a cluster at the last cluster zoom
+     * @param {MapEvent} event emited by clicking on a cluster
+     * @returns {void}
+     * @private
+     */
+    _expandCluster = this._swallowNullMap(({ features }) => {
+        const capitalSource = this._map.getSource('capitals');
+        if (!features.length || !capitalSource) {
+            return;
+        }
+        const {
+            geometry: { coordinates },
+            properties: { cluster_id: clusterId, point_count: pointCount }
+        } = features[0];
+
+        capitalSource.getClusterExpansionZoom(clusterId, (error, zoom) => {
+            if (error) {
+                notify(`Cluster can't be expanded: ${error.message}`);
+                return;
+            }
+            if (zoom <= CAPITAL_CLUSTER_MAX_ZOOM) {
+                this._map.easeTo({ center: coordinates, zoom });
+                return;
+            }
+            capitalSource.getClusterLeaves(clusterId, pointCount, 0, (leavesError, leaves) => {
+                if (leavesError) {
+                    notify(`Cluster can't be expanded: ${leavesError.message}`);
+                    return;
+                }
+                this._spiderfy(coordinates, leaves);
+            });
+        });
+    })
+
+    /**
+     * Spread capitals on a circle around a cluster
+     * @param {Array<number>} center coordinates of the cluster in the shape [longitude, latitude]
+     * @param {Array<GeoJSON.Feature<Point>>} leaves capitals of the cluster
+     * @returns {void}
+     * @private
+     */
+    _spiderfy = this._swallowNullMap((center, leaves) => {
+        const spiderSource = this._map.getSource('spider');
+        if (!spiderSource) {
+            return;
+        }
+        spiderSource.setData(createSpider(center, leaves, lngLat => this._map.project(lngLat), point => this._map.unproject(point)));
+    })
+
+    /**
+     * Gather the capitals of the spiderfied cluster again
+     * @returns {void}
+     * @private
+     */
+    _collapseSpider = this._swallowNullMap(() => {
+        const spiderSource = this._map.getSource('spider');
+        if (spiderSource) {
+            spiderSource.setData(MapWrapper.EMPTY_SPIDER);
+        }
+    })
+
+    /**
+     * Collapse the spider when the map is clicked elsewhere than on a spiderfied capital or a cluster
+     * @param {MapMouseEvent} event emited by clicking on the map
+     * @returns {void}
+     * @private
+     */
+    _collapseSpiderOnClickOutside = this._swallowNullMap(({ point }) => {
+        const layers = ['spider-capitals', 'capital-clusters'].filter(layer => this._map.getLayer(layer));
+        if (!layers.length || !this._map.queryRenderedFeatures(point, { layers }).length) {
+            this._collapseSpider();
+        }
+    })
+
     /**
      * Move center to specified coordinates
      * @param {Array<Number>} centerCoordinates array in the shape [longitude, latitude]
@@ -292,7 +2002,9 @@ export class MapWrapper {
         }
         const feature = features[0];
 
-        const message = `<h3>${feature.properties.capitalName}</h3> <p> ${feature.properties.capitalDescription} </p>`;
+        // Names and descriptions may come from datasets uploaded by the user
+        const { capitalName, capitalDescription } = feature.properties;
+        const message = `<h3>${escapeHtml(capitalName)}</h3> <p> ${escapeHtml(capitalDescription)} </p>${this._describeReachedCapital(capitalName)}`;
         this._popupWrapper.displayMessageAtPosition(message, feature.geometry.coordinates);
 
         this._map.getCanvas().style.cursor = 'pointer';
@@ -310,12 +2022,13 @@ export class MapWrapper {
     })
 
     /**
-     * Display all flights from a chosen capital when the capital marker is clicked
+     * Display all flights from a chosen capital when the capital marker is clicked.
+     * Shift + click adds the capital to the origins, or removes it if it is already one
      * @param {MapEvent} event emited by clicking on marker
      * @return {void}
      * @private 
      */
-    _displayAllFlightsFromChosenCapital = ({ features }) => {
+    _displayAllFlightsFromChosenCapital = ({ features, originalEvent }) => {
         if (!features.length) {
             return;
         }
@@ -323,29 +2036,296 @@ export class MapWrapper {
             geometry: { coordinates: capitalCoordinates },
             properties: { capitalName }
         } = features[0];
+        if (this._routeFinder.enabled) {
+            this._pickItineraryEndpoint(capitalName);
+            return;
+        }
+        if (originalEvent && originalEvent.shiftKey) {
+            if (this.dataProcessor.selectedCapitals.includes(capitalName)) {
+                this.removeOrigin(capitalName);
+            } else {
+                this.addOrigin(capitalName);
+            }
+            return;
+        }
         this._moveCenterTo(capitalCoordinates);
         this._replaceSelectedCapital(capitalName);
     }
 
+    /**
+     * Select the clicked capital, unless the click is emulated by the browser after a tap which only inspects the capital
+     * @param {MapEvent} event emited by clicking on marker
+     * @return {void}
+     * @private
+     */
+    _handleCapitalClick = event => {
+        if (Date.now() - this._touch.endTime < EMULATED_CLICK_DELAY) {
+            return;
+        }
+        this._displayAllFlightsFromChosenCapital(event);
+    }
+
+    /**
+     * Start a tap or a long press when one finger touches the map
+     * @param {MapTouchEvent} event emited by touching the map
+     * @return {void}
+     * @private
+     */
+    _handleTouchStart = ({ point, points }) => {
+        this._cancelTouch();
+        if (!points || points.length !== 1) {
+            return;
+        }
+        this._touch = {
+            ...this._touch,
+            start: point,
+            longPressTimer: setTimeout(() => {
+                this._touch.longPressed = true;
+                this._selectCapitalAt(this._touch.start);
+            }, LONG_PRESS_DURATION)
+        };
+    }
+
+    /**
+     * A finger moving further than TAP_MOVE_TOLERANCE drags the map, it is neither a tap nor a long press
+     * @param {MapTouchEvent} event emited by moving a finger on the map
+     * @return {void}
+     * @private
+     */
+    _handleTouchMove = ({ point }) => {
+        const { start } = this._touch;
+        if (start && Math.hypot(point.x - start.x, point.y - start.y) > TAP_MOVE_TOLERANCE) {
+            this._cancelTouch();
+        }
+    }
+
+    /**
+     * Inspect what is under a tap
+     * @param {MapTouchEvent} event emited by lifting a finger from the map
+     * @return {void}
+     * @private
+     */
+    _handleTouchEnd = ({ lngLat }) => {
+        const { start, longPressed } = this._touch;
+        this._cancelTouch();
+        this._touch.endTime = Date.now();
+        if (start && !longPressed) {
+            this._inspectAt(start, lngLat);
+        }
+    }
+
+    /**
+     * Forget the ongoing touch
+     * @return {void}
+     * @private
+     */
+    _cancelTouch = () => {
+        clearTimeout(this._touch.longPressTimer);
+        this._touch = { ...this._touch, start: null, longPressed: false, longPressTimer: null };
+    }
+
+    /**
+     * Find the capitals and routes around a point, with TOUCH_HIT_TOLERANCE as fingers are less precise than a mouse
+     * @param {mapboxgl.Point} point pixel coordinates on the map
+     * @param {Array<string>} layers ids of the queried layers
+     * @returns {Array<GeoJSON.Feature>} rendered features, capitals first
+     * @private
+     */
+    _queryFeaturesAround = (point, layers) => {
+        const box = [
+            [point.x - TOUCH_HIT_TOLERANCE, point.y - TOUCH_HIT_TOLERANCE],
+            [point.x + TOUCH_HIT_TOLERANCE, point.y + TOUCH_HIT_TOLERANCE]
+        ];
+        const features = this._map.queryRenderedFeatures(box, { layers: layers.filter(layer => this._map.getLayer(layer)) });
+        const isCapital = ({ layer }) => (MapWrapper.CAPITAL_LAYER_IDS.includes(layer.id) ? 0 : 1);
+        return [...features].sort((a, b) => isCapital(a) - isCapital(b));
+    }
+
+    /**
+     * Show the popup of the capital or route under a tap, same as hovering it. Tapping elsewhere dismisses the popup
+     * @param {mapboxgl.Point} point pixel coordinates of the tap
+     * @param {mapboxgl.LngLat} lngLat location of the tap
+     * @return {void}
+     * @private
+     */
+    _inspectAt = this._swallowNullMapAndPopup((point, lngLat) => {
+        const [feature] = this._queryFeaturesAround(point, [...MapWrapper.CAPITAL_LAYER_IDS, 'route']);
+        this._popupWrapper.unHighLightSpecificRoute();
+        if (!feature) {
+            this._popupWrapper.remove();
+            return;
+        }
+
+        if (MapWrapper.CAPITAL_LAYER_IDS.includes(feature.layer.id)) {
+            this._displayCapitalInfoPopup({ features: [feature] });
+        } else {
+            this._popupWrapper.highLightRoute(feature, lngLat.toArray());
+        }
+    })
+
+    /**
+     * Select the capital under a long press as origin, same as clicking it
+     * @param {mapboxgl.Point} point pixel coordinates of the long press
+     * @return {void}
+     * @private
+     */
+    _selectCapitalAt = this._swallowNullMap(point => {
+        const [capital] = this._queryFeaturesAround(point, MapWrapper.CAPITAL_LAYER_IDS);
+        if (capital) {
+            this._displayAllFlightsFromChosenCapital({ features: [capital] });
+        }
+    })
+
     /**
      * Recompute arcs from the newly selected capital
      * @param {string} newSelectedCapital name of the newly selected capital
      * @returns {void}
      * @private
      */
-    _replaceSelectedCapital = this._swallowNullMap(newSelectedCapital => {
+    _replaceSelectedCapital = newSelectedCapital => {
         if (!this.dataProcessor.setSelectedCapital(newSelectedCapital)) {
             return;
         }
+        this._renderSelectedRoutes();
+    }
 
+    /**
+     * Display arcs from the selected origins
+     * @returns {Promise<void>} resolved when the arcs are displayed
+     * @private
+     */
+    _renderSelectedRoutes = this._swallowNullMap(() => {
         const routeSource = this._map.getSource('route');
         if (!routeSource) {
             notify("Route source is not found");
+            return Promise.resolve();
+        }
+
+        // Origins are drawn unclustered right away, before arcs are computed
+        this._refreshCapitals();
+        this._notifyStateChange();
+        return this._renderRoutes();
+    })
+
+    /**
+     * Compute arcs from the selected origins in the worker and display them.
+     * Nothing is displayed when the computation is cancelled by a newer one, e.g: another capital is clicked
+     * @returns {Promise<void>} resolved when the arcs are displayed or the computation is cancelled
+     * @private
+     */
+    _renderRoutes = () => {
+        const zoom = this._map.getZoom();
+        this._arcDensityZoom = toDensityZoom(zoom);
+        return this.dataProcessor.computeArcLinesFromSelectedCapital(zoom).then(arcs => {
+            if (!arcs) {
+                return;
+            }
+
+            const routeSource = this._map && this._map.getSource('route');
+            if (!routeSource) {
+                notify("Route source is not found");
+                return;
+            }
+            // A range picked from other routes is meaningless, arcs recomputed for the zoom or the timeline keep it
+            const scheduledRouteKeys = arcs.features.map(({ properties }) => routeKey(properties)).sort().join('\n');
+            if (scheduledRouteKeys !== this._scheduledRouteKeys) {
+                this._scheduledRouteKeys = scheduledRouteKeys;
+                if (this._highlightedDistanceRange) {
+                    this.highLightDistanceRange(null);
+                }
+            }
+            this._scheduledRoutes = arcs;
+            this._activeRouteIds = null;
+            // Widths of the flow mode depend on the biggest volume of the new arcs
+            if (this.styling.flowConfig) {
+                this._restyleRoutes(arcs);
+            }
+            // Schedules change with the routes dataset and the route mode
+            this.timeline.setRange(this.dataProcessor.scheduleRange);
+            this._displayScheduledRoutes();
+            this._timelineChangeHandlers.forEach(f => f(this.timeline));
+            this._refreshCentrality();
+            // The reachability follows the selected origin and the route mode
+            return this._refreshReachability()
+                .catch(error => notify(`Reachability can't be computed: ${error.message}`));
+        }).catch(error => notify(`Arcs can't be computed: ${error.message}`));
+    }
+
+    /**
+     * Display the scheduled routes operating at the moment of the timeline, and the planes of the flights in the air.
+     * Every route is displayed when routes don't depend on time
+     * @param {boolean} keepAnimation whether the plane animation keeps playing, it is stopped when other arcs are computed
+     * @returns {void}
+     * @private
+     */
+    _displayScheduledRoutes = this._swallowNullMap((keepAnimation = false) => {
+        const routeSource = this._map.getSource('route');
+        if (!routeSource || !this._scheduledRoutes) {
             return;
         }
 
+        const { time } = this.timeline;
+        const activeRoutes = this.timeline.isEnabled ? {
+            type: 'FeatureCollection',
+            features: this._scheduledRoutes.features
+                .filter(({ properties }) => isScheduledAt(properties.schedule, time, this._getBlockTime(properties.distance)))
+        } : this._scheduledRoutes;
+
+        const activeRouteIds = activeRoutes.features.map(({ id }) => id).join();
+        if (activeRouteIds !== this._activeRouteIds) {
+            this._activeRouteIds = activeRouteIds;
+            const wasPlaying = this.flightAnimator.isPlaying;
+            routeSource.setData(activeRoutes);
+            this.flightAnimator.setRoutes(activeRoutes);
+            // Origins stay visible and the number of visible routes changes
+            this._applyRouteFilter();
+            this._notifyRoutesChange(activeRoutes);
+            if (keepAnimation && wasPlaying) {
+                this.flightAnimator.play();
+            }
+        }
 
-        const arcs = this.dataProcessor.arcLinesFromSelectedCapital;
-        routeSource.setData(arcs);
+        const departureSource = this._map.getSource(MapWrapper.DEPARTURES_LAYER_ID);
+        if (departureSource) {
+            departureSource.setData(this._computeDeparturePlanes());
+        }
     })
+
+    /**
+     * Planes of the scheduled flights in the air at the moment of the timeline
+     * @returns {GEOJSON.FeatureCollection<Point>} planes, none when routes don't depend on time
+     * @private
+     */
+    _computeDeparturePlanes = () => {
+        const routes = this.timeline.isEnabled && this._scheduledRoutes ? this._scheduledRoutes.features : [];
+        return computeDeparturePlanes(routes, this.timeline.time, this._getBlockTime);
+    }
+
+    /**
+     * Block time of a flight with the selected aircraft profile
+     * @param {number} distance distance in km
+     * @returns {number} block time in minutes
+     * @private
+     */
+    _getBlockTime = distance => {
+        return this.flightEstimator.estimate(distance).blockTime;
+    }
+
+    /**
+     * Compute arcs again with the density of the new zoom, once the zoom crosses a density level
+     * @returns {void}
+     * @private
+     */
+    _refreshArcDensity = () => {
+        if (toDensityZoom(this._map.getZoom()) === this._arcDensityZoom) {
+            return;
+        }
+
+        const wasPlaying = this.flightAnimator.isPlaying;
+        this._renderRoutes().then(() => {
+            if (wasPlaying) {
+                this.flightAnimator.play();
+            }
+        });
+    }
 }
\ No newline at end of file
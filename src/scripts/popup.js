@@ -1,5 +1,8 @@
 import { Popup } from 'mapbox-gl/dist/mapbox-gl.js';
 
+import { formatDistance, formatDuration, formatKilograms } from './flight-estimates.js';
+import { escapeHtml } from './utils.js';
+
 export class PopupWrapper {
 
     /**
@@ -24,12 +27,21 @@ export class PopupWrapper {
      */
     _popup = null;
 
+    /**
+     * Estimates of the hovered route
+     * @type {FlightEstimator}
+     * @private
+     */
+    _flightEstimator = null;
+
     /**
      * @param {mapboxgl.Map} mapInstance 
+     * @param {FlightEstimator} flightEstimator estimator of flight time, fuel and CO2 shown with routes
      */
-    constructor(mapInstance) {
+    constructor(mapInstance, flightEstimator) {
         this._map = mapInstance;
         this._popup = new Popup();
+        this._flightEstimator = flightEstimator;
     }
 
     /**
@@ -62,13 +74,22 @@ export class PopupWrapper {
             this._popup.remove();
             return;
         }
-        const feature = features[0];
+        this.highLightRoute(features[0], lngLat.toArray());
+    }
 
-        const message = `
-            <h3>Distance ${feature.properties.origin} - ${feature.properties.destination}: </h3>
-            <p> ${feature.properties.distance} km </p>`;
+    /**
+     * Highlight a route and describe it in the popup, e.g: a route hovered or focused with the keyboard
+     * @param {GeoJSON.Feature<LineString>} feature route
+     * @param {mapboxgl.coordinates} coordinates long-lat array of the popup location
+     * @return {void}
+     */
+    highLightRoute = (feature, coordinates) => {
+        // Parts of a route split at the antimeridian are the same feature, only another route resets the hover state
+        if (this._isHoveringRoute() && this._hoverId !== feature.id) {
+            this._map.setFeatureState({ source: 'route', id: this._hoverId }, { hover: false });
+        }
 
-        this.displayMessageAtPosition(message, lngLat.toArray());
+        this.displayMessageAtPosition(this._describeRoute(feature.properties), coordinates);
 
         this._hoverId = feature.id;
         this._map.setFeatureState(
@@ -82,7 +103,7 @@ export class PopupWrapper {
      * @return {void}
      */
     unHighLightSpecificRoute = () => {
-        if (!this._hoverId) {
+        if (!this._isHoveringRoute()) {
             return;
         }
 
@@ -94,4 +115,34 @@ export class PopupWrapper {
         );
         this._hoverId = null;
     }
-}
\ No newline at end of file
+
+    /**
+     * Whether a route is hovered
+     * @returns {boolean} true if a route has the hover state
+     * @private
+     */
+    _isHoveringRoute = () => {
+        // 0 is a valid feature id
+        return this._hoverId !== null && this._hoverId !== '';
+    }
+
+    /**
+     * Describe a route with its distance and the flight estimates of the selected aircraft
+     * @param {{origin: string, destination: string, distance: number}} properties properties of the route
+     * @returns {string} HTML message
+     * @private
+     */
+    _describeRoute = ({ origin, destination, distance }) => {
+        const { unit, profile } = this._flightEstimator;
+        const { blockTime, fuel, co2PerPassenger } = this._flightEstimator.estimate(distance);
+        return `
+            <h3>${escapeHtml(origin)} - ${escapeHtml(destination)}</h3>
+            <p>Distance: ${formatDistance(distance, unit)}</p>
+            <p class="flight-estimates">
+                ${escapeHtml(profile.label)}<br />
+                Block time: ${formatDuration(blockTime)}<br />
+                Fuel: ${formatKilograms(fuel)}<br />
+                CO2 per passenger: ${formatKilograms(co2PerPassenger)}
+            </p>`;
+    }
+}
@@ -0,0 +1,195 @@
+import { ROUTE_FILTER_MAX_DISTANCE } from './constants.js';
+
+/**
+ * Expression testing whether a property is one of the values
+ * @param {string} property name of the feature property
+ * @param {Array<string>} values values to match
+ * @returns {Array} mapbox expression
+ */
+function matchAny(property, values) {
+    return ['match', ['get', property], values, true, false];
+}
+
+/**
+ * Filter of the displayed routes by distance range, destination continent and destination country.
+ * The same criteria are turned into mapbox filter expressions for the layers and into predicates to count routes.
+ * Capitals are filtered by their continent and country, selected origins stay visible
+ */
+export class RouteFilter {
+
+    /**
+     * Shortest displayed distance in km
+     * @type {number}
+     * @private
+     */
+    _minDistance = 0;
+
+    /**
+     * Longest displayed distance in km, ROUTE_FILTER_MAX_DISTANCE means no limit
+     * @type {number}
+     * @private
+     */
+    _maxDistance = ROUTE_FILTER_MAX_DISTANCE;
+
+    /**
+     * Continents whose destinations are hidden, continents of a dataset loaded later are shown by default
+     * @type {Array<string>}
+     * @private
+     */
+    _hiddenContinents = [];
+
+    /**
+     * Only destinations in these countries are shown, all countries when it is empty
+     * @type {Array<string>}
+     * @private
+     */
+    _includedCountries = [];
+
+    /**
+     * Destinations in these countries are hidden
+     * @type {Array<string>}
+     * @private
+     */
+    _excludedCountries = [];
+
+    /**
+     * Get the criteria of the filter
+     * @returns {{minDistance: number, maxDistance: number, hiddenContinents: Array<string>, includedCountries: Array<string>, excludedCountries: Array<string>}}
+     * @public
+     */
+    get criteria() {
+        return {
+            minDistance: this._minDistance,
+            maxDistance: this._maxDistance,
+            hiddenContinents: [...this._hiddenContinents],
+            includedCountries: [...this._includedCountries],
+            excludedCountries: [...this._excludedCountries]
+        };
+    }
+
+    /**
+     * Whether some routes or capitals may be hidden
+     * @returns {boolean} false when every route is shown
+     * @public
+     */
+    get isActive() {
+        return this._minDistance > 0
+            || this._maxDistance < ROUTE_FILTER_MAX_DISTANCE
+            || this._hiddenContinents.length > 0
+            || this._includedCountries.length > 0
+            || this._excludedCountries.length > 0;
+    }
+
+    /**
+     * Change some criteria, missing ones are unchanged.
+     * Distances are clamped between 0 and ROUTE_FILTER_MAX_DISTANCE and swapped when min is greater than max
+     * @param {{minDistance: number, maxDistance: number, hiddenContinents: Array<string>, includedCountries: Array<string>, excludedCountries: Array<string>}} criteria
+     * @returns {void}
+     * @public
+     */
+    update = ({ minDistance, maxDistance, hiddenContinents, includedCountries, excludedCountries }) => {
+        const clampDistance = (distance, fallback) => {
+            const value = Number(distance);
+            return distance === undefined || Number.isNaN(value)
+                ? fallback
+                : Math.min(Math.max(value, 0), ROUTE_FILTER_MAX_DISTANCE);
+        };
+        const min = clampDistance(minDistance, this._minDistance);
+        const max = clampDistance(maxDistance, this._maxDistance);
+        [this._minDistance, this._maxDistance] = min <= max ? [min, max] : [max, min];
+
+        // Labels of a match expression must be unique and non empty
+        const uniqueValues = (values, fallback) => {
+            return values ? [...new Set(values.filter(Boolean).map(String))] : fallback;
+        };
+        this._hiddenContinents = uniqueValues(hiddenContinents, this._hiddenContinents);
+        this._includedCountries = uniqueValues(includedCountries, this._includedCountries);
+        this._excludedCountries = uniqueValues(excludedCountries, this._excludedCountries);
+    }
+
+    /**
+     * Show every route again
+     * @returns {void}
+     * @public
+     */
+    reset = () => {
+        this._minDistance = 0;
+        this._maxDistance = ROUTE_FILTER_MAX_DISTANCE;
+        this._hiddenContinents = [];
+        this._includedCountries = [];
+        this._excludedCountries = [];
+    }
+
+    /**
+     * Whether a route is shown
+     * @param {{distance: number, destinationContinent: string, destinationCountry: string}} properties properties of the route
+     * @returns {boolean} true if the route passes the filter
+     * @public
+     */
+    matchesRoute = ({ distance, destinationContinent, destinationCountry }) => {
+        return distance >= this._minDistance
+            && (this._maxDistance >= ROUTE_FILTER_MAX_DISTANCE || distance <= this._maxDistance)
+            && this._matchesPlace(destinationContinent, destinationCountry);
+    }
+
+    /**
+     * Whether a capital marker is shown
+     * @param {{capitalName: string, continentName: string, countryName: string}} properties properties of the capital marker
+     * @param {Array<string>} origins names of the selected origins, always shown
+     * @returns {boolean} true if the capital passes the filter
+     * @public
+     */
+    matchesCapital = ({ capitalName, continentName, countryName }, origins = []) => {
+        return origins.includes(capitalName) || this._matchesPlace(continentName, countryName);
+    }
+
+    /**
+     * Mapbox filter expression of the route layers, same as matchesRoute
+     * @returns {Array} expression, null when every route is shown
+     * @public
+     */
+    routeExpression = () => {
+        if (!this.isActive) {
+            return null;
+        }
+        const conditions = [['>=', ['get', 'distance'], this._minDistance]];
+        if (this._maxDistance < ROUTE_FILTER_MAX_DISTANCE) {
+            conditions.push(['<=', ['get', 'distance'], this._maxDistance]);
+        }
+        return ['all', ...conditions, ...this._placeConditions('destinationContinent', 'destinationCountry')];
+    }
+
+    /**
+     * Whether a place passes the continent and country criteria
+     * @param {string} continent continent name
+     * @param {string} country country name
+     * @returns {boolean} true if the place is shown
+     * @private
+     */
+    _matchesPlace = (continent, country) => {
+        return !this._hiddenContinents.includes(continent)
+            && (!this._includedCountries.length || this._includedCountries.includes(country))
+            && !this._excludedCountries.includes(country);
+    }
+
+    /**
+     * Expressions of the continent and country criteria, same as _matchesPlace
+     * @param {string} continentProperty name of the continent property
+     * @param {string} countryProperty name of the country property
+     * @returns {Array<Array>} expressions, all of them must be true
+     * @private
+     */
+    _placeConditions = (continentProperty, countryProperty) => {
+        const conditions = [];
+        if (this._hiddenContinents.length) {
+            conditions.push(['!', matchAny(continentProperty, this._hiddenContinents)]);
+        }
+        if (this._includedCountries.length) {
+            conditions.push(matchAny(countryProperty, this._includedCountries));
+        }
+        if (this._excludedCountries.length) {
+            conditions.push(['!', matchAny(countryProperty, this._excludedCountries)]);
+        }
+        return conditions;
+    }
+}
@@ -0,0 +1,306 @@
+import * as turf from "@turf/turf";
+
+/**
+ * Binary min heap of {key, priority} used as priority queue by the shortest path search
+ */
+class MinHeap {
+    /**
+     * Heap ordered array of items
+     * @type {Array<{key: string, priority: number}>}
+     * @private
+     */
+    _items = [];
+
+    /**
+     * Get number of items in the heap
+     * @returns {number} number of items
+     */
+    get size() {
+        return this._items.length;
+    }
+
+    /**
+     * Add an item
+     * @param {string} key item key
+     * @param {number} priority lower priority is popped first
+     * @returns {void}
+     */
+    push(key, priority) {
+        const items = this._items;
+        items.push({ key, priority });
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent].priority <= items[index].priority) {
+                break;
+            }
+            [items[parent], items[index]] = [items[index], items[parent]];
+            index = parent;
+        }
+    }
+
+    /**
+     * Remove and return the item with the lowest priority
+     * @returns {{key: string, priority: number}} item or undefined if heap is empty
+     */
+    pop() {
+        const items = this._items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            items[0] = last;
+            let index = 0;
+            for (; ;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < items.length && items[left].priority < items[smallest].priority) {
+                    smallest = left;
+                }
+                if (right < items.length && items[right].priority < items[smallest].priority) {
+                    smallest = right;
+                }
+                if (smallest === index) {
+                    break;
+                }
+                [items[smallest], items[index]] = [items[index], items[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Weighted directed graph of capitals, edges are weighted by great-circle distance in km
+ */
+export class RouteGraph {
+
+    /**
+     * How the best path to a capital is chosen by reachableFrom.
+     * HOPS: fewest connections then shortest distance, DISTANCE: shortest cumulative distance
+     */
+    static REACH_METRICS = {
+        HOPS: 'hops',
+        DISTANCE: 'distance'
+    }
+
+    /**
+     * Cost of one hop when paths are compared by hops then distance, longer than any path on Earth
+     */
+    static HOP_WEIGHT = 1e9;
+
+    /**
+     * Mapping from {capital name => [longitude, latitude]}
+     * @type {Object<string, Array<number>>}
+     * @private
+     */
+    _nodes = {};
+
+    /**
+     * Mapping from {capital name => outgoing edges}
+     * @type {Object<string, Array<{destination: string, distance: number}>>}
+     * @private
+     */
+    _adjacency = {};
+
+    /**
+     * @param {Object<string, Array<number>>} nodes mapping from capital name to [longitude, latitude]
+     */
+    constructor(nodes) {
+        this._nodes = nodes;
+        Object.keys(nodes).forEach(name => {
+            this._adjacency[name] = [];
+        });
+    }
+
+    /**
+     * Great-circle distance between 2 coordinates
+     * @param {Array<number>} from [longitude, latitude]
+     * @param {Array<number>} to [longitude, latitude]
+     * @returns {number} distance in km
+     */
+    static greatCircleDistance(from, to) {
+        return turf.length(turf.lineString([from, to]), { units: 'kilometers' });
+    }
+
+    /**
+     * Build graph from an explicit edge list, edges with unknown endpoints are ignored
+     * @param {Object<string, Array<number>>} nodes mapping from capital name to [longitude, latitude]
+     * @param {Array<{origin: string, destination: string}>} edges directed edges
+     * @returns {RouteGraph} graph instance
+     */
+    static fromEdgeList(nodes, edges) {
+        const graph = new RouteGraph(nodes);
+        edges.forEach(({ origin, destination }) => graph.addEdge(origin, destination));
+        return graph;
+    }
+
+    /**
+     * Build graph connecting every pair of capitals that are at most maxLegLength km apart
+     * @param {Object<string, Array<number>>} nodes mapping from capital name to [longitude, latitude]
+     * @param {number} maxLegLength max distance of one leg in km
+     * @returns {RouteGraph} graph instance
+     */
+    static fromMaxLegLength(nodes, maxLegLength) {
+        const graph = new RouteGraph(nodes);
+        const names = Object.keys(nodes);
+        names.forEach((origin, index) => {
+            names.slice(index + 1).forEach(destination => {
+                const distance = RouteGraph.greatCircleDistance(nodes[origin], nodes[destination]);
+                if (distance <= maxLegLength) {
+                    graph.addEdge(origin, destination, distance);
+                    graph.addEdge(destination, origin, distance);
+                }
+            });
+        });
+        return graph;
+    }
+
+    /**
+     * Get coordinates of a capital
+     * @param {string} name capital name
+     * @returns {Array<number>} [longitude, latitude] or undefined if capital is not in graph
+     * @public
+     */
+    coordinatesOf(name) {
+        return this._nodes[name];
+    }
+
+    /**
+     * Get outgoing edges of a capital
+     * @param {string} name capital name
+     * @returns {Array<{destination: string, distance: number}>} outgoing edges
+     * @public
+     */
+    edgesFrom(name) {
+        return this._adjacency[name] || [];
+    }
+
+    /**
+     * Add a directed edge
+     * @param {string} origin origin capital name
+     * @param {string} destination destination capital name
+     * @param {number} distance weight of the edge, computed from coordinates if not provided
+     * @returns {boolean} whether the edge is added
+     * @public
+     */
+    addEdge(origin, destination, distance) {
+        if (!this._nodes[origin] || !this._nodes[destination] || origin === destination) {
+            return false;
+        }
+        const weight = distance === undefined
+            ? RouteGraph.greatCircleDistance(this._nodes[origin], this._nodes[destination])
+            : distance;
+        this._adjacency[origin].push({ destination, distance: weight });
+        return true;
+    }
+
+    /**
+     * Find the shortest path using A*, the great-circle distance to the destination is the heuristic.
+     * It never overestimates the remaining distance so the result is the same as Dijkstra
+     * @param {string} origin origin capital name
+     * @param {string} destination destination capital name
+     * @returns {{path: Array<string>, legs: Array<{origin: string, destination: string, distance: number}>, distance: number}} null if destination is unreachable
+     * @public
+     */
+    shortestPath(origin, destination) {
+        if (!this._nodes[origin] || !this._nodes[destination]) {
+            return null;
+        }
+
+        const target = this._nodes[destination];
+        const heuristic = name => RouteGraph.greatCircleDistance(this._nodes[name], target);
+
+        const distances = new Map([[origin, 0]]);
+        const previous = new Map();
+        const visited = new Set();
+        const queue = new MinHeap();
+        queue.push(origin, heuristic(origin));
+
+        while (queue.size) {
+            const { key: current } = queue.pop();
+            if (current === destination) {
+                break;
+            }
+            if (visited.has(current)) {
+                continue;
+            }
+            visited.add(current);
+
+            this.edgesFrom(current).forEach(({ destination: next, distance }) => {
+                const candidate = distances.get(current) + distance;
+                if (visited.has(next) || (distances.has(next) && distances.get(next) <= candidate)) {
+                    return;
+                }
+                distances.set(next, candidate);
+                previous.set(next, current);
+                queue.push(next, candidate + heuristic(next));
+            });
+        }
+
+        if (!distances.has(destination)) {
+            return null;
+        }
+
+        const path = [destination];
+        while (path[0] !== origin) {
+            path.unshift(previous.get(path[0]));
+        }
+
+        const legs = path.slice(1).map((name, index) => ({
+            origin: path[index],
+            destination: name,
+            distance: distances.get(name) - distances.get(path[index])
+        }));
+
+        return { path, legs, distance: distances.get(destination) };
+    }
+
+    /**
+     * Find every capital reachable from an origin within a limit of hops or of cumulative distance, with its best path.
+     * Best paths form a tree rooted at the origin, it is searched with Dijkstra
+     * @param {string} origin origin capital name
+     * @param {string} metric one of RouteGraph.REACH_METRICS
+     * @param {number} limit max number of hops for HOPS, max cumulative distance in km for DISTANCE
+     * @returns {Array<{name: string, hops: number, distance: number, previous: string}>} reached capitals in ascending order of cost,
+     * the origin comes first with a null previous capital. Empty if the origin is not in graph
+     * @public
+     */
+    reachableFrom(origin, metric = RouteGraph.REACH_METRICS.HOPS, limit = Infinity) {
+        if (!this._nodes[origin]) {
+            return [];
+        }
+
+        const byHops = metric === RouteGraph.REACH_METRICS.HOPS;
+        const cost = ({ hops, distance }) => (byHops ? hops * RouteGraph.HOP_WEIGHT + distance : distance);
+        const isWithinLimit = ({ hops, distance }) => (byHops ? hops : distance) <= limit;
+
+        const best = new Map([[origin, { name: origin, hops: 0, distance: 0, previous: null }]]);
+        const visited = new Set();
+        const reached = [];
+        const queue = new MinHeap();
+        queue.push(origin, 0);
+
+        while (queue.size) {
+            const { key: current } = queue.pop();
+            if (visited.has(current)) {
+                continue;
+            }
+            visited.add(current);
+            const node = best.get(current);
+            reached.push(node);
+
+            this.edgesFrom(current).forEach(({ destination: next, distance }) => {
+                const candidate = { name: next, hops: node.hops + 1, distance: node.distance + distance, previous: current };
+                if (visited.has(next) || !isWithinLimit(candidate) || (best.has(next) && cost(best.get(next)) <= cost(candidate))) {
+                    return;
+                }
+                best.set(next, candidate);
+                queue.push(next, cost(candidate));
+            });
+        }
+
+        return reached;
+    }
+}
@@ -0,0 +1,224 @@
+import { DatasetLoaderRegistry, parseDelimitedText, findColumnIndex, OPEN_FLIGHTS_NULL } from './dataset-loaders.js';
+import { parseScheduleDate } from './timeline.js';
+
+/**
+ * Loaders that turn route datasets (OpenFlights routes.dat, CSV edge lists) into route records:
+ * { origin, destination, airline, frequency, line } where origin/destination are names or codes of locations.
+ * Records with a seat capacity or a passenger count also have seats or passengers.
+ * Records of schedules also have validFrom/validTo or departure timestamps in ms.
+ * Invalid rows are reported the same way as location datasets: { line, index, message }
+ */
+
+/**
+ * Candidate header names(lower case) for every column of a CSV route dataset
+ */
+export const DEFAULT_ROUTE_CSV_COLUMNS = {
+    origin: ['origin', 'source', 'from', 'src'],
+    destination: ['destination', 'dest', 'to', 'dst'],
+    airline: ['airline', 'carrier'],
+    frequency: ['frequency', 'freq', 'flights'],
+    seats: ['seats', 'capacity', 'seat_capacity'],
+    passengers: ['passengers', 'pax', 'passenger_count'],
+    validFrom: ['valid_from', 'validfrom', 'valid from', 'effective_from', 'start_date'],
+    validTo: ['valid_to', 'validto', 'valid to', 'effective_to', 'end_date'],
+    departure: ['departure', 'departure_time', 'departs', 'std']
+};
+
+/**
+ * Column positions in OpenFlights routes.dat, see https://openflights.org/data.html#route
+ */
+const ROUTES_DAT_COLUMNS = {
+    airline: 0,
+    origin: 2,
+    originId: 3,
+    destination: 4,
+    destinationId: 5,
+    stops: 7
+};
+
+/**
+ * Parse an optional count of a route, e.g: seats
+ * @param {*} value raw value
+ * @returns {number} count, null when the value is missing, NaN when it isn't a non negative number
+ */
+function parseOptionalCount(value) {
+    if (value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    const count = Number(value);
+    return count >= 0 ? count : NaN;
+}
+
+/**
+ * Build a route record, validating its endpoints, frequency, seats, passengers and dates.
+ * validTo is included, a date without time lasts until the end of the day
+ * @param {{
+ *  origin: string, destination: string, airline: string, frequency: *, seats: *, passengers: *,
+ *  validFrom: string, validTo: string, departure: string
+ * }} route raw route
+ * @returns {{record: Object, error: string}} record when the route is valid, error message otherwise
+ */
+export function createRouteRecord({ origin, destination, airline, frequency, seats, passengers, validFrom, validTo, departure, ...rest }) {
+    const from = (origin || '').trim();
+    const to = (destination || '').trim();
+    if (!from || !to) {
+        return { error: `missing ${from ? 'destination' : 'origin'}` };
+    }
+
+    const hasFrequency = frequency !== undefined && String(frequency).trim() !== '';
+    const flights = hasFrequency ? Number(frequency) : 1;
+    if (Number.isNaN(flights) || flights < 0) {
+        return { error: `invalid frequency "${frequency}" for ${from} - ${to}` };
+    }
+
+    const rawVolumes = { seats, passengers };
+    const volumes = { seats: parseOptionalCount(seats), passengers: parseOptionalCount(passengers) };
+    const invalidVolume = Object.keys(volumes).find(key => Number.isNaN(volumes[key]));
+    if (invalidVolume) {
+        return { error: `invalid ${invalidVolume} "${rawVolumes[invalidVolume]}" for ${from} - ${to}` };
+    }
+
+    const rawDates = { validFrom, validTo, departure };
+    const dates = {
+        validFrom: parseScheduleDate(validFrom),
+        validTo: parseScheduleDate(validTo, true),
+        departure: parseScheduleDate(departure)
+    };
+    const invalidDate = Object.keys(dates).find(key => Number.isNaN(dates[key]));
+    if (invalidDate) {
+        return { error: `invalid ${invalidDate} "${rawDates[invalidDate]}" for ${from} - ${to}` };
+    }
+    if (dates.validFrom !== null && dates.validTo !== null && dates.validFrom >= dates.validTo) {
+        return { error: `validFrom is after validTo for ${from} - ${to}` };
+    }
+    // Only schedules have dates
+    const scheduleDates = {};
+    Object.keys(dates).filter(key => dates[key] !== null).forEach(key => {
+        scheduleDates[key] = dates[key];
+    });
+    const knownVolumes = {};
+    Object.keys(volumes).filter(key => volumes[key] !== null).forEach(key => {
+        knownVolumes[key] = volumes[key];
+    });
+
+    return {
+        record: {
+            ...rest,
+            origin: from,
+            destination: to,
+            airline: airline && airline !== OPEN_FLIGHTS_NULL ? airline.trim() : '',
+            frequency: flights,
+            ...knownVolumes,
+            ...scheduleDates
+        }
+    };
+}
+
+/**
+ * Loader for OpenFlights routes.dat. Every row is one airline operating a route.
+ * Endpoints are airport codes with the OpenFlights airport id as fallback(originId, destinationId)
+ */
+export const ROUTES_DAT_LOADER = {
+    name: 'routes-dat',
+    extensions: ['dat'],
+    dataType: 'text',
+    sniff: content => {
+        if (typeof content !== 'string') {
+            return false;
+        }
+        const [firstRow] = parseDelimitedText(content.slice(0, 2000));
+        return Boolean(firstRow) && firstRow.fields.length === 9 && /^\d+$/.test(firstRow.fields[ROUTES_DAT_COLUMNS.stops]);
+    },
+    parse: content => {
+        const records = [];
+        const errors = [];
+        parseDelimitedText(content).forEach(({ fields, line }, index) => {
+            if (fields.length < 6) {
+                errors.push({ line, index, message: `expected at least 6 fields, got ${fields.length}` });
+                return;
+            }
+            const field = column => {
+                const value = fields[ROUTES_DAT_COLUMNS[column]];
+                return value === OPEN_FLIGHTS_NULL ? '' : value;
+            };
+            const { record, error } = createRouteRecord({
+                origin: field('origin') || field('originId'),
+                destination: field('destination') || field('destinationId'),
+                airline: field('airline'),
+                originId: field('originId'),
+                destinationId: field('destinationId'),
+                line
+            });
+            if (error) {
+                errors.push({ line, index, message: error });
+                return;
+            }
+            records.push(record);
+        });
+        return { records, errors };
+    }
+};
+
+/**
+ * Loader for CSV edge lists with a header row, e.g: origin,destination,airline,frequency.
+ * Columns are mapped with options.columns, falling back to DEFAULT_ROUTE_CSV_COLUMNS
+ */
+export const ROUTES_CSV_LOADER = {
+    name: 'routes-csv',
+    extensions: ['csv', 'txt'],
+    dataType: 'text',
+    sniff: content => typeof content === 'string',
+    parse: (content, options = {}) => {
+        const [headerRow, ...rows] = parseDelimitedText(content, options.delimiter || ',');
+        if (!headerRow) {
+            return { records: [], errors: [{ line: 1, index: 0, message: 'file is empty' }] };
+        }
+
+        const header = headerRow.fields.map(field => field.trim().toLowerCase());
+        const columns = { ...DEFAULT_ROUTE_CSV_COLUMNS, ...options.columns };
+        const indexes = {};
+        Object.keys(columns).forEach(key => {
+            indexes[key] = findColumnIndex(header, columns[key]);
+        });
+
+        const missing = ['origin', 'destination'].filter(key => indexes[key] === -1);
+        if (missing.length) {
+            return {
+                records: [],
+                errors: [{ line: headerRow.line, index: 0, message: `missing column(s): ${missing.join(', ')}` }]
+            };
+        }
+
+        const records = [];
+        const errors = [];
+        rows.forEach(({ fields, line }, index) => {
+            const field = key => (indexes[key] === -1 ? undefined : fields[indexes[key]]);
+            const { record, error } = createRouteRecord({
+                origin: field('origin'),
+                destination: field('destination'),
+                airline: field('airline'),
+                frequency: field('frequency'),
+                seats: field('seats'),
+                passengers: field('passengers'),
+                validFrom: field('validFrom'),
+                validTo: field('validTo'),
+                departure: field('departure'),
+                line
+            });
+            if (error) {
+                errors.push({ line, index, message: error });
+                return;
+            }
+            records.push(record);
+        });
+        return { records, errors };
+    }
+};
+
+/**
+ * Registry with all the built in route loaders, CSV comes last as it accepts any text
+ */
+export const routeLoaders = new DatasetLoaderRegistry([
+    ROUTES_DAT_LOADER,
+    ROUTES_CSV_LOADER
+]);
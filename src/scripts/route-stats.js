@@ -0,0 +1,105 @@
+import { ROUTE_STATS_HISTOGRAM_BINS } from './constants.js';
+
+/**
+ * Median of sorted values
+ * @param {Array<number>} sortedValues values in ascending order
+ * @returns {number} median, NaN when there is no value
+ */
+export function median(sortedValues) {
+    const { length } = sortedValues;
+    if (!length) {
+        return NaN;
+    }
+    const middle = Math.floor(length / 2);
+    return length % 2 ? sortedValues[middle] : (sortedValues[middle - 1] + sortedValues[middle]) / 2;
+}
+
+/**
+ * Round a bin width up to 1, 2, 2.5 or 5 times a power of 10 so that bin bounds are readable
+ * @param {number} width raw width
+ * @returns {number} nice width, at least 1
+ */
+export function niceBinWidth(width) {
+    if (!(width > 1)) {
+        return 1;
+    }
+    const power = 10 ** Math.floor(Math.log10(width));
+    const multiplier = [1, 2, 2.5, 5, 10].find(m => m * power >= width);
+    return multiplier * power;
+}
+
+/**
+ * Count distances in bins of the same width starting at 0, the longest distance falls in the last bin.
+ * Bins are [from, to)
+ * @param {Array<number>} distances distances in km
+ * @param {number} binCount approximate number of bins, the width is rounded by niceBinWidth
+ * @returns {Array<{from: number, to: number, count: number}>} bins in ascending order, empty when there is no distance
+ */
+export function computeHistogram(distances, binCount = ROUTE_STATS_HISTOGRAM_BINS) {
+    if (!distances.length) {
+        return [];
+    }
+    const max = Math.max(...distances);
+    const width = niceBinWidth(max / binCount);
+    const bins = Array.from({ length: Math.floor(max / width) + 1 }, (_, index) => ({
+        from: index * width,
+        to: (index + 1) * width,
+        count: 0
+    }));
+    distances.forEach(distance => {
+        bins[Math.floor(distance / width)].count++;
+    });
+    return bins;
+}
+
+/**
+ * Compute statistics of the displayed routes
+ * @param {GEOJSON.FeatureCollection<LineString>} routes arcs with distance, category and destinationContinent properties
+ * @param {Array<string>} categoryNames names of the distance categories, the order of the category counts
+ * @param {number} binCount approximate number of bins of the histogram
+ * @returns {{
+ *  routeCount: number,
+ *  categories: Array<{category: string, count: number}>,
+ *  distance: {min: number, max: number, mean: number, median: number},
+ *  nearest: {origin: string, destination: string, distance: number},
+ *  farthest: {origin: string, destination: string, distance: number},
+ *  histogram: Array<{from: number, to: number, count: number}>,
+ *  continents: Array<{continent: string, count: number, meanDistance: number}>
+ * }} statistics, distance, nearest and farthest are null when there is no route
+ */
+export function computeRouteStats(routes, categoryNames = [], binCount = ROUTE_STATS_HISTOGRAM_BINS) {
+    const features = ((routes && routes.features) || [])
+        .filter(({ properties }) => properties && Number.isFinite(properties.distance));
+    const sortedRoutes = features
+        .map(({ properties: { origin, destination, distance } }) => ({ origin, destination, distance }))
+        .sort((a, b) => a.distance - b.distance);
+    const distances = sortedRoutes.map(({ distance }) => distance);
+
+    const categoryCounts = {};
+    const continents = {};
+    features.forEach(({ properties: { category, destinationContinent, distance } }) => {
+        categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+
+        const continent = destinationContinent || 'UNKNOWN';
+        continents[continent] = continents[continent] || { continent, count: 0, totalDistance: 0 };
+        continents[continent].count++;
+        continents[continent].totalDistance += distance;
+    });
+
+    return {
+        routeCount: features.length,
+        categories: categoryNames.map(category => ({ category, count: categoryCounts[category] || 0 })),
+        distance: distances.length ? {
+            min: distances[0],
+            max: distances[distances.length - 1],
+            mean: distances.reduce((sum, distance) => sum + distance, 0) / distances.length,
+            median: median(distances)
+        } : null,
+        nearest: sortedRoutes[0] || null,
+        farthest: sortedRoutes[sortedRoutes.length - 1] || null,
+        histogram: computeHistogram(distances, binCount),
+        continents: Object.values(continents)
+            .map(({ continent, count, totalDistance }) => ({ continent, count, meanDistance: totalDistance / count }))
+            .sort((a, b) => b.count - a.count || a.continent.localeCompare(b.continent))
+    };
+}
@@ -0,0 +1,138 @@
+/**
+ * Composite a rendered map canvas with a title, the distance legend and an attribution line into a PNG snapshot
+ */
+
+/**
+ * Attribution required by Mapbox and OpenStreetMap on static images of the map
+ */
+export const SNAPSHOT_ATTRIBUTION = '© Mapbox © OpenStreetMap';
+
+/**
+ * Colors of the overlays for both themes, same as the menu and description box
+ */
+export const SNAPSHOT_PALETTES = {
+    light: {
+        background: 'rgba(255, 255, 255, 0.9)',
+        text: '#000000'
+    },
+    dark: {
+        background: 'rgba(40, 44, 52, 0.9)',
+        text: '#ffffff'
+    }
+};
+
+/**
+ * Sizes of the overlays in css pixels, multiplied by the scale of the snapshot
+ */
+const LAYOUT = {
+    margin: 10,
+    padding: 12,
+    titleFontSize: 18,
+    fontSize: 13,
+    swatchSize: 16,
+    rowHeight: 24,
+    fontFamily: "'Open Sans', sans-serif"
+};
+
+/**
+ * Draw the snapshot on a 2d context
+ * @param {CanvasRenderingContext2D} context context of the snapshot canvas
+ * @param {HTMLCanvasElement} mapCanvas rendered map
+ * @param {{width: number, height: number, scale: number, title: string, legendItems: Array<{label: string, colors: Array<string>}>, dark: boolean, attribution: string}} options
+ * size in css pixels, title, legend entries(see Stylings.getLegendItems) and theme of the snapshot
+ * @returns {void}
+ */
+export function drawSnapshot(context, mapCanvas, { width, height, scale, title, legendItems, dark, attribution = SNAPSHOT_ATTRIBUTION }) {
+    const palette = dark ? SNAPSHOT_PALETTES.dark : SNAPSHOT_PALETTES.light;
+    const px = value => value * scale;
+    const font = (size, weight = 'normal') => `${weight} ${px(size)}px ${LAYOUT.fontFamily}`;
+
+    context.drawImage(mapCanvas, 0, 0, px(width), px(height));
+    context.textBaseline = 'middle';
+
+    // Title at the top left corner
+    if (title) {
+        context.font = font(LAYOUT.titleFontSize, 'bold');
+        const titleWidth = context.measureText(title).width + px(LAYOUT.padding * 2);
+        const titleHeight = px(LAYOUT.titleFontSize + LAYOUT.padding * 2);
+        context.fillStyle = palette.background;
+        context.fillRect(px(LAYOUT.margin), px(LAYOUT.margin), titleWidth, titleHeight);
+        context.fillStyle = palette.text;
+        context.fillText(title, px(LAYOUT.margin + LAYOUT.padding), px(LAYOUT.margin) + titleHeight / 2);
+    }
+
+    // Legend at the top right corner, same place as the description box
+    const header = 'Distance (km)';
+    context.font = font(LAYOUT.fontSize);
+    const labelWidth = Math.max(
+        context.measureText(header).width,
+        ...legendItems.map(({ label }) => context.measureText(label).width + px(LAYOUT.swatchSize + LAYOUT.padding))
+    );
+    const legendWidth = labelWidth + px(LAYOUT.padding * 2);
+    const legendHeight = px(LAYOUT.padding * 2 + LAYOUT.rowHeight * (legendItems.length + 1));
+    const legendLeft = px(width - LAYOUT.margin) - legendWidth;
+    const legendTop = px(LAYOUT.margin);
+
+    context.fillStyle = palette.background;
+    context.fillRect(legendLeft, legendTop, legendWidth, legendHeight);
+
+    const left = legendLeft + px(LAYOUT.padding);
+    const rowCenter = row => legendTop + px(LAYOUT.padding + LAYOUT.rowHeight * (row + 0.5));
+
+    context.fillStyle = palette.text;
+    context.font = font(LAYOUT.fontSize, 'bold');
+    context.fillText(header, left, rowCenter(0));
+
+    context.font = font(LAYOUT.fontSize);
+    legendItems.forEach(({ label, colors }, index) => {
+        const center = rowCenter(index + 1);
+        const swatchTop = center - px(LAYOUT.swatchSize / 2);
+
+        // Ramp categories are drawn with the gradient of their distance range
+        if (colors.length > 1) {
+            const gradient = context.createLinearGradient(left, 0, left + px(LAYOUT.swatchSize), 0);
+            colors.forEach((color, colorIndex) => gradient.addColorStop(colorIndex / (colors.length - 1), color));
+            context.fillStyle = gradient;
+        } else {
+            context.fillStyle = colors[0];
+        }
+        context.fillRect(left, swatchTop, px(LAYOUT.swatchSize), px(LAYOUT.swatchSize));
+
+        context.fillStyle = palette.text;
+        context.fillText(label, left + px(LAYOUT.swatchSize + LAYOUT.padding), center);
+    });
+
+    // Attribution at the bottom right corner
+    context.font = font(LAYOUT.fontSize - 2);
+    const attributionWidth = context.measureText(attribution).width + px(LAYOUT.padding);
+    const attributionHeight = px(LAYOUT.fontSize + 4);
+    context.fillStyle = palette.background;
+    context.fillRect(px(width) - attributionWidth, px(height) - attributionHeight, attributionWidth, attributionHeight);
+    context.fillStyle = palette.text;
+    context.fillText(attribution, px(width) - attributionWidth + px(LAYOUT.padding / 2), px(height) - attributionHeight / 2);
+}
+
+/**
+ * Draw the snapshot on an offscreen canvas
+ * @param {HTMLCanvasElement} mapCanvas rendered map
+ * @param {Object} options see drawSnapshot
+ * @returns {HTMLCanvasElement} snapshot canvas of size (width * scale, height * scale)
+ */
+export function composeSnapshot(mapCanvas, options) {
+    const canvas = document.createElement('canvas');
+    canvas.width = options.width * options.scale;
+    canvas.height = options.height * options.scale;
+    drawSnapshot(canvas.getContext('2d'), mapCanvas, options);
+    return canvas;
+}
+
+/**
+ * Encode a canvas to PNG
+ * @param {HTMLCanvasElement} canvas canvas to encode
+ * @returns {Promise<Blob>} PNG image
+ */
+export function canvasToPngBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Image can't be created from the map"))), 'image/png');
+    });
+}
@@ -0,0 +1,193 @@
+import * as topojson from 'topojson-client';
+import countries110m from 'world-atlas/countries-110m.json';
+
+import { PREFIX_STYLE_URL } from './constants.js';
+
+/**
+ * Style providers turn the basemap config of a theme into a style that mapbox-gl can load:
+ * - mapbox: hosted Mapbox style, e.g: { type: 'mapbox', styleId: 'mapbox/light-v10' }, needs an access token
+ * - url: style JSON served with its own tiles, e.g: { type: 'url', url: '/static/styles/light.json' }
+ * - raster: raster tiles, e.g: { type: 'raster', tiles: ['/tiles/{z}/{x}/{y}.png'], tileSize: 256 }
+ * - blank: background with the Natural Earth countries bundled with the app, e.g: { type: 'blank', background: '#fff' }
+ * Only the mapbox provider needs Mapbox servers, the others can run on an air-gapped network
+ */
+
+/**
+ * Countries GeoJSON converted from the bundled TopoJSON on first use
+ * @type {GeoJSON.FeatureCollection}
+ */
+let countries = null;
+
+/**
+ * Get the bundled Natural Earth countries(1:110m)
+ * @returns {GeoJSON.FeatureCollection} countries polygons
+ */
+export function getCountries() {
+    if (!countries) {
+        countries = topojson.feature(countries110m, countries110m.objects.countries);
+    }
+    return countries;
+}
+
+/**
+ * Hosted Mapbox style, the style id is appended to PREFIX_STYLE_URL
+ */
+export const MAPBOX_STYLE_PROVIDER = {
+    type: 'mapbox',
+    requiresAccessToken: true,
+    attribution: () => '© Mapbox © OpenStreetMap',
+    createStyle: ({ styleId }) => `${PREFIX_STYLE_URL}${styleId}`
+};
+
+/**
+ * Self-hosted style JSON, its sources may point at local vector or raster tiles
+ */
+export const URL_STYLE_PROVIDER = {
+    type: 'url',
+    requiresAccessToken: false,
+    attribution: ({ attribution }) => attribution || '',
+    createStyle: ({ url }) => url
+};
+
+/**
+ * Style with a single layer of raster tiles, e.g: tiles rendered from OpenStreetMap on a local tile server
+ */
+export const RASTER_STYLE_PROVIDER = {
+    type: 'raster',
+    requiresAccessToken: false,
+    attribution: ({ attribution }) => attribution || '',
+    createStyle: ({ tiles, tileSize = 256, minzoom = 0, maxzoom = 22, attribution = '' }) => ({
+        version: 8,
+        sources: {
+            basemap: { type: 'raster', tiles, tileSize, minzoom, maxzoom, attribution }
+        },
+        layers: [
+            { id: 'basemap', type: 'raster', source: 'basemap' }
+        ]
+    })
+};
+
+/**
+ * Plain background with the bundled countries, it needs no server at all
+ */
+export const BLANK_STYLE_PROVIDER = {
+    type: 'blank',
+    requiresAccessToken: false,
+    attribution: () => 'Natural Earth',
+    createStyle: ({ background = '#ffffff', countryFill = '#eeeeee', countryLine = '#bdbdbd' }) => ({
+        version: 8,
+        sources: {
+            countries: { type: 'geojson', data: getCountries() }
+        },
+        layers: [
+            { id: 'background', type: 'background', paint: { 'background-color': background } },
+            { id: 'countries-fill', type: 'fill', source: 'countries', paint: { 'fill-color': countryFill } },
+            { id: 'countries-line', type: 'line', source: 'countries', paint: { 'line-color': countryLine, 'line-width': 0.5 } }
+        ]
+    })
+};
+
+/**
+ * All the built in style providers
+ */
+export const STYLE_PROVIDERS = [
+    MAPBOX_STYLE_PROVIDER,
+    URL_STYLE_PROVIDER,
+    RASTER_STYLE_PROVIDER,
+    BLANK_STYLE_PROVIDER
+];
+
+/**
+ * Find the provider of a basemap config
+ * @param {{type: string}} config basemap config
+ * @returns {Object} style provider
+ * @throws {Error} when the type is unknown
+ */
+export function findStyleProvider(config) {
+    const provider = STYLE_PROVIDERS.find(({ type }) => type === config.type);
+    if (!provider) {
+        throw new Error(`Unknown basemap type "${config.type}"`);
+    }
+    return provider;
+}
+
+/**
+ * Create the style of a basemap config
+ * @param {{type: string}} config basemap config
+ * @returns {string|Object} style url or style JSON
+ */
+export function createMapStyle(config) {
+    return findStyleProvider(config).createStyle(config);
+}
+
+/**
+ * Whether a basemap config is loaded from Mapbox servers and needs an access token
+ * @param {{type: string}} config basemap config
+ * @returns {boolean} true if an access token is needed
+ */
+export function requiresAccessToken(config) {
+    return findStyleProvider(config).requiresAccessToken;
+}
+
+/**
+ * Get the attribution line of a basemap config, e.g: for snapshots
+ * @param {{type: string}} config basemap config
+ * @returns {string} attribution
+ */
+export function getAttribution(config) {
+    return findStyleProvider(config).attribution(config);
+}
+
+/**
+ * Icon drawn when the basemap has no sprite for an icon used by the app, e.g: airport-11 with the blank basemap.
+ * It is an arrow pointing up so that rotated planes still show their heading
+ * @param {number} size width and height in pixels
+ * @param {Array<number>} color [red, green, blue]
+ * @returns {{width: number, height: number, data: Uint8Array}} RGBA image accepted by map.addImage
+ */
+export function createFallbackIcon(size, color = [84, 110, 122]) {
+    const data = new Uint8Array(size * size * 4);
+    const center = (size - 1) / 2;
+    for (let y = 0; y < size; y++) {
+        // Half width of the arrow grows from the tip(top) to the tail(bottom)
+        const halfWidth = (y / (size - 1)) * center;
+        for (let x = 0; x < size; x++) {
+            if (Math.abs(x - center) <= halfWidth) {
+                const offset = (y * size + x) * 4;
+                data.set([...color, 255], offset);
+            }
+        }
+    }
+    return { width: size, height: size, data };
+}
+
+/**
+ * Signed distance fields of icons follow the SDF glyphs of Mapbox: alpha is SDF_EDGE on the edge of the shape
+ * and changes by 255 / SDF_RADIUS per pixel of distance to it, pixels above the edge are drawn
+ */
+const SDF_EDGE = 192;
+const SDF_RADIUS = 8;
+
+/**
+ * Pixels around the shape of an SDF icon, kept for the distances outside of it
+ */
+const SDF_BUFFER = 3;
+
+/**
+ * Round icon of capitals styled by centrality. It is a signed distance field so that layers can color it with icon-color
+ * @param {number} size width and height in pixels, the diameter of the circle is smaller by 2 * SDF_BUFFER
+ * @returns {{width: number, height: number, data: Uint8Array}} RGBA image accepted by map.addImage with { sdf: true }
+ */
+export function createCircleIcon(size) {
+    const data = new Uint8Array(size * size * 4);
+    const center = (size - 1) / 2;
+    const radius = center - SDF_BUFFER;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const distance = Math.hypot(x - center, y - center) - radius;
+            const alpha = Math.min(Math.max(SDF_EDGE - distance * 255 / SDF_RADIUS, 0), 255);
+            data.set([255, 255, 255, Math.round(alpha)], (y * size + x) * 4);
+        }
+    }
+    return { width: size, height: size, data };
+}
@@ -9,14 +9,49 @@ export class Stylings {
     static THEME_KEY = 'THEME';
 
     /**
-     * Url path and Key for light theme
+     * Key for light theme
      */
-    static LIGHT_THEME = 'mapbox/light-v10';
+    static LIGHT_THEME = 'light';
 
     /**
-     * Url path and key for customed dark theme
+     * Key for dark theme
      */
-    static DARK_THEME = 'anhnguyen6281/ck7ir19ij3qoo1inr3qhnowy5';
+    static DARK_THEME = 'dark';
+
+    /**
+     * Themes that can be selected
+     */
+    static THEMES = [Stylings.LIGHT_THEME, Stylings.DARK_THEME];
+
+    /**
+     * Mapping from the Mapbox style ids that used to be theme keys to theme keys,
+     * so that themes stored in localstorage or shared in urls before still work
+     */
+    static LEGACY_THEME_IDS = {
+        'mapbox/light-v10': Stylings.LIGHT_THEME,
+        'anhnguyen6281/ck7ir19ij3qoo1inr3qhnowy5': Stylings.DARK_THEME
+    }
+
+    /**
+     * Basemap config of every theme, grouped by basemap. See style-providers.js for the config of each type
+     */
+    static BASEMAPS = {
+        // Hosted Mapbox styles, needs an access token
+        mapbox: {
+            [Stylings.LIGHT_THEME]: { type: 'mapbox', styleId: 'mapbox/light-v10' },
+            [Stylings.DARK_THEME]: { type: 'mapbox', styleId: 'anhnguyen6281/ck7ir19ij3qoo1inr3qhnowy5' }
+        },
+        // Style JSON and tiles served next to the app
+        'self-hosted': {
+            [Stylings.LIGHT_THEME]: { type: 'url', url: '/static/styles/light.json' },
+            [Stylings.DARK_THEME]: { type: 'url', url: '/static/styles/dark.json' }
+        },
+        // Bundled countries only, works without any server
+        offline: {
+            [Stylings.LIGHT_THEME]: { type: 'blank', background: '#dbe9f4', countryFill: '#fafafa', countryLine: '#9e9e9e' },
+            [Stylings.DARK_THEME]: { type: 'blank', background: '#191a1a', countryFill: '#343332', countryLine: '#5c5c5c' }
+        }
+    }
 
     /**
      * Mapping constants to distance category
@@ -80,6 +115,94 @@ export class Stylings {
         [Stylings.DISTANCE_CATEROGY_NAMES.SHORT]: 0
     }
 
+    /**
+     * Key to store/retrieve distance styling configuration from local storage
+     * @type {string}
+     */
+    static DISTANCE_CONFIG_KEY = 'DISTANCE_CONFIG';
+
+    /**
+     * How routes are colored: by discrete distance categories or by a continuous color ramp
+     */
+    static DISTANCE_STYLE_MODES = {
+        CATEGORIES: 'CATEGORIES',
+        RAMP: 'RAMP'
+    }
+
+    /**
+     * Default distance styling configuration, built from the constants above.
+     * Categories define the highlightable distance ranges, ramp stops define colors and widths of the RAMP mode
+     */
+    static DEFAULT_DISTANCE_CONFIG = {
+        mode: Stylings.DISTANCE_STYLE_MODES.CATEGORIES,
+        categories: Stylings.CATEGORY_NAMES_IN_DESC_ORDER.map(name => ({
+            name,
+            label: '',
+            minDistance: Stylings.MIN_DISTANCE[name],
+            colors: Stylings.COLORS[name],
+            lineWidth: Stylings.LINE_WIDTH[name]
+        })),
+        ramp: [
+            {
+                distance: 0,
+                colors: Stylings.COLORS[Stylings.DISTANCE_CATEROGY_NAMES.SHORT],
+                lineWidth: Stylings.LINE_WIDTH[Stylings.DISTANCE_CATEROGY_NAMES.SHORT]
+            },
+            {
+                distance: 5000,
+                colors: Stylings.COLORS[Stylings.DISTANCE_CATEROGY_NAMES.UPPER_MEDIUM],
+                lineWidth: Stylings.LINE_WIDTH[Stylings.DISTANCE_CATEROGY_NAMES.UPPER_MEDIUM]
+            },
+            {
+                distance: 15000,
+                colors: Stylings.COLORS[Stylings.DISTANCE_CATEROGY_NAMES.LONG],
+                lineWidth: Stylings.LINE_WIDTH[Stylings.DISTANCE_CATEROGY_NAMES.LONG]
+            }
+        ]
+    }
+
+    /**
+     * What the color of routes tells: distance category(or ramp) or origin of the route
+     */
+    static COLOR_MODES = {
+        DISTANCE: 'DISTANCE',
+        ORIGIN: 'ORIGIN'
+    }
+
+    /**
+     * Colors of origins in the order they are selected, readable with both themes
+     */
+    static ORIGIN_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#bfef45'];
+
+    /**
+     * Volumes that can set the width of routes in the flow mode, they are names of route properties
+     */
+    static FLOW_VOLUMES = {
+        PASSENGERS: 'passengers',
+        SEATS: 'seats',
+        FREQUENCY: 'frequency'
+    }
+
+    /**
+     * How volumes are scaled to widths, SQRT and LOG keep small flows visible next to big ones
+     */
+    static FLOW_SCALES = {
+        LINEAR: 'LINEAR',
+        SQRT: 'SQRT',
+        LOG: 'LOG'
+    }
+
+    /**
+     * Width and opacity of routes without volume and of the route with the biggest volume in the flow mode
+     */
+    static FLOW_LINE_WIDTH = { min: 0.5, max: 12 };
+    static FLOW_LINE_OPACITY = { min: 0.3, max: 0.9 };
+
+    /**
+     * Number of width samples of the flow legend
+     */
+    static FLOW_LEGEND_SAMPLES = 4;
+
     /**
      * Style of route, it uses Style conditional expression to handle hover style 
      */
@@ -110,14 +233,185 @@ export class Stylings {
         }
     }
 
+    /**
+     * Style of the itinerary found by the route finder, drawn above other routes
+     */
+    static ITINERARY_STYLES = {
+        'paint': {
+            'line-width': 4,
+            'line-color': '#ff1744'
+        },
+        'layout': {
+            'line-cap': "round"
+        }
+    }
+
+    /**
+     * Colors of the routes of the compared datasets by their diff status, see CompareMode.DIFF_STATUSES
+     */
+    static ROUTE_DIFF_COLORS = {
+        ADDED: '#1a9850',
+        REMOVED: '#d73027',
+        UNCHANGED: '#9e9e9e'
+    }
+
+    /**
+     * Style of the routes of the compared datasets, added and removed routes are drawn above unchanged ones
+     */
+    static ROUTE_DIFF_STYLES = {
+        'paint': {
+            'line-width': ['match', ['get', 'diffStatus'], 'UNCHANGED', 1, 2],
+            'line-color': ['match', ['get', 'diffStatus'],
+                'ADDED', Stylings.ROUTE_DIFF_COLORS.ADDED,
+                'REMOVED', Stylings.ROUTE_DIFF_COLORS.REMOVED,
+                Stylings.ROUTE_DIFF_COLORS.UNCHANGED
+            ]
+        },
+        'layout': {
+            'line-cap': "round",
+            'line-sort-key': ['match', ['get', 'diffStatus'], 'UNCHANGED', 0, 1]
+        }
+    }
+
     static DEFAULT_LINE_OPACITY = 1;
     static UN_HIGHLIGHTED_LINE_OPACITY = 0.1;
-    static DEFAULT_LINES_OPACITY_STYLE = ['route', 'line-opacity', Stylings.DEFAULT_LINE_OPACITY]
+    // Routes of the flow mode have their own opacity
+    static ROUTE_LINE_OPACITY = ['coalesce', ['get', 'lineOpacity'], Stylings.DEFAULT_LINE_OPACITY];
+    static DEFAULT_LINES_OPACITY_STYLE = ['route', 'line-opacity', Stylings.ROUTE_LINE_OPACITY]
 
     static CAPITAL_ICON_STYLES = {
         layout: {
             'icon-image': 'airport-11',
             'icon-allow-overlap': true
+        },
+        // Clustered capitals are drawn by the cluster layers
+        filter: ['!', ['has', 'point_count']]
+    }
+
+    /**
+     * Style of clusters of capitals, bubbles grow with the number of capitals
+     */
+    static CAPITAL_CLUSTER_STYLES = {
+        filter: ['has', 'point_count'],
+        paint: {
+            'circle-color': '#546e7a',
+            'circle-opacity': 0.85,
+            'circle-radius': ['step', ['get', 'point_count'], 12, 10, 16, 30, 20],
+            'circle-stroke-width': 2,
+            'circle-stroke-color': '#ffffff'
+        }
+    }
+
+    /**
+     * Style of the number of capitals of a cluster, it needs the glyphs of the basemap
+     */
+    static CAPITAL_CLUSTER_COUNT_STYLES = {
+        filter: ['has', 'point_count'],
+        layout: {
+            'text-field': ['get', 'point_count_abbreviated'],
+            'text-size': 12,
+            'text-allow-overlap': true
+        },
+        paint: {
+            'text-color': '#ffffff'
+        }
+    }
+
+    /**
+     * Style of the selected origins, never clustered and drawn above other capitals
+     */
+    static ORIGIN_ICON_STYLES = {
+        layout: {
+            'icon-image': 'airport-15',
+            'icon-allow-overlap': true,
+            'icon-ignore-placement': true
+        }
+    }
+
+    /**
+     * Style of the halo around selected origins
+     */
+    static ORIGIN_HALO_STYLES = {
+        paint: {
+            'circle-radius': 13,
+            'circle-color': '#ffeb3b',
+            'circle-opacity': 0.6,
+            'circle-stroke-width': 2,
+            'circle-stroke-color': '#ff1744'
+        }
+    }
+
+    /**
+     * Style of the legs linking a spiderfied cluster to its capitals
+     */
+    static SPIDER_LEG_STYLES = {
+        filter: ['==', ['geometry-type'], 'LineString'],
+        paint: {
+            'line-width': 1,
+            'line-color': '#546e7a'
+        }
+    }
+
+    /**
+     * Style of the capitals of a spiderfied cluster
+     */
+    static SPIDER_CAPITAL_STYLES = {
+        ...Stylings.CAPITAL_ICON_STYLES,
+        filter: ['==', ['geometry-type'], 'Point']
+    }
+
+    /**
+     * Id of the round icon of capitals styled by centrality, it is an SDF image so that it can be colored
+     */
+    static HUB_ICON_ID = 'hub-marker';
+
+    /**
+     * Colors of the least central capitals to the most central ones
+     */
+    static HUB_CENTRALITY_COLORS = ['#fee08b', '#fc8d59', '#d73027'];
+
+    /**
+     * Colors of capitals reached in 1, 2, ... hops, the last one is used for more hops
+     */
+    static REACHABILITY_HOP_COLORS = ['#1a9850', '#91cf60', '#fee08b', '#fc8d59', '#d73027'];
+
+    /**
+     * Style of the tree of best paths of the reachability analysis
+     */
+    static REACHABILITY_TREE_STYLES = {
+        filter: ['==', ['geometry-type'], 'LineString'],
+        paint: {
+            'line-width': 2,
+            'line-color': ['get', 'color']
+        },
+        layout: {
+            'line-cap': 'round'
+        }
+    }
+
+    /**
+     * Style of the capitals reached by the reachability analysis, colored by hops or cumulative distance
+     */
+    static REACHABILITY_CAPITAL_STYLES = {
+        filter: ['==', ['geometry-type'], 'Point'],
+        paint: {
+            'circle-radius': 7,
+            'circle-color': ['get', 'color'],
+            'circle-stroke-width': 1,
+            'circle-stroke-color': '#ffffff'
+        }
+    }
+
+    /**
+     * Style of animated planes, rotated by the bearing of the arc at their position
+     */
+    static PLANE_ICON_STYLES = {
+        layout: {
+            'icon-image': 'airport-15',
+            'icon-rotate': ['get', 'bearing'],
+            'icon-rotation-alignment': 'map',
+            'icon-allow-overlap': true,
+            'icon-ignore-placement': true
         }
     }
 
@@ -126,7 +420,7 @@ export class Stylings {
      * @type {string} selected theme
      * @private
      */
-    _theme = localStorage.getItem(Stylings.THEME_KEY) || Stylings.DARK_THEME;
+    _theme = Stylings.normalizeTheme(localStorage.getItem(Stylings.THEME_KEY)) || Stylings.DARK_THEME;
 
     /**
      * Highlighted category. E.g: ('SHORT','LONG')
@@ -135,12 +429,32 @@ export class Stylings {
      */
     _highLightedCategory = '';
 
+    /**
+     * Active distance styling configuration, see DEFAULT_DISTANCE_CONFIG
+     * @type {{mode: string, categories: Array<Object>, ramp: Array<Object>}}
+     * @private
+     */
+    _distanceConfig = Stylings.loadDistanceConfig();
+
+    /**
+     * What the color of routes tells, one of COLOR_MODES
+     * @type {string}
+     * @private
+     */
+    _colorMode = Stylings.COLOR_MODES.DISTANCE;
+
+    /**
+     * Volume and scale of the widths of routes in the flow mode, null when widths follow distances
+     * @type {{volume: string, scale: string}}
+     * @private
+     */
+    _flowConfig = null;
 
     /**
      * @param {string} theme key of the theme
      */
     constructor(theme) {
-        this._theme = theme ? theme : localStorage.getItem(Stylings.THEME_KEY) || Stylings.DARK_THEME;
+        this._theme = theme ? theme : Stylings.normalizeTheme(localStorage.getItem(Stylings.THEME_KEY)) || Stylings.DARK_THEME;
     }
 
     /**
@@ -180,6 +494,189 @@ export class Stylings {
         return this._highLightedCategory;
     }
 
+    /**
+     * Get what the color of routes tells
+     * @returns {string} one of COLOR_MODES
+     * @public
+     */
+    get colorMode() {
+        return this._colorMode;
+    }
+
+    /**
+     * Set what the color of routes tells
+     * @param {string} colorMode one of COLOR_MODES
+     * @public
+     */
+    set colorMode(colorMode) {
+        this._colorMode = colorMode;
+    }
+
+    /**
+     * Get the flow mode configuration
+     * @returns {{volume: string, scale: string}} volume is one of FLOW_VOLUMES, scale is one of FLOW_SCALES. Null when the flow mode is off
+     * @public
+     */
+    get flowConfig() {
+        return this._flowConfig;
+    }
+
+    /**
+     * Turn the flow mode on or off. Widths and opacities of routes scale with their volume and
+     * both directions of a route are drawn as parallel arcs
+     * @param {{volume: string, scale: string}} config volume is one of FLOW_VOLUMES, scale is one of FLOW_SCALES. Null to turn the flow mode off
+     * @returns {void}
+     * @throws {Error} when the volume or the scale is unknown
+     * @public
+     */
+    setFlowConfig(config) {
+        if (!config) {
+            this._flowConfig = null;
+            return;
+        }
+        const { volume, scale = Stylings.FLOW_SCALES.SQRT } = config;
+        if (!Object.values(Stylings.FLOW_VOLUMES).includes(volume)) {
+            throw new Error(`Unknown flow volume "${volume}"`);
+        }
+        if (!Object.values(Stylings.FLOW_SCALES).includes(scale)) {
+            throw new Error(`Unknown flow scale "${scale}"`);
+        }
+        this._flowConfig = { volume, scale };
+    }
+
+    /**
+     * Get width and opacity of a route in the flow mode
+     * @param {number} volume volume of the route
+     * @param {number} maxVolume biggest volume of the displayed routes
+     * @returns {{lineWidth: number, lineOpacity: number}} route properties
+     * @public
+     */
+    getFlowProperties(volume, maxVolume) {
+        const ratio = Stylings.scaleVolume(volume, maxVolume, this._flowConfig ? this._flowConfig.scale : Stylings.FLOW_SCALES.LINEAR);
+        const interpolate = ({ min, max }) => min * (1 - ratio) + max * ratio;
+        return {
+            lineWidth: interpolate(Stylings.FLOW_LINE_WIDTH),
+            lineOpacity: interpolate(Stylings.FLOW_LINE_OPACITY)
+        };
+    }
+
+    /**
+     * Get width samples of the flow legend, their widths are evenly spaced from the biggest volume
+     * @param {number} maxVolume biggest volume of the displayed routes
+     * @returns {Array<{volume: number, lineWidth: number, lineOpacity: number}>} samples in descending order of volume, none without volumes
+     * @public
+     */
+    getFlowLegendItems(maxVolume) {
+        if (!this._flowConfig || !(maxVolume > 0)) {
+            return [];
+        }
+        const count = Stylings.FLOW_LEGEND_SAMPLES;
+        return Array.from({ length: count }, (_, index) => {
+            const volume = Math.round(Stylings._unscaleVolume((count - index) / count, maxVolume, this._flowConfig.scale));
+            return { volume, ...this.getFlowProperties(volume, maxVolume) };
+        });
+    }
+
+    /**
+     * Get color of an origin
+     * @param {number} originIndex position of the origin in the selected origins
+     * @returns {string} hex color, colors are reused after ORIGIN_COLORS.length origins
+     * @public
+     */
+    getOriginColor(originIndex) {
+        return Stylings.ORIGIN_COLORS[originIndex % Stylings.ORIGIN_COLORS.length];
+    }
+
+    /**
+     * Get active distance styling configuration
+     * @returns {{mode: string, categories: Array<Object>, ramp: Array<Object>}} configuration
+     * @public
+     */
+    get distanceConfig() {
+        return this._distanceConfig;
+    }
+
+    /**
+     * Get distance categories in descending order of min distance
+     * @returns {Array<{name: string, label: string, minDistance: number, colors: Object<string, string>, lineWidth: number}>} categories
+     * @public
+     */
+    get categories() {
+        return this._distanceConfig.categories;
+    }
+
+    /**
+     * Get names of distance categories in descending order of min distance
+     * @returns {Array<string>} category names
+     * @public
+     */
+    get categoryNames() {
+        return this.categories.map(({ name }) => name);
+    }
+
+    /**
+     * Replace the distance styling configuration and store it in localstorage.
+     * The highlighted category is reset when it doesn't exist in the new configuration
+     * @param {Object} config configuration in the shape of DEFAULT_DISTANCE_CONFIG
+     * @returns {void}
+     * @throws {Error} when the configuration is invalid
+     * @public
+     */
+    setDistanceConfig(config) {
+        this._distanceConfig = Stylings.normalizeDistanceConfig(config);
+        localStorage.setItem(Stylings.DISTANCE_CONFIG_KEY, this.exportDistanceConfig());
+
+        if (!this.categoryNames.includes(this._highLightedCategory)) {
+            this._highLightedCategory = '';
+        }
+    }
+
+    /**
+     * Switch between categories and color ramp
+     * @param {string} mode one of DISTANCE_STYLE_MODES
+     * @returns {void}
+     * @throws {Error} when the mode is unknown
+     * @public
+     */
+    setDistanceStyleMode(mode) {
+        this.setDistanceConfig({ ...this._distanceConfig, mode });
+    }
+
+    /**
+     * Go back to the default distance styling configuration
+     * @returns {void}
+     * @public
+     */
+    resetDistanceConfig() {
+        this.setDistanceConfig(Stylings.DEFAULT_DISTANCE_CONFIG);
+    }
+
+    /**
+     * Replace the distance styling configuration by a JSON configuration
+     * @param {string} json configuration exported by exportDistanceConfig
+     * @returns {void}
+     * @throws {Error} when the JSON or the configuration is invalid
+     * @public
+     */
+    importDistanceConfig(json) {
+        let config;
+        try {
+            config = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`Distance configuration is not valid JSON: ${e.message}`);
+        }
+        this.setDistanceConfig(config);
+    }
+
+    /**
+     * Export the distance styling configuration
+     * @returns {string} JSON configuration
+     * @public
+     */
+    exportDistanceConfig() {
+        return JSON.stringify(this._distanceConfig, null, 2);
+    }
+
     /**
      * Get properties of line based on distance between 2 endpoints
      * @param {number} distance distance between 2 endpoints
@@ -187,23 +684,290 @@ export class Stylings {
      * @public
      */
     getLineProperties = distance => {
-        for (const category of Stylings.CATEGORY_NAMES_IN_DESC_ORDER) {
-            if (distance >= Stylings.MIN_DISTANCE[category]) {
-                return {
-                    color: Stylings.COLORS[category][this._theme],
-                    lineWidth: Stylings.LINE_WIDTH[category],
-                    category
-                };
+        const category = this._getCategory(distance);
+
+        if (this._distanceConfig.mode === Stylings.DISTANCE_STYLE_MODES.RAMP) {
+            return {
+                ...this._getRampProperties(distance),
+                category: category.name
+            };
+        }
+
+        return {
+            color: category.colors[this._theme],
+            lineWidth: category.lineWidth,
+            category: category.name
+        };
+    }
+
+    /**
+     * Get style of route layer for the active configuration.
+     * In RAMP mode, color and width are interpolated by distance with Mapbox `interpolate` expressions
+     * @returns {{paint: Object, layout: Object}} layer style
+     * @public
+     */
+    getRouteStyles() {
+        return {
+            ...Stylings.ROUTE_STYLES,
+            'paint': {
+                ...Stylings.ROUTE_STYLES.paint,
+                ...this.getRoutePaintProperties()
+            }
+        };
+    }
+
+    /**
+     * Get paint properties of route layer that depend on the active configuration, color mode and theme
+     * @returns {{'line-color': Array, 'line-width': Array}} paint properties
+     * @public
+     */
+    getRoutePaintProperties() {
+        const { paint } = Stylings.ROUTE_STYLES;
+        // Routes are tagged with the color of their origin by DataProcessor
+        const originColor = ['get', 'originColor'];
+        const isOriginColorMode = this._colorMode === Stylings.COLOR_MODES.ORIGIN;
+        // Widths of the flow mode are route properties. When both directions are displayed, a route and its reverse
+        // are drawn on their right side so that they don't overlap
+        const isFlowMode = this._flowConfig !== null;
+        const lineOffset = isFlowMode ? ['case', ['boolean', ['get', 'bidirectional'], false], ['*', 0.5, ['get', 'lineWidth']], 0] : 0;
+
+        if (this._distanceConfig.mode !== Stylings.DISTANCE_STYLE_MODES.RAMP) {
+            return {
+                'line-color': isOriginColorMode ? originColor : paint['line-color'],
+                'line-width': paint['line-width'],
+                'line-offset': lineOffset
+            };
+        }
+
+        const interpolate = getValue => [
+            'interpolate',
+            ['linear'],
+            ['get', 'distance'],
+            ...[].concat(...this._distanceConfig.ramp.map(stop => [stop.distance, getValue(stop)]))
+        ];
+        const [lineWidthCase, isHovered, hoveredLineWidth] = paint['line-width'];
+
+        return {
+            'line-color': isOriginColorMode ? originColor : interpolate(stop => stop.colors[this._theme]),
+            'line-width': isFlowMode ? paint['line-width'] : [lineWidthCase, isHovered, hoveredLineWidth, interpolate(stop => stop.lineWidth)],
+            'line-offset': lineOffset
+        };
+    }
+
+    /**
+     * Get entries of the legend, one per category in descending order.
+     * In RAMP mode, the background is a gradient over the distance range of the category
+     * @param {string} theme name of the theme, the selected theme if not provided
+     * @returns {Array<{category: string, label: string, colors: Array<string>, background: string}>} legend entries,
+     * the label is the distance range with its unit unless the category has one, colors has the start and end colors of the gradient in RAMP mode
+     * @public
+     */
+    getLegendItems(theme = this._theme) {
+        const isRamp = this._distanceConfig.mode === Stylings.DISTANCE_STYLE_MODES.RAMP;
+        return this.categories.map((category, index) => {
+            const maxDistance = index > 0 ? this.categories[index - 1].minDistance : null;
+            // Labels are read on their own, e.g: by screen readers and in the title of saved images
+            const range = maxDistance === null ? `>= ${category.minDistance} km` : `${category.minDistance} - ${maxDistance} km`;
+
+            let colors = [category.colors[theme]];
+            if (isRamp) {
+                const upperDistance = maxDistance === null ? this._distanceConfig.ramp[this._distanceConfig.ramp.length - 1].distance : maxDistance;
+                colors = [
+                    this._getRampProperties(category.minDistance, theme).color,
+                    this._getRampProperties(Math.max(upperDistance, category.minDistance), theme).color
+                ];
             }
+
+            return {
+                category: category.name,
+                label: category.label || range,
+                colors,
+                background: colors.length > 1 ? `linear-gradient(to right, ${colors.join(', ')})` : colors[0]
+            };
+        });
+    }
+
+    /**
+     * Get the category that a distance belongs to, the shortest category if none matches
+     * @param {number} distance distance in km
+     * @returns {Object} category
+     * @private
+     */
+    _getCategory(distance) {
+        const { categories } = this;
+        return categories.find(({ minDistance }) => distance >= minDistance) || categories[categories.length - 1];
+    }
+
+    /**
+     * Interpolate color and width of the ramp at a distance, values are clamped outside of the ramp
+     * @param {number} distance distance in km
+     * @param {string} theme name of the theme
+     * @returns {{color: string, lineWidth: number}} interpolated properties
+     * @private
+     */
+    _getRampProperties(distance, theme = this._theme) {
+        const { ramp } = this._distanceConfig;
+        const nextIndex = ramp.findIndex(stop => stop.distance > distance);
+        if (nextIndex === -1 || nextIndex === 0) {
+            const stop = ramp[nextIndex === -1 ? ramp.length - 1 : 0];
+            return { color: stop.colors[theme], lineWidth: stop.lineWidth };
         }
 
+        const from = ramp[nextIndex - 1];
+        const to = ramp[nextIndex];
+        const ratio = (distance - from.distance) / (to.distance - from.distance);
         return {
-            color: Stylings.COLORS[Stylings.DISTANCE_CATEROGY_NAMES.SHORT][this._theme],
-            lineWidth: Stylings.LINE_WIDTH[Stylings.DISTANCE_CATEROGY_NAMES.SHORT],
-            category: Stylings.DISTANCE_CATEROGY_NAMES.SHORT
+            color: Stylings.interpolateColor(from.colors[theme], to.colors[theme], ratio),
+            lineWidth: from.lineWidth + (to.lineWidth - from.lineWidth) * ratio
         };
     }
 
+    /**
+     * Get the theme key of a theme key or of a legacy Mapbox style id
+     * @param {string} theme theme key or legacy style id
+     * @returns {string} theme key, undefined if theme is unknown
+     */
+    static normalizeTheme(theme) {
+        if (Stylings.THEMES.includes(theme)) {
+            return theme;
+        }
+        return Stylings.LEGACY_THEME_IDS[theme];
+    }
+
+    /**
+     * Get the basemap config of a theme.
+     * Unknown themes are used as Mapbox style ids, e.g: "username/style-id"
+     * @param {string} theme theme key
+     * @param {string} basemap name of the basemap in BASEMAPS
+     * @returns {{type: string}} basemap config
+     */
+    static getBasemapConfig(theme, basemap) {
+        const themes = Stylings.BASEMAPS[basemap] || Stylings.BASEMAPS.mapbox;
+        return themes[theme] || { type: 'mapbox', styleId: theme };
+    }
+
+    /**
+     * Linear interpolation between 2 hex colors
+     * @param {string} from hex color, e.g: #D84315 or #fff
+     * @param {string} to hex color
+     * @param {number} ratio between 0(from) and 1(to)
+     * @returns {string} hex color in the shape #rrggbb
+     */
+    static interpolateColor(from, to, ratio) {
+        const toChannels = color => {
+            const hex = color.slice(1);
+            const fullHex = hex.length === 3 ? hex.split('').map(char => char + char).join('') : hex;
+            return [0, 2, 4].map(index => parseInt(fullHex.slice(index, index + 2), 16));
+        };
+        const fromChannels = toChannels(from);
+        const toChannelsValues = toChannels(to);
+        return `#${fromChannels.map((channel, index) => {
+            const value = Math.round(channel + (toChannelsValues[index] - channel) * ratio);
+            return value.toString(16).padStart(2, '0');
+        }).join('')}`;
+    }
+
+    /**
+     * Load the distance styling configuration from localstorage, falls back to the default one when it is missing or invalid
+     * @returns {{mode: string, categories: Array<Object>, ramp: Array<Object>}} configuration
+     */
+    static loadDistanceConfig() {
+        const stored = localStorage.getItem(Stylings.DISTANCE_CONFIG_KEY);
+        if (stored) {
+            try {
+                return Stylings.normalizeDistanceConfig(JSON.parse(stored));
+            } catch (e) {
+                // Stored configuration is outdated or corrupted, fall back to the default one
+                localStorage.removeItem(Stylings.DISTANCE_CONFIG_KEY);
+            }
+        }
+        return Stylings.normalizeDistanceConfig(Stylings.DEFAULT_DISTANCE_CONFIG);
+    }
+
+    /**
+     * Validate a distance styling configuration, sort categories and ramp stops and expand colors to every theme.
+     * A color is either a hex color used by all themes or a mapping from theme(or legacy theme id) to hex color
+     * @param {Object} config configuration in the shape of DEFAULT_DISTANCE_CONFIG, missing ramp uses the default one
+     * @returns {{mode: string, categories: Array<Object>, ramp: Array<Object>}} normalized configuration
+     * @throws {Error} listing every problem of the configuration
+     */
+    static normalizeDistanceConfig(config) {
+        const errors = [];
+        const { mode = Stylings.DISTANCE_STYLE_MODES.CATEGORIES, categories, ramp = Stylings.DEFAULT_DISTANCE_CONFIG.ramp } = config || {};
+
+        if (!Object.values(Stylings.DISTANCE_STYLE_MODES).includes(mode)) {
+            errors.push(`unknown mode "${mode}"`);
+        }
+
+        const normalizeColors = (colors, path) => {
+            const themeColors = {};
+            Stylings.THEMES.forEach(theme => {
+                const legacyId = Object.keys(Stylings.LEGACY_THEME_IDS).find(id => Stylings.LEGACY_THEME_IDS[id] === theme);
+                const color = typeof colors === 'string' ? colors : (colors || {})[theme] || (colors || {})[legacyId];
+                if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+                    errors.push(`${path}: invalid color "${color}" for theme ${theme}`);
+                }
+                themeColors[theme] = color;
+            });
+            return themeColors;
+        };
+
+        const normalizeNumber = (value, path, name) => {
+            if (typeof value !== 'number' || !(value >= 0)) {
+                errors.push(`${path}: ${name} must be a number >= 0`);
+            }
+            return value;
+        };
+
+        if (!Array.isArray(categories) || !categories.length) {
+            errors.push('categories must be a non empty list');
+        }
+        const normalizedCategories = (Array.isArray(categories) ? categories : []).map((rawCategory, index) => {
+            const path = `categories[${index}]`;
+            const category = rawCategory || {};
+            if (!category.name || typeof category.name !== 'string') {
+                errors.push(`${path}: missing name`);
+            }
+            return {
+                name: category.name,
+                label: category.label || '',
+                minDistance: normalizeNumber(category.minDistance, path, 'minDistance'),
+                colors: normalizeColors(category.colors, path),
+                lineWidth: normalizeNumber(category.lineWidth, path, 'lineWidth')
+            };
+        }).sort((a, b) => b.minDistance - a.minDistance);
+
+        const names = normalizedCategories.map(({ name }) => name);
+        const duplicatedNames = names.filter((name, index) => names.indexOf(name) !== index);
+        if (duplicatedNames.length) {
+            errors.push(`duplicated category name(s): ${duplicatedNames.join(', ')}`);
+        }
+
+        if (!Array.isArray(ramp) || ramp.length < 2) {
+            errors.push('ramp must have at least 2 stops');
+        }
+        const normalizedRamp = (Array.isArray(ramp) ? ramp : []).map((rawStop, index) => {
+            const path = `ramp[${index}]`;
+            const stop = rawStop || {};
+            return {
+                distance: normalizeNumber(stop.distance, path, 'distance'),
+                colors: normalizeColors(stop.colors, path),
+                lineWidth: normalizeNumber(stop.lineWidth, path, 'lineWidth')
+            };
+        }).sort((a, b) => a.distance - b.distance);
+
+        // Mapbox requires strictly ascending stops in interpolate expressions
+        if (normalizedRamp.some((stop, index) => index > 0 && stop.distance === normalizedRamp[index - 1].distance)) {
+            errors.push('ramp stops must have different distances');
+        }
+
+        if (errors.length) {
+            throw new Error(`Invalid distance configuration: ${errors.join('; ')}`);
+        }
+
+        return { mode, categories: normalizedCategories, ramp: normalizedRamp };
+    }
+
     /**
      * Get line opacity based on the highlighted category
      * E.g: if category == `SHORT`. All routes that belongs to other category has line opacity = 0.1
@@ -216,8 +980,118 @@ export class Stylings {
             'route',
             'line-opacity',
             ['case',
-                ["==", ['get', 'category'], highlightedCategory], Stylings.DEFAULT_LINE_OPACITY, Stylings.UN_HIGHLIGHTED_LINE_OPACITY
+                ["==", ['get', 'category'], highlightedCategory], Stylings.ROUTE_LINE_OPACITY, Stylings.UN_HIGHLIGHTED_LINE_OPACITY
             ]
         ];
     }
-}
\ No newline at end of file
+
+    /**
+     * Get line opacity based on a highlighted distance range, e.g: a bar of the distance histogram
+     * @param {{from: number, to: number}} range distances in km, from is included and to is excluded
+     * @return {Array} style arrays
+     * @public
+     */
+    static getLineOpacityWithHighLightedRange({ from, to }) {
+        return [
+            'route',
+            'line-opacity',
+            ['case',
+                ['all', ['>=', ['get', 'distance'], from], ['<', ['get', 'distance'], to]],
+                Stylings.ROUTE_LINE_OPACITY,
+                Stylings.UN_HIGHLIGHTED_LINE_OPACITY
+            ]
+        ];
+    }
+
+    /**
+     * Scale a volume relative to the biggest volume
+     * @param {number} volume volume of a route
+     * @param {number} maxVolume biggest volume
+     * @param {string} scale one of FLOW_SCALES
+     * @returns {number} ratio between 0 and 1, 0 without volumes
+     * @public
+     */
+    static scaleVolume(volume, maxVolume, scale) {
+        if (!(maxVolume > 0) || !(volume > 0)) {
+            return 0;
+        }
+        const clamped = Math.min(volume, maxVolume);
+        if (scale === Stylings.FLOW_SCALES.SQRT) {
+            return Math.sqrt(clamped / maxVolume);
+        }
+        if (scale === Stylings.FLOW_SCALES.LOG) {
+            return Math.log1p(clamped) / Math.log1p(maxVolume);
+        }
+        return clamped / maxVolume;
+    }
+
+    /**
+     * Volume of a ratio, inverse of scaleVolume
+     * @param {number} ratio ratio between 0 and 1
+     * @param {number} maxVolume biggest volume
+     * @param {string} scale one of FLOW_SCALES
+     * @returns {number} volume
+     * @private
+     */
+    static _unscaleVolume(ratio, maxVolume, scale) {
+        if (scale === Stylings.FLOW_SCALES.SQRT) {
+            return ratio * ratio * maxVolume;
+        }
+        if (scale === Stylings.FLOW_SCALES.LOG) {
+            return Math.expm1(ratio * Math.log1p(maxVolume));
+        }
+        return ratio * maxVolume;
+    }
+
+    /**
+     * Get the color of a capital reached in a number of hops
+     * @param {number} hops number of hops from the origin, at least 1
+     * @returns {string} color
+     * @public
+     */
+    static getHopColor(hops) {
+        const colors = Stylings.REACHABILITY_HOP_COLORS;
+        return colors[Math.min(Math.max(hops, 1), colors.length) - 1];
+    }
+
+    /**
+     * Get legend items of capitals reached in 1 to maxHops hops
+     * @param {number} maxHops hop limit of the reachability analysis
+     * @returns {Array<{hops: number, label: string, background: string}>} legend items in ascending order of hops
+     * @public
+     */
+    static getHopLegendItems(maxHops) {
+        return Array.from({ length: maxHops }, (_, index) => ({
+            hops: index + 1,
+            label: `${index + 1} hop${index ? 's' : ''}`,
+            background: Stylings.getHopColor(index + 1)
+        }));
+    }
+
+    /**
+     * Get the icon styles of the capitals layer. Capitals styled by centrality grow and turn red with their
+     * centrality property, the score of the capital relative to the most central one between 0 and 1
+     * @param {boolean} byCentrality whether capitals are styled by centrality
+     * @returns {{layout: Object, paint: Object}} layout and paint properties
+     * @public
+     */
+    static getCapitalIconStyles(byCentrality) {
+        if (!byCentrality) {
+            return {
+                layout: { 'icon-image': Stylings.CAPITAL_ICON_STYLES.layout['icon-image'], 'icon-size': 1 },
+                paint: { 'icon-color': '#000000' }
+            };
+        }
+        const [low, middle, high] = Stylings.HUB_CENTRALITY_COLORS;
+        const centrality = ['coalesce', ['get', 'centrality'], 0];
+        return {
+            layout: {
+                'icon-image': Stylings.HUB_ICON_ID,
+                'icon-size': ['interpolate', ['linear'], centrality, 0, 0.35, 1, 1.1]
+            },
+            paint: {
+                'icon-color': ['interpolate', ['linear'], centrality, 0, low, 0.5, middle, 1, high]
+            }
+        };
+    }
+}
@@ -0,0 +1,404 @@
+import { flattenLineCoordinates, positionAlongLine } from './flight-animator.js';
+
+/**
+ * Milliseconds in a day
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date of a schedule: ISO 8601 date or date time, e.g: 2024-06-30 or 2024-06-30T08:45:00Z.
+ * Dates without time are in UTC
+ * @param {string} value raw value
+ * @param {boolean} endOfDay whether a date without time means the end of the day, e.g: the last day of a period
+ * @returns {number} timestamp in ms, null when the value is empty, NaN when it is invalid
+ */
+export function parseScheduleDate(value, endOfDay = false) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (!text) {
+        return null;
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const time = Date.parse(`${text}T00:00:00Z`);
+        return endOfDay ? time + DAY : time;
+    }
+    return Date.parse(text);
+}
+
+/**
+ * Format a timestamp of the timeline in UTC, e.g: 2024-06-30 08:45
+ * @param {number} time timestamp in ms
+ * @returns {string} formatted date and time, empty when there is no time
+ */
+export function formatScheduleDate(time) {
+    if (!Number.isFinite(time)) {
+        return '';
+    }
+    return new Date(time).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Schedule of a route without any period or departure
+ * @returns {{always: boolean, periods: Array<{from: number, to: number}>, departures: Array<number>}} empty schedule
+ */
+export function createSchedule() {
+    return { always: false, periods: [], departures: [] };
+}
+
+/**
+ * Add a route record to the schedule of its route. Records with a departure are single flights,
+ * records with validFrom and/or validTo operate during a period, other records operate all the time
+ * @param {{always: boolean, periods: Array<Object>, departures: Array<number>}} schedule schedule of the route, updated in place
+ * @param {{validFrom: number, validTo: number, departure: number}} record route record with timestamps in ms
+ * @returns {void}
+ */
+export function addToSchedule(schedule, { validFrom, validTo, departure }) {
+    if (Number.isFinite(departure)) {
+        schedule.departures.push(departure);
+    } else if (Number.isFinite(validFrom) || Number.isFinite(validTo)) {
+        schedule.periods.push({
+            from: Number.isFinite(validFrom) ? validFrom : null,
+            to: Number.isFinite(validTo) ? validTo : null
+        });
+    } else {
+        schedule.always = true;
+    }
+}
+
+/**
+ * Whether a schedule has periods or departures, the route always operates otherwise
+ * @param {{periods: Array<Object>, departures: Array<number>}} schedule schedule of a route
+ * @returns {boolean} true if the schedule depends on time
+ */
+export function isTimedSchedule(schedule) {
+    return Boolean(schedule) && (schedule.periods.length > 0 || schedule.departures.length > 0);
+}
+
+/**
+ * Dates covered by schedules: bounds of their periods and departures. A departure lands within a day
+ * @param {Array<{periods: Array<Object>, departures: Array<number>}>} schedules schedules of the routes
+ * @returns {{start: number, end: number}} timestamps in ms, null when no schedule depends on time
+ */
+export function computeScheduleRange(schedules) {
+    const starts = [];
+    const ends = [];
+    schedules.filter(isTimedSchedule).forEach(({ periods, departures }) => {
+        periods.forEach(({ from, to }) => {
+            starts.push(...[from, to].filter(Number.isFinite));
+            ends.push(...[from, to].filter(Number.isFinite));
+        });
+        starts.push(...departures);
+        ends.push(...departures.map(departure => departure + DAY));
+    });
+    if (!starts.length) {
+        return null;
+    }
+    return { start: Math.min(...starts), end: Math.max(...ends) };
+}
+
+/**
+ * Travelled fractions of the flights of a schedule that are in the air at a moment
+ * @param {{departures: Array<number>}} schedule schedule of a route
+ * @param {number} time timestamp in ms
+ * @param {number} blockTime duration of a flight in minutes
+ * @returns {Array<number>} fractions between 0 and 1
+ */
+export function airborneFractions(schedule, time, blockTime) {
+    const duration = blockTime * 60 * 1000;
+    if (!schedule || !(duration > 0)) {
+        return [];
+    }
+    return schedule.departures
+        .filter(departure => departure <= time && time < departure + duration)
+        .map(departure => (time - departure) / duration);
+}
+
+/**
+ * Whether a route operates at a moment: it always operates, one of its periods contains the moment
+ * or one of its flights is in the air. Routes without schedule always operate
+ * @param {{always: boolean, periods: Array<Object>, departures: Array<number>}} schedule schedule of the route
+ * @param {number} time timestamp in ms
+ * @param {number} blockTime duration of a flight in minutes
+ * @returns {boolean} true if the route operates
+ */
+export function isScheduledAt(schedule, time, blockTime) {
+    if (!isTimedSchedule(schedule) || schedule.always) {
+        return true;
+    }
+    return schedule.periods.some(({ from, to }) => (from === null || from <= time) && (to === null || time < to))
+        || airborneFractions(schedule, time, blockTime).length > 0;
+}
+
+/**
+ * Planes of the flights in the air at a moment, positioned by the elapsed fraction of their block time along the arc
+ * @param {Array<GeoJSON.Feature<LineString>>} routes arcs with schedule and distance properties
+ * @param {number} time timestamp in ms
+ * @param {Function} getBlockTime returns the block time in minutes of a distance in km
+ * @returns {GEOJSON.FeatureCollection<Point>} planes with the same properties as the planes of FlightAnimator
+ */
+export function computeDeparturePlanes(routes, time, getBlockTime) {
+    const features = [];
+    routes.forEach(({ id, properties, geometry }) => {
+        const fractions = airborneFractions(properties.schedule, time, getBlockTime(properties.distance));
+        if (!fractions.length) {
+            return;
+        }
+        const coordinates = flattenLineCoordinates(geometry);
+        fractions.forEach(fraction => {
+            const position = positionAlongLine(coordinates, fraction);
+            if (!position) {
+                return;
+            }
+            features.push({
+                'type': 'Feature',
+                'properties': {
+                    routeId: id,
+                    origin: properties.origin,
+                    destination: properties.destination,
+                    // Planes are filtered with their routes, see RouteFilter
+                    distance: properties.distance,
+                    destinationContinent: properties.destinationContinent,
+                    destinationCountry: properties.destinationCountry,
+                    bearing: position.bearing
+                },
+                'geometry': {
+                    'type': 'Point',
+                    'coordinates': position.coordinates
+                }
+            });
+        });
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features
+    };
+}
+
+/**
+ * Moment displayed by the map within the dates of the loaded schedules, it can be scrubbed or played with requestAnimationFrame
+ */
+export class Timeline {
+
+    /**
+     * Playback rates: simulated seconds per second
+     */
+    static RATES = {
+        HOUR: 60 * 60,
+        DAY: 24 * 60 * 60,
+        WEEK: 7 * 24 * 60 * 60
+    }
+
+    /**
+     * Dates of the loaded schedules, null when routes don't depend on time
+     * @type {{start: number, end: number}}
+     * @private
+     */
+    _range = null;
+
+    /**
+     * Displayed moment, timestamp in ms
+     * @type {number}
+     * @private
+     */
+    _time = null;
+
+    /**
+     * Playback rate, one of Timeline.RATES
+     * @type {number}
+     * @private
+     */
+    _rate = Timeline.RATES.DAY;
+
+    /**
+     * Id of the requested animation frame, null when the timeline is not playing
+     * @type {number}
+     * @private
+     */
+    _frameId = null;
+
+    /**
+     * Timestamp of the last played frame
+     * @type {number}
+     * @private
+     */
+    _lastTimestamp = null;
+
+    /**
+     * Callback fired whenever the time or the playing state changes
+     * @type {Function}
+     * @private
+     */
+    _onChange = null;
+
+    /**
+     * Whether routes depend on time
+     * @returns {boolean} true if there is a range of dates
+     * @public
+     */
+    get isEnabled() {
+        return this._range !== null;
+    }
+
+    /**
+     * Get the dates of the loaded schedules
+     * @returns {{start: number, end: number}} timestamps in ms, null when routes don't depend on time
+     * @public
+     */
+    get range() {
+        return this._range;
+    }
+
+    /**
+     * Get the displayed moment
+     * @returns {number} timestamp in ms, null when routes don't depend on time
+     * @public
+     */
+    get time() {
+        return this._time;
+    }
+
+    /**
+     * Get the playback rate
+     * @returns {number} simulated seconds per second
+     * @public
+     */
+    get rate() {
+        return this._rate;
+    }
+
+    /**
+     * Whether the timeline is playing
+     * @returns {boolean} true if playing
+     * @public
+     */
+    get isPlaying() {
+        return this._frameId !== null;
+    }
+
+    /**
+     * Listen to changes of the time and of the playing state
+     * @param {Function} callBack function called with the timeline
+     * @returns {void}
+     * @public
+     */
+    onChange(callBack) {
+        this._onChange = callBack;
+    }
+
+    /**
+     * Replace the dates of the loaded schedules, the time is kept when it is in the new range.
+     * The change isn't notified, the routes are displayed again by the caller
+     * @param {{start: number, end: number}} range timestamps in ms, null when routes don't depend on time
+     * @returns {void}
+     * @public
+     */
+    setRange = range => {
+        if (!range) {
+            this.pause();
+            this._range = null;
+            this._time = null;
+            return;
+        }
+        this._range = { start: range.start, end: range.end };
+        this._time = this._clamp(this._time === null ? range.start : this._time);
+    }
+
+    /**
+     * Display another moment
+     * @param {number} time timestamp in ms, clamped to the range
+     * @returns {void}
+     * @public
+     */
+    setTime = time => {
+        if (!this.isEnabled || !Number.isFinite(Number(time))) {
+            return;
+        }
+        this._time = this._clamp(Number(time));
+        this._notifyChange();
+    }
+
+    /**
+     * Set the playback rate
+     * @param {number} rate simulated seconds per second
+     * @returns {void}
+     * @public
+     */
+    setRate = rate => {
+        if (!(rate > 0)) {
+            return;
+        }
+        this._rate = rate;
+    }
+
+    /**
+     * Start or resume playing, from the start when the end was reached
+     * @returns {void}
+     * @public
+     */
+    play = () => {
+        if (this.isPlaying || !this.isEnabled) {
+            return;
+        }
+        if (this._time >= this._range.end) {
+            this._time = this._range.start;
+        }
+        this._lastTimestamp = null;
+        this._frameId = requestAnimationFrame(this._tick);
+        this._notifyChange();
+    }
+
+    /**
+     * Pause playing, the time is kept
+     * @returns {void}
+     * @public
+     */
+    pause = () => {
+        if (!this.isPlaying) {
+            return;
+        }
+        cancelAnimationFrame(this._frameId);
+        this._frameId = null;
+        this._notifyChange();
+    }
+
+    /**
+     * Advance the time and request the next frame, playing stops at the end of the range
+     * @param {number} timestamp time of the frame in ms
+     * @returns {void}
+     * @private
+     */
+    _tick = timestamp => {
+        if (this._lastTimestamp !== null) {
+            this._time = this._clamp(this._time + (timestamp - this._lastTimestamp) * this._rate);
+        }
+        this._lastTimestamp = timestamp;
+
+        if (this._time >= this._range.end) {
+            this._frameId = null;
+        } else {
+            this._frameId = requestAnimationFrame(this._tick);
+        }
+        this._notifyChange();
+    }
+
+    /**
+     * Keep a time in the range
+     * @param {number} time timestamp in ms
+     * @returns {number} time between the start and the end of the range
+     * @private
+     */
+    _clamp = time => {
+        return Math.min(Math.max(time, this._range.start), this._range.end);
+    }
+
+    /**
+     * Notify the time and the playing state
+     * @returns {void}
+     * @private
+     */
+    _notifyChange = () => {
+        if (this._onChange) {
+            this._onChange(this);
+        }
+    }
+}
@@ -0,0 +1,181 @@
+import { Stylings } from './stylings.js';
+import { DomHandler } from './dom-handler.js';
+
+/**
+ * Parse a number from an url parameter
+ * @param {string} value raw value
+ * @returns {number} parsed number, NaN when the value is missing, empty or not numeric
+ */
+function parseNumber(value) {
+    return value === null || value.trim() === '' ? NaN : Number(value);
+}
+
+/**
+ * Parse the url hash into a view state, invalid values are dropped.
+ * E.g: #capital=Helsinki&theme=mapbox%2Flight-v10&highlight=SHORT&center=24.9384,60.1699&zoom=4&bearing=0
+ * @param {string} hash url hash, with or without the leading #
+ * @param {Array<string>} categoryNames names of the distance categories that can be highlighted
+ * @returns {{capital: string, theme: string, highlight: string, center: Array<number>, zoom: number, bearing: number}} partial state
+ */
+export function parseUrlState(hash, categoryNames = Stylings.CATEGORY_NAMES_IN_DESC_ORDER) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const state = {};
+
+    const capital = params.get('capital');
+    if (capital) {
+        state.capital = capital;
+    }
+
+    const theme = Stylings.normalizeTheme(params.get('theme'));
+    if (theme) {
+        state.theme = theme;
+    }
+
+    const highlight = params.get('highlight');
+    if (categoryNames.includes(highlight)) {
+        state.highlight = highlight;
+    }
+
+    const center = (params.get('center') || '').split(',').map(parseNumber);
+    const [longitude, latitude] = center;
+    if (center.length === 2 && Math.abs(longitude) <= 180 && Math.abs(latitude) <= 90) {
+        state.center = center;
+    }
+
+    const zoom = parseNumber(params.get('zoom'));
+    if (zoom >= 0 && zoom <= 22) {
+        state.zoom = zoom;
+    }
+
+    const bearing = parseNumber(params.get('bearing'));
+    if (Math.abs(bearing) <= 360) {
+        state.bearing = bearing;
+    }
+
+    return state;
+}
+
+/**
+ * Serialize a view state into a url hash
+ * @param {{capital: string, theme: string, highlight: string, center: Array<number>, zoom: number, bearing: number}} state view state
+ * @returns {string} url hash with the leading #
+ */
+export function serializeUrlState({ capital, theme, highlight, center, zoom, bearing }) {
+    const params = new URLSearchParams();
+    if (capital) {
+        params.set('capital', capital);
+    }
+    if (theme) {
+        params.set('theme', theme);
+    }
+    if (highlight) {
+        params.set('highlight', highlight);
+    }
+    if (center) {
+        params.set('center', center.map(value => Number(value.toFixed(4))).join(','));
+    }
+    if (zoom !== undefined) {
+        params.set('zoom', Number(zoom.toFixed(2)));
+    }
+    if (bearing !== undefined) {
+        params.set('bearing', Number(bearing.toFixed(1)));
+    }
+    return `#${params.toString()}`;
+}
+
+/**
+ * Keep the url hash in sync with the view state, so that views can be shared and restored with back/forward navigation
+ */
+export class UrlState {
+
+    /**
+     * Set while a state from url is being applied, to avoid writing it back
+     * @type {boolean}
+     * @private
+     */
+    static _isApplying = false;
+
+    /**
+     * Capital of the last written state. Selecting another capital adds a history entry, other changes replace the current one
+     * @type {string}
+     * @private
+     */
+    static _lastCapital = '';
+
+    /**
+     * Subscribe to state changes of the map and to back/forward navigation
+     * @param {Stylings} styling instance of styling
+     * @param {MapWrapper} mapWrapper instance of map wrapper
+     * @return {Function} inner curried function
+     */
+    static subscribe = (styling, mapWrapper) => () => {
+        UrlState._lastCapital = parseUrlState(window.location.hash).capital || '';
+
+        mapWrapper.addStateChangeHandler(UrlState._write);
+
+        window.addEventListener('popstate', () => {
+            UrlState._apply(parseUrlState(window.location.hash, styling.categoryNames), styling, mapWrapper);
+        });
+    }
+
+    /**
+     * Write state into the url hash
+     * @param {Object} state view state
+     * @returns {void}
+     * @private
+     */
+    static _write = state => {
+        if (UrlState._isApplying) {
+            return;
+        }
+
+        const hash = serializeUrlState(state);
+        if (hash === window.location.hash) {
+            return;
+        }
+
+        if (UrlState._lastCapital && state.capital !== UrlState._lastCapital) {
+            window.history.pushState(null, '', hash);
+        } else {
+            window.history.replaceState(null, '', hash);
+        }
+        UrlState._lastCapital = state.capital;
+    }
+
+    /**
+     * Apply state read from the url hash
+     * @param {Object} state partial view state
+     * @param {Stylings} styling instance of styling
+     * @param {MapWrapper} mapWrapper instance of map wrapper
+     * @returns {void}
+     * @private
+     */
+    static _apply(state, styling, mapWrapper) {
+        UrlState._isApplying = true;
+
+        if (state.theme && state.theme !== styling.theme) {
+            DomHandler.setTheme(state.theme, styling, mapWrapper);
+        }
+
+        const highlight = state.highlight || '';
+        if (highlight !== styling.highLightedCategory) {
+            DomHandler.setHighLightedCategory(highlight, styling, mapWrapper);
+        }
+
+        if (state.capital && state.capital !== mapWrapper.dataProcessor.selectedCapital) {
+            mapWrapper.selectCapital(state.capital, !state.center);
+        }
+
+        const { center, zoom, bearing } = state;
+        if (center) {
+            mapWrapper.setCamera({
+                center,
+                ...(zoom !== undefined && { zoom }),
+                ...(bearing !== undefined && { bearing })
+            });
+        }
+
+        UrlState._lastCapital = mapWrapper.dataProcessor.selectedCapital;
+        UrlState._isApplying = false;
+    }
+}
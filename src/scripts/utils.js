@@ -5,4 +5,44 @@
 export function notify(msg) {
     alert(msg);
     console.error(msg);
-}
\ No newline at end of file
+}
+
+/**
+ * Escape text inserted into HTML, e.g: labels imported by the user
+ * @param {*} value text
+ * @returns {string} escaped text
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a distance in km to be displayed
+ * @param {number} distance distance in km
+ * @returns {string} rounded distance with unit, e.g: "3,685 km"
+ */
+export function formatKilometers(distance) {
+    return `${Math.round(distance).toLocaleString('en-US')} km`;
+}
+
+/**
+ * Let the browser download a text file generated on client side
+ * @param {string|Blob} content content of the file
+ * @param {string} fileName name of the downloaded file
+ * @param {string} mimeType media type of the content
+ */
+export function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
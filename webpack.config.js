@@ -23,8 +23,26 @@ module.exports = {
         }
 
     },
+    plugins: [
+        // Basemap and Mapbox access token can be chosen at build time, e.g: BASEMAP=offline npm run build
+        new webpack.DefinePlugin({
+            'process.env.BASEMAP': JSON.stringify(process.env.BASEMAP || ''),
+            'process.env.MAPBOX_ACCESS_TOKEN': JSON.stringify(process.env.MAPBOX_ACCESS_TOKEN || '')
+        })
+    ],
     module: {
         rules: [
+            {
+                // Workers are bundled into their own file next to the main bundle
+                test: /\.worker\.js$/,
+                use: {
+                    loader: "worker-loader",
+                    options: {
+                        filename: "[name].[contenthash].js",
+                        publicPath: "/static/"
+                    }
+                }
+            },
             {
                 test: /\.js$/,
                 exclude: /(node_modules)/,